@@ -20,7 +20,44 @@ async function createSearchIndexes() {
         name: "post_text_search"
       }
     );
-    
+
+    // The scheduler looks up due posts by publish time
+    await postsCollection.createIndex(
+      { isScheduled: 1, publishAt: 1 },
+      { name: "post_scheduled_publish_at", partialFilterExpression: { isScheduled: true } }
+    );
+
+    // Community slugs are their public identifiers
+    const communitiesCollection = await mongocon.communitiesCollection();
+    await communitiesCollection.createIndex(
+      { slug: 1 },
+      { unique: true, name: "community_slug_unique" }
+    );
+
+    // Drafts are listed per user and swept by expiry
+    const draftsCollection = await mongocon.draftsCollection();
+    await draftsCollection.createIndex({ userId: 1, updatedAt: -1 }, { name: "draft_user_updated" });
+    await draftsCollection.createIndex({ expiresAt: 1 }, { name: "draft_expiry" });
+
+    // Reply levels of the comment tree are loaded per set of parents, oldest first
+    const commentsCollection = await mongocon.commentsCollection();
+    await commentsCollection.createIndex({ parentCommentId: 1, createdAt: 1 }, { name: "comment_parent_created" });
+
+    // Edit history is read per post/comment and deleted per post
+    const revisionsCollection = await mongocon.revisionsCollection();
+    await revisionsCollection.createIndex({ targetType: 1, targetId: 1, createdAt: 1 }, { name: "revision_target" });
+    await revisionsCollection.createIndex({ postId: 1 }, { name: "revision_post" });
+
+    // Dismissals are looked up per user for the running announcements
+    const dismissalsCollection = await mongocon.announcementDismissalsCollection();
+    await dismissalsCollection.createIndex({ userId: 1, announcementId: 1 }, { name: "dismissal_user_announcement" });
+
+    // Export jobs are claimed oldest first, looked up per user and removed once their link expires
+    const dataExportsCollection = await mongocon.dataExportsCollection();
+    await dataExportsCollection.createIndex({ status: 1, createdAt: 1 }, { name: "data_export_queue" });
+    await dataExportsCollection.createIndex({ userId: 1, status: 1 }, { name: "data_export_user" });
+    await dataExportsCollection.createIndex({ expiresAt: 1 }, { name: "data_export_expiry", expireAfterSeconds: 0 });
+
     console.log("Search indexes created successfully");
   } catch (err) {
     console.error("Error creating indexes:", err);
@@ -121,4 +121,34 @@ export async function deleteFileById(fileId) {
     console.error(`Error deleting file ${fileId}:`, err.message);
     return false;
   }
-}
\ No newline at end of file
+}
+
+// Folder a user's uploads go to. ImageKit doesn't sign the folder, so this is
+// what ties a file to the user the upload link was issued to.
+export function getUserUploadFolder(userId) {
+  return `k-hive/users/${userId}`;
+}
+
+// Delete a file only if it sits in the user's upload folder, so file IDs taken
+// from a request can never remove someone else's media
+export async function deleteUserFileById(fileId, userId) {
+  const imagekitInstance = getImageKitInstance();
+
+  if (!imagekitInstance) {
+    return false;
+  }
+
+  try {
+    const file = await imagekitInstance.getFileDetails(fileId);
+    if (!file?.filePath?.startsWith(`/${getUserUploadFolder(userId)}/`)) {
+      console.warn(`Refusing to delete file ${fileId}: not uploaded by user ${userId}`);
+      return false;
+    }
+
+    await imagekitInstance.deleteFile(fileId);
+    return true;
+  } catch (err) {
+    console.error(`Error deleting file ${fileId}:`, err.message);
+    return false;
+  }
+}
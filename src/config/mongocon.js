@@ -57,4 +57,89 @@ async function postvoteCollection() {
   return database.collection(process.env.POSTVOTE_TABLE_NAME);
 }
 
-export default { connectDB, usersCollection, postsCollection, commentsCollection, postvoteCollection, feedbackCollection};
+async function commentvoteCollection() {
+  const database = await connectDB();
+  return database.collection(process.env.COMMENTVOTE_TABLE_NAME);
+}
+
+async function saveditemsCollection() {
+  const database = await connectDB();
+  return database.collection(process.env.SAVEDITEMS_TABLE_NAME);
+}
+
+async function reportsCollection() {
+  const database = await connectDB();
+  return database.collection(process.env.REPORTS_TABLE_NAME);
+}
+
+async function sanctionsCollection() {
+  const database = await connectDB();
+  return database.collection(process.env.SANCTIONS_TABLE_NAME);
+}
+
+async function auditlogCollection() {
+  const database = await connectDB();
+  return database.collection(process.env.AUDITLOG_TABLE_NAME);
+}
+
+async function rolesCollection() {
+  const database = await connectDB();
+  return database.collection(process.env.ROLES_TABLE_NAME);
+}
+
+async function notificationsCollection() {
+  const database = await connectDB();
+  return database.collection(process.env.NOTIFICATIONS_TABLE_NAME);
+}
+
+async function followsCollection() {
+  const database = await connectDB();
+  return database.collection(process.env.FOLLOWS_TABLE_NAME);
+}
+
+async function tagsCollection() {
+  const database = await connectDB();
+  return database.collection(process.env.TAGS_TABLE_NAME);
+}
+
+async function communitiesCollection() {
+  const database = await connectDB();
+  return database.collection(process.env.COMMUNITIES_TABLE_NAME);
+}
+
+async function communityMembersCollection() {
+  const database = await connectDB();
+  return database.collection(process.env.COMMUNITYMEMBERS_TABLE_NAME);
+}
+
+async function pollvoteCollection() {
+  const database = await connectDB();
+  return database.collection(process.env.POLLVOTE_TABLE_NAME);
+}
+
+async function draftsCollection() {
+  const database = await connectDB();
+  return database.collection(process.env.DRAFTS_TABLE_NAME);
+}
+
+async function revisionsCollection() {
+  const database = await connectDB();
+  return database.collection(process.env.REVISIONS_TABLE_NAME);
+}
+
+async function announcementsCollection() {
+  const database = await connectDB();
+  return database.collection(process.env.ANNOUNCEMENTS_TABLE_NAME);
+}
+
+async function announcementDismissalsCollection() {
+  const database = await connectDB();
+  return database.collection(process.env.ANNOUNCEMENTDISMISSALS_TABLE_NAME);
+}
+
+async function dataExportsCollection() {
+  const database = await connectDB();
+  return database.collection(process.env.DATAEXPORTS_TABLE_NAME);
+}
+
+export default { connectDB, usersCollection, postsCollection, commentsCollection, postvoteCollection, commentvoteCollection, feedbackCollection, saveditemsCollection, reportsCollection, sanctionsCollection, auditlogCollection, rolesCollection, notificationsCollection, followsCollection, tagsCollection, communitiesCollection, communityMembersCollection, pollvoteCollection, draftsCollection, revisionsCollection, announcementsCollection, announcementDismissalsCollection, dataExportsCollection};
@@ -83,9 +83,11 @@ passport.use(
     },
     async (jwtPayload, done) => {
       try {
-        const user = await User.findByUserId(jwtPayload.userId);
+        let user = await User.findByUserId(jwtPayload.userId);
         
         if (user) {
+          // Lift timed bans lazily once they run out
+          user = await User.liftExpiredBan(user);
           return done(null, user);
         }
         return done(null, false);
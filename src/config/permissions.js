@@ -0,0 +1,47 @@
+// Granular permissions checked by requirePermission()
+export const PERMISSIONS = {
+  POST_PIN: "post.pin",
+  POST_LOCK: "post.lock",
+  POST_DELETE: "post.delete",
+  USER_BAN: "user.ban",
+  FEEDBACK_READ: "feedback.read",
+  FEEDBACK_DELETE: "feedback.delete",
+  REPORT_REVIEW: "report.review",
+  SEARCH_INDEX_MANAGE: "search_index.manage",
+  AUDIT_READ: "audit.read",
+  DASHBOARD_READ: "dashboard.read",
+  ROLE_MANAGE: "role.manage",
+  TAG_MANAGE: "tag.manage",
+  ANNOUNCEMENT_MANAGE: "announcement.manage",
+  ANONYMITY_REVEAL: "anonymity.reveal",
+  POST_SCHEDULE_MANAGE: "post.schedule.manage",
+};
+
+// Permissions that can be limited to posts carrying specific tags
+export const TAG_SCOPED_PERMISSIONS = [
+  PERMISSIONS.POST_PIN,
+  PERMISSIONS.POST_LOCK,
+  PERMISSIONS.POST_DELETE,
+  PERMISSIONS.POST_SCHEDULE_MANAGE,
+];
+
+// Roles that always exist; custom roles are stored in the roles collection
+export const BUILT_IN_ROLES = {
+  admin: Object.values(PERMISSIONS),
+  moderator: [
+    PERMISSIONS.POST_PIN,
+    PERMISSIONS.POST_LOCK,
+    PERMISSIONS.POST_DELETE,
+    PERMISSIONS.FEEDBACK_READ,
+    PERMISSIONS.REPORT_REVIEW,
+  ],
+  user: [],
+};
+
+export function isValidPermission(permission) {
+  return Object.values(PERMISSIONS).includes(permission);
+}
+
+export function isBuiltInRole(role) {
+  return Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, role);
+}
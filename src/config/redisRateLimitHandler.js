@@ -10,6 +10,11 @@ import {
   POST_UPDATE, //per hour
   POST_CREATE, //per hour
   FEEDBACK, //per hour
+  REPORT, //per hour
+  FOLLOW, //per hour
+  COMMUNITY_CREATE, //per hour
+  DRAFT_SAVE, //per minute
+  DATA_EXPORT, //per hour
  } from './rlconfig.js';
 const rateLimitRedisUrl = process.env.RATE_LIMIT_REDIS_URL || process.env.REDIS_URL;
 
@@ -201,6 +206,101 @@ async function checkFeedbackLimit(userId) {
   }
 }
 
+async function checkReportLimit(userId) {
+  try {
+    const limiter = await getRateLimiter();
+    const key = rateKey(userId, "report");
+    
+    const result = await limiter.allowPerHour(key, REPORT);
+    
+    if (!result.allowed) {
+      console.log(`[RATE LIMIT] Report blocked for user ${userId}, retry after ${result.retryAfter}s`);
+    }
+    
+    return result;
+  } catch (err) {
+    console.error("Rate limit check error (report):", err.message);
+    // Fail open - allow the request if rate limiter fails
+    return { allowed: true, retryAfter: 0 };
+  }
+}
+
+async function checkFollowLimit(userId) {
+  try {
+    const limiter = await getRateLimiter();
+    const key = rateKey(userId, "follow");
+    
+    const result = await limiter.allowPerHour(key, FOLLOW);
+    
+    if (!result.allowed) {
+      console.log(`[RATE LIMIT] Follow blocked for user ${userId}, retry after ${result.retryAfter}s`);
+    }
+    
+    return result;
+  } catch (err) {
+    console.error("Rate limit check error (follow):", err.message);
+    // Fail open - allow the request if rate limiter fails
+    return { allowed: true, retryAfter: 0 };
+  }
+}
+
+async function checkCommunityCreateLimit(userId) {
+  try {
+    const limiter = await getRateLimiter();
+    const key = rateKey(userId, "community_create");
+    
+    const result = await limiter.allowPerHour(key, COMMUNITY_CREATE);
+    
+    if (!result.allowed) {
+      console.log(`[RATE LIMIT] Community creation blocked for user ${userId}, retry after ${result.retryAfter}s`);
+    }
+    
+    return result;
+  } catch (err) {
+    console.error("Rate limit check error (community creation):", err.message);
+    // Fail open - allow the request if rate limiter fails
+    return { allowed: true, retryAfter: 0 };
+  }
+}
+
+async function checkDraftSaveLimit(userId) {
+  try {
+    const limiter = await getRateLimiter();
+    const key = rateKey(userId, "draft_save");
+    
+    const result = await limiter.allowPerMinute(key, DRAFT_SAVE);
+    
+    if (!result.allowed) {
+      console.log(`[RATE LIMIT] Draft save blocked for user ${userId}, retry after ${result.retryAfter}s`);
+    }
+    
+    return result;
+  } catch (err) {
+    console.error("Rate limit check error (draft save):", err.message);
+    // Fail open - allow the request if rate limiter fails
+    return { allowed: true, retryAfter: 0 };
+  }
+}
+
+async function checkDataExportRateLimit(userId) {
+  try {
+    const limiter = await getRateLimiter();
+    const key = rateKey(userId, "data_export");
+    
+    const result = await limiter.allowPerHour(key, DATA_EXPORT);
+    
+    if (!result.allowed) {
+      console.log(`[RATE LIMIT] Data export blocked for user ${userId}, retry after ${result.retryAfter}s`);
+    }
+    
+    return result;
+  } catch (err) {
+    console.error("Rate limit check error (data export):", err.message);
+    // Fail open - allow the request if rate limiter fails
+    return { allowed: true, retryAfter: 0 };
+  }
+}
+
 async function checkLoginLimit(identifier) {
   try {
     const limiter = await getRateLimiter();
@@ -292,6 +392,11 @@ export default {
   checkCustomLimit,
   resetRateLimit,
   checkFeedbackLimit,
+  checkReportLimit,
+  checkFollowLimit,
+  checkCommunityCreateLimit,
+  checkDraftSaveLimit,
+  checkDataExportRateLimit,
 };
 
 export {
@@ -308,4 +413,9 @@ export {
   checkCustomLimit,
   resetRateLimit,
   checkFeedbackLimit,
+  checkReportLimit,
+  checkFollowLimit,
+  checkCommunityCreateLimit,
+  checkDraftSaveLimit,
+  checkDataExportRateLimit,
 };
\ No newline at end of file
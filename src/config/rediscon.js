@@ -390,11 +390,189 @@ async function feedCacheSetTotal(key, total, ttl = 300) {
   }
 }
 
+async function feedCacheExpire(key, ttl) {
+  const client = await redisClient();
+  if (!client) return false;
+
+  try {
+    await client.expire(key, ttl);
+    return true;
+  } catch (err) {
+    console.error("Redis EXPIRE error:", err.message);
+    return false;
+  }
+}
+
+// Ranked Feed Cache Functions (using Redis Sorted Sets)
+async function rankedFeedAdd(key, entries) {
+  const client = await redisClient();
+  if (!client) return false;
+
+  try {
+    // entries: [{ score, postId }]
+    if (!Array.isArray(entries) || entries.length === 0) return false;
+
+    const args = entries.flatMap(({ score, postId }) => [score, postId]);
+    await client.zadd(key, ...args);
+    return true;
+  } catch (err) {
+    console.error("Redis ZADD error:", err.message);
+    return false;
+  }
+}
+
+async function rankedFeedIncr(key, increment, postId) {
+  const client = await redisClient();
+  if (!client) return null;
+
+  try {
+    const score = await client.zincrby(key, increment, postId);
+    return parseFloat(score);
+  } catch (err) {
+    console.error("Redis ZINCRBY error:", err.message);
+    return null;
+  }
+}
+
+async function rankedFeedRange(key, start, end, withScores = false) {
+  const client = await redisClient();
+  if (!client) return null;
+
+  try {
+    if (!withScores) {
+      const ids = await client.zrevrange(key, start, end);
+      return ids.length > 0 ? ids : null;
+    }
+
+    const flat = await client.zrevrange(key, start, end, "WITHSCORES");
+    const entries = [];
+    for (let i = 0; i < flat.length; i += 2) {
+      entries.push({ postId: flat[i], score: parseFloat(flat[i + 1]) });
+    }
+    return entries.length > 0 ? entries : null;
+  } catch (err) {
+    console.error("Redis ZREVRANGE error:", err.message);
+    return null;
+  }
+}
+
+async function rankedFeedRangeByScore(key, max, min = "-inf") {
+  const client = await redisClient();
+  if (!client) return null;
+
+  try {
+    const flat = await client.zrevrangebyscore(key, max, min, "WITHSCORES");
+    const entries = [];
+    for (let i = 0; i < flat.length; i += 2) {
+      entries.push({ postId: flat[i], score: parseFloat(flat[i + 1]) });
+    }
+    return entries;
+  } catch (err) {
+    console.error("Redis ZREVRANGEBYSCORE error:", err.message);
+    return null;
+  }
+}
+
+async function rankedFeedRemove(key, postId) {
+  const client = await redisClient();
+  if (!client) return false;
+
+  try {
+    const removed = await client.zrem(key, postId);
+    return removed > 0;
+  } catch (err) {
+    console.error("Redis ZREM error:", err.message);
+    return false;
+  }
+}
+
+async function rankedFeedTrim(key, maxSize) {
+  const client = await redisClient();
+  if (!client) return false;
+
+  try {
+    // Keep only the highest scored maxSize members
+    await client.zremrangebyrank(key, 0, -(maxSize + 1));
+    return true;
+  } catch (err) {
+    console.error("Redis ZREMRANGEBYRANK error:", err.message);
+    return false;
+  }
+}
+
+async function rankedFeedCount(key) {
+  const client = await redisClient();
+  if (!client) return 0;
+
+  try {
+    return await client.zcard(key);
+  } catch (err) {
+    console.error("Redis ZCARD error:", err.message);
+    return 0;
+  }
+}
+
+async function rankedFeedUnion(destKey, keys, weights, ttl = null) {
+  const client = await redisClient();
+  if (!client) return false;
+
+  try {
+    if (!keys || keys.length === 0) return false;
+
+    await client.zunionstore(destKey, keys.length, ...keys, "WEIGHTS", ...weights);
+    if (ttl) await client.expire(destKey, ttl);
+    return true;
+  } catch (err) {
+    console.error("Redis ZUNIONSTORE error:", err.message);
+    return false;
+  }
+}
+
+// Pub/Sub Functions
+// A connection in subscriber mode can't run other commands, so subscriptions
+// use one dedicated duplicate of the main client per process.
+let subscriber;
+
+async function redisSubscriber() {
+  if (subscriber) return subscriber;
+
+  const client = await redisClient();
+  if (!client) return null;
+
+  try {
+    subscriber = client.duplicate();
+
+    subscriber.on("error", (err) => {
+      console.error("Redis subscriber error:", err.message);
+    });
+
+    return subscriber;
+  } catch (err) {
+    console.error("Unable to initialize Redis subscriber:", err.message);
+    return null;
+  }
+}
+
+async function redisPublish(channel, message) {
+  const client = await redisClient();
+  if (!client) return false;
+
+  try {
+    await client.publish(channel, message);
+    return true;
+  } catch (err) {
+    console.error("Redis PUBLISH error:", err.message);
+    return false;
+  }
+}
+
 export default { 
   usersCacheSet, usersCacheMSet, usersCacheGet, usersCacheDel, usersCacheClearTable, usersCacheExists,
   postsCacheSet, postsCacheMSet, postsCacheGet, postsCacheDel, postsCacheClearTable, postsCacheExists,
   commentsCacheSet, commentsCacheMSet, commentsCacheGet, commentsCacheDel, commentsCacheClearTable, commentsCacheExists,
-  feedCacheRange, feedCachePush, feedCachePushFront, feedCacheTrim, feedCacheClear, feedCacheRemove, feedCacheGetTotal, feedCacheSetTotal,
+  feedCacheRange, feedCachePush, feedCachePushFront, feedCacheTrim, feedCacheClear, feedCacheRemove, feedCacheGetTotal, feedCacheSetTotal, feedCacheExpire,
+  rankedFeedAdd, rankedFeedIncr, rankedFeedRange, rankedFeedRangeByScore, rankedFeedRemove, rankedFeedTrim, rankedFeedCount, rankedFeedUnion,
+  redisSubscriber, redisPublish,
   redisClient, redisClearPattern, 
 };
 
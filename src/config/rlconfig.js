@@ -6,4 +6,9 @@ export const COMMENT_CREATE= 20; //per hour
 export const VOTING = 10; //per minute
 export const POST_UPDATE= 10; //per hour
 export const POST_CREATE= 10; //per hour
-export const FEEDBACK= 1; //per hour
\ No newline at end of file
+export const FEEDBACK= 1; //per hour
+export const REPORT= 10; //per hour
+export const FOLLOW= 30; //per hour
+export const COMMUNITY_CREATE= 5; //per hour
+export const DRAFT_SAVE= 30; //per minute
+export const DATA_EXPORT= 3; //per hour
\ No newline at end of file
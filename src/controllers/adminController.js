@@ -1,5 +1,18 @@
 import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
 import User from "../models/User.js";
+import Sanction from "../models/Sanction.js";
+import Notification from "../models/Notification.js";
+import NotificationService from "../services/notificationService.js";
+import AuditLog from "../models/AuditLog.js";
+import { LOCK_MODES, isValidLockMode, getLockInfo } from "../utils/postLockPolicy.js";
+import { recordAudit, snapshot } from "../utils/auditTrail.js";
+
+// Post fields captured in audit snapshots
+const POST_AUDIT_FIELDS = ["postId", "userId", "title", "tags", "isPinned", "isLocked", "createdAt"];
+
+// User fields captured in audit snapshots
+const USER_AUDIT_FIELDS = ["userId", "name", "role", "ban"];
 
 // Toggle pin status for a post
 export const togglePinPost = async (req, res) => {
@@ -19,6 +32,19 @@ export const togglePinPost = async (req, res) => {
 
     if (toggled) {
       const updatedPost = await Post.findByPostId(postId);
+
+      await recordAudit(req, {
+        action: updatedPost.isPinned ? AuditLog.ACTIONS.POST_PIN : AuditLog.ACTIONS.POST_UNPIN,
+        targetType: "post",
+        targetId: postId,
+        before: { isPinned: !!post.isPinned },
+        after: { isPinned: !!updatedPost.isPinned },
+      });
+
+      if (updatedPost.isPinned) {
+        NotificationService.notifyPostModerated(updatedPost, Notification.TYPES.POST_PINNED);
+      }
+
       res.status(200).json({
         success: true,
         message: `Post ${updatedPost.isPinned ? "pinned" : "unpinned"} successfully`,
@@ -54,16 +80,57 @@ export const toggleLockPost = async (req, res) => {
       });
     }
 
-    const toggled = await Post.toggleLock(postId);
+    const { reason, mode = LOCK_MODES.COMMENTS } = req.body || {};
+
+    // Lock options only matter when the post is about to be locked
+    if (!post.isLocked) {
+      if (!isValidLockMode(mode)) {
+        return res.status(400).json({
+          success: false,
+          message: `Lock mode must be one of: ${Object.values(LOCK_MODES).join(", ")}`,
+        });
+      }
+
+      if (reason !== undefined && (typeof reason !== "string" || reason.length > 500)) {
+        return res.status(400).json({
+          success: false,
+          message: "Lock reason must be a string of at most 500 characters",
+        });
+      }
+    }
+
+    const toggled = await Post.toggleLock(postId, {
+      mode,
+      // Only read (and validated) when locking; unlocking clears the reason
+      reason: !post.isLocked && reason ? reason.trim() : null,
+      lockedBy: req.user.userId,
+    });
 
     if (toggled) {
       const updatedPost = await Post.findByPostId(postId);
+
+      await recordAudit(req, {
+        action: updatedPost.isLocked ? AuditLog.ACTIONS.POST_LOCK : AuditLog.ACTIONS.POST_UNLOCK,
+        targetType: "post",
+        targetId: postId,
+        before: { isLocked: !!post.isLocked, lock: getLockInfo(post) },
+        after: { isLocked: !!updatedPost.isLocked, lock: getLockInfo(updatedPost) },
+      });
+
+      if (updatedPost.isLocked) {
+        NotificationService.notifyPostModerated(updatedPost, Notification.TYPES.POST_LOCKED, {
+          mode: updatedPost.lockMode,
+          reason: updatedPost.lockReason || null,
+        });
+      }
+
       res.status(200).json({
         success: true,
         message: `Post ${updatedPost.isLocked ? "locked" : "unlocked"} successfully`,
         data: {
           postId,
           isLocked: updatedPost.isLocked,
+          lock: getLockInfo(updatedPost),
         },
       });
     } else {
@@ -97,6 +164,18 @@ export const deleteAnyPost = async (req, res) => {
     const deleted = await Post.deletePost(postId, post.userId);
 
     if (deleted) {
+      await recordAudit(req, {
+        action: AuditLog.ACTIONS.POST_DELETE,
+        targetType: "post",
+        targetId: postId,
+        before: snapshot(post, POST_AUDIT_FIELDS),
+        after: null,
+      });
+
+      NotificationService.notifyPostModerated(post, Notification.TYPES.POST_DELETED, {
+        title: post.title,
+      });
+
       res.status(200).json({
         success: true,
         message: "Post deleted successfully by admin",
@@ -114,6 +193,106 @@ export const deleteAnyPost = async (req, res) => {
   }
 };
 
+// Helper: Validate the reason required to reveal an anonymous author
+function getRevealReason(body) {
+  const { reason } = body || {};
+  if (!reason || typeof reason !== "string" || reason.trim().length === 0 || reason.length > 500) {
+    return null;
+  }
+  return reason.trim();
+}
+
+// Helper: Reveal the real author of an anonymous post or comment and audit it
+async function revealAuthor(req, res, { target, targetType, targetId, action, label }) {
+  const reason = getRevealReason(req.body);
+  if (!reason) {
+    return res.status(400).json({
+      success: false,
+      message: "A reason of at most 500 characters is required",
+    });
+  }
+
+  if (!target) {
+    return res.status(404).json({
+      success: false,
+      message: `${label} not found`,
+    });
+  }
+
+  if (!target.isAnonymous) {
+    return res.status(400).json({
+      success: false,
+      message: `${label} is not anonymous`,
+    });
+  }
+
+  const author = await User.findByUserId(target.userId);
+
+  await recordAudit(req, {
+    action,
+    targetType,
+    targetId,
+    metadata: { reason, anonymousName: target.anonymousName },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Author revealed successfully",
+    data: {
+      anonymousName: target.anonymousName,
+      author: author
+        ? { userId: author.userId, name: author.name, avatarLink: author.avatarLink, role: author.role }
+        : { userId: target.userId, name: null, avatarLink: null, role: null },
+    },
+  });
+}
+
+// Reveal who wrote an anonymous post
+export const revealPostAuthor = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const post = await Post.findByPostId(postId);
+
+    await revealAuthor(req, res, {
+      target: post,
+      targetType: "post",
+      targetId: postId,
+      action: AuditLog.ACTIONS.POST_DEANONYMIZE,
+      label: "Post",
+    });
+  } catch (err) {
+    console.error("Error in revealPostAuthor:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reveal post author",
+      error: err.message,
+    });
+  }
+};
+
+// Reveal who wrote an anonymous comment
+export const revealCommentAuthor = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const comment = await Comment.findByCommentId(commentId);
+
+    await revealAuthor(req, res, {
+      target: comment,
+      targetType: "comment",
+      targetId: commentId,
+      action: AuditLog.ACTIONS.COMMENT_DEANONYMIZE,
+      label: "Comment",
+    });
+  } catch (err) {
+    console.error("Error in revealCommentAuthor:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reveal comment author",
+      error: err.message,
+    });
+  }
+};
+
 // Ban/Unban a user
 export const toggleBanUser = async (req, res) => {
   try {
@@ -126,11 +305,26 @@ export const toggleBanUser = async (req, res) => {
         message: "You cannot ban yourself",
       });
     }
+    const user = await User.findByUserId(userId);
+
     // Toggle ban status
-    const updatedUser = await User.toggleBanUser(userId);
+    const updatedUser = await User.toggleBanUser(userId, req.user.userId);
 
     if (updatedUser) {
-      const isBanned = updatedUser.role.endsWith("-ban");
+      const isBanned = User.isBanned(updatedUser);
+
+      await recordAudit(req, {
+        action: isBanned ? AuditLog.ACTIONS.USER_BAN : AuditLog.ACTIONS.USER_UNBAN,
+        targetType: "user",
+        targetId: userId,
+        before: snapshot(user, USER_AUDIT_FIELDS),
+        after: snapshot(updatedUser, USER_AUDIT_FIELDS),
+      });
+
+      if (isBanned) {
+        NotificationService.notifyBanned(updatedUser);
+      }
+
       res.status(200).json({
         success: true,
         message: `User ${isBanned ? "banned" : "unbanned"} successfully`,
@@ -139,6 +333,7 @@ export const toggleBanUser = async (req, res) => {
           name: updatedUser.name,
           role: updatedUser.role,
           isBanned: isBanned,
+          ban: User.getBanNotice(updatedUser),
         },
       });
     } else {
@@ -154,6 +349,212 @@ export const toggleBanUser = async (req, res) => {
   }
 };
 
+// Helper: Work out a ban's expiry from durationHours or expiresAt (null = permanent)
+function parseBanExpiry({ durationHours, expiresAt }) {
+  if (durationHours !== undefined && durationHours !== null) {
+    const hours = Number(durationHours);
+    if (!Number.isFinite(hours) || hours <= 0) return { error: "durationHours must be a positive number" };
+    return { expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000) };
+  }
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const date = new Date(expiresAt);
+    if (isNaN(date.getTime()) || date <= new Date()) return { error: "expiresAt must be a future date" };
+    return { expiresAt: date };
+  }
+
+  return { expiresAt: null };
+}
+
+// Ban a user with a reason and optional expiry
+export const banUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body || {};
+
+    // Prevent self-ban
+    if (req.user.userId === userId) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot ban yourself",
+      });
+    }
+
+    if (!reason || typeof reason !== "string" || reason.trim().length === 0 || reason.length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: "A ban reason of at most 500 characters is required",
+      });
+    }
+
+    const expiry = parseBanExpiry(req.body);
+    if (expiry.error) {
+      return res.status(400).json({
+        success: false,
+        message: expiry.error,
+      });
+    }
+
+    const user = await User.findByUserId(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.role === "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Cannot ban admin users",
+      });
+    }
+
+    const updatedUser = await User.banUser(userId, {
+      reason: reason.trim(),
+      expiresAt: expiry.expiresAt,
+      bannedBy: req.user.userId,
+    });
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.USER_BAN,
+      targetType: "user",
+      targetId: userId,
+      before: snapshot(user, USER_AUDIT_FIELDS),
+      after: snapshot(updatedUser, USER_AUDIT_FIELDS),
+    });
+
+    NotificationService.notifyBanned(updatedUser);
+
+    res.status(200).json({
+      success: true,
+      message: "User banned successfully",
+      data: {
+        userId: updatedUser.userId,
+        name: updatedUser.name,
+        role: updatedUser.role,
+        isBanned: true,
+        ban: User.getBanNotice(updatedUser),
+      },
+    });
+  } catch (err) {
+    console.error("Error in banUser:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to ban user",
+      error: err.message,
+    });
+  }
+};
+
+// Lift a user's ban
+export const unbanUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { note } = req.body || {};
+
+    if (note !== undefined && note !== null && (typeof note !== "string" || note.length > 500)) {
+      return res.status(400).json({
+        success: false,
+        message: "Note must be a string of at most 500 characters",
+      });
+    }
+
+    const user = await User.findByUserId(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (!User.isBanned(user)) {
+      return res.status(400).json({
+        success: false,
+        message: "User is not banned",
+      });
+    }
+
+    const updatedUser = await User.unbanUser(userId, {
+      liftedBy: req.user.userId,
+      note: note ? note.trim() : null,
+    });
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.USER_UNBAN,
+      targetType: "user",
+      targetId: userId,
+      before: snapshot(user, USER_AUDIT_FIELDS),
+      after: snapshot(updatedUser, USER_AUDIT_FIELDS),
+      metadata: note ? { note: note.trim() } : null,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "User unbanned successfully",
+      data: {
+        userId: updatedUser.userId,
+        name: updatedUser.name,
+        role: updatedUser.role,
+        isBanned: User.isBanned(updatedUser),
+      },
+    });
+  } catch (err) {
+    console.error("Error in unbanUser:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to unban user",
+      error: err.message,
+    });
+  }
+};
+
+// Get a user's sanction history
+export const getUserSanctions = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    // Validate pagination
+    if (page < 1 || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+      });
+    }
+
+    const user = await User.findByUserId(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const result = await Sanction.getByUserId(userId, page, limit);
+
+    res.status(200).json({
+      success: true,
+      message: "User sanctions retrieved successfully",
+      data: {
+        userId,
+        isBanned: User.isBanned(user),
+        ban: User.getBanNotice(user),
+        sanctions: result.sanctions,
+      },
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error("Error in getUserSanctions:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve user sanctions",
+      error: err.message,
+    });
+  }
+};
+
 // Get all users (admin view with additional info)
 // export const getAllUsers = async (req, res) => {
 //   try {
@@ -193,8 +594,9 @@ export const getDashboardStats = async (req, res) => {
   try {
     const users = await User.getAllUsers();
     const totalUsers = users.length;
-    const bannedUsers = users.filter(u => u.isBanned).length;
+    const bannedUsers = users.filter(u => User.isBanned(u)).length;
     const adminUsers = users.filter(u => u.role === "admin").length;
+    const moderatorUsers = users.filter(u => User.getBaseRole(u) === "moderator").length;
 
     // You can extend this with more stats from Post model
     res.status(200).json({
@@ -204,6 +606,7 @@ export const getDashboardStats = async (req, res) => {
         totalUsers,
         bannedUsers,
         adminUsers,
+        moderatorUsers,
         activeUsers: totalUsers - bannedUsers,
       },
     });
@@ -0,0 +1,323 @@
+import Announcement from "../models/Announcement.js";
+import AuditLog from "../models/AuditLog.js";
+import Community from "../models/Community.js";
+import Role from "../models/Role.js";
+import { isBuiltInRole } from "../config/permissions.js";
+import { recordAudit, snapshot } from "../utils/auditTrail.js";
+
+// Announcement fields captured in audit snapshots
+const ANNOUNCEMENT_AUDIT_FIELDS = ["title", "severity", "audience", "roles", "communityIds", "startsAt", "endsAt", "isDismissible"];
+
+// Helper: Parse a date field; null stays null, undefined when invalid
+function parseDate(value) {
+  if (value === null) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+// Helper: Validate announcement fields from the request body; `current` is the
+// announcement being updated. Returns { error } or { fields }.
+async function parseAnnouncementFields(body, current = null) {
+  const { title, body: text, severity, audience, roles, communities, startsAt, endsAt, isDismissible } = body || {};
+  const partial = !!current;
+  const fields = {};
+
+  if (title !== undefined || !partial) {
+    if (typeof title !== "string" || !title.trim() || title.trim().length > Announcement.MAX_TITLE_LENGTH) {
+      return { error: `Title is required and must be at most ${Announcement.MAX_TITLE_LENGTH} characters` };
+    }
+    fields.title = title.trim();
+  }
+
+  if (text !== undefined || !partial) {
+    if (typeof text !== "string" || !text.trim() || text.trim().length > Announcement.MAX_BODY_LENGTH) {
+      return { error: `Body is required and must be at most ${Announcement.MAX_BODY_LENGTH} characters` };
+    }
+    fields.body = text.trim();
+  }
+
+  if (severity !== undefined) {
+    if (!Announcement.SEVERITIES.includes(severity)) {
+      return { error: `Invalid severity. Must be one of: ${Announcement.SEVERITIES.join(", ")}` };
+    }
+    fields.severity = severity;
+  }
+
+  if (audience !== undefined) {
+    if (!Object.values(Announcement.AUDIENCES).includes(audience)) {
+      return { error: `Invalid audience. Must be one of: ${Object.values(Announcement.AUDIENCES).join(", ")}` };
+    }
+    fields.audience = audience;
+  }
+
+  if (roles !== undefined) {
+    if (!Array.isArray(roles) || roles.length > Announcement.MAX_TARGETS || !roles.every(role => typeof role === "string")) {
+      return { error: `Roles must be a list of at most ${Announcement.MAX_TARGETS} role names` };
+    }
+    for (const role of roles) {
+      if (!isBuiltInRole(role) && !(await Role.findByName(role))) {
+        return { error: `Role not found: ${role}` };
+      }
+    }
+    fields.roles = [...new Set(roles)];
+  }
+
+  // Communities are given by slug and stored by ID
+  if (communities !== undefined) {
+    if (!Array.isArray(communities) || communities.length > Announcement.MAX_TARGETS || !communities.every(slug => typeof slug === "string")) {
+      return { error: `Communities must be a list of at most ${Announcement.MAX_TARGETS} community slugs` };
+    }
+    const communityIds = [];
+    for (const slug of new Set(communities)) {
+      const community = await Community.findBySlug(slug);
+      if (!community) return { error: `Community not found: ${slug}` };
+      communityIds.push(community.communityId);
+    }
+    fields.communityIds = communityIds;
+  }
+
+  const finalAudience = fields.audience ?? current?.audience ?? Announcement.AUDIENCES.ALL;
+  const finalRoles = fields.roles ?? current?.roles ?? [];
+  const finalCommunityIds = fields.communityIds ?? current?.communityIds ?? [];
+  if (finalAudience === Announcement.AUDIENCES.TARGETED && finalRoles.length === 0 && finalCommunityIds.length === 0) {
+    return { error: "A targeted announcement needs at least one role or community" };
+  }
+
+  if (startsAt !== undefined) {
+    const date = startsAt === null ? undefined : parseDate(startsAt);
+    if (!date) return { error: "startsAt must be a valid date" };
+    fields.startsAt = date;
+  }
+
+  if (endsAt !== undefined) {
+    const date = parseDate(endsAt);
+    if (date === undefined) return { error: "endsAt must be a valid date or null" };
+    fields.endsAt = date;
+  }
+
+  const finalStartsAt = fields.startsAt ?? (current ? new Date(current.startsAt) : new Date());
+  const finalEndsAt = fields.endsAt !== undefined ? fields.endsAt : current?.endsAt ?? null;
+  if (finalEndsAt && new Date(finalEndsAt) <= finalStartsAt) {
+    return { error: "endsAt must be after startsAt" };
+  }
+
+  if (isDismissible !== undefined) {
+    if (typeof isDismissible !== "boolean") {
+      return { error: "isDismissible must be a boolean" };
+    }
+    fields.isDismissible = isDismissible;
+  }
+
+  return { fields };
+}
+
+// Get active announcements for the viewer (public)
+export const getActiveAnnouncements = async (req, res) => {
+  try {
+    const announcements = await Announcement.getActiveForUser(req.user || null);
+
+    res.status(200).json({
+      success: true,
+      message: "Active announcements retrieved successfully",
+      data: announcements.map(announcement => ({
+        announcementId: announcement.announcementId,
+        title: announcement.title,
+        body: announcement.body,
+        severity: announcement.severity,
+        startsAt: announcement.startsAt,
+        endsAt: announcement.endsAt,
+        isDismissible: announcement.isDismissible,
+      })),
+    });
+  } catch (err) {
+    console.error("Error in getActiveAnnouncements:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve announcements",
+      error: err.message,
+    });
+  }
+};
+
+// Dismiss an announcement for the current user
+export const dismissAnnouncement = async (req, res) => {
+  try {
+    const announcement = await Announcement.findById(req.params.announcementId);
+    if (!announcement || !(await Announcement.isInAudience(announcement, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: "Announcement not found",
+      });
+    }
+
+    if (!announcement.isDismissible) {
+      return res.status(400).json({
+        success: false,
+        message: "This announcement cannot be dismissed",
+      });
+    }
+
+    await Announcement.dismiss(announcement.announcementId, req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: "Announcement dismissed successfully",
+    });
+  } catch (err) {
+    console.error("Error in dismissAnnouncement:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to dismiss announcement",
+      error: err.message,
+    });
+  }
+};
+
+// Get all announcements, including scheduled and ended ones (admin)
+export const getAnnouncements = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    if (page < 1 || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+      });
+    }
+
+    const result = await Announcement.getAnnouncements(page, limit);
+
+    res.status(200).json({
+      success: true,
+      message: "Announcements retrieved successfully",
+      data: result.announcements,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error("Error in getAnnouncements:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve announcements",
+      error: err.message,
+    });
+  }
+};
+
+// Create an announcement (admin)
+export const createAnnouncement = async (req, res) => {
+  try {
+    const { error, fields } = await parseAnnouncementFields(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const announcement = await Announcement.create({ ...fields, createdBy: req.user.userId });
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.ANNOUNCEMENT_CREATE,
+      targetType: "announcement",
+      targetId: announcement.announcementId,
+      after: snapshot(announcement, ANNOUNCEMENT_AUDIT_FIELDS),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Announcement created successfully",
+      data: announcement,
+    });
+  } catch (err) {
+    console.error("Error in createAnnouncement:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create announcement",
+      error: err.message,
+    });
+  }
+};
+
+// Update an announcement (admin)
+export const updateAnnouncement = async (req, res) => {
+  try {
+    const announcement = await Announcement.findById(req.params.announcementId);
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        message: "Announcement not found",
+      });
+    }
+
+    const { error, fields } = await parseAnnouncementFields(req.body, announcement);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No valid fields to update",
+      });
+    }
+
+    const updatedAnnouncement = await Announcement.update(announcement.announcementId, fields);
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.ANNOUNCEMENT_UPDATE,
+      targetType: "announcement",
+      targetId: announcement.announcementId,
+      before: snapshot(announcement, ANNOUNCEMENT_AUDIT_FIELDS),
+      after: snapshot(updatedAnnouncement, ANNOUNCEMENT_AUDIT_FIELDS),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Announcement updated successfully",
+      data: updatedAnnouncement,
+    });
+  } catch (err) {
+    console.error("Error in updateAnnouncement:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update announcement",
+      error: err.message,
+    });
+  }
+};
+
+// Delete an announcement (admin)
+export const deleteAnnouncement = async (req, res) => {
+  try {
+    const announcement = await Announcement.delete(req.params.announcementId);
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        message: "Announcement not found",
+      });
+    }
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.ANNOUNCEMENT_DELETE,
+      targetType: "announcement",
+      targetId: announcement.announcementId,
+      before: snapshot(announcement, ANNOUNCEMENT_AUDIT_FIELDS),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Announcement deleted successfully",
+    });
+  } catch (err) {
+    console.error("Error in deleteAnnouncement:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete announcement",
+      error: err.message,
+    });
+  }
+};
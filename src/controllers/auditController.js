@@ -0,0 +1,111 @@
+import AuditLog from "../models/AuditLog.js";
+import { toCsv } from "../utils/csv.js";
+
+// Columns included in the CSV export
+const CSV_COLUMNS = [
+  ["createdAt", entry => entry.createdAt],
+  ["auditId", entry => entry.auditId],
+  ["actorId", entry => entry.actorId],
+  ["actorName", entry => entry.actorName],
+  ["action", entry => entry.action],
+  ["targetType", entry => entry.targetType],
+  ["targetId", entry => entry.targetId],
+  ["ip", entry => entry.ip],
+  ["before", entry => entry.before],
+  ["after", entry => entry.after],
+  ["metadata", entry => entry.metadata],
+];
+
+// Helper: Parse audit filters from the query string (returns { error } when invalid)
+function parseAuditFilters(query) {
+  const { actorId, action, targetType, targetId, from, to } = query;
+
+  if (action && !AuditLog.isValidAction(action)) {
+    return { error: `Invalid action. Must be one of: ${Object.values(AuditLog.ACTIONS).join(", ")}` };
+  }
+
+  const filters = { actorId, action, targetType, targetId };
+
+  for (const [key, value] of [["from", from], ["to", to]]) {
+    if (!value) continue;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return { error: `Invalid ${key} date` };
+    }
+    filters[key] = date;
+  }
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { error: "from must be before to" };
+  }
+
+  return { filters };
+}
+
+// Get audit log entries (admin)
+export const getAuditLogs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    // Validate pagination
+    if (page < 1 || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+      });
+    }
+
+    const { filters, error } = parseAuditFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const result = await AuditLog.getLogs(page, limit, filters);
+
+    res.status(200).json({
+      success: true,
+      message: "Audit log retrieved successfully",
+      data: result.entries,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error("Error in getAuditLogs:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve audit log",
+      error: err.message,
+    });
+  }
+};
+
+// Export audit log entries as CSV (admin)
+export const exportAuditLogs = async (req, res) => {
+  try {
+    const { filters, error } = parseAuditFilters(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const entries = await AuditLog.getLogsForExport(filters);
+    const csv = toCsv(entries, CSV_COLUMNS);
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.status(200).send(csv);
+  } catch (err) {
+    console.error("Error in exportAuditLogs:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to export audit log",
+      error: err.message,
+    });
+  }
+};
@@ -10,6 +10,8 @@ import {
 
 import{validateUsername}from "../utils/username.js";
 import User from "../models/User.js";
+import DataExport from "../models/DataExport.js";
+import DataExportService from "../services/dataExportService.js";
 
 // Google authentication callback handler
 export const googleCallback = (req, res) => {
@@ -46,6 +48,7 @@ export const getCurrentUser = (req, res) => {
       postIds: req.user.postIds,
       commentIds: req.user.commentIds,
     },
+    ban: User.getBanNotice(req.user),
   });
 };
 
@@ -212,6 +215,9 @@ export const deleteUser = async (req, res) => {
       });
     }
 
+    // Archives of the account's data must not outlive it
+    await DataExport.deleteByUserId(userId);
+
     res.status(200).json({
       success: true,
       message: "User deleted successfully",
@@ -224,4 +230,132 @@ export const deleteUser = async (req, res) => {
       error: err.message,
     });
   }
-};
\ No newline at end of file
+};
+
+// Helper: Public view of an export job, with its download link once ready
+function formatDataExport(dataExport) {
+  const isReady = dataExport.status === DataExport.STATUSES.READY;
+
+  return {
+    exportId: dataExport.exportId,
+    status: dataExport.status,
+    createdAt: dataExport.createdAt,
+    completedAt: dataExport.completedAt,
+    expiresAt: dataExport.expiresAt,
+    size: isReady ? dataExport.size : null,
+    error: dataExport.error,
+    downloadUrl: isReady ? `/api/auth/user/export/${dataExport.exportId}/download` : null,
+  };
+}
+
+// Helper: Load one of the caller's exports; null when missing or not theirs
+async function findOwnExport(exportId, userId) {
+  const dataExport = await DataExport.findById(exportId);
+  return dataExport && dataExport.userId === userId ? dataExport : null;
+}
+
+// Request an export of all the caller's data (built in the background)
+export const requestDataExport = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    // One export at a time; asking again returns the job already running
+    const activeExport = await DataExport.findActiveByUserId(userId);
+    const dataExport = activeExport || await DataExport.create(userId);
+
+    DataExportService.processPending();
+
+    res.status(202).json({
+      success: true,
+      message: activeExport ? "Your data export is already in progress" : "Data export started",
+      data: {
+        ...formatDataExport(dataExport),
+        statusUrl: `/api/auth/user/export/${dataExport.exportId}`,
+      },
+    });
+  } catch (err) {
+    console.error("Error in requestDataExport:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to start data export",
+      error: err.message,
+    });
+  }
+};
+
+// Get the status of one of the caller's exports
+export const getDataExport = async (req, res) => {
+  try {
+    const dataExport = await findOwnExport(req.params.exportId, req.user.userId);
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        message: "Export not found",
+      });
+    }
+
+    if (DataExport.isExpired(dataExport)) {
+      return res.status(410).json({
+        success: false,
+        message: "This export has expired. Please request a new one.",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Data export retrieved successfully",
+      data: formatDataExport(dataExport),
+    });
+  } catch (err) {
+    console.error("Error in getDataExport:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve data export",
+      error: err.message,
+    });
+  }
+};
+
+// Download a finished export
+export const downloadDataExport = async (req, res) => {
+  try {
+    const dataExport = await findOwnExport(req.params.exportId, req.user.userId);
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        message: "Export not found",
+      });
+    }
+
+    // The TTL index removes expired exports eventually; the link stops working right away
+    if (DataExport.isExpired(dataExport)) {
+      return res.status(410).json({
+        success: false,
+        message: "This export has expired. Please request a new one.",
+      });
+    }
+
+    if (dataExport.status !== DataExport.STATUSES.READY) {
+      return res.status(409).json({
+        success: false,
+        message: dataExport.status === DataExport.STATUSES.FAILED
+          ? "This export failed. Please request a new one."
+          : "This export is not ready yet",
+      });
+    }
+
+    const { fileName, file } = await DataExport.getFile(dataExport.exportId);
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("Cache-Control", "private, no-store");
+    res.status(200).send(file);
+  } catch (err) {
+    console.error("Error in downloadDataExport:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to download data export",
+      error: err.message,
+    });
+  }
+};
@@ -1,11 +1,15 @@
 import Comment from "../models/Comment.js";
 import Post from "../models/Post.js";
 import User from "../models/User.js";
+import Community from "../models/Community.js";
+import CommentVote from "../models/CommentVote.js";
+import { checkPostLock, LOCK_ACTIONS } from "../utils/postLockPolicy.js";
+import { decodeCursor } from "../utils/cursorUtils.js";
 
 // Create a new comment
 export const createComment = async (req, res) => {
   try {
-    const { postId, content, parentCommentId } = req.body;
+    const { postId, content, parentCommentId, anonymous = false } = req.body;
     const userId = req.user.userId;
 
     // Validation
@@ -16,6 +20,13 @@ export const createComment = async (req, res) => {
       });
     }
 
+    if (typeof anonymous !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "anonymous must be a boolean",
+      });
+    }
+
     if (content.length < 1 || content.length > 1000) {
       return res.status(400).json({
         success: false,
@@ -25,18 +36,24 @@ export const createComment = async (req, res) => {
 
     // Check if post exists
     const post = await Post.findByPostId(postId);
-    if (!post) {
+    if (!(await Community.canViewPost(post, req.user))) {
       return res.status(404).json({
         success: false,
         message: "Post not found",
       });
     }
 
-    // Check if post is locked
-    if (post.isLocked) {
+    // Enforce the post's lock policy
+    const lockCheck = await checkPostLock(
+      post,
+      parentCommentId ? LOCK_ACTIONS.REPLY : LOCK_ACTIONS.COMMENT,
+      req.user
+    );
+    if (!lockCheck.allowed) {
       return res.status(403).json({
         success: false,
-        message: "Cannot comment on a locked post",
+        message: lockCheck.message,
+        lock: lockCheck.lock,
       });
     }
 
@@ -63,6 +80,7 @@ export const createComment = async (req, res) => {
       userId,
       content: content.trim(),
       parentCommentId: parentCommentId || null,
+      isAnonymous: anonymous,
     };
 
     const newComment = await Comment.create(commentData);
@@ -96,6 +114,7 @@ export const getCommentsByPostId = async (req, res) => {
     const { postId } = req.params;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
+    const userId = req.user?.userId || null; // Get userId if authenticated
 
     // Validate pagination
     if (page < 1 || limit < 1 || limit > 100) {
@@ -107,19 +126,33 @@ export const getCommentsByPostId = async (req, res) => {
 
     // Check if post exists
     const post = await Post.findByPostId(postId);
-    if (!post) {
+    if (!(await Community.canViewPost(post, req.user))) {
       return res.status(404).json({
         success: false,
         message: "Post not found",
       });
     }
 
-    const result = await Comment.getCommentsByPostId(postId, page, limit);
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor, Comment.getCommentsCursorScope(postId));
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+    }
+
+    const result = await Comment.getCommentsByPostId(postId, page, limit, userId, cursor);
 
     res.status(200).json({
       success: true,
       message: "Comments retrieved successfully",
-      data: result.comments,
+      data: result.comments.map(comment => ({
+        ...comment,
+        isAcceptedAnswer: !!post.acceptedAnswerId && comment.commentId === post.acceptedAnswerId,
+      })),
       pagination: result.pagination,
     });
   } catch (err) {
@@ -134,6 +167,123 @@ export const getCommentsByPostId = async (req, res) => {
 
 //////////
 
+// Get the full comment tree for a post
+export const getCommentTree = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const depth = req.query.depth !== undefined ? parseInt(req.query.depth) : 3;
+    const replies = parseInt(req.query.replies) || 5;
+    const userId = req.user?.userId || null; // Get userId if authenticated
+
+    // Validate pagination
+    if (page < 1 || limit < 1 || limit > 50) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+      });
+    }
+
+    // Validate tree shape
+    if (isNaN(depth) || depth < 0 || depth > 5 || replies < 1 || replies > 20) {
+      return res.status(400).json({
+        success: false,
+        message: "Depth must be between 0 and 5 and replies between 1 and 20",
+      });
+    }
+
+    // Check if post exists
+    const post = await Post.findByPostId(postId);
+    if (!(await Community.canViewPost(post, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: "Post not found",
+      });
+    }
+
+    const result = await Comment.getCommentTree(postId, {
+      page,
+      limit,
+      maxDepth: depth,
+      repliesPerNode: replies,
+      userId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Comment tree retrieved successfully",
+      data: result.comments,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error("Error in getCommentTree:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve comment tree",
+      error: err.message,
+    });
+  }
+};
+
+// Get the reply subtree below a comment (used to expand truncated branches)
+export const getCommentSubtree = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const depth = req.query.depth !== undefined ? parseInt(req.query.depth) : 3;
+    const replies = parseInt(req.query.replies) || 5;
+    const userId = req.user?.userId || null; // Get userId if authenticated
+
+    if (page < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+      });
+    }
+
+    if (isNaN(depth) || depth < 1 || depth > 5 || replies < 1 || replies > 20) {
+      return res.status(400).json({
+        success: false,
+        message: "Depth must be between 1 and 5 and replies between 1 and 20",
+      });
+    }
+
+    // Check if parent comment exists
+    const parentComment = await Comment.findByCommentId(commentId);
+    if (!(await Community.canViewComment(parentComment, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment not found",
+      });
+    }
+
+    const result = await Comment.getCommentSubtree(commentId, {
+      page,
+      maxDepth: depth,
+      repliesPerNode: replies,
+      userId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Comment subtree retrieved successfully",
+      data: result.replies,
+      pagination: result.pagination,
+      loadMore: result.loadMore,
+    });
+  } catch (err) {
+    console.error("Error in getCommentSubtree:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve comment subtree",
+      error: err.message,
+    });
+  }
+};
+
+//////////
+
 // Get comments by user ID
 export const getCommentsByUserId = async (req, res) => {
   try {
@@ -158,12 +308,18 @@ export const getCommentsByUserId = async (req, res) => {
       });
     }
 
-    const result = await Comment.getCommentsByUserId(userId, page, limit);
+    // Anonymous comments only show up on their author's own list
+    const result = await Comment.getCommentsByUserId(userId, page, limit, {
+      includeAnonymous: req.user?.userId === userId,
+    });
+
+    // Drop comments on posts the viewer can't see (e.g. in private communities)
+    const viewable = await Promise.all(result.comments.map(comment => Community.canViewComment(comment, req.user)));
 
     res.status(200).json({
       success: true,
       message: "User comments retrieved successfully",
-      data: result.comments,
+      data: result.comments.filter((_, index) => viewable[index]),
       pagination: result.pagination,
     });
   } catch (err) {
@@ -182,20 +338,24 @@ export const getCommentsByUserId = async (req, res) => {
 export const getCommentById = async (req, res) => {
   try {
     const { commentId } = req.params;
+    const userId = req.user?.userId || null; // Get userId if authenticated
 
     const comment = await Comment.findByCommentId(commentId);
 
-    if (!comment) {
+    if (!(await Community.canViewComment(comment, req.user))) {
       return res.status(404).json({
         success: false,
         message: "Comment not found",
       });
     }
 
+    // Populate user and vote data for the current user
+    const [populatedComment] = await Comment.populateCommentData([comment], userId);
+
     res.status(200).json({
       success: true,
       message: "Comment retrieved successfully",
-      data: comment,
+      data: populatedComment,
     });
   } catch (err) {
     console.error("Error in getCommentById:", err.message);
@@ -215,6 +375,7 @@ export const getRepliesByCommentId = async (req, res) => {
     const { commentId } = req.params;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
+    const userId = req.user?.userId || null; // Get userId if authenticated
 
     // Validate pagination
     if (page < 1 || limit < 1 || limit > 100) {
@@ -226,14 +387,14 @@ export const getRepliesByCommentId = async (req, res) => {
 
     // Check if parent comment exists
     const parentComment = await Comment.findByCommentId(commentId);
-    if (!parentComment) {
+    if (!(await Community.canViewComment(parentComment, req.user))) {
       return res.status(404).json({
         success: false,
         message: "Comment not found",
       });
     }
 
-    const result = await Comment.getRepliesByCommentId(commentId, page, limit);
+    const result = await Comment.getRepliesByCommentId(commentId, page, limit, userId);
 
     res.status(200).json({
       success: true,
@@ -285,6 +446,17 @@ export const updateComment = async (req, res) => {
       });
     }
 
+    // Enforce the post's lock policy
+    const post = await Post.findByPostId(comment.postId);
+    const lockCheck = await checkPostLock(post, LOCK_ACTIONS.EDIT_COMMENT, req.user);
+    if (!lockCheck.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: lockCheck.message,
+        lock: lockCheck.lock,
+      });
+    }
+
     // Validate content
     if (!content) {
       return res.status(400).json({
@@ -300,7 +472,7 @@ export const updateComment = async (req, res) => {
       });
     }
 
-    const updatedComment = await Comment.updateComment(commentId, content.trim());
+    const updatedComment = await Comment.updateComment(commentId, content.trim(), userId);
 
     res.status(200).json({
       success: true,
@@ -429,10 +601,12 @@ export const hardDeleteComment = async (req, res) => {
 export const upvoteComment = async (req, res) => {
   try {
     const { commentId } = req.params;
+    const userId = req.user.userId;
 
-    // Check if comment exists
+    // Check if comment exists and is visible to the voter
     const comment = await Comment.findByCommentId(commentId);
-    if (!comment) {
+    const post = comment ? await Post.findByPostId(comment.postId) : null;
+    if (!(await Community.canViewPost(post, req.user))) {
       return res.status(404).json({
         success: false,
         message: "Comment not found",
@@ -446,26 +620,39 @@ export const upvoteComment = async (req, res) => {
       });
     }
 
-    const upvoted = await Comment.upvote(commentId);
+    // Enforce the post's lock policy
+    const lockCheck = await checkPostLock(post, LOCK_ACTIONS.VOTE, req.user);
+    if (!lockCheck.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: lockCheck.message,
+        lock: lockCheck.lock,
+      });
+    }
 
-    if (upvoted) {
+    const result = await CommentVote.handleUpvote(commentId, comment.postId, userId);
+
+    if (result.success) {
       const updatedComment = await Comment.findByCommentId(commentId);
       res.status(200).json({
         success: true,
-        message: "Comment upvoted successfully",
+        message: `Comment ${result.action.replace(/_/g, ' ')}`,
         data: {
           commentId,
           upvotes: updatedComment.upvotes,
+          downvotes: updatedComment.downvotes,
+          userVote: result.newVote,
+          action: result.action,
         },
       });
     } else {
-      throw new Error("Failed to upvote comment");
+      throw new Error("Failed to process upvote");
     }
   } catch (err) {
     console.error("Error in upvoteComment:", err.message);
     res.status(500).json({
       success: false,
-      message: "Failed to upvote comment",
+      message: "Failed to process upvote",
       error: err.message,
     });
   }
@@ -475,10 +662,12 @@ export const upvoteComment = async (req, res) => {
 export const downvoteComment = async (req, res) => {
   try {
     const { commentId } = req.params;
+    const userId = req.user.userId;
 
-    // Check if comment exists
+    // Check if comment exists and is visible to the voter
     const comment = await Comment.findByCommentId(commentId);
-    if (!comment) {
+    const post = comment ? await Post.findByPostId(comment.postId) : null;
+    if (!(await Community.canViewPost(post, req.user))) {
       return res.status(404).json({
         success: false,
         message: "Comment not found",
@@ -492,26 +681,39 @@ export const downvoteComment = async (req, res) => {
       });
     }
 
-    const downvoted = await Comment.downvote(commentId);
+    // Enforce the post's lock policy
+    const lockCheck = await checkPostLock(post, LOCK_ACTIONS.VOTE, req.user);
+    if (!lockCheck.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: lockCheck.message,
+        lock: lockCheck.lock,
+      });
+    }
+
+    const result = await CommentVote.handleDownvote(commentId, comment.postId, userId);
 
-    if (downvoted) {
+    if (result.success) {
       const updatedComment = await Comment.findByCommentId(commentId);
       res.status(200).json({
         success: true,
-        message: "Comment downvoted successfully",
+        message: `Comment ${result.action.replace(/_/g, ' ')}`,
         data: {
           commentId,
+          upvotes: updatedComment.upvotes,
           downvotes: updatedComment.downvotes,
+          userVote: result.newVote,
+          action: result.action,
         },
       });
     } else {
-      throw new Error("Failed to downvote comment");
+      throw new Error("Failed to process downvote");
     }
   } catch (err) {
     console.error("Error in downvoteComment:", err.message);
     res.status(500).json({
       success: false,
-      message: "Failed to downvote comment",
+      message: "Failed to process downvote",
       error: err.message,
     });
   }
@@ -567,7 +769,7 @@ export const getCommentCount = async (req, res) => {
 
     // Check if post exists
     const post = await Post.findByPostId(postId);
-    if (!post) {
+    if (!(await Community.canViewPost(post, req.user))) {
       return res.status(404).json({
         success: false,
         message: "Post not found",
@@ -601,7 +803,7 @@ export const getReplyCount = async (req, res) => {
 
     // Check if comment exists
     const comment = await Comment.findByCommentId(commentId);
-    if (!comment) {
+    if (!(await Community.canViewComment(comment, req.user))) {
       return res.status(404).json({
         success: false,
         message: "Comment not found",
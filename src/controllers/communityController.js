@@ -0,0 +1,561 @@
+import Community from "../models/Community.js";
+import Post from "../models/Post.js";
+import User from "../models/User.js";
+import AuditLog from "../models/AuditLog.js";
+import { recordAudit, snapshot } from "../utils/auditTrail.js";
+
+// Community fields captured in audit snapshots
+const COMMUNITY_AUDIT_FIELDS = ["slug", "name", "description", "rules", "iconUrl", "isPrivate"];
+
+// Helper: Validate and clean the editable community fields. Returns { error } or { data }.
+function parseCommunityFields(body, { partial = false } = {}) {
+  const { name, description, rules, iconUrl, isPrivate } = body || {};
+  const data = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== "string" || !name.trim() || name.trim().length > Community.MAX_NAME_LENGTH) {
+      return { error: `Name is required and must be at most ${Community.MAX_NAME_LENGTH} characters` };
+    }
+    data.name = name.trim();
+  }
+
+  if (description !== undefined) {
+    if (description !== null && (typeof description !== "string" || description.length > Community.MAX_DESCRIPTION_LENGTH)) {
+      return { error: `Description must be a string of at most ${Community.MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    data.description = description ? description.trim() : null;
+  }
+
+  if (rules !== undefined) {
+    const validRules = Array.isArray(rules) && rules.length <= Community.MAX_RULES && rules.every(rule =>
+      rule && typeof rule.title === "string" && rule.title.trim() &&
+      rule.title.length <= Community.MAX_RULE_LENGTH &&
+      (rule.description === undefined || rule.description === null ||
+        (typeof rule.description === "string" && rule.description.length <= Community.MAX_RULE_LENGTH))
+    );
+    if (!validRules) {
+      return { error: `Rules must be a list of at most ${Community.MAX_RULES} { title, description } entries of at most ${Community.MAX_RULE_LENGTH} characters each` };
+    }
+    data.rules = rules.map(rule => ({
+      title: rule.title.trim(),
+      description: rule.description ? rule.description.trim() : null,
+    }));
+  }
+
+  if (iconUrl !== undefined) {
+    if (iconUrl !== null && (typeof iconUrl !== "string" || !/^https:\/\/\S+$/.test(iconUrl))) {
+      return { error: "Icon must be an https URL" };
+    }
+    data.iconUrl = iconUrl;
+  }
+
+  if (isPrivate !== undefined) {
+    if (typeof isPrivate !== "boolean") {
+      return { error: "isPrivate must be a boolean" };
+    }
+    data.isPrivate = isPrivate;
+  }
+
+  return { data };
+}
+
+// Helper: Whether the requester is the community's owner or a site admin
+function isOwnerOrAdmin(req) {
+  return req.communityMembership?.role === Community.ROLES.OWNER || User.getBaseRole(req.user) === "admin";
+}
+
+// Browse communities (largest first), optionally by name/slug prefix
+export const getCommunities = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const query = req.query.q ? String(req.query.q) : null;
+
+    // Validate pagination
+    if (page < 1 || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+      });
+    }
+
+    const result = await Community.getCommunities(page, limit, query);
+
+    res.status(200).json({
+      success: true,
+      message: "Communities retrieved successfully",
+      data: result.communities,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error("Error in getCommunities:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve communities",
+      error: err.message,
+    });
+  }
+};
+
+// Create a community; the creator becomes its owner
+export const createCommunity = async (req, res) => {
+  try {
+    const slug = typeof req.body?.slug === "string" ? req.body.slug.trim().toLowerCase() : null;
+
+    if (!Community.isValidSlug(slug)) {
+      return res.status(400).json({
+        success: false,
+        message: "Slug must be 3-30 characters of lowercase letters, digits and hyphens",
+      });
+    }
+
+    const { error, data } = parseCommunityFields(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    if (await Community.findBySlug(slug)) {
+      return res.status(409).json({
+        success: false,
+        message: "A community with this slug already exists",
+      });
+    }
+
+    const community = await Community.create({
+      ...data,
+      slug,
+      createdBy: req.user.userId,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Community created successfully",
+      data: community,
+    });
+  } catch (err) {
+    // Two requests racing for the same slug
+    if (err.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A community with this slug already exists",
+      });
+    }
+
+    console.error("Error in createCommunity:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create community",
+      error: err.message,
+    });
+  }
+};
+
+// Get a community, with the requester's membership
+export const getCommunity = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      message: "Community retrieved successfully",
+      data: {
+        ...req.community,
+        membership: req.communityMembership
+          ? { role: req.communityMembership.role, joinedAt: req.communityMembership.joinedAt }
+          : null,
+      },
+    });
+  } catch (err) {
+    console.error("Error in getCommunity:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve community",
+      error: err.message,
+    });
+  }
+};
+
+// Update a community's details (community moderators)
+export const updateCommunity = async (req, res) => {
+  try {
+    const community = req.community;
+
+    const { error, data } = parseCommunityFields(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    // Only the owner (or a site admin) decides who can see the community's posts
+    if (data.isPrivate !== undefined && data.isPrivate !== !!community.isPrivate && !isOwnerOrAdmin(req)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the community owner can change its visibility",
+      });
+    }
+
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No fields to update",
+      });
+    }
+
+    const updatedCommunity = await Community.update(community, data);
+
+    if (data.isPrivate !== undefined && data.isPrivate !== !!community.isPrivate) {
+      await Post.setCommunityPrivacy(community.communityId, data.isPrivate);
+    }
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.COMMUNITY_UPDATE,
+      targetType: "community",
+      targetId: community.communityId,
+      before: snapshot(community, COMMUNITY_AUDIT_FIELDS),
+      after: snapshot(updatedCommunity, COMMUNITY_AUDIT_FIELDS),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Community updated successfully",
+      data: updatedCommunity,
+    });
+  } catch (err) {
+    console.error("Error in updateCommunity:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update community",
+      error: err.message,
+    });
+  }
+};
+
+// Join a public community
+export const joinCommunity = async (req, res) => {
+  try {
+    const community = req.community;
+
+    if (req.communityMembership) {
+      return res.status(200).json({
+        success: true,
+        message: "Already a member of this community",
+        data: { role: req.communityMembership.role },
+      });
+    }
+
+    if (community.isPrivate) {
+      return res.status(403).json({
+        success: false,
+        message: "This community is private. Ask one of its moderators to add you.",
+      });
+    }
+
+    await Community.addMember(community.communityId, req.user.userId);
+
+    res.status(201).json({
+      success: true,
+      message: "Joined community successfully",
+      data: { role: Community.ROLES.MEMBER },
+    });
+  } catch (err) {
+    console.error("Error in joinCommunity:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to join community",
+      error: err.message,
+    });
+  }
+};
+
+// Leave a community (the owner can't)
+export const leaveCommunity = async (req, res) => {
+  try {
+    const community = req.community;
+
+    if (!req.communityMembership) {
+      return res.status(404).json({
+        success: false,
+        message: "Not a member of this community",
+      });
+    }
+
+    if (req.communityMembership.role === Community.ROLES.OWNER) {
+      return res.status(400).json({
+        success: false,
+        message: "The owner can't leave their community",
+      });
+    }
+
+    await Community.removeMember(community.communityId, req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: "Left community successfully",
+    });
+  } catch (err) {
+    console.error("Error in leaveCommunity:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to leave community",
+      error: err.message,
+    });
+  }
+};
+
+// Get a community's members with pagination
+export const getCommunityMembers = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    // Validate pagination
+    if (page < 1 || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+      });
+    }
+
+    const result = await Community.getMembers(req.community.communityId, page, limit);
+
+    res.status(200).json({
+      success: true,
+      message: "Community members retrieved successfully",
+      data: result.members,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error("Error in getCommunityMembers:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve community members",
+      error: err.message,
+    });
+  }
+};
+
+// Add a user to a community (community moderators; the only way into a private one)
+export const addCommunityMember = async (req, res) => {
+  try {
+    const community = req.community;
+    const { userId } = req.params;
+
+    const user = await User.findByUserId(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const added = await Community.addMember(community.communityId, userId);
+    if (!added) {
+      return res.status(200).json({
+        success: true,
+        message: "User is already a member of this community",
+      });
+    }
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.COMMUNITY_MEMBER_ADD,
+      targetType: "community",
+      targetId: community.communityId,
+      metadata: { userId },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Member added successfully",
+    });
+  } catch (err) {
+    console.error("Error in addCommunityMember:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to add member",
+      error: err.message,
+    });
+  }
+};
+
+// Remove a user from a community (community moderators; moderators only by the owner)
+export const removeCommunityMember = async (req, res) => {
+  try {
+    const community = req.community;
+    const { userId } = req.params;
+
+    const membership = await Community.getMembership(community.communityId, userId);
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: "User is not a member of this community",
+      });
+    }
+
+    if (membership.role === Community.ROLES.OWNER) {
+      return res.status(400).json({
+        success: false,
+        message: "The owner can't be removed from their community",
+      });
+    }
+
+    if (membership.role === Community.ROLES.MODERATOR && !isOwnerOrAdmin(req)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the community owner can remove a moderator",
+      });
+    }
+
+    await Community.removeMember(community.communityId, userId);
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.COMMUNITY_MEMBER_REMOVE,
+      targetType: "community",
+      targetId: community.communityId,
+      before: { userId, role: membership.role },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Member removed successfully",
+    });
+  } catch (err) {
+    console.error("Error in removeCommunityMember:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove member",
+      error: err.message,
+    });
+  }
+};
+
+// Helper: Build a handler that promotes a member to moderator or demotes them (owner only)
+function setModeratorRole(promote) {
+  const handlerName = promote ? "addCommunityModerator" : "removeCommunityModerator";
+
+  return async (req, res) => {
+    try {
+      const community = req.community;
+      const { userId } = req.params;
+
+      if (!isOwnerOrAdmin(req)) {
+        return res.status(403).json({
+          success: false,
+          message: "Only the community owner can manage moderators",
+        });
+      }
+
+      const membership = await Community.getMembership(community.communityId, userId);
+      if (!membership) {
+        return res.status(404).json({
+          success: false,
+          message: "User is not a member of this community",
+        });
+      }
+
+      if (membership.role === Community.ROLES.OWNER) {
+        return res.status(400).json({
+          success: false,
+          message: "The owner's role can't be changed",
+        });
+      }
+
+      const role = promote ? Community.ROLES.MODERATOR : Community.ROLES.MEMBER;
+      if (membership.role !== role) {
+        await Community.setMemberRole(community.communityId, userId, role);
+
+        await recordAudit(req, {
+          action: promote ? AuditLog.ACTIONS.COMMUNITY_MODERATOR_ADD : AuditLog.ACTIONS.COMMUNITY_MODERATOR_REMOVE,
+          targetType: "community",
+          targetId: community.communityId,
+          before: { userId, role: membership.role },
+          after: { userId, role },
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: promote ? "Moderator added successfully" : "Moderator removed successfully",
+        data: { userId, role },
+      });
+    } catch (err) {
+      console.error(`Error in ${handlerName}:`, err.message);
+      res.status(500).json({
+        success: false,
+        message: promote ? "Failed to add moderator" : "Failed to remove moderator",
+        error: err.message,
+      });
+    }
+  };
+}
+
+export const addCommunityModerator = setModeratorRole(true);
+export const removeCommunityModerator = setModeratorRole(false);
+
+// Get a community's posts with pagination (newest first)
+export const getCommunityPosts = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const userId = req.user?.userId || null; // Get userId if authenticated
+
+    // Validate pagination
+    if (page < 1 || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+      });
+    }
+
+    const result = await Post.getCommunityPosts(req.community.communityId, page, limit, userId);
+
+    res.status(200).json({
+      success: true,
+      message: "Community posts retrieved successfully",
+      data: result.posts,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error("Error in getCommunityPosts:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve community posts",
+      error: err.message,
+    });
+  }
+};
+
+// Get a community's pinned posts with pagination
+export const getCommunityPinnedPosts = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const userId = req.user?.userId || null; // Get userId if authenticated
+
+    // Validate pagination
+    if (page < 1 || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+      });
+    }
+
+    const result = await Post.getPinnedPosts(page, limit, userId, req.community.communityId);
+
+    res.status(200).json({
+      success: true,
+      message: "Pinned-Posts retrieved successfully",
+      data: result.posts,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error("Error in getCommunityPinnedPosts:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve pinned-posts",
+      error: err.message,
+    });
+  }
+};
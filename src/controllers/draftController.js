@@ -0,0 +1,184 @@
+import Draft from "../models/Draft.js";
+import Post from "../models/Post.js";
+
+// Get the current user's drafts
+export const getDrafts = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    if (page < 1 || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+      });
+    }
+
+    const result = await Draft.getDraftsByUserId(req.user.userId, page, limit);
+
+    res.status(200).json({
+      success: true,
+      message: "Drafts retrieved successfully",
+      data: result.drafts,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error("Error in getDrafts:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve drafts",
+      error: err.message,
+    });
+  }
+};
+
+// Get a single draft (loaded by loadDraft)
+export const getDraft = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: "Draft retrieved successfully",
+    data: req.draft,
+  });
+};
+
+// Create a draft
+export const createDraft = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const { error, fields } = Draft.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    if ((await Draft.countByUserId(userId)) >= Draft.MAX_DRAFTS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can keep at most ${Draft.MAX_DRAFTS_PER_USER} drafts. Publish or delete some first.`,
+      });
+    }
+
+    const draft = await Draft.create({ ...fields, userId });
+
+    res.status(201).json({
+      success: true,
+      message: "Draft created successfully",
+      data: draft,
+    });
+  } catch (err) {
+    console.error("Error in createDraft:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create draft",
+      error: err.message,
+    });
+  }
+};
+
+// Autosave a draft (only the provided fields change)
+export const updateDraft = async (req, res) => {
+  try {
+    const { error, fields } = Draft.validate(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const draft = await Draft.update(req.draft.draftId, fields);
+    if (!draft) {
+      return res.status(404).json({
+        success: false,
+        message: "Draft not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Draft saved successfully",
+      data: draft,
+    });
+  } catch (err) {
+    console.error("Error in updateDraft:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save draft",
+      error: err.message,
+    });
+  }
+};
+
+// Delete a draft and its uploaded media
+export const deleteDraft = async (req, res) => {
+  try {
+    await Draft.delete(req.draft.draftId);
+
+    res.status(200).json({
+      success: true,
+      message: "Draft deleted successfully",
+    });
+  } catch (err) {
+    console.error("Error in deleteDraft:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete draft",
+      error: err.message,
+    });
+  }
+};
+
+// Publish a draft as a post (runs after the moderation middleware). The draft
+// is removed but its media is kept, since the post now uses it.
+export const publishDraft = async (req, res) => {
+  try {
+    const { draftId, userId, title, content, tags, media } = req.draft;
+
+    if (!title || !content) {
+      return res.status(400).json({
+        success: false,
+        message: "Title and content are required",
+      });
+    }
+
+    if (title.trim().length < 5 || title.length > 200) {
+      return res.status(400).json({
+        success: false,
+        message: "Title must be between 5 and 200 characters",
+      });
+    }
+
+    if (content.trim().length < 10 || content.length > 5000) {
+      return res.status(400).json({
+        success: false,
+        message: "Content must be between 10 and 5000 characters",
+      });
+    }
+
+    const newPost = await Post.create({
+      userId,
+      title: title.trim(),
+      content: content.trim(),
+      tags: tags || [],
+      media: media || [],
+    });
+
+    await Draft.delete(draftId, { keepMedia: true });
+
+    res.status(201).json({
+      success: true,
+      message: "Draft published successfully",
+      data: newPost,
+    });
+  } catch (err) {
+    console.error("Error in publishDraft:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to publish draft",
+      error: err.message,
+    });
+  }
+};
@@ -1,5 +1,9 @@
 import Feedback from "../models/Feedback.js";
 import User from "../models/User.js";
+import { decodeCursor } from "../utils/cursorUtils.js";
+import AuditLog from "../models/AuditLog.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { recordAudit, snapshot } from "../utils/auditTrail.js";
 
 // Create a new feedback
 export const createFeedback = async (req, res) => {
@@ -127,13 +131,26 @@ export const getFeedbackByTimeRange = async (req, res) => {
       });
     }
 
+    let cursor = null;
+    if (req.query.cursor) {
+      const { scope } = Feedback.getTimeRangeCursorSpec(startDate, endDate, sortBy, order);
+      cursor = decodeCursor(req.query.cursor, scope);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+    }
+
     const result = await Feedback.getFeedbackByTimeRange(
       startDate,
       endDate,
       page,
       limit,
       sortBy,
-      order
+      order,
+      cursor
     );
 
     res.status(200).json({
@@ -233,8 +250,9 @@ export const deleteFeedback = async (req, res) => {
       });
     }
 
-    // Check if user owns the feedback
-    if (feedback.userId !== userId) {
+    // Check if user owns the feedback (feedback.delete holders may delete any feedback)
+    const isAdminDelete = !!req.permissions?.includes(PERMISSIONS.FEEDBACK_DELETE) && feedback.userId !== userId;
+    if (feedback.userId !== userId && !isAdminDelete) {
       return res.status(403).json({
         success: false,
         message: "You are not authorized to delete this feedback",
@@ -244,6 +262,16 @@ export const deleteFeedback = async (req, res) => {
     const deleted = await Feedback.deleteFeedback(feedbackId, userId);
 
     if (deleted) {
+      if (isAdminDelete) {
+        await recordAudit(req, {
+          action: AuditLog.ACTIONS.FEEDBACK_DELETE,
+          targetType: "feedback",
+          targetId: feedbackId,
+          before: snapshot(feedback, Object.keys(feedback).filter(key => key !== "_id")),
+          after: null,
+        });
+      }
+
       res.status(200).json({
         success: true,
         message: "Feedback deleted successfully",
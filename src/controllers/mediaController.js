@@ -1,9 +1,9 @@
-import { getPresignedUploadUrl } from "../config/imagekitcon.js";
+import { getPresignedUploadUrl, getUserUploadFolder } from "../config/imagekitcon.js";
 
 // Get presigned upload URL for client-side upload
 export const getUploadCredentials = async (req, res) => {
   try {
-    const uploadCredentials = getPresignedUploadUrl();
+    const uploadCredentials = getPresignedUploadUrl(60, getUserUploadFolder(req.user.userId));
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,109 @@
+import Notification from "../models/Notification.js";
+import NotificationService from "../services/notificationService.js";
+
+// Get the current user's notifications
+export const getNotifications = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const unreadOnly = req.query.unread === "true";
+
+    // Validate pagination
+    if (page < 1 || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+      });
+    }
+
+    const result = await Notification.getByUserId(userId, page, limit, { unreadOnly });
+    const notifications = await NotificationService.populate(result.notifications);
+    const unreadCount = await Notification.getUnreadCount(userId);
+
+    res.status(200).json({
+      success: true,
+      message: "Notifications retrieved successfully",
+      data: notifications,
+      unreadCount,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error("Error in getNotifications:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve notifications",
+      error: err.message,
+    });
+  }
+};
+
+// Get the current user's unread notification count
+export const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.getUnreadCount(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: "Unread count retrieved successfully",
+      data: { unreadCount },
+    });
+  } catch (err) {
+    console.error("Error in getUnreadCount:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve unread count",
+      error: err.message,
+    });
+  }
+};
+
+// Mark one notification as read
+export const markNotificationRead = async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+    const userId = req.user.userId;
+
+    const marked = await Notification.markRead(userId, notificationId);
+
+    if (marked === null) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Notification marked as read",
+      data: { unreadCount: await Notification.getUnreadCount(userId) },
+    });
+  } catch (err) {
+    console.error("Error in markNotificationRead:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark notification as read",
+      error: err.message,
+    });
+  }
+};
+
+// Mark all of the current user's notifications as read
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const updated = await Notification.markAllRead(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: "All notifications marked as read",
+      data: { updated, unreadCount: 0 },
+    });
+  } catch (err) {
+    console.error("Error in markAllNotificationsRead:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark notifications as read",
+      error: err.message,
+    });
+  }
+};
@@ -1,11 +1,21 @@
 import Post from "../models/Post.js";
 import User from "../models/User.js";
 import Vote from "../models/Vote.js";
+import { checkPostLock, getLockInfo, LOCK_ACTIONS } from "../utils/postLockPolicy.js";
+import FeedRankingService from "../services/feedRankingService.js";
+import NotificationService from "../services/notificationService.js";
+import { decodeCursor } from "../utils/cursorUtils.js";
+import Tag from "../models/Tag.js";
+import Community from "../models/Community.js";
+import Poll from "../models/Poll.js";
+import Comment from "../models/Comment.js";
+import Role from "../models/Role.js";
+import { PERMISSIONS } from "../config/permissions.js";
 
 // Create a new post
 export const createPost = async (req, res) => {
   try {
-    const { title, content, tags, media } = req.body;
+    const { title, content, tags, media, poll, type = Post.TYPES.DISCUSSION, community: communitySlug, publishAt, anonymous = false } = req.body;
     const userId = req.user.userId;
 
     // Validation
@@ -38,17 +48,91 @@ export const createPost = async (req, res) => {
       });
     }
 
+    if (!Object.values(Post.TYPES).includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid post type. Must be one of: ${Object.values(Post.TYPES).join(", ")}`,
+      });
+    }
+
+    if (typeof anonymous !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "anonymous must be a boolean",
+      });
+    }
+
+    // Validate the optional poll
+    let pollData = null;
+    if (poll !== undefined && poll !== null) {
+      const { error, poll: validatedPoll } = Poll.validate(poll);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      pollData = validatedPoll;
+    }
+
+    // Validate the optional publish time
+    let scheduledAt = null;
+    if (publishAt !== undefined && publishAt !== null) {
+      const { error, publishAt: validatedPublishAt } = Post.validatePublishAt(publishAt);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      scheduledAt = validatedPublishAt;
+    }
+
+    // Posting into a community requires membership
+    let community = null;
+    if (communitySlug !== undefined && communitySlug !== null) {
+      community = typeof communitySlug === "string" ? await Community.findBySlug(communitySlug) : null;
+      if (!community) {
+        return res.status(404).json({
+          success: false,
+          message: "Community not found",
+        });
+      }
+
+      if (!(await Community.getMembership(community.communityId, userId))) {
+        return res.status(403).json({
+          success: false,
+          message: "Join the community before posting in it",
+        });
+      }
+    }
+
     // Create post
     const postData = {
       userId,
       title: title.trim(),
       content: content.trim(),
       tags: tags || [],
-      media: media || []
+      media: media || [],
+      communityId: community?.communityId || null,
+      isPrivate: !!community?.isPrivate,
+      poll: pollData,
+      type,
+      isScheduled: !!scheduledAt,
+      publishAt: scheduledAt,
+      isAnonymous: anonymous,
     };
 
     const newPost = await Post.create(postData);
 
+    if (newPost.isScheduled) {
+      return res.status(201).json({
+        success: true,
+        message: "Post scheduled successfully",
+        data: newPost,
+      });
+    }
+
     console.log('Post created successfully:', newPost.postId);
 
     // Add post ID to user's postIds
@@ -87,13 +171,94 @@ export const getAllPosts = async (req, res) => {
       });
     }
 
-    const result = await Post.getAllPosts(page, limit, sortBy, order, userId);
+    // Feed filters: ?tag=a&tag=b&tagMode=any|all&type=discussion|question&answered=true|false
+    const feedFilter = Post.normalizeFeedFilter({
+      tags: req.query.tag,
+      tagMode: req.query.tagMode || "any",
+      type: req.query.type,
+      answered: req.query.answered,
+    });
+    if (feedFilter === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid filter. Use at most ${Post.MAX_FILTER_TAGS} tags, tagMode ${Post.TAG_FILTER_MODES.join(" or ")}, type ${Object.values(Post.TYPES).join(" or ")} and answered true or false (questions only)`,
+      });
+    }
+    if (feedFilter?.tags) {
+      // Synonyms and spelling variants filter by their canonical tag
+      feedFilter.tags = (await Tag.canonicalize(feedFilter.tags)).sort();
+    }
+
+    // Ranked feeds: ?sort=hot|rising|top&period=day|week|month|all
+    const sort = req.query.sort;
+    if (sort) {
+      if (feedFilter) {
+        return res.status(400).json({
+          success: false,
+          message: "Filters cannot be combined with ranked sorts",
+        });
+      }
+
+      if (!FeedRankingService.isValidSort(sort)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid sort. Must be one of: ${FeedRankingService.SORTS.join(", ")}`,
+        });
+      }
+
+      const period = req.query.period || "week";
+      if (sort === "top" && !FeedRankingService.isValidPeriod(period)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid period. Must be one of: ${Object.keys(FeedRankingService.TOP_PERIODS).join(", ")}`,
+        });
+      }
+
+      // Opaque cursor from a previous response (page is ignored when present)
+      let cursor = null;
+      if (req.query.cursor) {
+        cursor = decodeCursor(req.query.cursor, Post.getRankedCursorScope(sort, period));
+        if (!cursor) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid cursor",
+          });
+        }
+      }
+
+      const result = await Post.getRankedPosts(sort, period, page, limit, userId, cursor);
+
+      return res.status(200).json({
+        success: true,
+        message: "Posts retrieved successfully",
+        data: result.posts,
+        pagination: result.pagination,
+        sort,
+        ...(sort === "top" && { period }),
+      });
+    }
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor, Post.getFeedCursorSpec(sortBy, order, feedFilter).scope);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+    }
+
+    const result = await Post.getAllPosts(page, limit, sortBy, order, userId, cursor, feedFilter);
 
     res.status(200).json({
       success: true,
       message: "Posts retrieved successfully",
       data: result.posts,
       pagination: result.pagination,
+      ...(feedFilter?.tags && { tags: feedFilter.tags, tagMode: feedFilter.mode }),
+      ...(feedFilter?.type && { type: feedFilter.type }),
+      ...(feedFilter?.answered !== undefined && { answered: feedFilter.answered }),
     });
   } catch (err) {
     console.error("Error in getAllPosts:", err.message);
@@ -105,6 +270,70 @@ export const getAllPosts = async (req, res) => {
   }
 };
 
+// Get recent posts from the users the current user follows
+export const getFollowingFeed = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    // Validate pagination
+    if (page < 1 || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+      });
+    }
+
+    const result = await Post.getFollowingFeed(req.user.userId, page, limit);
+
+    res.status(200).json({
+      success: true,
+      message: "Following feed retrieved successfully",
+      data: result.posts,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error("Error in getFollowingFeed:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve following feed",
+      error: err.message,
+    });
+  }
+};
+
+// Get the current user's personalized home feed
+export const getHomeFeed = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    // Validate pagination
+    if (page < 1 || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+      });
+    }
+
+    const result = await Post.getHomeFeed(req.user.userId, page, limit);
+
+    res.status(200).json({
+      success: true,
+      message: "Home feed retrieved successfully",
+      data: result.posts,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error("Error in getHomeFeed:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve home feed",
+      error: err.message,
+    });
+  }
+};
+
 // Get all pinned-posts with pagination
 export const getPinnedPosts = async (req, res) => {
   try {
@@ -145,7 +374,8 @@ export const getPostById = async (req, res) => {
 
     const post = await Post.findByPostId(postId);
 
-    if (!post) {
+    // Hidden posts are only shown to their author and admins, private community posts to members
+    if (!(await Community.canViewPost(post, req.user))) {
       return res.status(404).json({
         success: false,
         message: "Post not found",
@@ -157,7 +387,24 @@ export const getPostById = async (req, res) => {
     
     // Populate vote data for the current user
     const postsWithVotes = await Post.populateVoteData(populatedPosts, userId);
-    const populatedPost = postsWithVotes[0];
+
+    // Populate saved state for the current user
+    const postsWithSaved = await Post.populateSavedData(postsWithVotes, userId);
+
+    // Populate poll results and the current user's ballot
+    const postsWithPolls = await Poll.populatePollData(postsWithSaved, userId);
+    const populatedPost = postsWithPolls[0];
+
+    // Surface lock details, including who locked the post
+    const lock = getLockInfo(post);
+    if (lock && lock.lockedBy) {
+      const locker = await User.findByUserId(lock.lockedBy);
+      lock.lockedBy = {
+        userId: lock.lockedBy,
+        name: locker?.name || "Unknown User",
+      };
+    }
+    populatedPost.lock = lock;
 
     // Increment view count
     await Post.incrementViewCount(postId);
@@ -201,10 +448,30 @@ export const getPostsByUserId = async (req, res) => {
       });
     }
 
-    const result = await Post.getPostsByUserId(userId, page, limit);
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor, Post.getUserPostsCursorScope(userId));
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+    }
 
-    // Populate user data
-    const populatedPosts = await Post.populateUserData(result.posts);
+    // Anonymous posts only show up on their author's own list
+    const result = await Post.getPostsByUserId(userId, page, limit, cursor, {
+      includeAnonymous: req.user?.userId === userId,
+    });
+
+    // Drop hidden and private community posts unless the viewer may see them
+    const visiblePosts = await Community.filterViewablePosts(result.posts, req.user);
+
+    // Populate user and poll data
+    const populatedPosts = await Poll.populatePollData(
+      await Post.populateUserData(visiblePosts),
+      req.user?.userId || null
+    );
 
     res.status(200).json({
       success: true,
@@ -246,10 +513,19 @@ export const searchPosts = async (req, res) => {
       });
     }
 
+    // Q&A filters: ?type=discussion|question&answered=true|false
+    const feedFilter = Post.normalizeFeedFilter({ type: req.query.type, answered: req.query.answered });
+    if (feedFilter === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid filter. Use type ${Object.values(Post.TYPES).join(" or ")} and answered true or false (questions only)`,
+      });
+    }
+
     if (enhanced === "true") {
       console.log(`[ENHANCED SEARCH] Query: "${q.trim()}"`);
       
-      const result = await Post.enhancedSearch(q.trim(), page, limit, userId);
+      const result = await Post.enhancedSearch(q.trim(), page, limit, feedFilter);
 
       return res.status(200).json({
         success: true,
@@ -266,7 +542,18 @@ export const searchPosts = async (req, res) => {
     const validSortOptions = ["relevance", "recent", "popular"];
     const finalSortBy = validSortOptions.includes(sortBy) ? sortBy : "relevance";
     
-    const result = await Post.searchPosts(q.trim(), page, limit, finalSortBy);
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor, Post.getSearchCursorSpec(q.trim(), finalSortBy, feedFilter).scope);
+      if (!cursor) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor",
+        });
+      }
+    }
+
+    const result = await Post.searchPosts(q.trim(), page, limit, finalSortBy, cursor, feedFilter);
     
     // Populate user data for regular search
     const populatedPosts = await Post.populatePostData(result.posts, userId);
@@ -274,7 +561,7 @@ export const searchPosts = async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Search results retrieved successfully",
-      data: result.posts,
+      data: populatedPosts,
       pagination: result.pagination,
       query: q.trim(),
       sortBy: finalSortBy
@@ -295,7 +582,7 @@ export const searchPosts = async (req, res) => {
         return res.status(200).json({
           success: true,
           message: "Search results retrieved successfully (regex mode)",
-          data: result.posts,
+          data: populatedPosts,
           pagination: result.pagination,
           query: q.trim()
         });
@@ -360,6 +647,12 @@ export const updatePost = async (req, res) => {
     }
 
     if (tags !== undefined) {
+      if (!Array.isArray(tags)) {
+        return res.status(400).json({
+          success: false,
+          message: "Tags must be an array",
+        });
+      }
       updateData.tags = tags;
     }
 
@@ -370,7 +663,7 @@ export const updatePost = async (req, res) => {
       });
     }
 
-    const updatedPost = await Post.updatePost(postId, updateData);
+    const updatedPost = await Post.updatePost(postId, updateData, userId);
 
     res.status(200).json({
       success: true,
@@ -434,6 +727,139 @@ export const deletePost = async (req, res) => {
   }
 };
 
+// Get scheduled posts: your own, or everyone's (?all=true) for those who may
+// manage scheduled posts; tag-scoped grants only list posts with their tags
+export const getScheduledPosts = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const all = req.query.all === "true";
+
+    if (page < 1 || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+      });
+    }
+
+    const { permissions, tags } = await Role.resolveForUser(req.user);
+    if (all && !permissions.includes(PERMISSIONS.POST_SCHEDULE_MANAGE)) {
+      return res.status(403).json({
+        success: false,
+        message: `Forbidden. Missing permission: ${PERMISSIONS.POST_SCHEDULE_MANAGE}`,
+      });
+    }
+
+    const result = all
+      ? await Post.getScheduledPosts(null, page, limit, tags)
+      : await Post.getScheduledPosts(req.user.userId, page, limit);
+
+    res.status(200).json({
+      success: true,
+      message: "Scheduled posts retrieved successfully",
+      data: result.posts,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error("Error in getScheduledPosts:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve scheduled posts",
+      error: err.message,
+    });
+  }
+};
+
+// Helper: Load a scheduled post the caller may manage (its author, or anyone
+// holding post.schedule.manage for its tags).
+// Sends the error response and returns null otherwise.
+async function findManageableScheduledPost(req, res) {
+  const post = await Post.findByPostId(req.params.postId);
+  if (!post || !post.isScheduled) {
+    res.status(404).json({
+      success: false,
+      message: "Scheduled post not found",
+    });
+    return null;
+  }
+
+  if (post.userId !== req.user.userId && !(await Role.canModeratePost(req.user, PERMISSIONS.POST_SCHEDULE_MANAGE, post))) {
+    res.status(403).json({
+      success: false,
+      message: "You are not authorized to manage this scheduled post",
+    });
+    return null;
+  }
+
+  return post;
+}
+
+// Move a scheduled post to a new publish time
+export const reschedulePost = async (req, res) => {
+  try {
+    const post = await findManageableScheduledPost(req, res);
+    if (!post) return;
+
+    const { error, publishAt } = Post.validatePublishAt((req.body || {}).publishAt);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const updatedPost = await Post.reschedule(post.postId, publishAt);
+    if (!updatedPost) {
+      // Published by the scheduler in the meantime
+      return res.status(409).json({
+        success: false,
+        message: "This post has already been published",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Post rescheduled successfully",
+      data: updatedPost,
+    });
+  } catch (err) {
+    console.error("Error in reschedulePost:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reschedule post",
+      error: err.message,
+    });
+  }
+};
+
+// Cancel a scheduled post (it is deleted without ever being published)
+export const cancelScheduledPost = async (req, res) => {
+  try {
+    const post = await findManageableScheduledPost(req, res);
+    if (!post) return;
+
+    const deleted = await Post.deletePost(post.postId, post.userId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Scheduled post not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Scheduled post cancelled successfully",
+    });
+  } catch (err) {
+    console.error("Error in cancelScheduledPost:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel scheduled post",
+      error: err.message,
+    });
+  }
+};
+
 // Upvote a post
 export const upvotePost = async (req, res) => {
   try {
@@ -442,13 +868,23 @@ export const upvotePost = async (req, res) => {
 
     // Check if post exists
     const post = await Post.findByPostId(postId);
-    if (!post) {
+    if (!(await Community.canViewPost(post, req.user))) {
       return res.status(404).json({
         success: false,
         message: "Post not found",
       });
     }
 
+    // Enforce the post's lock policy
+    const lockCheck = await checkPostLock(post, LOCK_ACTIONS.VOTE, req.user);
+    if (!lockCheck.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: lockCheck.message,
+        lock: lockCheck.lock,
+      });
+    }
+
     const result = await Vote.handleUpvote(postId, userId);
 
     if (result.success) {
@@ -485,13 +921,23 @@ export const downvotePost = async (req, res) => {
 
     // Check if post exists
     const post = await Post.findByPostId(postId);
-    if (!post) {
+    if (!(await Community.canViewPost(post, req.user))) {
       return res.status(404).json({
         success: false,
         message: "Post not found",
       });
     }
 
+    // Enforce the post's lock policy
+    const lockCheck = await checkPostLock(post, LOCK_ACTIONS.VOTE, req.user);
+    if (!lockCheck.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: lockCheck.message,
+        lock: lockCheck.lock,
+      });
+    }
+
     const result = await Vote.handleDownvote(postId, userId);
 
     if (result.success) {
@@ -520,6 +966,211 @@ export const downvotePost = async (req, res) => {
   }
 };
 
+// Vote in a post's poll (one ballot per user)
+export const votePoll = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const userId = req.user.userId;
+    const { optionIds } = req.body || {};
+
+    // Check if post exists
+    const post = await Post.findByPostId(postId);
+    if (!(await Community.canViewPost(post, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: "Post not found",
+      });
+    }
+
+    if (!post.poll) {
+      return res.status(404).json({
+        success: false,
+        message: "This post has no poll",
+      });
+    }
+
+    if (Poll.isClosed(post.poll)) {
+      return res.status(400).json({
+        success: false,
+        message: "This poll is closed",
+      });
+    }
+
+    // Enforce the post's lock policy
+    const lockCheck = await checkPostLock(post, LOCK_ACTIONS.VOTE, req.user);
+    if (!lockCheck.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: lockCheck.message,
+        lock: lockCheck.lock,
+      });
+    }
+
+    const selectedIds = Poll.parseOptionIds(post.poll, optionIds);
+    if (!selectedIds) {
+      return res.status(400).json({
+        success: false,
+        message: post.poll.multipleChoice
+          ? "Choose one or more of the poll's options"
+          : "Choose exactly one of the poll's options",
+      });
+    }
+
+    const vote = await Poll.vote(postId, userId, selectedIds);
+    if (!vote) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already voted in this poll",
+      });
+    }
+
+    const [postWithPoll] = await Poll.populatePollData([post], userId);
+
+    res.status(201).json({
+      success: true,
+      message: "Vote recorded successfully",
+      data: {
+        postId,
+        poll: postWithPoll.poll,
+      },
+    });
+  } catch (err) {
+    console.error("Error in votePoll:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to record poll vote",
+      error: err.message,
+    });
+  }
+};
+
+// Helper: The question's author, moderators with pin rights over it and its community's moderators
+async function canManageAcceptedAnswer(post, user) {
+  if (post.userId === user.userId) return true;
+  if (await Role.canModeratePost(user, PERMISSIONS.POST_PIN, post)) return true;
+
+  const membership = await Community.getMembership(post.communityId, user.userId);
+  return Community.isModeratorRole(membership?.role);
+}
+
+// Mark a top-level comment as a question's accepted answer
+export const acceptAnswer = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { commentId } = req.body || {};
+
+    // Check if post exists
+    const post = await Post.findByPostId(postId);
+    if (!(await Community.canViewPost(post, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: "Post not found",
+      });
+    }
+
+    if (post.type !== Post.TYPES.QUESTION) {
+      return res.status(400).json({
+        success: false,
+        message: "Only questions can have an accepted answer",
+      });
+    }
+
+    if (!(await canManageAcceptedAnswer(post, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the question's author or a moderator can accept an answer",
+      });
+    }
+
+    const comment = typeof commentId === "string" ? await Comment.findByCommentId(commentId) : null;
+    if (!comment || comment.isDeleted || String(comment.postId) !== postId) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment not found on this post",
+      });
+    }
+
+    if (comment.parentCommentId) {
+      return res.status(400).json({
+        success: false,
+        message: "Only top-level comments can be accepted as the answer",
+      });
+    }
+
+    const updatedPost = await Post.setAcceptedAnswer(postId, comment.commentId);
+
+    // An anonymous question's author accepts without revealing themselves
+    const isAnonymousAuthor = post.isAnonymous && post.userId === req.user.userId;
+    NotificationService.notifyAnswerAccepted(comment, isAnonymousAuthor ? null : req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: "Answer accepted successfully",
+      data: {
+        postId,
+        acceptedAnswerId: updatedPost.acceptedAnswerId,
+        isAnswered: updatedPost.isAnswered,
+      },
+    });
+  } catch (err) {
+    console.error("Error in acceptAnswer:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to accept answer",
+      error: err.message,
+    });
+  }
+};
+
+// Clear a question's accepted answer
+export const unacceptAnswer = async (req, res) => {
+  try {
+    const { postId } = req.params;
+
+    // Check if post exists
+    const post = await Post.findByPostId(postId);
+    if (!(await Community.canViewPost(post, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: "Post not found",
+      });
+    }
+
+    if (!(await canManageAcceptedAnswer(post, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the question's author or a moderator can change the accepted answer",
+      });
+    }
+
+    if (!post.acceptedAnswerId) {
+      return res.status(404).json({
+        success: false,
+        message: "This post has no accepted answer",
+      });
+    }
+
+    await Post.setAcceptedAnswer(postId, null);
+
+    res.status(200).json({
+      success: true,
+      message: "Accepted answer cleared successfully",
+      data: {
+        postId,
+        acceptedAnswerId: null,
+        isAnswered: false,
+      },
+    });
+  } catch (err) {
+    console.error("Error in unacceptAnswer:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to clear accepted answer",
+      error: err.message,
+    });
+  }
+};
+
 // Toggle pin status (admin only - you can add admin middleware later)
 export const togglePinPost = async (req, res) => {
   try {
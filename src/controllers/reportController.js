@@ -0,0 +1,477 @@
+import Report from "../models/Report.js";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import User from "../models/User.js";
+import AuditLog from "../models/AuditLog.js";
+import Role from "../models/Role.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { HARM_TYPES } from "../middleware/moderation.js";
+import { recordAudit } from "../utils/auditTrail.js";
+
+const REPORT_REASONS = HARM_TYPES.map(type => type.name);
+
+// What a moderator can do when upholding a report
+const RESOLVE_ACTIONS = ["hide", "delete", "none"];
+
+// Helper: Load the reported target and its author
+async function findTarget(targetType, targetId) {
+  if (targetType === Report.TARGET_TYPES.POST) {
+    const post = await Post.findByPostId(targetId);
+    return post ? { target: post, authorId: post.userId } : null;
+  }
+
+  if (targetType === Report.TARGET_TYPES.COMMENT) {
+    const comment = await Comment.findByCommentId(targetId);
+    return comment && !comment.isDeleted ? { target: comment, authorId: comment.userId } : null;
+  }
+
+  const user = await User.findByUserId(targetId);
+  return user ? { target: user, authorId: user.userId } : null;
+}
+
+// Helper: Whether the moderator may hide or delete the reported target.
+// report.review only covers triage; acting on content needs the same grant as
+// deleting it directly (tag-scoped via the post, or the parent post of a comment),
+// and hiding a profile needs the ban permission.
+async function canActOnTarget(user, targetType, target) {
+  if (targetType === Report.TARGET_TYPES.USER) {
+    const { permissions } = await Role.resolveForUser(user);
+    return permissions.includes(PERMISSIONS.USER_BAN);
+  }
+
+  const post = targetType === Report.TARGET_TYPES.POST ? target : await Post.findByPostId(target.postId);
+  return Role.canModeratePost(user, PERMISSIONS.POST_DELETE, post);
+}
+
+// Helper: Hide or unhide the reported target
+async function setTargetHidden(targetType, targetId, hidden, reason) {
+  if (targetType === Report.TARGET_TYPES.POST) return Post.setHidden(targetId, hidden, reason);
+  if (targetType === Report.TARGET_TYPES.COMMENT) return Comment.setHidden(targetId, hidden, reason);
+  return User.setHidden(targetId, hidden, reason);
+}
+
+// Helper: Validate an optional resolution note
+function isValidNote(note) {
+  return note === undefined || note === null || (typeof note === "string" && note.length <= 1000);
+}
+
+// Helper: Stored form of a resolution note (null when missing or blank)
+function normalizeNote(note) {
+  return typeof note === "string" && note.trim() ? note.trim() : null;
+}
+
+// Get the reasons a report can be filed under
+export const getReportReasons = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    message: "Report reasons retrieved successfully",
+    data: HARM_TYPES,
+  });
+};
+
+// Report a post, comment or user profile
+export const createReport = async (req, res) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body || {};
+    const reporterId = req.user.userId;
+
+    if (!Report.isValidTargetType(targetType) || !targetId) {
+      return res.status(400).json({
+        success: false,
+        message: `A targetId and a targetType of ${Object.values(Report.TARGET_TYPES).join(", ")} are required`,
+      });
+    }
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid reason. Must be one of: ${REPORT_REASONS.join(", ")}`,
+      });
+    }
+
+    if (details !== undefined && (typeof details !== "string" || details.length > 500)) {
+      return res.status(400).json({
+        success: false,
+        message: "Details must be a string of at most 500 characters",
+      });
+    }
+
+    const found = await findTarget(targetType, targetId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: "Reported content not found",
+      });
+    }
+
+    if (found.authorId === reporterId) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot report your own content",
+      });
+    }
+
+    const { report, duplicate } = await Report.submit({
+      targetType,
+      targetId,
+      targetUserId: found.authorId,
+      reporterId,
+      reason,
+      details: details ? details.trim() : null,
+    });
+
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already reported this",
+      });
+    }
+
+    // Auto-hide once enough distinct users have reported the target
+    if (
+      report.reportCount >= Report.getAutoHideThreshold() &&
+      !report.autoHidden &&
+      !found.target.isHidden
+    ) {
+      await setTargetHidden(targetType, targetId, true, "reports");
+      await Report.markAutoHidden(report.reportId);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Report submitted successfully",
+      data: {
+        reportId: report.reportId,
+        targetType,
+        targetId,
+        reason,
+      },
+    });
+  } catch (err) {
+    console.error("Error in createReport:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to submit report",
+      error: err.message,
+    });
+  }
+};
+
+// Get the moderation queue (admin)
+export const getReports = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { status = "active", targetType, claimedBy } = req.query;
+
+    // Validate pagination
+    if (page < 1 || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+      });
+    }
+
+    const validStatuses = ["active", "all", ...Object.values(Report.STATUSES)];
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${validStatuses.join(", ")}`,
+      });
+    }
+
+    if (targetType && !Report.isValidTargetType(targetType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid targetType. Must be one of: ${Object.values(Report.TARGET_TYPES).join(", ")}`,
+      });
+    }
+
+    const statuses =
+      status === "active" ? Report.ACTIVE_STATUSES
+      : status === "all" ? null
+      : [status];
+
+    const result = await Report.getReports(page, limit, {
+      statuses,
+      targetType,
+      claimedBy: claimedBy === "me" ? req.user.userId : claimedBy,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Reports retrieved successfully",
+      data: result.reports,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error("Error in getReports:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve reports",
+      error: err.message,
+    });
+  }
+};
+
+// Get a single report with the reported content (admin)
+export const getReportById = async (req, res) => {
+  try {
+    const { reportId } = req.params;
+
+    const report = await Report.findByReportId(reportId);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found",
+      });
+    }
+
+    const found = await findTarget(report.targetType, report.targetId);
+
+    res.status(200).json({
+      success: true,
+      message: "Report retrieved successfully",
+      data: {
+        ...report,
+        target: found ? found.target : null,
+      },
+    });
+  } catch (err) {
+    console.error("Error in getReportById:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve report",
+      error: err.message,
+    });
+  }
+};
+
+// Claim a report for review (admin)
+export const claimReport = async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const adminId = req.user.userId;
+
+    const report = await Report.findByReportId(reportId);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: "Report not found",
+      });
+    }
+
+    if (!Report.isActive(report)) {
+      return res.status(409).json({
+        success: false,
+        message: "Report is already closed",
+      });
+    }
+
+    const claimed = await Report.claim(reportId, adminId);
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: "Report is claimed by another moderator",
+        claimedBy: report.claimedBy,
+      });
+    }
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.REPORT_CLAIM,
+      targetType: "report",
+      targetId: reportId,
+      before: { status: report.status, claimedBy: report.claimedBy },
+      after: { status: claimed.status, claimedBy: claimed.claimedBy },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Report claimed successfully",
+      data: claimed,
+    });
+  } catch (err) {
+    console.error("Error in claimReport:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to claim report",
+      error: err.message,
+    });
+  }
+};
+
+// Helper: Shared checks before closing a report
+async function loadClosableReport(req, res) {
+  const { reportId } = req.params;
+  const { note } = req.body || {};
+
+  if (!isValidNote(note)) {
+    res.status(400).json({
+      success: false,
+      message: "Resolution note must be a string of at most 1000 characters",
+    });
+    return null;
+  }
+
+  const report = await Report.findByReportId(reportId);
+  if (!report) {
+    res.status(404).json({
+      success: false,
+      message: "Report not found",
+    });
+    return null;
+  }
+
+  if (!Report.isActive(report)) {
+    res.status(409).json({
+      success: false,
+      message: "Report is already closed",
+    });
+    return null;
+  }
+
+  if (report.status === Report.STATUSES.CLAIMED && report.claimedBy !== req.user.userId) {
+    res.status(409).json({
+      success: false,
+      message: "Report is claimed by another moderator",
+      claimedBy: report.claimedBy,
+    });
+    return null;
+  }
+
+  return report;
+}
+
+// Resolve a report, acting on the reported content (admin)
+export const resolveReport = async (req, res) => {
+  try {
+    const { action = "hide", note } = req.body || {};
+
+    if (!RESOLVE_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid action. Must be one of: ${RESOLVE_ACTIONS.join(", ")}`,
+      });
+    }
+
+    const report = await loadClosableReport(req, res);
+    if (!report) return;
+
+    const { targetType, targetId } = report;
+
+    if (action === "delete" && targetType === Report.TARGET_TYPES.USER) {
+      return res.status(400).json({
+        success: false,
+        message: "User profiles cannot be deleted from a report; hide or ban the user instead",
+      });
+    }
+
+    const found = await findTarget(targetType, targetId);
+
+    if (found && action !== "none" && !(await canActOnTarget(req.user, targetType, found.target))) {
+      return res.status(403).json({
+        success: false,
+        message: `Forbidden. You are not allowed to ${action} this ${targetType}`,
+      });
+    }
+
+    // Close first so deleting the target doesn't auto-close it as "target_deleted"
+    const resolved = await Report.close(report.reportId, Report.STATUSES.RESOLVED, {
+      action,
+      note: normalizeNote(note),
+      resolvedBy: req.user.userId,
+    });
+
+    if (!resolved) {
+      return res.status(409).json({
+        success: false,
+        message: "Report is already closed",
+      });
+    }
+
+    if (found) {
+      if (action === "hide" && !found.target.isHidden) {
+        await setTargetHidden(targetType, targetId, true, "moderator");
+      } else if (action === "delete" && targetType === Report.TARGET_TYPES.POST) {
+        await Post.deletePost(targetId, found.target.userId);
+      } else if (action === "delete" && targetType === Report.TARGET_TYPES.COMMENT) {
+        await Comment.hardDeleteComment(targetId, found.target.postId, found.target.userId);
+      }
+    }
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.REPORT_RESOLVE,
+      targetType: "report",
+      targetId: report.reportId,
+      before: { status: report.status, target: found ? found.target : null },
+      after: { status: resolved.status, resolution: resolved.resolution },
+      metadata: { targetType, targetId },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Report resolved successfully",
+      data: resolved,
+    });
+  } catch (err) {
+    console.error("Error in resolveReport:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to resolve report",
+      error: err.message,
+    });
+  }
+};
+
+// Dismiss a report, restoring auto-hidden content (admin)
+export const dismissReport = async (req, res) => {
+  try {
+    const { note } = req.body || {};
+
+    const report = await loadClosableReport(req, res);
+    if (!report) return;
+
+    // Only undo our own auto-hide; content a moderator hid since then stays hidden
+    const found = report.autoHidden ? await findTarget(report.targetType, report.targetId) : null;
+    const restore = !!found && found.target.isHidden && found.target.hiddenReason === "reports";
+
+    const dismissed = await Report.close(report.reportId, Report.STATUSES.DISMISSED, {
+      action: restore ? "restore" : "none",
+      note: normalizeNote(note),
+      resolvedBy: req.user.userId,
+    });
+
+    if (!dismissed) {
+      return res.status(409).json({
+        success: false,
+        message: "Report is already closed",
+      });
+    }
+
+    if (restore) {
+      await setTargetHidden(report.targetType, report.targetId, false);
+    }
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.REPORT_DISMISS,
+      targetType: "report",
+      targetId: report.reportId,
+      before: { status: report.status },
+      after: { status: dismissed.status, resolution: dismissed.resolution },
+      metadata: { targetType: report.targetType, targetId: report.targetId },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Report dismissed successfully",
+      data: dismissed,
+    });
+  } catch (err) {
+    console.error("Error in dismissReport:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to dismiss report",
+      error: err.message,
+    });
+  }
+};
@@ -0,0 +1,140 @@
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import Community from "../models/Community.js";
+import Revision from "../models/Revision.js";
+import Role from "../models/Role.js";
+import { PERMISSIONS } from "../config/permissions.js";
+import { diffText, diffTags, DIFF_MODES } from "../utils/textDiff.js";
+
+// Edit history can contain text the author later removed (sometimes to hide a
+// violation), so it is shown to the author and to moderators only. Moderators
+// see it even when the content itself is hidden from them.
+async function canViewRevisions(authorId, post, user) {
+  if (authorId === user.userId) return true;
+  if (await Role.canModeratePost(user, PERMISSIONS.REPORT_REVIEW, post)) return true;
+  if (!post.communityId) return false;
+
+  const membership = await Community.getMembership(post.communityId, user.userId);
+  return Community.isModeratorRole(membership?.role);
+}
+
+// Helper: Parse ?from=&to=&mode= against a history. Returns { error } or { from, to, mode }.
+function parseDiffQuery(query, versionCount) {
+  const mode = query.mode || "line";
+  if (!DIFF_MODES.includes(mode)) {
+    return { error: `Invalid diff mode. Must be one of: ${DIFF_MODES.join(", ")}` };
+  }
+
+  const to = query.to !== undefined ? parseInt(query.to) : versionCount;
+  const from = query.from !== undefined ? parseInt(query.from) : to - 1;
+
+  if (versionCount < 2 && query.from === undefined && query.to === undefined) {
+    return { from: null, to: null, mode };
+  }
+
+  const isValid = (version) => Number.isInteger(version) && version >= 1 && version <= versionCount;
+  if (!isValid(from) || !isValid(to) || from === to) {
+    return { error: `from and to must be different versions between 1 and ${versionCount}` };
+  }
+
+  return { from, to, mode };
+}
+
+// Helper: Diff two versions of a history (versions are numbered from 1)
+function buildDiff(versions, from, to, mode, targetType) {
+  if (from === null) return null;
+
+  const before = versions[from - 1];
+  const after = versions[to - 1];
+  const diff = { from, to, mode, content: diffText(before.content, after.content, mode) };
+
+  if (targetType === Revision.TARGET_TYPES.POST) {
+    diff.title = diffText(before.title, after.title, "word");
+    diff.tags = diffTags(before.tags, after.tags);
+  }
+
+  return diff;
+}
+
+// Shared handler body: history plus a diff, once the caller is allowed to see it
+async function sendRevisions(req, res, targetType, current) {
+  const versions = await Revision.getHistory(targetType, current);
+
+  const { error, from, to, mode } = parseDiffQuery(req.query, versions.length);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Revisions retrieved successfully",
+    data: {
+      revisions: versions,
+      diff: buildDiff(versions, from, to, mode, targetType),
+    },
+  });
+}
+
+// Get a post's edit history
+export const getPostRevisions = async (req, res) => {
+  try {
+    const post = await Post.findByPostId(req.params.postId);
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: "Post not found",
+      });
+    }
+
+    if (!(await canViewRevisions(post.userId, post, req.user))) {
+      const canView = await Community.canViewPost(post, req.user);
+      return res.status(canView ? 403 : 404).json({
+        success: false,
+        message: canView ? "Only the author and moderators can view revisions" : "Post not found",
+      });
+    }
+
+    await sendRevisions(req, res, Revision.TARGET_TYPES.POST, post);
+  } catch (err) {
+    console.error("Error in getPostRevisions:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve revisions",
+      error: err.message,
+    });
+  }
+};
+
+// Get a comment's edit history
+export const getCommentRevisions = async (req, res) => {
+  try {
+    const comment = await Comment.findByCommentId(req.params.commentId);
+    const post = comment ? await Post.findByPostId(comment.postId) : null;
+    if (!comment || !post) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment not found",
+      });
+    }
+
+    if (!(await canViewRevisions(comment.userId, post, req.user))) {
+      const canView = await Community.canViewComment(comment, req.user);
+      return res.status(canView ? 403 : 404).json({
+        success: false,
+        message: canView ? "Only the author and moderators can view revisions" : "Comment not found",
+      });
+    }
+
+    await sendRevisions(req, res, Revision.TARGET_TYPES.COMMENT, comment);
+  } catch (err) {
+    console.error("Error in getCommentRevisions:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve revisions",
+      error: err.message,
+    });
+  }
+};
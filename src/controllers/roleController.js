@@ -0,0 +1,413 @@
+import Role from "../models/Role.js";
+import User from "../models/User.js";
+import Tag from "../models/Tag.js";
+import AuditLog from "../models/AuditLog.js";
+import { BUILT_IN_ROLES, PERMISSIONS, TAG_SCOPED_PERMISSIONS, isBuiltInRole } from "../config/permissions.js";
+import { recordAudit, snapshot } from "../utils/auditTrail.js";
+
+// User fields captured in audit snapshots
+const USER_ROLE_AUDIT_FIELDS = ["userId", "name", "role", "roleTags"];
+
+// Helper: Validate an optional tag scope (returns canonical tags or undefined when invalid)
+async function normalizeTags(tags) {
+  if (tags === undefined || tags === null) return null;
+  if (!Array.isArray(tags) || tags.length === 0 || tags.length > 20) return undefined;
+  if (!tags.every(tag => Tag.isValidName(Tag.normalizeName(tag)))) return undefined;
+
+  // Post tags are stored canonical, so scopes must be too for them to match
+  return await Tag.canonicalize(tags);
+}
+
+// Helper: Non-admins can only hand out permissions they hold themselves; a tag-scoped
+// granter can only grant tag-scoped permissions within its own tags (tags = null is unscoped)
+function canDelegate(req, permissions, tags = null) {
+  if (User.getBaseRole(req.user) === "admin") return true;
+  if (!permissions.every(permission => req.permissions.includes(permission))) return false;
+
+  const granterTags = req.permissionTags || null;
+  if (!granterTags || !permissions.some(permission => TAG_SCOPED_PERMISSIONS.includes(permission))) return true;
+
+  return tags?.length > 0 && tags.every(tag => granterTags.includes(tag));
+}
+
+// Helper: Validate an optional role description
+function isValidDescription(description) {
+  return description === undefined || description === null || (typeof description === "string" && description.length <= 200);
+}
+
+// Get built-in and custom roles with the permission catalog
+export const getRoles = async (req, res) => {
+  try {
+    const customRoles = await Role.getAllRoles();
+
+    res.status(200).json({
+      success: true,
+      message: "Roles retrieved successfully",
+      data: {
+        permissions: Object.values(PERMISSIONS),
+        tagScopedPermissions: TAG_SCOPED_PERMISSIONS,
+        builtInRoles: Object.entries(BUILT_IN_ROLES).map(([name, permissions]) => ({ name, permissions })),
+        customRoles,
+      },
+    });
+  } catch (err) {
+    console.error("Error in getRoles:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve roles",
+      error: err.message,
+    });
+  }
+};
+
+// Create a custom role
+export const createRole = async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body || {};
+
+    if (!Role.isValidName(name)) {
+      return res.status(400).json({
+        success: false,
+        message: "Role name must be 3-30 lowercase letters, digits or underscores and not a built-in role",
+      });
+    }
+
+    if (!Role.arePermissionsValid(permissions) || permissions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Permissions must be a non-empty list of: ${Object.values(PERMISSIONS).join(", ")}`,
+      });
+    }
+
+    if (!isValidDescription(description)) {
+      return res.status(400).json({
+        success: false,
+        message: "Description must be a string of at most 200 characters",
+      });
+    }
+
+    if (!canDelegate(req, permissions)) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot grant permissions you do not hold",
+      });
+    }
+
+    const existingRole = await Role.findByName(name);
+    if (existingRole) {
+      return res.status(409).json({
+        success: false,
+        message: "Role already exists",
+      });
+    }
+
+    const role = await Role.create({
+      name,
+      description: description ? description.trim() : null,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user.userId,
+    });
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.ROLE_CREATE,
+      targetType: "role",
+      targetId: name,
+      after: { permissions: role.permissions, description: role.description },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Role created successfully",
+      data: role,
+    });
+  } catch (err) {
+    console.error("Error in createRole:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create role",
+      error: err.message,
+    });
+  }
+};
+
+// Update a custom role
+export const updateRole = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { description, permissions } = req.body || {};
+
+    if (isBuiltInRole(name)) {
+      return res.status(400).json({
+        success: false,
+        message: "Built-in roles cannot be modified",
+      });
+    }
+
+    if (permissions !== undefined && (!Role.arePermissionsValid(permissions) || permissions.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: `Permissions must be a non-empty list of: ${Object.values(PERMISSIONS).join(", ")}`,
+      });
+    }
+
+    if (!isValidDescription(description)) {
+      return res.status(400).json({
+        success: false,
+        message: "Description must be a string of at most 200 characters",
+      });
+    }
+
+    const role = await Role.findByName(name);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    if (permissions !== undefined && !canDelegate(req, permissions)) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot grant permissions you do not hold",
+      });
+    }
+
+    const updatedRole = await Role.update(name, {
+      permissions: permissions !== undefined ? [...new Set(permissions)] : undefined,
+      description: description !== undefined ? (description ? description.trim() : null) : undefined,
+    });
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.ROLE_UPDATE,
+      targetType: "role",
+      targetId: name,
+      before: { permissions: role.permissions, description: role.description },
+      after: { permissions: updatedRole.permissions, description: updatedRole.description },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Role updated successfully",
+      data: updatedRole,
+    });
+  } catch (err) {
+    console.error("Error in updateRole:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update role",
+      error: err.message,
+    });
+  }
+};
+
+// Delete a custom role (only once no user holds it)
+export const deleteRole = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (isBuiltInRole(name)) {
+      return res.status(400).json({
+        success: false,
+        message: "Built-in roles cannot be deleted",
+      });
+    }
+
+    const role = await Role.findByName(name);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    const holders = await User.countByRole(name);
+    if (holders > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is still assigned to ${holders} user(s); revoke it first`,
+      });
+    }
+
+    await Role.delete(name);
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.ROLE_DELETE,
+      targetType: "role",
+      targetId: name,
+      before: { permissions: role.permissions, description: role.description },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Role deleted successfully",
+    });
+  } catch (err) {
+    console.error("Error in deleteRole:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete role",
+      error: err.message,
+    });
+  }
+};
+
+// Grant a role to a user, optionally scoped to tags
+export const grantRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body || {};
+
+    // Prevent locking yourself out
+    if (req.user.userId === userId) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot change your own role",
+      });
+    }
+
+    const tags = await normalizeTags(req.body?.tags);
+    if (tags === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: `Tags must be a list of at most 20 tag names of ${Tag.MIN_NAME_LENGTH}-${Tag.MAX_NAME_LENGTH} characters`,
+      });
+    }
+
+    if (typeof role !== "string" || role === "user") {
+      return res.status(400).json({
+        success: false,
+        message: "A role to grant is required (use revoke to return a user to the default role)",
+      });
+    }
+
+    if (!isBuiltInRole(role) && !(await Role.findByName(role))) {
+      return res.status(404).json({
+        success: false,
+        message: "Role not found",
+      });
+    }
+
+    if (role === "admin" && tags) {
+      return res.status(400).json({
+        success: false,
+        message: "The admin role cannot be tag-scoped",
+      });
+    }
+
+    if (!canDelegate(req, await Role.getPermissions(role), tags)) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot grant permissions you do not hold",
+      });
+    }
+
+    const user = await User.findByUserId(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Only admins can create or demote other admins
+    if ((role === "admin" || User.getBaseRole(user) === "admin") && User.getBaseRole(req.user) !== "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins can change admin roles",
+      });
+    }
+
+    const updatedUser = await User.setRole(userId, role, tags);
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.ROLE_GRANT,
+      targetType: "user",
+      targetId: userId,
+      before: snapshot(user, USER_ROLE_AUDIT_FIELDS),
+      after: snapshot(updatedUser, USER_ROLE_AUDIT_FIELDS),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Role granted successfully",
+      data: {
+        userId: updatedUser.userId,
+        name: updatedUser.name,
+        role: updatedUser.role,
+        roleTags: updatedUser.roleTags || null,
+      },
+    });
+  } catch (err) {
+    console.error("Error in grantRole:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to grant role",
+      error: err.message,
+    });
+  }
+};
+
+// Revoke a user's role, returning them to the default user role
+export const revokeRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    // Prevent locking yourself out
+    if (req.user.userId === userId) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot change your own role",
+      });
+    }
+
+    const user = await User.findByUserId(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (User.getBaseRole(user) === "user") {
+      return res.status(400).json({
+        success: false,
+        message: "User has no role to revoke",
+      });
+    }
+
+    // Only admins can demote other admins
+    if (User.getBaseRole(user) === "admin" && User.getBaseRole(req.user) !== "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Only admins can change admin roles",
+      });
+    }
+
+    const updatedUser = await User.setRole(userId, "user");
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.ROLE_REVOKE,
+      targetType: "user",
+      targetId: userId,
+      before: snapshot(user, USER_ROLE_AUDIT_FIELDS),
+      after: snapshot(updatedUser, USER_ROLE_AUDIT_FIELDS),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Role revoked successfully",
+      data: {
+        userId: updatedUser.userId,
+        name: updatedUser.name,
+        role: updatedUser.role,
+      },
+    });
+  } catch (err) {
+    console.error("Error in revokeRole:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to revoke role",
+      error: err.message,
+    });
+  }
+};
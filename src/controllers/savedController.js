@@ -0,0 +1,258 @@
+import SavedItem from "../models/SavedItem.js";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import Community from "../models/Community.js";
+
+// Save a post (optionally into a folder)
+export const savePost = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const userId = req.user.userId;
+
+    const folder = SavedItem.normalizeFolder(req.body?.folder);
+    if (folder === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: `Folder must be a string of at most ${SavedItem.MAX_FOLDER_LENGTH} characters`,
+      });
+    }
+
+    const post = await Post.findByPostId(postId);
+    if (!(await Community.canViewPost(post, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: "Post not found",
+      });
+    }
+
+    const savedItem = await SavedItem.save(userId, SavedItem.ITEM_TYPES.POST, postId, {
+      postId,
+      folder,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Post saved successfully",
+      data: savedItem,
+    });
+  } catch (err) {
+    console.error("Error in savePost:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save post",
+      error: err.message,
+    });
+  }
+};
+
+// Unsave a post
+export const unsavePost = async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const userId = req.user.userId;
+
+    const removed = await SavedItem.unsave(userId, SavedItem.ITEM_TYPES.POST, postId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: "Post is not saved",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Post removed from saved items",
+    });
+  } catch (err) {
+    console.error("Error in unsavePost:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to unsave post",
+      error: err.message,
+    });
+  }
+};
+
+// Save a comment (optionally into a folder)
+export const saveComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const userId = req.user.userId;
+
+    const folder = SavedItem.normalizeFolder(req.body?.folder);
+    if (folder === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: `Folder must be a string of at most ${SavedItem.MAX_FOLDER_LENGTH} characters`,
+      });
+    }
+
+    const comment = await Comment.findByCommentId(commentId);
+    if (!comment || comment.isDeleted || !(await Community.canViewComment(comment, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment not found",
+      });
+    }
+
+    const savedItem = await SavedItem.save(userId, SavedItem.ITEM_TYPES.COMMENT, commentId, {
+      postId: comment.postId,
+      folder,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Comment saved successfully",
+      data: savedItem,
+    });
+  } catch (err) {
+    console.error("Error in saveComment:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save comment",
+      error: err.message,
+    });
+  }
+};
+
+// Unsave a comment
+export const unsaveComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const userId = req.user.userId;
+
+    const removed = await SavedItem.unsave(userId, SavedItem.ITEM_TYPES.COMMENT, commentId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: "Comment is not saved",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Comment removed from saved items",
+    });
+  } catch (err) {
+    console.error("Error in unsaveComment:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to unsave comment",
+      error: err.message,
+    });
+  }
+};
+
+// Get the current user's saved items
+export const getSavedItems = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { type } = req.query;
+
+    // Validate pagination
+    if (page < 1 || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+      });
+    }
+
+    if (type && !SavedItem.isValidItemType(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid type. Must be one of: ${Object.values(SavedItem.ITEM_TYPES).join(", ")}`,
+      });
+    }
+
+    // ?folder= filters to one folder, an empty value selects unsorted items
+    let folder;
+    if (req.query.folder !== undefined) {
+      folder = SavedItem.normalizeFolder(req.query.folder);
+      if (folder === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid folder",
+        });
+      }
+    }
+
+    const result = await SavedItem.getSavedByUserId(userId, page, limit, {
+      folder,
+      itemType: type,
+    });
+
+    // Resolve the saved posts and comments
+    const postIds = result.items
+      .filter(item => item.itemType === SavedItem.ITEM_TYPES.POST)
+      .map(item => item.itemId);
+    const commentIds = result.items
+      .filter(item => item.itemType === SavedItem.ITEM_TYPES.COMMENT)
+      .map(item => item.itemId);
+
+    const posts = await Post.populatePostData(
+      await Community.filterViewablePosts(await Post.getPostsByIds(postIds), req.user),
+      userId
+    );
+    const savedComments = (await Promise.all(commentIds.map(commentId => Comment.findByCommentId(commentId)))).filter(Boolean);
+    const viewableComments = await Promise.all(savedComments.map(comment => Community.canViewComment(comment, req.user)));
+    const comments = await Comment.populateCommentData(
+      savedComments.filter((_, index) => viewableComments[index]),
+      userId
+    );
+
+    const postMap = new Map(posts.map(post => [post.postId, post]));
+    const commentMap = new Map(comments.map(comment => [comment.commentId, comment]));
+
+    const data = result.items
+      .map(item => ({
+        savedId: item.savedId,
+        itemType: item.itemType,
+        folder: item.folder,
+        savedAt: item.updatedAt,
+        item: item.itemType === SavedItem.ITEM_TYPES.POST
+          ? postMap.get(item.itemId)
+          : commentMap.get(item.itemId),
+      }))
+      .filter(entry => entry.item);
+
+    res.status(200).json({
+      success: true,
+      message: "Saved items retrieved successfully",
+      data,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error("Error in getSavedItems:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve saved items",
+      error: err.message,
+    });
+  }
+};
+
+// Get the current user's saved-item folders
+export const getSavedFolders = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const folders = await SavedItem.getFolders(userId);
+
+    res.status(200).json({
+      success: true,
+      message: "Saved folders retrieved successfully",
+      data: folders,
+    });
+  } catch (err) {
+    console.error("Error in getSavedFolders:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve saved folders",
+      error: err.message,
+    });
+  }
+};
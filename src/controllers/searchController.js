@@ -1,10 +1,15 @@
 // controllers/searchController.js
 import PrefixSearchService from '../services/prefixSearchService.js';
+import AuditLog from '../models/AuditLog.js';
+import { recordAudit } from '../utils/auditTrail.js';
 
 // Autocomplete search
 export const autocomplete = async (req, res) => {
   try {
-    const { q, type = 'all', limit = 10 } = req.query;
+    const { type = 'all', limit = 10 } = req.query;
+
+    // The mention composer may send the query with its leading "@"
+    const q = typeof req.query.q === 'string' ? req.query.q.trim().replace(/^@/, '') : '';
 
     if (!q || q.trim().length < 2) {
       return res.status(400).json({
@@ -13,8 +18,11 @@ export const autocomplete = async (req, res) => {
       });
     }
 
+    // Plural aliases (?type=users for @mention autocomplete) map to the singular types
+    const typeAliases = { posts: 'post', users: 'user', tags: 'tag' };
     const validTypes = ['all', 'post', 'user', 'tag'];
-    const searchType = validTypes.includes(type) ? type : 'all';
+    const normalizedType = typeAliases[type] || type;
+    const searchType = validTypes.includes(normalizedType) ? normalizedType : 'all';
 
     const results = await PrefixSearchService.autocomplete(
       q.trim(), 
@@ -84,6 +92,15 @@ export const incrementScore = async (req, res) => {
       success = await PrefixSearchService.incrementTagScore(text);
     }
 
+    if (success) {
+      await recordAudit(req, {
+        action: AuditLog.ACTIONS.SEARCH_INDEX_INCREMENT,
+        targetType: "search_index",
+        targetId: type,
+        metadata: { text, type },
+      });
+    }
+
     res.status(200).json({
       success,
       message: success ? "Score incremented successfully" : "Failed to increment score"
@@ -125,6 +142,12 @@ export const rebuildIndex = async (req, res) => {
     const result = await PrefixSearchService.rebuildIndex();
     
     const duration = Date.now() - startTime;
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.SEARCH_INDEX_REBUILD,
+      targetType: "search_index",
+      metadata: { ...result, durationMs: duration },
+    });
     
     res.status(200).json({
       success: true,
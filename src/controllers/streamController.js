@@ -0,0 +1,102 @@
+import Post from "../models/Post.js";
+import RealtimeService from "../services/realtimeService.js";
+import Community from "../models/Community.js";
+
+const HEARTBEAT_INTERVAL_MS = 25000; // Keeps proxies from closing idle streams
+const MAX_POSTS_PER_STREAM = 10;
+const MAX_STREAMS_PER_USER = 5; // Per API instance
+
+const openStreams = new Map(); // userId -> open stream count on this instance
+
+// Helper: Write one SSE frame
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Stream live updates: notifications for the current user, plus comments and
+// votes on ?postId=a,b and new posts when ?feed=true
+export const streamEvents = async (req, res) => {
+  const userId = req.user.userId;
+
+  try {
+    const postIds = req.query.postId
+      ? [...new Set(String(req.query.postId).split(",").map(id => id.trim()).filter(Boolean))]
+      : [];
+
+    if (postIds.length > MAX_POSTS_PER_STREAM) {
+      return res.status(400).json({
+        success: false,
+        message: `A stream can follow at most ${MAX_POSTS_PER_STREAM} posts`,
+      });
+    }
+
+    for (const postId of postIds) {
+      const post = await Post.findByPostId(postId);
+      if (!(await Community.canViewPost(post, req.user))) {
+        return res.status(404).json({
+          success: false,
+          message: `Post not found: ${postId}`,
+        });
+      }
+    }
+
+    if ((openStreams.get(userId) || 0) >= MAX_STREAMS_PER_USER) {
+      return res.status(429).json({
+        success: false,
+        message: "Too many open streams. Close another tab and try again.",
+      });
+    }
+
+    const channels = [
+      RealtimeService.getUserChannel(userId),
+      ...postIds.map(postId => RealtimeService.getPostChannel(postId)),
+    ];
+    if (req.query.feed === "true") channels.push(RealtimeService.FEED_CHANNEL);
+
+    const unsubscribe = await RealtimeService.subscribe(channels, ({ event, data }) => {
+      writeEvent(res, event, data);
+    });
+
+    // The client may have gone away while we were subscribing
+    if (req.socket.destroyed) {
+      unsubscribe();
+      return;
+    }
+
+    openStreams.set(userId, (openStreams.get(userId) || 0) + 1);
+
+    res.status(200);
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache, no-transform");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no"); // Disable nginx buffering
+    res.flushHeaders();
+
+    res.write("retry: 5000\n\n");
+    writeEvent(res, "ready", { postIds, feed: req.query.feed === "true" });
+
+    const heartbeat = setInterval(() => {
+      res.write(": ping\n\n");
+    }, HEARTBEAT_INTERVAL_MS);
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+
+      const remaining = (openStreams.get(userId) || 1) - 1;
+      if (remaining > 0) openStreams.set(userId, remaining);
+      else openStreams.delete(userId);
+    });
+  } catch (err) {
+    console.error("Error in streamEvents:", err.message);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: "Failed to open event stream",
+        error: err.message,
+      });
+    } else {
+      res.end();
+    }
+  }
+};
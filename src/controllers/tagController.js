@@ -0,0 +1,307 @@
+import Tag from "../models/Tag.js";
+import Post from "../models/Post.js";
+import User from "../models/User.js";
+import AuditLog from "../models/AuditLog.js";
+import PrefixSearchService from "../services/prefixSearchService.js";
+import { recordAudit, snapshot } from "../utils/auditTrail.js";
+
+// Tag fields captured in audit snapshots
+const TAG_AUDIT_FIELDS = ["name", "description", "synonyms", "usageCount"];
+
+// Helper: Rewrite posts and user preferences from `fromNames` to `toName`, then
+// refresh the tag's usage count and the tag autocomplete index
+async function applyTagRewrite(fromNames, toName) {
+  const postsTagged = await Post.replaceTags(fromNames, toName);
+  const usersUpdated = await User.replaceTags(fromNames, toName);
+  const tag = await Tag.setUsageCount(toName, postsTagged);
+
+  // Runs in the background; the index can take a while on large forums
+  PrefixSearchService.rebuildTagIndex();
+
+  return { tag, postsTagged, usersUpdated };
+}
+
+// Browse tags (most used first by default)
+export const getTags = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const sort = req.query.sort || "popular";
+    const prefix = req.query.q ? String(req.query.q) : null;
+
+    // Validate pagination
+    if (page < 1 || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+      });
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(Tag.SORTS, sort)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Must be one of: ${Object.keys(Tag.SORTS).join(", ")}`,
+      });
+    }
+
+    const result = await Tag.getTags({ page, limit, sort, prefix });
+
+    res.status(200).json({
+      success: true,
+      message: "Tags retrieved successfully",
+      data: result.tags,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error("Error in getTags:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve tags",
+      error: err.message,
+    });
+  }
+};
+
+// Get a tag by name or synonym
+export const getTagByName = async (req, res) => {
+  try {
+    const tag = await Tag.findByName(req.params.name);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: "Tag not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Tag retrieved successfully",
+      data: tag,
+    });
+  } catch (err) {
+    console.error("Error in getTagByName:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve tag",
+      error: err.message,
+    });
+  }
+};
+
+// Update a tag's description and synonyms (admin)
+export const updateTag = async (req, res) => {
+  try {
+    const { description } = req.body || {};
+    let { synonyms } = req.body || {};
+
+    const tag = await Tag.findByName(req.params.name);
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: "Tag not found",
+      });
+    }
+
+    if (description !== undefined && description !== null &&
+        (typeof description !== "string" || description.length > Tag.MAX_DESCRIPTION_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        message: `Description must be a string of at most ${Tag.MAX_DESCRIPTION_LENGTH} characters`,
+      });
+    }
+
+    if (synonyms !== undefined) {
+      if (!Array.isArray(synonyms) || synonyms.length > Tag.MAX_SYNONYMS) {
+        return res.status(400).json({
+          success: false,
+          message: `Synonyms must be a list of at most ${Tag.MAX_SYNONYMS} tags`,
+        });
+      }
+
+      synonyms = [...new Set(synonyms.map(synonym => Tag.normalizeName(synonym)))]
+        .filter(synonym => synonym !== tag.name);
+
+      if (!synonyms.every(synonym => Tag.isValidName(synonym))) {
+        return res.status(400).json({
+          success: false,
+          message: `Synonyms must be ${Tag.MIN_NAME_LENGTH}-${Tag.MAX_NAME_LENGTH} characters long`,
+        });
+      }
+
+      // A tag already in use has to be merged instead
+      const conflicts = await Tag.findConflicts(synonyms, tag.name);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Already used by another tag (merge them instead): ${conflicts.join(", ")}`,
+        });
+      }
+    }
+
+    const updatedTag = await Tag.update(tag.name, {
+      description: description !== undefined ? (description ? description.trim() : null) : undefined,
+      synonyms,
+    });
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.TAG_UPDATE,
+      targetType: "tag",
+      targetId: tag.name,
+      before: snapshot(tag, TAG_AUDIT_FIELDS),
+      after: snapshot(updatedTag, TAG_AUDIT_FIELDS),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Tag updated successfully",
+      data: updatedTag,
+    });
+  } catch (err) {
+    console.error("Error in updateTag:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update tag",
+      error: err.message,
+    });
+  }
+};
+
+// Rename a tag; the old name keeps working as a synonym (admin)
+export const renameTag = async (req, res) => {
+  try {
+    const newName = Tag.normalizeName(req.body?.name);
+
+    if (!Tag.isValidName(newName)) {
+      return res.status(400).json({
+        success: false,
+        message: `New name must be ${Tag.MIN_NAME_LENGTH}-${Tag.MAX_NAME_LENGTH} characters long`,
+      });
+    }
+
+    const tag = await Tag.findByName(req.params.name);
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: "Tag not found",
+      });
+    }
+
+    if (tag.name === newName) {
+      return res.status(400).json({
+        success: false,
+        message: "Tag already has this name",
+      });
+    }
+
+    const conflicts = await Tag.findConflicts([newName], tag.name);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Another tag already uses this name (merge them instead)",
+      });
+    }
+
+    await Tag.absorb(newName, [tag.name]);
+    const result = await applyTagRewrite([tag.name], newName);
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.TAG_RENAME,
+      targetType: "tag",
+      targetId: newName,
+      before: snapshot(tag, TAG_AUDIT_FIELDS),
+      after: snapshot(result.tag, TAG_AUDIT_FIELDS),
+      metadata: { postsTagged: result.postsTagged, usersUpdated: result.usersUpdated },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Tag renamed successfully",
+      data: result.tag,
+    });
+  } catch (err) {
+    console.error("Error in renameTag:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to rename tag",
+      error: err.message,
+    });
+  }
+};
+
+// Merge tags into a target tag; the merged names become its synonyms (admin)
+export const mergeTags = async (req, res) => {
+  try {
+    const { sources, target } = req.body || {};
+
+    if (!Array.isArray(sources) || sources.length === 0 || sources.length > Tag.MAX_SYNONYMS || typeof target !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: `A target tag and 1-${Tag.MAX_SYNONYMS} source tags are required`,
+      });
+    }
+
+    const targetTag = await Tag.findByName(target);
+    if (!targetTag) {
+      return res.status(404).json({
+        success: false,
+        message: "Target tag not found",
+      });
+    }
+
+    const sourceTags = [];
+    for (const source of sources) {
+      const sourceTag = await Tag.findByName(source);
+      if (!sourceTag) {
+        return res.status(404).json({
+          success: false,
+          message: `Tag not found: ${source}`,
+        });
+      }
+      if (sourceTag.name !== targetTag.name && !sourceTags.some(tag => tag.name === sourceTag.name)) {
+        sourceTags.push(sourceTag);
+      }
+    }
+
+    if (sourceTags.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Nothing to merge: every source is already the target tag",
+      });
+    }
+
+    const sourceNames = sourceTags.map(tag => tag.name);
+
+    // Register the synonyms first so posts created meanwhile already map to the target
+    await Tag.absorb(targetTag.name, sourceNames);
+    const result = await applyTagRewrite(
+      [...sourceNames, ...sourceTags.flatMap(tag => tag.synonyms || [])],
+      targetTag.name
+    );
+
+    await recordAudit(req, {
+      action: AuditLog.ACTIONS.TAG_MERGE,
+      targetType: "tag",
+      targetId: targetTag.name,
+      before: {
+        target: snapshot(targetTag, TAG_AUDIT_FIELDS),
+        sources: sourceTags.map(tag => snapshot(tag, TAG_AUDIT_FIELDS)),
+      },
+      after: snapshot(result.tag, TAG_AUDIT_FIELDS),
+      metadata: { postsTagged: result.postsTagged, usersUpdated: result.usersUpdated },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Tags merged successfully",
+      data: result.tag,
+    });
+  } catch (err) {
+    console.error("Error in mergeTags:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to merge tags",
+      error: err.message,
+    });
+  }
+};
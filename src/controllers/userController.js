@@ -1,4 +1,9 @@
 import User from "../models/User.js";
+import Follow from "../models/Follow.js";
+import Tag from "../models/Tag.js";
+import Post from "../models/Post.js";
+import Comment from "../models/Comment.js";
+import { isVisibleTo } from "../utils/contentVisibility.js";
 
 // Get any user's public profile by userId
 export const getUserProfile = async (req, res) => {
@@ -14,13 +19,29 @@ export const getUserProfile = async (req, res) => {
 
     const user = await User.findByUserId(userId);
 
-    if (!user) {
+    // Hidden profiles are only shown to the user themselves and admins
+    if (!user || !(await isVisibleTo(user, req.user))) {
       return res.status(404).json({
         success: false,
         message: "User not found",
       });
     }
 
+    const viewerId = req.user?.userId || null;
+    const isFollowing = await Follow.isFollowing(viewerId, userId);
+
+    // Anonymous posts and comments are only listed on their author's own profile
+    let postIds = user.postIds || [];
+    let commentIds = user.commentIds || [];
+    if (viewerId !== userId) {
+      const [anonymousPostIds, anonymousCommentIds] = await Promise.all([
+        Post.getAnonymousPostIds(userId),
+        Comment.getAnonymousCommentIds(userId),
+      ]);
+      postIds = postIds.filter(postId => !anonymousPostIds.has(postId));
+      commentIds = commentIds.filter(commentId => !anonymousCommentIds.has(commentId));
+    }
+
     // Return only public-safe data
     res.status(200).json({
       success: true,
@@ -30,8 +51,11 @@ export const getUserProfile = async (req, res) => {
         avatarLink: user.avatarLink,
         joinDate: user.joinDate,
         role: user.role,
-        postIds: user.postIds,
-        commentIds: user.commentIds,
+        postIds,
+        commentIds,
+        followerCount: user.followerCount || 0,
+        followingCount: user.followingCount || 0,
+        isFollowing,
       },
     });
   } catch (err) {
@@ -41,4 +65,188 @@ export const getUserProfile = async (req, res) => {
       message: "Failed to fetch user profile",
     });
   }
-};
\ No newline at end of file
+};
+
+// Follow a user
+export const followUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const followerId = req.user.userId;
+
+    if (followerId === userId) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot follow yourself",
+      });
+    }
+
+    const user = await User.findByUserId(userId);
+    if (!user || !(await isVisibleTo(user, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const followed = await Follow.follow(followerId, userId);
+
+    res.status(followed ? 201 : 200).json({
+      success: true,
+      message: followed ? "User followed successfully" : "Already following this user",
+      data: { userId, isFollowing: true },
+    });
+  } catch (err) {
+    console.error("Error in followUser:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to follow user",
+      error: err.message,
+    });
+  }
+};
+
+// Unfollow a user
+export const unfollowUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const unfollowed = await Follow.unfollow(req.user.userId, userId);
+
+    if (!unfollowed) {
+      return res.status(404).json({
+        success: false,
+        message: "You are not following this user",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "User unfollowed successfully",
+      data: { userId, isFollowing: false },
+    });
+  } catch (err) {
+    console.error("Error in unfollowUser:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to unfollow user",
+      error: err.message,
+    });
+  }
+};
+
+// Helper: Shared handler for the follower and following lists
+const getFollowList = (listName, fetchList) => async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    // Validate pagination
+    if (page < 1 || limit < 1 || limit > 100) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid pagination parameters",
+      });
+    }
+
+    const user = await User.findByUserId(userId);
+    if (!user || !(await isVisibleTo(user, req.user))) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const result = await fetchList(userId, page, limit);
+
+    res.status(200).json({
+      success: true,
+      message: `${listName} retrieved successfully`,
+      data: result.users,
+      pagination: result.pagination,
+    });
+  } catch (err) {
+    console.error(`Error getting ${listName.toLowerCase()}:`, err.message);
+    res.status(500).json({
+      success: false,
+      message: `Failed to retrieve ${listName.toLowerCase()}`,
+      error: err.message,
+    });
+  }
+};
+
+// Get a user's followers
+export const getFollowers = getFollowList("Followers", (userId, page, limit) => Follow.getFollowers(userId, page, limit));
+
+// Get the users a user follows
+export const getFollowing = getFollowList("Following", (userId, page, limit) => Follow.getFollowing(userId, page, limit));
+
+// Get the current user's subscribed and muted tags
+export const getTagPreferences = async (req, res) => {
+  try {
+    const user = await User.findByUserId(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: "Tag preferences retrieved successfully",
+      data: {
+        subscribedTags: user?.subscribedTags || [],
+        mutedTags: user?.mutedTags || [],
+      },
+    });
+  } catch (err) {
+    console.error("Error in getTagPreferences:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to retrieve tag preferences",
+      error: err.message,
+    });
+  }
+};
+
+// Helper: Shared handler for subscribing to, muting and clearing tags
+const updateTagPreference = (kind, enabled) => async (req, res) => {
+  try {
+    const [tag] = await Tag.canonicalize([req.params.tag]);
+
+    if (!Tag.isValidName(tag)) {
+      return res.status(400).json({
+        success: false,
+        message: `Tag must be ${Tag.MIN_NAME_LENGTH}-${Tag.MAX_NAME_LENGTH} characters long`,
+      });
+    }
+
+    const user = await User.findByUserId(req.user.userId);
+    const current = user?.[User.TAG_PREFERENCE_FIELDS[kind]] || [];
+
+    if (enabled && !current.includes(tag) && current.length >= User.MAX_TAG_PREFERENCES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${User.MAX_TAG_PREFERENCES} ${kind === "mute" ? "muted" : "subscribed"} tags`,
+      });
+    }
+
+    const updatedUser = await User.setTagPreference(req.user.userId, tag, kind, enabled);
+
+    res.status(200).json({
+      success: true,
+      message: "Tag preferences updated successfully",
+      data: {
+        subscribedTags: updatedUser?.subscribedTags || [],
+        mutedTags: updatedUser?.mutedTags || [],
+      },
+    });
+  } catch (err) {
+    console.error("Error in updateTagPreference:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update tag preferences",
+      error: err.message,
+    });
+  }
+};
+
+export const subscribeTag = updateTagPreference("subscribe", true);
+export const unsubscribeTag = updateTagPreference("subscribe", false);
+export const muteTag = updateTagPreference("mute", true);
+export const unmuteTag = updateTagPreference("mute", false);
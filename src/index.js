@@ -15,7 +15,17 @@ import createSearchIndexes from "./config/createIndexes.js";
 import searchRoutes from './routes/searchRoutes.js'; 
 import adminRoutes from './routes/adminRoutes.js';
 import userRoutes from './routes/userRoutes.js';
+import reportRoutes from './routes/reportRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import streamRoutes from './routes/streamRoutes.js';
+import tagRoutes from './routes/tagRoutes.js';
+import communityRoutes from './routes/communityRoutes.js';
+import draftRoutes from './routes/draftRoutes.js';
+import announcementRoutes from './routes/announcementRoutes.js';
 import PrefixSearchService from './services/prefixSearchService.js';
+import PostSchedulerService from './services/postSchedulerService.js';
+import DataExportService from './services/dataExportService.js';
+import Draft from './models/Draft.js';
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -72,6 +82,16 @@ await createSearchIndexes();
 // Initialize prefix tree index (non-blocking)
 PrefixSearchService.initializeIndexIfNeeded();
 
+// Publish scheduled posts when they fall due
+PostSchedulerService.start();
+
+// Sweep expired drafts and their media hourly
+const DRAFT_SWEEP_INTERVAL = 60 * 60 * 1000;
+setInterval(() => Draft.deleteExpired(), DRAFT_SWEEP_INTERVAL);
+
+// Build queued personal data exports
+DataExportService.start();
+
 // Passport middleware (no session needed for JWT)
 app.use(passport.initialize());
 
@@ -92,6 +112,13 @@ app.use('/api/media', mediaRoutes);
 app.use('/api/admin', adminRoutes);
 app.use("/api/users", userRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/report', reportRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/communities', communityRoutes);
+app.use('/api/drafts', draftRoutes);
+app.use('/api/announcements', announcementRoutes);
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
@@ -1,4 +1,7 @@
 import passport from "passport";
+import Role from "../models/Role.js";
+import Post from "../models/Post.js";
+import { TAG_SCOPED_PERMISSIONS } from "../config/permissions.js";
 
 // Admin Authentication Middleware
 export const isAdmin = (req, res, next) => {
@@ -28,4 +31,63 @@ export const isAdmin = (req, res, next) => {
     req.user = user;
     next();
   })(req, res, next);
-};
\ No newline at end of file
+};
+
+// Permission-based authorization. Tag-scoped grants only cover post
+// moderation permissions, and only for posts carrying one of the granted tags;
+// pass getTags to resolve the target's tags for those routes.
+export const requirePermission = (permission, { getTags = null } = {}) => (req, res, next) => {
+  passport.authenticate('jwt', { session: false }, async (err, user, info) => {
+    if (err) {
+      return res.status(500).json({
+        success: false,
+        message: "Authentication error",
+      });
+    }
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: "Unauthorized. Please log in.",
+      });
+    }
+
+    try {
+      const { permissions, tags } = await Role.resolveForUser(user);
+
+      if (!permissions.includes(permission)) {
+        return res.status(403).json({
+          success: false,
+          message: `Forbidden. Missing permission: ${permission}`,
+        });
+      }
+
+      if (tags && TAG_SCOPED_PERMISSIONS.includes(permission)) {
+        const targetTags = getTags ? await getTags(req) : [];
+        if (!targetTags.some(tag => tags.includes(tag))) {
+          return res.status(403).json({
+            success: false,
+            message: "Forbidden. This content is outside your moderation scope.",
+          });
+        }
+      }
+
+      req.user = user;
+      req.permissions = permissions;
+      req.permissionTags = tags;
+      next();
+    } catch (error) {
+      console.error("Error in requirePermission:", error.message);
+      return res.status(500).json({
+        success: false,
+        message: "Authorization error",
+      });
+    }
+  })(req, res, next);
+};
+
+// Helper: Resolve the tags of the post in req.params.postId (for tag-scoped grants)
+export const getPostTags = async (req) => {
+  const post = await Post.findByPostId(req.params.postId);
+  return post?.tags || [];
+};
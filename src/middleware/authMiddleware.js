@@ -1,4 +1,5 @@
 import passport from "passport";
+import User from "../models/User.js";
 
 // JWT Authentication Middleware
 export const isAuthenticated = (req, res, next) => {
@@ -22,6 +23,18 @@ export const isAuthenticated = (req, res, next) => {
   })(req, res, next);
 };
 
+// Blocks banned users from write routes (use after isAuthenticated)
+export const isNotBanned = (req, res, next) => {
+  if (User.isBanned(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: "Your account is banned",
+      ban: User.getBanNotice(req.user),
+    });
+  }
+  next();
+};
+
 export const attachUser = (req, res, next) => {
   passport.authenticate('jwt', { session: false }, (err, user) => {
     if (!err && user) {
@@ -0,0 +1,81 @@
+import Community from "../models/Community.js";
+import Post from "../models/Post.js";
+import User from "../models/User.js";
+
+// Load the community in req.params.slug into req.community
+export const loadCommunity = async (req, res, next) => {
+  try {
+    const community = await Community.findBySlug(req.params.slug);
+    if (!community) {
+      return res.status(404).json({
+        success: false,
+        message: "Community not found",
+      });
+    }
+
+    req.community = community;
+    req.communityMembership = req.user
+      ? await Community.getMembership(community.communityId, req.user.userId)
+      : null;
+    next();
+  } catch (err) {
+    console.error("Error in loadCommunity:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load community",
+    });
+  }
+};
+
+// Private communities are readable by members and admins only (use after loadCommunity)
+export const requireCommunityAccess = async (req, res, next) => {
+  try {
+    if (!(await Community.canAccess(req.community, req.user))) {
+      // Don't reveal what's inside, only that membership is required
+      return res.status(403).json({
+        success: false,
+        message: "This community is private. Only members can view it.",
+      });
+    }
+    next();
+  } catch (err) {
+    console.error("Error in requireCommunityAccess:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Authorization error",
+    });
+  }
+};
+
+// Community owners, community moderators and site admins (use after isAuthenticated and loadCommunity)
+export const requireCommunityModerator = (req, res, next) => {
+  const isSiteAdmin = User.getBaseRole(req.user) === "admin";
+
+  if (!isSiteAdmin && !Community.isModeratorRole(req.communityMembership?.role)) {
+    return res.status(403).json({
+      success: false,
+      message: "Forbidden. Community moderator access required.",
+    });
+  }
+  next();
+};
+
+// The post in req.params.postId must belong to req.community (use after loadCommunity)
+export const requireCommunityPost = async (req, res, next) => {
+  try {
+    const post = await Post.findByPostId(req.params.postId);
+    if (!post || post.communityId !== req.community.communityId) {
+      return res.status(404).json({
+        success: false,
+        message: "Post not found in this community",
+      });
+    }
+    next();
+  } catch (err) {
+    console.error("Error in requireCommunityPost:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load post",
+    });
+  }
+};
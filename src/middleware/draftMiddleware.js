@@ -0,0 +1,33 @@
+import Draft from "../models/Draft.js";
+
+// Load the caller's draft in req.params.draftId into req.draft. Other users'
+// drafts are reported as missing so draft IDs reveal nothing.
+export const loadDraft = async (req, res, next) => {
+  try {
+    const draft = await Draft.findById(req.params.draftId);
+    if (!draft || draft.userId !== req.user.userId) {
+      return res.status(404).json({
+        success: false,
+        message: "Draft not found",
+      });
+    }
+
+    req.draft = draft;
+    next();
+  } catch (err) {
+    console.error("Error in loadDraft:", err.message);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load draft",
+    });
+  }
+};
+
+// Present the draft as a new post body so the moderation middleware checks it
+// like any other post (use after loadDraft). mediaId is left out on purpose: a
+// rejected publish must not delete media the draft still references.
+export const draftAsPostBody = (req, res, next) => {
+  const { title, content, tags, media } = req.draft;
+  req.body = { title, content, tags, media };
+  next();
+};
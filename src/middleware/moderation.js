@@ -17,17 +17,22 @@ const matcher = new RegExpMatcher({
 
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
-const MODERATION_PROMPT = `You are a content moderator for a university forum. Your task is to analyze the provided input and classify it based on the following harm types:
-
-* Sexual: Sexually suggestive or explicit content.
-* Hate: Promotes violence against, threatens, or attacks people based on their protected characteristics.
-* Harassment: Harass, intimidate, or bully others.
-* Dangerous: Promotes illegal activities, self-harm, or violence towards oneself or others.
-* Toxic: Rude, disrespectful, or unreasonable language.
-* Violent: Depicts violence, gore, or harm against individuals or groups.
-* Profanity: Obscene or vulgar language.
-* Spam: Promotional content, repetitive posts, or irrelevant content.
-* Academic Misconduct: Requests for cheating, plagiarism, or sharing exam answers.
+// Harm categories used by the AI moderator and by user reports
+export const HARM_TYPES = [
+  { name: "Sexual", description: "Sexually suggestive or explicit content." },
+  { name: "Hate", description: "Promotes violence against, threatens, or attacks people based on their protected characteristics." },
+  { name: "Harassment", description: "Harass, intimidate, or bully others." },
+  { name: "Dangerous", description: "Promotes illegal activities, self-harm, or violence towards oneself or others." },
+  { name: "Toxic", description: "Rude, disrespectful, or unreasonable language." },
+  { name: "Violent", description: "Depicts violence, gore, or harm against individuals or groups." },
+  { name: "Profanity", description: "Obscene or vulgar language." },
+  { name: "Spam", description: "Promotional content, repetitive posts, or irrelevant content." },
+  { name: "Academic Misconduct", description: "Requests for cheating, plagiarism, or sharing exam answers." },
+];
+
+export const MODERATION_PROMPT = `You are a content moderator for a university forum. Your task is to analyze the provided input and classify it based on the following harm types:
+
+${HARM_TYPES.map(type => `* ${type.name}: ${type.description}`).join("\n")}
 
 Output should be in JSON format only, no other text:
 {
@@ -42,7 +47,7 @@ Input to moderate:`;
 
 export default async function moderation(req, res, next) {
   try {
-    const { title = "", content = "" , tags=[], media, mediaId} = req.body;
+    const { title = "", content = "" , tags=[], media, mediaId, poll} = req.body;
 
     if(tags.length > 5) {
       if (mediaId && mediaId.length > 0) {
@@ -75,7 +80,12 @@ export default async function moderation(req, res, next) {
       }
     }
     
-    const text = (title + " " + content).trim();
+    // A post's poll question and options are checked along with its text
+    const pollText = poll && typeof poll === "object"
+      ? [poll.question, ...(Array.isArray(poll.options) ? poll.options : [])].filter(part => typeof part === "string").join(" ")
+      : "";
+
+    const text = (title + " " + content + " " + pollText).trim();
     if (!text || text.length < 3) {
       if (mediaId && mediaId.length > 0) {
             deleteFilesByID(mediaId);
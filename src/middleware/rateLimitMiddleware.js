@@ -8,6 +8,11 @@ import {
   checkLoginLimit,
   checkUserUpdateLimit,
   checkFeedbackLimit,
+  checkReportLimit,
+  checkFollowLimit,
+  checkCommunityCreateLimit,
+  checkDraftSaveLimit,
+  checkDataExportRateLimit,
 } from "../config/redisRateLimitHandler.js";
 
 export async function postCreationRateLimit(req, res, next) {
@@ -275,6 +280,156 @@ export async function userUpdateRateLimit(req, res, next) {
   }
 }
 
+export async function reportRateLimit(req, res, next) {
+  try {
+    const userId = req.user?.id || req.user?._id?.toString();
+    
+    if (!userId) {
+      return res.status(401).json({ 
+        success: false,
+        message: "Authentication required" 
+      });
+    }
+
+    const result = await checkReportLimit(userId);
+    
+    if (!result.allowed) {
+      res.set("Retry-After", String(result.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: "Too many reports submitted. Please try again later.",
+        retryAfter: result.retryAfter
+      });
+    }
+
+    next();
+  } catch (err) {
+    console.error("Report rate limit error:", err.message);
+    // Fail open - allow the request if middleware fails
+    next();
+  }
+}
+
+export async function followRateLimit(req, res, next) {
+  try {
+    const userId = req.user?.id || req.user?._id?.toString();
+    
+    if (!userId) {
+      return res.status(401).json({ 
+        success: false,
+        message: "Authentication required" 
+      });
+    }
+
+    const result = await checkFollowLimit(userId);
+    
+    if (!result.allowed) {
+      res.set("Retry-After", String(result.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: "Too many follow requests. Please try again later.",
+        retryAfter: result.retryAfter
+      });
+    }
+
+    next();
+  } catch (err) {
+    console.error("follow rate limit error:", err.message);
+    // Fail open - allow the request if middleware fails
+    next();
+  }
+}
+
+export async function communityCreationRateLimit(req, res, next) {
+  try {
+    const userId = req.user?.id || req.user?._id?.toString();
+    
+    if (!userId) {
+      return res.status(401).json({ 
+        success: false,
+        message: "Authentication required" 
+      });
+    }
+
+    const result = await checkCommunityCreateLimit(userId);
+    
+    if (!result.allowed) {
+      res.set("Retry-After", String(result.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: "Too many communities created. Please try again later.",
+        retryAfter: result.retryAfter
+      });
+    }
+
+    next();
+  } catch (err) {
+    console.error("Community creation rate limit error:", err.message);
+    // Fail open - allow the request if middleware fails
+    next();
+  }
+}
+
+export async function draftSaveRateLimit(req, res, next) {
+  try {
+    const userId = req.user?.id || req.user?._id?.toString();
+    
+    if (!userId) {
+      return res.status(401).json({ 
+        success: false,
+        message: "Authentication required" 
+      });
+    }
+
+    const result = await checkDraftSaveLimit(userId);
+    
+    if (!result.allowed) {
+      res.set("Retry-After", String(result.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: "Too many draft saves. Please slow down.",
+        retryAfter: result.retryAfter
+      });
+    }
+
+    next();
+  } catch (err) {
+    console.error("draft save rate limit error:", err.message);
+    // Fail open - allow the request if middleware fails
+    next();
+  }
+}
+
+export async function dataExportRateLimit(req, res, next) {
+  try {
+    const userId = req.user?.id || req.user?._id?.toString();
+    
+    if (!userId) {
+      return res.status(401).json({ 
+        success: false,
+        message: "Authentication required" 
+      });
+    }
+
+    const result = await checkDataExportRateLimit(userId);
+    
+    if (!result.allowed) {
+      res.set("Retry-After", String(result.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: "Too many data export requests. Please try again later.",
+        retryAfter: result.retryAfter
+      });
+    }
+
+    next();
+  } catch (err) {
+    console.error("data export rate limit error:", err.message);
+    // Fail open - allow the request if middleware fails
+    next();
+  }
+}
+
 export default {
   postCreationRateLimit,
   postUpdateRateLimit,
@@ -285,4 +440,9 @@ export default {
   loginRateLimit,
   userUpdateRateLimit,
   feedbackRateLimit,
+  reportRateLimit,
+  followRateLimit,
+  communityCreationRateLimit,
+  draftSaveRateLimit,
+  dataExportRateLimit,
 };
\ No newline at end of file
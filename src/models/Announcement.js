@@ -0,0 +1,277 @@
+import { ObjectId } from "mongodb";
+import mongocon from "../config/mongocon.js";
+import rediscon from "../config/rediscon.js";
+import User from "./User.js";
+import Community from "./Community.js";
+
+// Site-wide banners ("hostel allotment portal closes tonight"). Each one runs
+// between startsAt and endsAt for an audience; dismissible ones can be closed
+// per user, which is tracked in a separate collection with a composite key.
+class Announcement {
+  static SEVERITIES = ["info", "warning", "critical"];
+  static AUDIENCES = {
+    ALL: "all",
+    AUTHENTICATED: "authenticated",
+    TARGETED: "targeted", // Users holding one of `roles` or belonging to one of `communityIds`
+  };
+
+  static MAX_TITLE_LENGTH = 120;
+  static MAX_BODY_LENGTH = 2000;
+  static MAX_TARGETS = 20;
+  static ACTIVE_CACHE_KEY = "announcements:active";
+
+  constructor(data) {
+    this.announcementId = data.announcementId || new ObjectId().toString();
+    this.title = data.title;
+    this.body = data.body;
+    this.severity = data.severity || "info";
+    this.audience = data.audience || Announcement.AUDIENCES.ALL;
+    this.roles = data.roles || [];
+    this.communityIds = data.communityIds || [];
+    this.startsAt = data.startsAt || new Date();
+    this.endsAt = data.endsAt || null; // null = until deleted
+    this.isDismissible = data.isDismissible ?? true;
+    this.createdBy = data.createdBy;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  // Helper: Get the dismissal key for a user
+  static getDismissalKey(announcementId, userId) {
+    return `${announcementId}_${userId}`;
+  }
+
+  static isRunning(announcement, now = new Date()) {
+    return new Date(announcement.startsAt) <= now && (!announcement.endsAt || new Date(announcement.endsAt) > now);
+  }
+
+  // Whether an announcement targets this viewer (user may be null for anonymous requests)
+  static async isInAudience(announcement, user) {
+    if (announcement.audience === Announcement.AUDIENCES.ALL) return true;
+    if (!user) return false;
+    if (announcement.audience === Announcement.AUDIENCES.AUTHENTICATED) return true;
+
+    if (announcement.roles.includes(User.getBaseRole(user))) return true;
+
+    for (const communityId of announcement.communityIds) {
+      if (await Community.getMembership(communityId, user.userId)) return true;
+    }
+
+    return false;
+  }
+
+  // Create an announcement
+  static async create(announcementData) {
+    try {
+      const collection = await mongocon.announcementsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const announcement = new Announcement(announcementData);
+      await collection.insertOne({
+        _id: announcement.announcementId,
+        announcementId: announcement.announcementId,
+        title: announcement.title,
+        body: announcement.body,
+        severity: announcement.severity,
+        audience: announcement.audience,
+        roles: announcement.roles,
+        communityIds: announcement.communityIds,
+        startsAt: announcement.startsAt,
+        endsAt: announcement.endsAt,
+        isDismissible: announcement.isDismissible,
+        createdBy: announcement.createdBy,
+        createdAt: announcement.createdAt,
+        updatedAt: announcement.updatedAt,
+      });
+
+      await rediscon.postsCacheDel(Announcement.ACTIVE_CACHE_KEY);
+      return announcement;
+    } catch (err) {
+      console.error("Error creating announcement:", err.message);
+      throw err;
+    }
+  }
+
+  // Find an announcement by ID
+  static async findById(announcementId) {
+    try {
+      const collection = await mongocon.announcementsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      return await collection.findOne({ announcementId });
+    } catch (err) {
+      console.error("Error finding announcement:", err.message);
+      throw err;
+    }
+  }
+
+  // Update an announcement
+  static async update(announcementId, updateData) {
+    try {
+      const collection = await mongocon.announcementsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const announcement = await collection.findOneAndUpdate(
+        { announcementId },
+        { $set: { ...updateData, updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+
+      await rediscon.postsCacheDel(Announcement.ACTIVE_CACHE_KEY);
+      return announcement;
+    } catch (err) {
+      console.error("Error updating announcement:", err.message);
+      throw err;
+    }
+  }
+
+  // Delete an announcement and its dismissals
+  static async delete(announcementId) {
+    try {
+      const collection = await mongocon.announcementsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const announcement = await collection.findOneAndDelete({ announcementId });
+      if (!announcement) return null;
+
+      const dismissals = await mongocon.announcementDismissalsCollection();
+      if (dismissals) await dismissals.deleteMany({ announcementId });
+
+      await rediscon.postsCacheDel(Announcement.ACTIVE_CACHE_KEY);
+      return announcement;
+    } catch (err) {
+      console.error("Error deleting announcement:", err.message);
+      throw err;
+    }
+  }
+
+  // Get all announcements with pagination (latest start first), for admins
+  static async getAnnouncements(page = 1, limit = 20) {
+    try {
+      const collection = await mongocon.announcementsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const skip = (page - 1) * limit;
+
+      const result = await collection.aggregate([
+        {
+          $facet: {
+            metadata: [{ $count: "total" }],
+            data: [
+              { $sort: { startsAt: -1 } },
+              { $skip: skip },
+              { $limit: limit }
+            ]
+          }
+        }
+      ]).toArray();
+
+      const total = result[0].metadata[0]?.total || 0;
+
+      return {
+        announcements: result[0].data,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (err) {
+      console.error("Error getting announcements:", err.message);
+      throw err;
+    }
+  }
+
+  // Announcements that haven't ended, cached in Redis. Upcoming ones are
+  // included so the cache stays valid until an admin changes something;
+  // the start/end window is applied when reading.
+  static async getUnexpired() {
+    const cachedAnnouncements = await rediscon.postsCacheGet(Announcement.ACTIVE_CACHE_KEY);
+    if (cachedAnnouncements) return cachedAnnouncements;
+
+    try {
+      const collection = await mongocon.announcementsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const announcements = await collection
+        .find({ $or: [{ endsAt: null }, { endsAt: { $gt: new Date() } }] })
+        .sort({ startsAt: -1 })
+        .toArray();
+
+      await rediscon.postsCacheSet(Announcement.ACTIVE_CACHE_KEY, announcements);
+      return announcements;
+    } catch (err) {
+      console.error("Error getting unexpired announcements:", err.message);
+      throw err;
+    }
+  }
+
+  // Running announcements for a viewer, most severe first, without the ones they dismissed
+  static async getActiveForUser(user = null) {
+    try {
+      const now = new Date();
+      const running = (await Announcement.getUnexpired()).filter(announcement => Announcement.isRunning(announcement, now));
+
+      const visible = [];
+      for (const announcement of running) {
+        if (await Announcement.isInAudience(announcement, user)) visible.push(announcement);
+      }
+
+      const dismissedIds = user
+        ? await Announcement.getDismissedIds(user.userId, visible.map(announcement => announcement.announcementId))
+        : new Set();
+
+      return visible
+        .filter(announcement => !(announcement.isDismissible && dismissedIds.has(announcement.announcementId)))
+        .sort((a, b) =>
+          Announcement.SEVERITIES.indexOf(b.severity) - Announcement.SEVERITIES.indexOf(a.severity) ||
+          new Date(b.startsAt) - new Date(a.startsAt)
+        );
+    } catch (err) {
+      console.error("Error getting active announcements:", err.message);
+      throw err;
+    }
+  }
+
+  // Which of these announcements a user has dismissed
+  static async getDismissedIds(userId, announcementIds) {
+    try {
+      if (announcementIds.length === 0) return new Set();
+
+      const collection = await mongocon.announcementDismissalsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const dismissals = await collection
+        .find({ userId, announcementId: { $in: announcementIds } }, { projection: { announcementId: 1 } })
+        .toArray();
+
+      return new Set(dismissals.map(dismissal => dismissal.announcementId));
+    } catch (err) {
+      console.error("Error getting dismissed announcements:", err.message);
+      throw err;
+    }
+  }
+
+  // Dismiss an announcement for a user (dismissing twice is a no-op)
+  static async dismiss(announcementId, userId) {
+    try {
+      const collection = await mongocon.announcementDismissalsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const dismissalId = Announcement.getDismissalKey(announcementId, userId);
+      await collection.updateOne(
+        { _id: dismissalId },
+        { $setOnInsert: { dismissalId, announcementId, userId, createdAt: new Date() } },
+        { upsert: true }
+      );
+
+      return true;
+    } catch (err) {
+      console.error("Error dismissing announcement:", err.message);
+      throw err;
+    }
+  }
+}
+
+export default Announcement;
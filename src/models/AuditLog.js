@@ -0,0 +1,172 @@
+import { ObjectId } from "mongodb";
+import mongocon from "../config/mongocon.js";
+
+// Append-only record of privileged actions. Entries are never updated or
+// deleted through the API, so this model only exposes inserts and reads.
+class AuditLog {
+  static ACTIONS = {
+    POST_PIN: "post.pin",
+    POST_UNPIN: "post.unpin",
+    POST_LOCK: "post.lock",
+    POST_UNLOCK: "post.unlock",
+    POST_DELETE: "post.delete",
+    USER_BAN: "user.ban",
+    USER_UNBAN: "user.unban",
+    FEEDBACK_DELETE: "feedback.delete",
+    SEARCH_INDEX_REBUILD: "search_index.rebuild",
+    SEARCH_INDEX_INCREMENT: "search_index.increment",
+    REPORT_CLAIM: "report.claim",
+    REPORT_RESOLVE: "report.resolve",
+    REPORT_DISMISS: "report.dismiss",
+    ROLE_CREATE: "role.create",
+    ROLE_UPDATE: "role.update",
+    ROLE_DELETE: "role.delete",
+    ROLE_GRANT: "role.grant",
+    ROLE_REVOKE: "role.revoke",
+    TAG_UPDATE: "tag.update",
+    TAG_RENAME: "tag.rename",
+    TAG_MERGE: "tag.merge",
+    COMMUNITY_UPDATE: "community.update",
+    COMMUNITY_MEMBER_ADD: "community.member_add",
+    COMMUNITY_MEMBER_REMOVE: "community.member_remove",
+    COMMUNITY_MODERATOR_ADD: "community.moderator_add",
+    COMMUNITY_MODERATOR_REMOVE: "community.moderator_remove",
+    ANNOUNCEMENT_CREATE: "announcement.create",
+    ANNOUNCEMENT_UPDATE: "announcement.update",
+    ANNOUNCEMENT_DELETE: "announcement.delete",
+    POST_DEANONYMIZE: "post.deanonymize",
+    COMMENT_DEANONYMIZE: "comment.deanonymize",
+  };
+
+  static EXPORT_LIMIT = 10000;
+
+  constructor(data) {
+    this.auditId = data.auditId || new ObjectId().toString();
+    this.actorId = data.actorId;
+    this.actorName = data.actorName || null;
+    this.action = data.action;
+    this.targetType = data.targetType || null;
+    this.targetId = data.targetId || null;
+    this.before = data.before ?? null; // Snapshot of the target before the action
+    this.after = data.after ?? null; // Snapshot of the target after the action
+    this.metadata = data.metadata || null;
+    this.ip = data.ip || null;
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  static isValidAction(action) {
+    return Object.values(AuditLog.ACTIONS).includes(action);
+  }
+
+  // Append an entry
+  static async record(entryData) {
+    try {
+      const collection = await mongocon.auditlogCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const entry = new AuditLog(entryData);
+      const result = await collection.insertOne({
+        _id: entry.auditId,
+        auditId: entry.auditId,
+        actorId: entry.actorId,
+        actorName: entry.actorName,
+        action: entry.action,
+        targetType: entry.targetType,
+        targetId: entry.targetId,
+        before: entry.before,
+        after: entry.after,
+        metadata: entry.metadata,
+        ip: entry.ip,
+        createdAt: entry.createdAt,
+      });
+
+      if (result.acknowledged) {
+        return entry;
+      }
+      throw new Error("Failed to record audit entry");
+    } catch (err) {
+      console.error("Error recording audit entry:", err.message);
+      throw err;
+    }
+  }
+
+  // Helper: Build a Mongo filter from audit query filters
+  static buildFilter(filters = {}) {
+    const match = {};
+    if (filters.actorId) match.actorId = filters.actorId;
+    if (filters.action) match.action = filters.action;
+    if (filters.targetType) match.targetType = filters.targetType;
+    if (filters.targetId) match.targetId = filters.targetId;
+
+    if (filters.from || filters.to) {
+      match.createdAt = {};
+      if (filters.from) match.createdAt.$gte = filters.from;
+      if (filters.to) match.createdAt.$lte = filters.to;
+    }
+
+    return match;
+  }
+
+  // Get audit entries with pagination (newest first)
+  static async getLogs(page = 1, limit = 50, filters = {}) {
+    try {
+      const collection = await mongocon.auditlogCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const skip = (page - 1) * limit;
+
+      const result = await collection.aggregate([
+        {
+          $match: AuditLog.buildFilter(filters)
+        },
+        {
+          $facet: {
+            entries: [
+              { $sort: { createdAt: -1, auditId: -1 } },
+              { $skip: skip },
+              { $limit: limit }
+            ],
+            totalCount: [
+              { $count: "count" }
+            ]
+          }
+        }
+      ]).toArray();
+
+      const entries = result[0].entries;
+      const total = result[0].totalCount[0]?.count || 0;
+
+      return {
+        entries,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (err) {
+      console.error("Error getting audit entries:", err.message);
+      throw err;
+    }
+  }
+
+  // Get audit entries for export (newest first, capped at EXPORT_LIMIT)
+  static async getLogsForExport(filters = {}) {
+    try {
+      const collection = await mongocon.auditlogCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      return await collection
+        .find(AuditLog.buildFilter(filters))
+        .sort({ createdAt: -1, auditId: -1 })
+        .limit(AuditLog.EXPORT_LIMIT)
+        .toArray();
+    } catch (err) {
+      console.error("Error exporting audit entries:", err.message);
+      throw err;
+    }
+  }
+}
+
+export default AuditLog;
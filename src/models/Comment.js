@@ -3,6 +3,15 @@ import mongocon from "../config/mongocon.js";
 import rediscon from "../config/rediscon.js";
 import User from "./User.js"
 import Post from "./Post.js"
+import CommentVote from "./CommentVote.js"
+import SavedItem from "./SavedItem.js";
+import Report from "./Report.js";
+import Revision from "./Revision.js";
+import NotificationService from "../services/notificationService.js";
+import RealtimeService from "../services/realtimeService.js";
+import { encodeCursor } from "../utils/cursorUtils.js";
+import { resolveMentions } from "../utils/mentions.js";
+import { getAnonymousName, maskAnonymousAuthor } from "../utils/anonymity.js";
 
 class Comment {
   constructor(data) {
@@ -17,6 +26,9 @@ class Comment {
     this.updatedAt = data.updatedAt || new Date();
     this.isEdited = data.isEdited || false;
     this.isDeleted = data.isDeleted || false;
+    this.mentions = data.mentions || []; // [{ userId, name, start, end }] within content
+    this.isAnonymous = data.isAnonymous || false; // Author shown as anonymousName; userId is kept for moderation
+    this.anonymousName = data.anonymousName || null;
   }
 
   // Create a new comment
@@ -25,7 +37,11 @@ class Comment {
       const collection = await mongocon.commentsCollection();
       if (!collection) throw new Error("Database connection failed");
 
-      const newComment = new Comment(commentData);
+      const newComment = new Comment({
+        ...commentData,
+        mentions: await resolveMentions(commentData.content),
+      });
+      if (newComment.isAnonymous) newComment.anonymousName = getAnonymousName(newComment.postId, newComment.userId);
       const result = await collection.insertOne({
         _id: newComment.commentId,
         commentId: newComment.commentId,
@@ -39,12 +55,24 @@ class Comment {
         updatedAt: newComment.updatedAt,
         isEdited: newComment.isEdited,
         isDeleted: newComment.isDeleted,
+        mentions: newComment.mentions,
+        isAnonymous: newComment.isAnonymous,
+        anonymousName: newComment.anonymousName,
       });
 
       if (result.acknowledged) {
         await rediscon.commentsCacheSet(newComment.commentId, newComment);
         User.addComment(newComment.userId,newComment.commentId)
         Post.addComment(newComment.postId,newComment.commentId)
+        NotificationService.notifyNewComment(newComment);
+        RealtimeService.publishNewComment(newComment);
+        NotificationService.notifyMentions(newComment.mentions, {
+          actorId: newComment.userId,
+          isAnonymous: newComment.isAnonymous,
+          targetType: "comment",
+          targetId: newComment.commentId,
+          postId: newComment.postId,
+        });
         return newComment;
       }
       throw new Error("Failed to create comment");
@@ -57,8 +85,8 @@ class Comment {
   static async populateUserData(comments) {
   if (!comments || comments.length === 0) return comments;
 
-  // Extract unique userIds
-  const userIds = [...new Set(comments.map(c => c.userId))];
+  // Extract unique userIds (anonymous authors are never looked up)
+  const userIds = [...new Set(comments.filter(c => !c.isAnonymous).map(c => c.userId))];
 
   const userMap = new Map();
   const missingUserIds = [];
@@ -103,8 +131,8 @@ class Comment {
     }
   }
 
-  // 3️⃣ Attach user object to each comment
-  return comments.map(comment => ({
+  // 3️⃣ Attach user object to each comment; anonymous comments get their pseudonym instead
+  return comments.map(comment => comment.isAnonymous ? maskAnonymousAuthor(comment) : ({
     ...comment,
     user: userMap.get(comment.userId) || {
       userId: comment.userId,
@@ -115,6 +143,88 @@ class Comment {
   }));
 }
 
+  // Populate vote data for comments
+  static async populateVoteData(comments, userId) {
+    if (!comments || comments.length === 0 || !userId) {
+      // If no userId, return comments with vote: 0
+      return (comments || []).map(comment => ({ ...comment, vote: 0 }));
+    }
+
+    try {
+      // Get unique comment IDs
+      const commentIds = [...new Set(comments.map(comment => comment.commentId))];
+
+      const voteMap = new Map();
+      const missingVoteIds = [];
+
+      // Check cache first
+      for (const commentId of commentIds) {
+        const voteId = CommentVote.getVoteKey(commentId, userId);
+        const cachedVote = await rediscon.commentsCacheGet(`vote:${voteId}`);
+        if (cachedVote) {
+          voteMap.set(commentId, cachedVote.vote);
+        } else {
+          missingVoteIds.push(commentId);
+        }
+      }
+
+      // Fetch missing votes from database
+      if (missingVoteIds.length > 0) {
+        const collection = await mongocon.commentvoteCollection();
+        if (collection) {
+          const voteIds = missingVoteIds.map(commentId => CommentVote.getVoteKey(commentId, userId));
+          const votes = await collection
+            .find({ voteId: { $in: voteIds } })
+            .toArray();
+
+          // Cache the fetched votes and add to map
+          for (const vote of votes) {
+            voteMap.set(vote.commentId, vote.vote);
+            await rediscon.commentsCacheSet(`vote:${vote.voteId}`, vote);
+          }
+        }
+      }
+
+      // Populate comments with vote data
+      return comments.map(comment => ({
+        ...comment,
+        vote: voteMap.get(comment.commentId) || 0
+      }));
+    } catch (err) {
+      console.error("Error populating comment vote data:", err.message);
+      // Return comments with default vote: 0 on error
+      return comments.map(comment => ({ ...comment, vote: 0 }));
+    }
+  }
+
+  // Helper: Hidden comments keep their place in threads but not their content
+  // (the author still sees their own comment)
+  static maskHidden(comment, userId = null) {
+    if (!comment.isHidden || comment.userId === userId) return comment;
+    return { ...comment, content: "[hidden pending review]" };
+  }
+
+  // Populate both user and vote data
+  static async populateCommentData(comments, userId = null) {
+    if (!comments || comments.length === 0) return comments;
+
+    try {
+      // Hidden content is masked before anonymous authors are, while the real author is still known
+      let populatedComments = await Comment.populateUserData(comments.map(comment => Comment.maskHidden(comment, userId)));
+      populatedComments = await Comment.populateVoteData(populatedComments, userId);
+
+      const commentIds = [...new Set(populatedComments.map(comment => comment.commentId))];
+      const savedIds = await SavedItem.getSavedItemIds(userId, SavedItem.ITEM_TYPES.COMMENT, commentIds);
+      return populatedComments.map(comment => ({
+        ...comment,
+        isSaved: savedIds.has(comment.commentId)
+      }));
+    } catch (err) {
+      console.error("Error populating comment data:", err.message);
+      return comments.map(maskAnonymousAuthor);
+    }
+  }
+
 
   // Find comment by Comment ID
   static async findByCommentId(commentId) {
@@ -135,21 +245,47 @@ class Comment {
     }
   }
 
+  // Helper: Cursor scope for a post's top-level comments.
+  // Cursors hold [index in post.commentIds, commentId] of the last comment returned.
+  static getCommentsCursorScope(postId) {
+    return `comments:post:${postId}`;
+  }
+
   // Get comments by post ID with pagination
-  static async getCommentsByPostId(postId, page = 1, limit = 20) {
+  static async getCommentsByPostId(postId, page = 1, limit = 20, userId = null, cursor = null) {
   try {
     // First, try to get commentIds from Post collection
     const post = await Post.findByPostId(postId);
+    const scope = Comment.getCommentsCursorScope(postId);
+
+    if (cursor && !(post && post.commentIds && post.commentIds.length > 0)) {
+      return {
+        comments: [],
+        pagination: { limit, hasMore: false, nextCursor: null },
+      };
+    }
     
     if (post && post.commentIds && post.commentIds.length > 0) {
-      const allCommentIds = post.commentIds;
+      // A question's accepted answer leads the list
+      const allCommentIds = post.acceptedAnswerId && post.commentIds.includes(post.acceptedAnswerId)
+        ? [post.acceptedAnswerId, ...post.commentIds.filter(id => id !== post.acceptedAnswerId)]
+        : post.commentIds;
       const topLevelComments = [];
       let currentIndex = (page - 1) * limit;
+      let lastIndex = -1;
       const batchSize = limit;
 
+      // Resume right after the cursor's comment (or its old slot if it was removed)
+      if (cursor) {
+        const [cursorIndex, cursorCommentId] = cursor;
+        const foundIndex = allCommentIds.indexOf(cursorCommentId);
+        currentIndex = foundIndex > -1 ? foundIndex + 1 : cursorIndex;
+      }
+
       // Keep fetching batches until we have enough top-level comments or run out of IDs
       while (topLevelComments.length < limit && currentIndex < allCommentIds.length) {
         // Get next batch of comment IDs
+        const batchStart = currentIndex;
         const batchCommentIds = allCommentIds.slice(currentIndex, currentIndex + batchSize);
         currentIndex += batchSize;
 
@@ -195,13 +331,14 @@ class Comment {
         // Create a map and maintain order
         const commentsMap = new Map(batchComments.map(comment => [comment.commentId, comment]));
         
-        // Filter this batch for top-level comments only
-        const batchTopLevelComments = batchCommentIds
-          .map(id => commentsMap.get(id))
-          .filter(comment => comment && !comment.isDeleted && !comment.parentCommentId);
-
-        // Add to our collection
-        topLevelComments.push(...batchTopLevelComments);
+        // Filter this batch for top-level comments only, remembering where the page ends
+        batchCommentIds.forEach((id, i) => {
+          const comment = commentsMap.get(id);
+          if (comment && !comment.isDeleted && !comment.parentCommentId && topLevelComments.length < limit) {
+            topLevelComments.push(comment);
+            lastIndex = batchStart + i;
+          }
+        });
       }
 
       // Trim to exact limit if we fetched more
@@ -216,6 +353,20 @@ class Comment {
         await rediscon.commentsCacheMSet(cachePairs);
       }
 
+      const hasMore = lastIndex > -1 && lastIndex < allCommentIds.length - 1;
+      const nextCursor = hasMore
+        ? encodeCursor(scope, [lastIndex, allCommentIds[lastIndex]])
+        : null;
+
+      // Cursor requests skip the full top-level count below
+      if (cursor) {
+        const populated = await Comment.populateCommentData(finalComments, userId);
+        return {
+          comments: populated,
+          pagination: { limit, hasMore, nextCursor },
+        };
+      }
+
       // Calculate total count of top-level comments (we need to check all)
       // This is expensive but necessary for accurate pagination
       let totalTopLevelCount = 0;
@@ -235,7 +386,7 @@ class Comment {
         }
       }
 
-      const populated = await Comment.populateUserData(finalComments);
+      const populated = await Comment.populateCommentData(finalComments, userId);
       return {
         comments: populated,
         pagination: {
@@ -243,6 +394,7 @@ class Comment {
           limit,
           total: totalTopLevelCount,
           totalPages: Math.ceil(totalTopLevelCount / limit),
+          nextCursor,
         },
       };
     }
@@ -288,8 +440,9 @@ class Comment {
       await rediscon.commentsCacheMSet(cachePairs);
     }
 
+    const populated = await Comment.populateCommentData(comments, userId);
     return {
-      comments,
+      comments: populated,
       pagination: {
         page,
         limit,
@@ -303,7 +456,7 @@ class Comment {
   }
 }
   // Get replies to a specific comment
-static async getRepliesByCommentId(parentCommentId, page = 1, limit = 10) {
+static async getRepliesByCommentId(parentCommentId, page = 1, limit = 10, userId = null) {
   try {
     const collection = await mongocon.commentsCollection();
     if (!collection) throw new Error("Database connection failed");
@@ -344,8 +497,8 @@ static async getRepliesByCommentId(parentCommentId, page = 1, limit = 10) {
       await rediscon.commentsCacheMSet(cachePairs);
     }
 
-    // IMPORTANT: Populate user data for replies
-    const populatedReplies = await Comment.populateUserData(replies);
+    // IMPORTANT: Populate user and vote data for replies
+    const populatedReplies = await Comment.populateCommentData(replies, userId);
 
     return {
       replies: populatedReplies,
@@ -362,17 +515,190 @@ static async getRepliesByCommentId(parentCommentId, page = 1, limit = 10) {
   }
 }
 
+  // Build a nested comment tree for a post (top-level page + reply levels)
+  static async getCommentTree(postId, options = {}) {
+    const {
+      page = 1,
+      limit = 20,
+      maxDepth = 3,
+      repliesPerNode = 5,
+      userId = null,
+    } = options;
+
+    try {
+      const result = await Comment.getCommentsByPostId(postId, page, limit, userId);
+      const comments = await Comment.attachReplies(result.comments, 0, maxDepth, repliesPerNode, userId);
+
+      return {
+        comments,
+        pagination: result.pagination,
+      };
+    } catch (err) {
+      console.error("Error building comment tree:", err.message);
+      throw err;
+    }
+  }
+
+  // Continue a truncated branch: one page of replies, each with its own subtree
+  static async getCommentSubtree(commentId, options = {}) {
+    const {
+      page = 1,
+      maxDepth = 3,
+      repliesPerNode = 5,
+      userId = null,
+    } = options;
+
+    try {
+      const result = await Comment.getRepliesByCommentId(commentId, page, repliesPerNode, userId);
+      const replies = await Comment.attachReplies(result.replies, 1, maxDepth, repliesPerNode, userId);
+
+      return {
+        replies,
+        pagination: result.pagination,
+        loadMore: result.pagination.totalPages > page
+          ? Comment.getLoadMoreCursor(commentId, page + 1, repliesPerNode)
+          : null,
+      };
+    } catch (err) {
+      console.error("Error building comment subtree:", err.message);
+      throw err;
+    }
+  }
+
+  // Helper: Attach replies to each node until maxDepth is reached. Each level is
+  // loaded for all of its nodes at once, so a tree costs a few queries per level
+  // rather than one per comment.
+  static async attachReplies(nodes, depth, maxDepth, repliesPerNode, userId) {
+    if (!nodes || nodes.length === 0) return [];
+
+    const commentIds = nodes.map(node => node.commentId);
+
+    // Depth limit reached - only report how many replies are hidden
+    if (depth >= maxDepth) {
+      const replyCounts = await Comment.getReplyCountsByCommentIds(commentIds);
+      return nodes.map(node => {
+        const replyCount = replyCounts.get(node.commentId) || 0;
+        return {
+          ...node,
+          replies: [],
+          replyCount,
+          loadMore: replyCount > 0
+            ? Comment.getLoadMoreCursor(node.commentId, 1, repliesPerNode)
+            : null,
+        };
+      });
+    }
+
+    const { replies, totals } = await Comment.getRepliesByParentIds(commentIds, repliesPerNode, userId);
+    const children = await Comment.attachReplies(replies, depth + 1, maxDepth, repliesPerNode, userId);
+
+    const childrenByParent = new Map();
+    for (const child of children) {
+      if (!childrenByParent.has(child.parentCommentId)) childrenByParent.set(child.parentCommentId, []);
+      childrenByParent.get(child.parentCommentId).push(child);
+    }
+
+    return nodes.map(node => {
+      const replyCount = totals.get(node.commentId) || 0;
+      return {
+        ...node,
+        replies: childrenByParent.get(node.commentId) || [],
+        replyCount,
+        loadMore: replyCount > repliesPerNode
+          ? Comment.getLoadMoreCursor(node.commentId, 2, repliesPerNode)
+          : null,
+      };
+    });
+  }
+
+  // Helper: First `limit` replies (oldest first) of several comments in one query.
+  // Returns { replies, totals } with totals mapping each parent to its reply count.
+  static async getRepliesByParentIds(parentCommentIds, limit, userId = null) {
+    try {
+      const collection = await mongocon.commentsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const groups = await collection.aggregate([
+        { $match: { parentCommentId: { $in: parentCommentIds }, isDeleted: false } },
+        { $sort: { createdAt: 1 } },
+        {
+          $group: {
+            _id: "$parentCommentId",
+            replies: { $firstN: { n: limit, input: "$$ROOT" } },
+            total: { $sum: 1 },
+          }
+        }
+      ]).toArray();
+
+      const totals = new Map(groups.map(group => [group._id, group.total]));
+      const replies = groups.flatMap(group => group.replies);
+
+      // Cache fetched replies
+      if (replies.length > 0) {
+        const cachePairs = {};
+        replies.forEach((reply) => {
+          cachePairs[reply.commentId] = reply;
+        });
+        await rediscon.commentsCacheMSet(cachePairs);
+      }
+
+      return {
+        replies: await Comment.populateCommentData(replies, userId),
+        totals,
+      };
+    } catch (err) {
+      console.error("Error getting replies by parent IDs:", err.message);
+      throw err;
+    }
+  }
+
+  // Helper: Reply counts of several comments in one query (Map of commentId -> count)
+  static async getReplyCountsByCommentIds(commentIds) {
+    try {
+      const collection = await mongocon.commentsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const counts = await collection.aggregate([
+        { $match: { parentCommentId: { $in: commentIds }, isDeleted: false } },
+        { $group: { _id: "$parentCommentId", count: { $sum: 1 } } }
+      ]).toArray();
+
+      return new Map(counts.map(({ _id, count }) => [_id, count]));
+    } catch (err) {
+      console.error("Error getting reply counts:", err.message);
+      throw err;
+    }
+  }
+
+  // Helper: Describe where a client can continue a truncated branch
+  static getLoadMoreCursor(commentId, page, limit) {
+    return {
+      commentId,
+      page,
+      limit,
+      endpoint: `/api/comment/${commentId}/tree?page=${page}&replies=${limit}`,
+    };
+  }
+
   // Get comments by user ID
   // Get comments by user ID with pagination - optimized version
-static async getCommentsByUserId(userId, page = 1, limit = 20) {
+  // Anonymous comments are only listed (and counted) for their author, so pass
+  // includeAnonymous only when the viewer is the user
+static async getCommentsByUserId(userId, page = 1, limit = 20, { includeAnonymous = false } = {}) {
   try {
     // First, try to get commentIds from User collection
     const user = await User.findByUserId(userId);
+    let commentIds = user?.commentIds || [];
+
+    if (!includeAnonymous && commentIds.length > 0) {
+      const anonymousIds = await Comment.getAnonymousCommentIds(userId);
+      commentIds = commentIds.filter(commentId => !anonymousIds.has(commentId));
+    }
     
-    if (user && user.commentIds && user.commentIds.length > 0) {
+    if (commentIds.length > 0) {
       // User exists and has comments in commentIds array
       const skip = (page - 1) * limit;
-      const paginatedCommentIds = user.commentIds.slice(skip, skip + limit);
+      const paginatedCommentIds = commentIds.slice(skip, skip + limit);
 
       if (paginatedCommentIds.length === 0) {
         return {
@@ -380,8 +706,8 @@ static async getCommentsByUserId(userId, page = 1, limit = 20) {
           pagination: {
             page,
             limit,
-            total: user.commentIds.length,
-            totalPages: Math.ceil(user.commentIds.length / limit),
+            total: commentIds.length,
+            totalPages: Math.ceil(commentIds.length / limit),
           },
         };
       }
@@ -443,8 +769,8 @@ static async getCommentsByUserId(userId, page = 1, limit = 20) {
         pagination: {
           page,
           limit,
-          total: user.commentIds.length,
-          totalPages: Math.ceil(user.commentIds.length / limit),
+          total: commentIds.length,
+          totalPages: Math.ceil(commentIds.length / limit),
         },
       };
     }
@@ -460,7 +786,8 @@ static async getCommentsByUserId(userId, page = 1, limit = 20) {
       {
         $match: { 
           userId,
-          isDeleted: false
+          isDeleted: false,
+          ...(includeAnonymous ? {} : { isAnonymous: { $ne: true } })
         }
       },
       {
@@ -504,8 +831,41 @@ static async getCommentsByUserId(userId, page = 1, limit = 20) {
   }
 }
 
+  // IDs of a user's anonymous comments
+  static async getAnonymousCommentIds(userId) {
+    try {
+      const collection = await mongocon.commentsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const comments = await collection
+        .find({ userId, isAnonymous: true }, { projection: { commentId: 1 } })
+        .toArray();
+
+      return new Set(comments.map(comment => comment.commentId));
+    } catch (err) {
+      console.error("Error getting anonymous comment IDs:", err.message);
+      throw err;
+    }
+  }
+
+  // Every comment a user wrote, including deleted and hidden ones (personal data export)
+  static async getCommentsForExport(userId) {
+    try {
+      const collection = await mongocon.commentsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      return await collection
+        .find({ userId }, { projection: { _id: 0 } })
+        .sort({ createdAt: 1 })
+        .toArray();
+    } catch (err) {
+      console.error("Error exporting comments:", err.message);
+      throw err;
+    }
+  }
+
   // Update comment
-  static async updateComment(commentId, content) {
+  static async updateComment(commentId, content, editorId = null) {
     try {
       const collection = await mongocon.commentsCollection();
       if (!collection) throw new Error("Database connection failed");
@@ -515,11 +875,19 @@ static async getCommentsByUserId(userId, page = 1, limit = 20) {
         return null;
       }
 
+      // Keep the version being replaced in the comment's edit history
+      const oldComment = await Comment.findByCommentId(commentId);
+      if (!oldComment) return null;
+      if (oldComment.content !== content.trim()) {
+        await Revision.record(Revision.TARGET_TYPES.COMMENT, oldComment, editorId || oldComment.userId);
+      }
+
       const result = await collection.updateOne(
         { commentId },
         {
           $set: {
             content: content.trim(),
+            mentions: await resolveMentions(content.trim()),
             updatedAt: new Date(),
             isEdited: true,
           },
@@ -528,7 +896,15 @@ static async getCommentsByUserId(userId, page = 1, limit = 20) {
 
       if (result.modifiedCount > 0) {
         await rediscon.commentsCacheDel(commentId);
-        return await Comment.findByCommentId(commentId);
+        const updatedComment = await Comment.findByCommentId(commentId);
+        NotificationService.notifyMentions(updatedComment.mentions, {
+          actorId: updatedComment.userId,
+          isAnonymous: updatedComment.isAnonymous,
+          targetType: "comment",
+          targetId: commentId,
+          postId: updatedComment.postId,
+        });
+        return updatedComment;
       }
 
       return null;
@@ -538,6 +914,16 @@ static async getCommentsByUserId(userId, page = 1, limit = 20) {
     }
   }
 
+  // Helper: Push the comment's current vote counts to live viewers of its post
+  static async publishVotes(commentId) {
+    try {
+      const comment = await Comment.findByCommentId(commentId);
+      await RealtimeService.publishCommentVotes(comment);
+    } catch (err) {
+      console.error("Error publishing comment votes:", err.message);
+    }
+  }
+
   // Add upvote
   static async upvote(commentId) {
     try {
@@ -551,6 +937,7 @@ static async getCommentsByUserId(userId, page = 1, limit = 20) {
 
       if (result.modifiedCount > 0) {
         await rediscon.commentsCacheDel(commentId);
+        Comment.publishVotes(commentId);
       }
 
       return result.modifiedCount > 0;
@@ -573,6 +960,7 @@ static async getCommentsByUserId(userId, page = 1, limit = 20) {
 
       if (result.modifiedCount > 0) {
         await rediscon.commentsCacheDel(commentId);
+        Comment.publishVotes(commentId);
       }
 
       return result.modifiedCount > 0;
@@ -582,13 +970,59 @@ static async getCommentsByUserId(userId, page = 1, limit = 20) {
     }
   }
 
+  // Remove upvote (decrement upvote count)
+  static async removeUpvote(commentId) {
+    try {
+      const collection = await mongocon.commentsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const result = await collection.updateOne(
+        { commentId, upvotes: { $gt: 0 } }, // Ensure upvotes don't go negative
+        { $inc: { upvotes: -1 } }
+      );
+
+      if (result.modifiedCount > 0) {
+        await rediscon.commentsCacheDel(commentId);
+        Comment.publishVotes(commentId);
+      }
+
+      return result.modifiedCount > 0;
+    } catch (err) {
+      console.error("Error removing upvote from comment:", err.message);
+      throw err;
+    }
+  }
+
+  // Remove downvote (decrement downvote count)
+  static async removeDownvote(commentId) {
+    try {
+      const collection = await mongocon.commentsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const result = await collection.updateOne(
+        { commentId, downvotes: { $gt: 0 } }, // Ensure downvotes don't go negative
+        { $inc: { downvotes: -1 } }
+      );
+
+      if (result.modifiedCount > 0) {
+        await rediscon.commentsCacheDel(commentId);
+        Comment.publishVotes(commentId);
+      }
+
+      return result.modifiedCount > 0;
+    } catch (err) {
+      console.error("Error removing downvote from comment:", err.message);
+      throw err;
+    }
+  }
+
   // Soft delete comment (mark as deleted but keep data)
   static async softDeleteComment(commentId) {
     try {
       const collection = await mongocon.commentsCollection();
       if (!collection) throw new Error("Database connection failed");
 
-      const result = await collection.updateOne(
+      const comment = await collection.findOneAndUpdate(
         { commentId },
         {
           $set: {
@@ -596,7 +1030,35 @@ static async getCommentsByUserId(userId, page = 1, limit = 20) {
             content: "[deleted]",
             updatedAt: new Date(),
           },
-        }
+        },
+        { returnDocument: "after" }
+      );
+
+      if (comment) {
+        await rediscon.commentsCacheDel(commentId);
+        Post.clearAcceptedAnswer(comment.postId, commentId);
+      }
+
+      return !!comment;
+    } catch (err) {
+      console.error("Error soft deleting comment:", err.message);
+      throw err;
+    }
+  }
+
+  // Hide or unhide a comment
+  static async setHidden(commentId, hidden, reason = null) {
+    try {
+      const collection = await mongocon.commentsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const update = hidden
+        ? { isHidden: true, hiddenReason: reason, hiddenAt: new Date() }
+        : { isHidden: false, hiddenReason: null, hiddenAt: null };
+
+      const result = await collection.updateOne(
+        { commentId },
+        { $set: update }
       );
 
       if (result.modifiedCount > 0) {
@@ -605,7 +1067,7 @@ static async getCommentsByUserId(userId, page = 1, limit = 20) {
 
       return result.modifiedCount > 0;
     } catch (err) {
-      console.error("Error soft deleting comment:", err.message);
+      console.error("Error setting comment hidden state:", err.message);
       throw err;
     }
   }
@@ -619,7 +1081,12 @@ static async getCommentsByUserId(userId, page = 1, limit = 20) {
       const result = await collection.deleteOne({ commentId });
       await rediscon.commentsCacheDel(commentId);
       Post.removeComment(postId)
+      Post.clearAcceptedAnswer(postId, commentId);
       User.removeComment(userId)
+      await CommentVote.deleteVotesByCommentIds([commentId]);
+      await SavedItem.deleteByItemIds(SavedItem.ITEM_TYPES.COMMENT, [commentId]);
+      await Revision.deleteByTargetIds(Revision.TARGET_TYPES.COMMENT, [commentId]);
+      await Report.closeByTargetIds(Report.TARGET_TYPES.COMMENT, [commentId]);
       return result.deletedCount > 0;
     } catch (err) {
       console.error("Error hard deleting comment:", err.message);
@@ -710,6 +1177,12 @@ static async getCommentsByUserId(userId, page = 1, limit = 20) {
         await rediscon.commentsCacheDel(commentId);
       }
 
+      // Remove votes cast on, saves of, edit history of and reports against the deleted comments
+      await CommentVote.deleteVotesByCommentIds(commentIds);
+      await SavedItem.deleteByItemIds(SavedItem.ITEM_TYPES.COMMENT, commentIds);
+      await Revision.deleteByTargetIds(Revision.TARGET_TYPES.COMMENT, commentIds);
+      await Report.closeByTargetIds(Report.TARGET_TYPES.COMMENT, commentIds);
+
       // Clear commentIds array from post
       const postsCollection = await mongocon.postsCollection();
       if (postsCollection) {
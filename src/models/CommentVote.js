@@ -0,0 +1,256 @@
+import mongocon from "../config/mongocon.js";
+import rediscon from "../config/rediscon.js";
+import Comment from "./Comment.js";
+
+class CommentVote {
+  constructor(data) {
+    this.voteId = `${data.commentId}_${data.userId}`; // Composite key
+    this.commentId = data.commentId;
+    this.postId = data.postId || null;
+    this.userId = data.userId;
+    this.vote = data.vote || 0; // -1 (downvote), 0 (no vote), 1 (upvote)
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  // Helper: Get cache key for a vote
+  static getVoteKey(commentId, userId) {
+    return `${commentId}_${userId}`;
+  }
+
+  // Find vote by commentId and userId
+  static async findVote(commentId, userId) {
+    const voteId = CommentVote.getVoteKey(commentId, userId);
+
+    // Check Redis cache first
+    const cachedVote = await rediscon.commentsCacheGet(`vote:${voteId}`);
+    if (cachedVote) return cachedVote;
+
+    try {
+      const collection = await mongocon.commentvoteCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const vote = await collection.findOne({ voteId });
+
+      // Cache if found
+      if (vote) {
+        await rediscon.commentsCacheSet(`vote:${voteId}`, vote);
+      }
+
+      return vote;
+    } catch (err) {
+      console.error("Error finding comment vote:", err.message);
+      throw err;
+    }
+  }
+
+  // Helper: Persist a vote change and keep the cache in sync
+  static async setVote(existingVote, vote) {
+    const collection = await mongocon.commentvoteCollection();
+    if (!collection) throw new Error("Database connection failed");
+
+    await collection.updateOne(
+      { voteId: existingVote.voteId },
+      {
+        $set: {
+          vote,
+          updatedAt: new Date(),
+        },
+      }
+    );
+
+    existingVote.vote = vote;
+    existingVote.updatedAt = new Date();
+    await rediscon.commentsCacheSet(`vote:${existingVote.voteId}`, existingVote);
+  }
+
+  // Helper: Insert a brand new vote
+  static async insertVote(commentId, postId, userId, vote) {
+    const collection = await mongocon.commentvoteCollection();
+    if (!collection) throw new Error("Database connection failed");
+
+    const newVote = new CommentVote({ commentId, postId, userId, vote });
+
+    await collection.insertOne({
+      _id: newVote.voteId,
+      voteId: newVote.voteId,
+      commentId: newVote.commentId,
+      postId: newVote.postId,
+      userId: newVote.userId,
+      vote: newVote.vote,
+      createdAt: newVote.createdAt,
+      updatedAt: newVote.updatedAt,
+    });
+
+    await rediscon.commentsCacheSet(`vote:${newVote.voteId}`, newVote);
+    return newVote;
+  }
+
+  // Handle upvote
+  static async handleUpvote(commentId, postId, userId) {
+    try {
+      const existingVote = await CommentVote.findVote(commentId, userId);
+
+      if (!existingVote) {
+        // No previous vote - create new upvote
+        await CommentVote.insertVote(commentId, postId, userId, 1);
+        await Comment.upvote(commentId);
+
+        return { success: true, action: "upvoted", previousVote: 0, newVote: 1 };
+      }
+
+      // User already upvoted - toggle to no vote
+      if (existingVote.vote === 1) {
+        await CommentVote.setVote(existingVote, 0);
+        await Comment.removeUpvote(commentId);
+
+        return { success: true, action: "removed_upvote", previousVote: 1, newVote: 0 };
+      }
+
+      // User previously downvoted - change to upvote
+      if (existingVote.vote === -1) {
+        await CommentVote.setVote(existingVote, 1);
+        await Comment.removeDownvote(commentId);
+        await Comment.upvote(commentId);
+
+        return { success: true, action: "changed_to_upvote", previousVote: -1, newVote: 1 };
+      }
+
+      // User previously had no vote (vote = 0) - change to upvote
+      await CommentVote.setVote(existingVote, 1);
+      await Comment.upvote(commentId);
+
+      return { success: true, action: "upvoted", previousVote: 0, newVote: 1 };
+    } catch (err) {
+      console.error("Error handling comment upvote:", err.message);
+      throw err;
+    }
+  }
+
+  // Handle downvote
+  static async handleDownvote(commentId, postId, userId) {
+    try {
+      const existingVote = await CommentVote.findVote(commentId, userId);
+
+      if (!existingVote) {
+        // No previous vote - create new downvote
+        await CommentVote.insertVote(commentId, postId, userId, -1);
+        await Comment.downvote(commentId);
+
+        return { success: true, action: "downvoted", previousVote: 0, newVote: -1 };
+      }
+
+      // User already downvoted - toggle to no vote
+      if (existingVote.vote === -1) {
+        await CommentVote.setVote(existingVote, 0);
+        await Comment.removeDownvote(commentId);
+
+        return { success: true, action: "removed_downvote", previousVote: -1, newVote: 0 };
+      }
+
+      // User previously upvoted - change to downvote
+      if (existingVote.vote === 1) {
+        await CommentVote.setVote(existingVote, -1);
+        await Comment.removeUpvote(commentId);
+        await Comment.downvote(commentId);
+
+        return { success: true, action: "changed_to_downvote", previousVote: 1, newVote: -1 };
+      }
+
+      // User previously had no vote (vote = 0) - change to downvote
+      await CommentVote.setVote(existingVote, -1);
+      await Comment.downvote(commentId);
+
+      return { success: true, action: "downvoted", previousVote: 0, newVote: -1 };
+    } catch (err) {
+      console.error("Error handling comment downvote:", err.message);
+      throw err;
+    }
+  }
+
+  // Get user's vote on a comment
+  static async getUserVote(commentId, userId) {
+    try {
+      const vote = await CommentVote.findVote(commentId, userId);
+      return vote ? vote.vote : 0;
+    } catch (err) {
+      console.error("Error getting user comment vote:", err.message);
+      return 0;
+    }
+  }
+
+  // Get all comment votes by a user
+  static async getVotesByUserId(userId, page = 1, limit = 20) {
+    try {
+      const collection = await mongocon.commentvoteCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const skip = (page - 1) * limit;
+
+      const result = await collection.aggregate([
+        {
+          $match: { userId, vote: { $ne: 0 } }
+        },
+        {
+          $facet: {
+            votes: [
+              { $sort: { updatedAt: -1 } },
+              { $skip: skip },
+              { $limit: limit }
+            ],
+            totalCount: [
+              { $count: "count" }
+            ]
+          }
+        }
+      ]).toArray();
+
+      const votes = result[0].votes;
+      const total = result[0].totalCount[0]?.count || 0;
+
+      return {
+        votes,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (err) {
+      console.error("Error getting comment votes by user ID:", err.message);
+      throw err;
+    }
+  }
+
+  // Delete all votes for the given comments (cascade delete)
+  static async deleteVotesByCommentIds(commentIds) {
+    try {
+      if (!commentIds || commentIds.length === 0) return 0;
+
+      const collection = await mongocon.commentvoteCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      // Get all vote IDs first to clear cache
+      const votes = await collection
+        .find({ commentId: { $in: commentIds } })
+        .toArray();
+      const voteIds = votes.map((v) => v.voteId);
+
+      // Delete from database
+      const result = await collection.deleteMany({ commentId: { $in: commentIds } });
+
+      // Clear cache for all deleted votes
+      for (const voteId of voteIds) {
+        await rediscon.commentsCacheDel(`vote:${voteId}`);
+      }
+
+      return result.deletedCount;
+    } catch (err) {
+      console.error("Error deleting comment votes:", err.message);
+      throw err;
+    }
+  }
+}
+
+export default CommentVote;
@@ -0,0 +1,424 @@
+import { ObjectId } from "mongodb";
+import mongocon from "../config/mongocon.js";
+import rediscon from "../config/rediscon.js";
+import User from "./User.js";
+import Post from "./Post.js";
+import { canViewHidden, isNotHidden } from "../utils/contentVisibility.js";
+
+// Communities (hostels, branches, societies) group posts under their own
+// feeds and moderators. Memberships live in their own collection; a private
+// community's posts are only visible to its members.
+class Community {
+  static ROLES = {
+    OWNER: "owner",
+    MODERATOR: "moderator",
+    MEMBER: "member",
+  };
+
+  static SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,28}[a-z0-9]$/;
+  static MAX_NAME_LENGTH = 60;
+  static MAX_DESCRIPTION_LENGTH = 1000;
+  static MAX_RULES = 20;
+  static MAX_RULE_LENGTH = 300;
+
+  constructor(data) {
+    this.communityId = data.communityId || new ObjectId().toString();
+    this.slug = data.slug;
+    this.name = data.name;
+    this.description = data.description || null;
+    this.rules = data.rules || []; // [{ title, description }]
+    this.iconUrl = data.iconUrl || null;
+    this.isPrivate = data.isPrivate || false;
+    this.createdBy = data.createdBy;
+    this.memberCount = data.memberCount || 0;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  // Helper: Cache keys
+  static getCacheKey(slug) {
+    return `community:${slug}`;
+  }
+
+  static getMembershipKey(communityId, userId) {
+    return `community:member:${communityId}_${userId}`;
+  }
+
+  static isValidSlug(slug) {
+    return typeof slug === "string" && Community.SLUG_PATTERN.test(slug);
+  }
+
+  static isModeratorRole(role) {
+    return role === Community.ROLES.OWNER || role === Community.ROLES.MODERATOR;
+  }
+
+  // Create a community; the creator becomes its owner
+  static async create(communityData) {
+    try {
+      const collection = await mongocon.communitiesCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const community = new Community({ ...communityData, memberCount: 1 });
+      await collection.insertOne({
+        _id: community.communityId,
+        communityId: community.communityId,
+        slug: community.slug,
+        name: community.name,
+        description: community.description,
+        rules: community.rules,
+        iconUrl: community.iconUrl,
+        isPrivate: community.isPrivate,
+        createdBy: community.createdBy,
+        memberCount: community.memberCount,
+        createdAt: community.createdAt,
+        updatedAt: community.updatedAt,
+      });
+
+      await Community.addMember(community.communityId, community.createdBy, Community.ROLES.OWNER, { countMember: false });
+
+      return community;
+    } catch (err) {
+      console.error("Error creating community:", err.message);
+      throw err;
+    }
+  }
+
+  // Find a community by slug
+  static async findBySlug(slug) {
+    const cacheKey = Community.getCacheKey(slug);
+
+    // Check Redis cache first
+    const cachedCommunity = await rediscon.postsCacheGet(cacheKey);
+    if (cachedCommunity) return cachedCommunity;
+
+    try {
+      const collection = await mongocon.communitiesCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const community = await collection.findOne({ slug });
+      if (community) await rediscon.postsCacheSet(cacheKey, community);
+
+      return community;
+    } catch (err) {
+      console.error("Error finding community by slug:", err.message);
+      throw err;
+    }
+  }
+
+  // Find communities by ID (for attaching community info to posts)
+  static async findByIds(communityIds) {
+    try {
+      if (!communityIds || communityIds.length === 0) return [];
+
+      const collection = await mongocon.communitiesCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      return await collection
+        .find({ communityId: { $in: communityIds } }, { projection: { communityId: 1, slug: 1, name: 1, iconUrl: 1, isPrivate: 1 } })
+        .toArray();
+    } catch (err) {
+      console.error("Error finding communities by ID:", err.message);
+      throw err;
+    }
+  }
+
+  // Browse communities with pagination (largest first), optionally by name/slug prefix
+  static async getCommunities(page = 1, limit = 20, query = null) {
+    try {
+      const collection = await mongocon.communitiesCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const skip = (page - 1) * limit;
+
+      const match = {};
+      if (query) {
+        const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        match.$or = [
+          { slug: { $regex: `^${escaped}`, $options: "i" } },
+          { name: { $regex: `^${escaped}`, $options: "i" } },
+        ];
+      }
+
+      const result = await collection.aggregate([
+        {
+          $match: match
+        },
+        {
+          $facet: {
+            communities: [
+              { $sort: { memberCount: -1, slug: 1 } },
+              { $skip: skip },
+              { $limit: limit }
+            ],
+            totalCount: [
+              { $count: "count" }
+            ]
+          }
+        }
+      ]).toArray();
+
+      const communities = result[0].communities;
+      const total = result[0].totalCount[0]?.count || 0;
+
+      return {
+        communities,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (err) {
+      console.error("Error getting communities:", err.message);
+      throw err;
+    }
+  }
+
+  // Update a community's details
+  static async update(community, updateData) {
+    try {
+      const collection = await mongocon.communitiesCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const allowedUpdates = {};
+      for (const field of ["name", "description", "rules", "iconUrl", "isPrivate"]) {
+        if (updateData[field] !== undefined) allowedUpdates[field] = updateData[field];
+      }
+      allowedUpdates.updatedAt = new Date();
+
+      const updatedCommunity = await collection.findOneAndUpdate(
+        { communityId: community.communityId },
+        { $set: allowedUpdates },
+        { returnDocument: "after" }
+      );
+
+      await rediscon.postsCacheDel(Community.getCacheKey(community.slug));
+
+      return updatedCommunity;
+    } catch (err) {
+      console.error("Error updating community:", err.message);
+      throw err;
+    }
+  }
+
+  // Get a user's membership ({ role, joinedAt, ... }) or null
+  static async getMembership(communityId, userId) {
+    if (!communityId || !userId) return null;
+
+    const cacheKey = Community.getMembershipKey(communityId, userId);
+
+    // Check Redis cache first
+    const cachedMembership = await rediscon.usersCacheGet(cacheKey);
+    if (cachedMembership) return cachedMembership;
+
+    try {
+      const collection = await mongocon.communityMembersCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const membership = await collection.findOne({ communityId, userId });
+      if (membership) await rediscon.usersCacheSet(cacheKey, membership);
+
+      return membership;
+    } catch (err) {
+      console.error("Error getting community membership:", err.message);
+      throw err;
+    }
+  }
+
+  // Add a member. Returns false when the user already is one.
+  static async addMember(communityId, userId, role = Community.ROLES.MEMBER, { countMember = true } = {}) {
+    try {
+      const collection = await mongocon.communityMembersCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const membershipId = `${communityId}_${userId}`;
+      const result = await collection.updateOne(
+        { membershipId },
+        {
+          $setOnInsert: {
+            _id: membershipId,
+            membershipId,
+            communityId,
+            userId,
+            role,
+            joinedAt: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+
+      if (result.upsertedCount === 0) return false;
+
+      if (countMember) await Community.updateMemberCount(communityId, 1);
+      await rediscon.usersCacheDel(Community.getMembershipKey(communityId, userId));
+
+      return true;
+    } catch (err) {
+      console.error("Error adding community member:", err.message);
+      throw err;
+    }
+  }
+
+  // Remove a member. Returns false when the user wasn't one.
+  static async removeMember(communityId, userId) {
+    try {
+      const collection = await mongocon.communityMembersCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const result = await collection.deleteOne({ communityId, userId });
+      if (result.deletedCount === 0) return false;
+
+      await Community.updateMemberCount(communityId, -1);
+      await rediscon.usersCacheDel(Community.getMembershipKey(communityId, userId));
+
+      return true;
+    } catch (err) {
+      console.error("Error removing community member:", err.message);
+      throw err;
+    }
+  }
+
+  // Change a member's role (member <-> moderator)
+  static async setMemberRole(communityId, userId, role) {
+    try {
+      const collection = await mongocon.communityMembersCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const membership = await collection.findOneAndUpdate(
+        { communityId, userId },
+        { $set: { role } },
+        { returnDocument: "after" }
+      );
+
+      await rediscon.usersCacheDel(Community.getMembershipKey(communityId, userId));
+
+      return membership;
+    } catch (err) {
+      console.error("Error setting community member role:", err.message);
+      throw err;
+    }
+  }
+
+  // Helper: Keep the denormalized member count in sync
+  static async updateMemberCount(communityId, delta) {
+    const collection = await mongocon.communitiesCollection();
+    if (!collection) throw new Error("Database connection failed");
+
+    const community = await collection.findOneAndUpdate(
+      { communityId },
+      { $inc: { memberCount: delta } },
+      { returnDocument: "after" }
+    );
+
+    if (community) await rediscon.postsCacheDel(Community.getCacheKey(community.slug));
+  }
+
+  // Get a community's members with pagination (owner and moderators first)
+  static async getMembers(communityId, page = 1, limit = 20) {
+    try {
+      const collection = await mongocon.communityMembersCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const skip = (page - 1) * limit;
+
+      const result = await collection.aggregate([
+        {
+          $match: { communityId }
+        },
+        {
+          $addFields: {
+            roleRank: {
+              $switch: {
+                branches: [
+                  { case: { $eq: ["$role", Community.ROLES.OWNER] }, then: 0 },
+                  { case: { $eq: ["$role", Community.ROLES.MODERATOR] }, then: 1 },
+                ],
+                default: 2,
+              },
+            },
+          },
+        },
+        {
+          $facet: {
+            members: [
+              { $sort: { roleRank: 1, joinedAt: 1 } },
+              { $skip: skip },
+              { $limit: limit }
+            ],
+            totalCount: [
+              { $count: "count" }
+            ]
+          }
+        }
+      ]).toArray();
+
+      const memberships = result[0].members;
+      const total = result[0].totalCount[0]?.count || 0;
+
+      const users = await Promise.all(memberships.map(membership => User.findByUserId(membership.userId)));
+      const members = memberships
+        .map((membership, index) => {
+          const user = users[index];
+          if (!user) return null;
+
+          return {
+            userId: user.userId,
+            name: user.name,
+            avatarLink: user.avatarLink,
+            role: membership.role,
+            joinedAt: membership.joinedAt,
+          };
+        })
+        .filter(Boolean);
+
+      return {
+        members,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (err) {
+      console.error("Error getting community members:", err.message);
+      throw err;
+    }
+  }
+
+  // Whether a user may read a private community's content (members and admins)
+  static async canAccess(community, user) {
+    if (!community) return false;
+    if (!community.isPrivate) return true;
+    if (!user) return false;
+    if (User.getBaseRole(user) === "admin") return true;
+
+    return !!(await Community.getMembership(community.communityId, user.userId));
+  }
+
+  // Whether a user may see a post, taking moderation and private communities into account
+  static async canViewPost(post, user = null) {
+    if (!post) return false;
+    if (await canViewHidden(post, user)) return true;
+    if (!isNotHidden(post)) return false;
+    if (!post.isPrivate) return true;
+    if (!user) return false;
+
+    return !!(await Community.getMembership(post.communityId, user.userId));
+  }
+
+  // Whether a user may see a comment (comments inherit their post's visibility)
+  static async canViewComment(comment, user = null) {
+    if (!comment) return false;
+    return Community.canViewPost(await Post.findByPostId(comment.postId), user);
+  }
+
+  // Keep only the posts a user may see
+  static async filterViewablePosts(posts, user = null) {
+    const viewable = await Promise.all(posts.map(post => Community.canViewPost(post, user)));
+    return posts.filter((_, index) => viewable[index]);
+  }
+}
+
+export default Community;
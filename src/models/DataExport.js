@@ -0,0 +1,206 @@
+import { ObjectId, Binary } from "mongodb";
+import mongocon from "../config/mongocon.js";
+
+// Personal data export jobs. A request queues a job, the export service
+// builds the archive in the background and stores it on the job, and the
+// owner can download it until expiresAt (a TTL index removes it after that).
+class DataExport {
+  static STATUSES = {
+    PENDING: "pending",
+    PROCESSING: "processing",
+    READY: "ready",
+    FAILED: "failed",
+  };
+
+  static LINK_TTL_HOURS = parseInt(process.env.DATA_EXPORT_LINK_TTL_HOURS) || 48;
+  static MAX_ARCHIVE_BYTES = 15 * 1024 * 1024; // Stays under MongoDB's 16MB document limit
+
+  // Archive bytes are only read by the download route
+  static WITHOUT_FILE = { projection: { file: 0 } };
+
+  constructor(data) {
+    this.exportId = data.exportId || new ObjectId().toString();
+    this.userId = data.userId;
+    this.status = data.status || DataExport.STATUSES.PENDING;
+    this.fileName = data.fileName || null;
+    this.size = data.size || 0;
+    this.error = data.error || null;
+    this.createdAt = data.createdAt || new Date();
+    this.startedAt = data.startedAt || null;
+    this.completedAt = data.completedAt || null;
+    this.expiresAt = data.expiresAt || null; // Set once the job finishes
+  }
+
+  // Helper: Expiry for a job finishing now
+  static getExpiryDate(from = new Date()) {
+    return new Date(from.getTime() + DataExport.LINK_TTL_HOURS * 60 * 60 * 1000);
+  }
+
+  static isExpired(dataExport, now = new Date()) {
+    return !!dataExport.expiresAt && new Date(dataExport.expiresAt) <= now;
+  }
+
+  // Queue an export for a user
+  static async create(userId) {
+    try {
+      const collection = await mongocon.dataExportsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const dataExport = new DataExport({ userId });
+      await collection.insertOne({
+        _id: dataExport.exportId,
+        exportId: dataExport.exportId,
+        userId: dataExport.userId,
+        status: dataExport.status,
+        fileName: dataExport.fileName,
+        size: dataExport.size,
+        error: dataExport.error,
+        createdAt: dataExport.createdAt,
+        startedAt: dataExport.startedAt,
+        completedAt: dataExport.completedAt,
+        expiresAt: dataExport.expiresAt,
+      });
+
+      return dataExport;
+    } catch (err) {
+      console.error("Error creating data export:", err.message);
+      throw err;
+    }
+  }
+
+  // Find an export by ID (without the archive)
+  static async findById(exportId) {
+    try {
+      const collection = await mongocon.dataExportsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      return await collection.findOne({ exportId }, DataExport.WITHOUT_FILE);
+    } catch (err) {
+      console.error("Error finding data export:", err.message);
+      throw err;
+    }
+  }
+
+  // A user's queued or running export, if any
+  static async findActiveByUserId(userId) {
+    try {
+      const collection = await mongocon.dataExportsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      return await collection.findOne(
+        { userId, status: { $in: [DataExport.STATUSES.PENDING, DataExport.STATUSES.PROCESSING] } },
+        DataExport.WITHOUT_FILE
+      );
+    } catch (err) {
+      console.error("Error finding active data export:", err.message);
+      throw err;
+    }
+  }
+
+  // Get a finished export including the archive
+  static async getFile(exportId) {
+    try {
+      const collection = await mongocon.dataExportsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const dataExport = await collection.findOne({ exportId, status: DataExport.STATUSES.READY });
+      if (!dataExport) return null;
+
+      return { ...dataExport, file: Buffer.from(dataExport.file.buffer) };
+    } catch (err) {
+      console.error("Error getting data export file:", err.message);
+      throw err;
+    }
+  }
+
+  // Claim the oldest queued job, or one whose worker died (started before staleBefore)
+  static async claimNext(staleBefore) {
+    try {
+      const collection = await mongocon.dataExportsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      return await collection.findOneAndUpdate(
+        {
+          $or: [
+            { status: DataExport.STATUSES.PENDING },
+            { status: DataExport.STATUSES.PROCESSING, startedAt: { $lt: staleBefore } },
+          ],
+        },
+        { $set: { status: DataExport.STATUSES.PROCESSING, startedAt: new Date() } },
+        { sort: { createdAt: 1 }, returnDocument: "after", ...DataExport.WITHOUT_FILE }
+      );
+    } catch (err) {
+      console.error("Error claiming data export:", err.message);
+      throw err;
+    }
+  }
+
+  // Store the finished archive and start the download window
+  static async complete(exportId, fileName, file) {
+    try {
+      const collection = await mongocon.dataExportsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const completedAt = new Date();
+      return await collection.findOneAndUpdate(
+        { exportId },
+        {
+          $set: {
+            status: DataExport.STATUSES.READY,
+            fileName,
+            size: file.length,
+            file: new Binary(file),
+            completedAt,
+            expiresAt: DataExport.getExpiryDate(completedAt),
+          },
+        },
+        { returnDocument: "after", ...DataExport.WITHOUT_FILE }
+      );
+    } catch (err) {
+      console.error("Error completing data export:", err.message);
+      throw err;
+    }
+  }
+
+  // Mark a job as failed; it is cleaned up like a finished one
+  static async fail(exportId, message) {
+    try {
+      const collection = await mongocon.dataExportsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const completedAt = new Date();
+      await collection.updateOne(
+        { exportId },
+        {
+          $set: {
+            status: DataExport.STATUSES.FAILED,
+            error: message,
+            completedAt,
+            expiresAt: DataExport.getExpiryDate(completedAt),
+          },
+        }
+      );
+
+      return true;
+    } catch (err) {
+      console.error("Error failing data export:", err.message);
+      throw err;
+    }
+  }
+
+  // Delete all of a user's exports (account deletion)
+  static async deleteByUserId(userId) {
+    try {
+      const collection = await mongocon.dataExportsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const result = await collection.deleteMany({ userId });
+      return result.deletedCount;
+    } catch (err) {
+      console.error("Error deleting data exports:", err.message);
+      throw err;
+    }
+  }
+}
+
+export default DataExport;
@@ -0,0 +1,251 @@
+import { ObjectId } from "mongodb";
+import mongocon from "../config/mongocon.js";
+import { deleteUserFileById } from "../config/imagekitcon.js";
+
+// Unpublished posts, autosaved by the editor. Drafts are private to their
+// author and change on nearly every keystroke, so they are not cached in Redis.
+// A draft expires EXPIRY_DAYS after its last save; expired drafts are swept
+// together with the uploaded media they reference.
+class Draft {
+  static EXPIRY_DAYS = parseInt(process.env.DRAFT_EXPIRY_DAYS) || 30;
+  static MAX_DRAFTS_PER_USER = 50;
+  static MAX_TITLE_LENGTH = 200;
+  static MAX_CONTENT_LENGTH = 5000;
+  static MAX_TAGS = 5;
+  static MAX_MEDIA = 10;
+
+  constructor(data) {
+    this.draftId = data.draftId || new ObjectId().toString();
+    this.userId = data.userId;
+    this.title = data.title || "";
+    this.content = data.content || "";
+    this.tags = data.tags || [];
+    this.media = data.media || []; // Media URLs, as on posts
+    this.mediaIds = data.mediaIds || []; // ImageKit file IDs of the uploads above (only the owner's own uploads are ever deleted)
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+    this.expiresAt = data.expiresAt || Draft.getExpiryDate();
+  }
+
+  static getExpiryDate(from = new Date()) {
+    return new Date(from.getTime() + Draft.EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  // Validate draft fields. Drafts are work in progress, so only upper bounds
+  // are enforced here; publishing applies the full post rules.
+  // Returns { error } or { fields } with only the fields that were provided.
+  static validate(input, { partial = false } = {}) {
+    const { title, content, tags, media, mediaId } = input || {};
+    const fields = {};
+
+    if (title !== undefined || !partial) {
+      if (title !== undefined && title !== null && typeof title !== "string") return { error: "Title must be a string" };
+      if (title && title.length > Draft.MAX_TITLE_LENGTH) return { error: `Title must be at most ${Draft.MAX_TITLE_LENGTH} characters` };
+      fields.title = title || "";
+    }
+
+    if (content !== undefined || !partial) {
+      if (content !== undefined && content !== null && typeof content !== "string") return { error: "Content must be a string" };
+      if (content && content.length > Draft.MAX_CONTENT_LENGTH) return { error: `Content must be at most ${Draft.MAX_CONTENT_LENGTH} characters` };
+      fields.content = content || "";
+    }
+
+    if (tags !== undefined || !partial) {
+      const list = tags || [];
+      if (!Array.isArray(list) || !list.every(tag => typeof tag === "string")) return { error: "Tags must be an array of strings" };
+      if (list.length > Draft.MAX_TAGS) return { error: "Too many tags" };
+      fields.tags = list;
+    }
+
+    if (media !== undefined || !partial) {
+      const list = media || [];
+      if (!Array.isArray(list) || !list.every(url => typeof url === "string")) return { error: "Media must be an array" };
+      if (list.length > Draft.MAX_MEDIA) return { error: `A draft can hold at most ${Draft.MAX_MEDIA} media items` };
+      fields.media = list;
+    }
+
+    if (mediaId !== undefined || !partial) {
+      const list = mediaId || [];
+      if (!Array.isArray(list) || !list.every(id => typeof id === "string")) return { error: "mediaId must be an array of file IDs" };
+      if (list.length > Draft.MAX_MEDIA) return { error: `A draft can hold at most ${Draft.MAX_MEDIA} media items` };
+      fields.mediaIds = list;
+    }
+
+    return { fields };
+  }
+
+  // Create a draft
+  static async create(draftData) {
+    try {
+      const collection = await mongocon.draftsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const draft = new Draft(draftData);
+      await collection.insertOne({
+        _id: draft.draftId,
+        draftId: draft.draftId,
+        userId: draft.userId,
+        title: draft.title,
+        content: draft.content,
+        tags: draft.tags,
+        media: draft.media,
+        mediaIds: draft.mediaIds,
+        createdAt: draft.createdAt,
+        updatedAt: draft.updatedAt,
+        expiresAt: draft.expiresAt,
+      });
+
+      return draft;
+    } catch (err) {
+      console.error("Error creating draft:", err.message);
+      throw err;
+    }
+  }
+
+  // Find a draft by ID
+  static async findById(draftId) {
+    try {
+      const collection = await mongocon.draftsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      return await collection.findOne({ draftId });
+    } catch (err) {
+      console.error("Error finding draft:", err.message);
+      throw err;
+    }
+  }
+
+  static async countByUserId(userId) {
+    try {
+      const collection = await mongocon.draftsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      return await collection.countDocuments({ userId });
+    } catch (err) {
+      console.error("Error counting drafts:", err.message);
+      throw err;
+    }
+  }
+
+  // Autosave: update the given fields and push the expiry back. Uploads that
+  // were removed from the draft are deleted from ImageKit.
+  static async update(draftId, fields) {
+    try {
+      const collection = await mongocon.draftsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const now = new Date();
+      const previous = await collection.findOneAndUpdate(
+        { draftId },
+        { $set: { ...fields, updatedAt: now, expiresAt: Draft.getExpiryDate(now) } },
+        { returnDocument: "before" }
+      );
+      if (!previous) return null;
+
+      if (fields.mediaIds) {
+        const removedIds = (previous.mediaIds || []).filter(id => !fields.mediaIds.includes(id));
+        Draft.deleteMedia(removedIds, previous.userId);
+      }
+
+      return { ...previous, ...fields, updatedAt: now, expiresAt: Draft.getExpiryDate(now) };
+    } catch (err) {
+      console.error("Error updating draft:", err.message);
+      throw err;
+    }
+  }
+
+  // Get a user's drafts with pagination (most recently saved first)
+  static async getDraftsByUserId(userId, page = 1, limit = 20) {
+    try {
+      const collection = await mongocon.draftsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const skip = (page - 1) * limit;
+
+      const result = await collection.aggregate([
+        {
+          $match: { userId }
+        },
+        {
+          $facet: {
+            metadata: [{ $count: "total" }],
+            data: [
+              { $sort: { updatedAt: -1 } },
+              { $skip: skip },
+              { $limit: limit }
+            ]
+          }
+        }
+      ]).toArray();
+
+      const total = result[0].metadata[0]?.total || 0;
+
+      return {
+        drafts: result[0].data,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (err) {
+      console.error("Error getting drafts by user ID:", err.message);
+      throw err;
+    }
+  }
+
+  // Delete a draft. Its media is deleted too unless it now belongs to a post.
+  static async delete(draftId, { keepMedia = false } = {}) {
+    try {
+      const collection = await mongocon.draftsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const draft = await collection.findOneAndDelete({ draftId });
+      if (draft && !keepMedia) Draft.deleteMedia(draft.mediaIds, draft.userId);
+
+      return draft;
+    } catch (err) {
+      console.error("Error deleting draft:", err.message);
+      throw err;
+    }
+  }
+
+  // Delete drafts that haven't been saved within the expiry window, along with
+  // their media. Runs on a timer, so errors are logged rather than thrown.
+  static async deleteExpired(batchSize = 500) {
+    try {
+      const collection = await mongocon.draftsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const expired = await collection
+        .find({ expiresAt: { $lte: new Date() } }, { projection: { draftId: 1, userId: 1, mediaIds: 1 } })
+        .limit(batchSize)
+        .toArray();
+      if (expired.length === 0) return 0;
+
+      for (const draft of expired) {
+        await Draft.deleteMedia(draft.mediaIds, draft.userId);
+      }
+
+      const result = await collection.deleteMany({ draftId: { $in: expired.map(draft => draft.draftId) } });
+      return result.deletedCount;
+    } catch (err) {
+      console.error("Error deleting expired drafts:", err.message);
+      return 0;
+    }
+  }
+
+  // Helper: Delete a user's uploaded files from ImageKit. mediaIds come from the
+  // request body, so files outside the user's upload folder are skipped
+  // (deleteUserFileById never throws).
+  static async deleteMedia(mediaIds, userId) {
+    if (!mediaIds || mediaIds.length === 0) return;
+
+    for (const fileId of mediaIds) {
+      await deleteUserFileById(fileId, userId);
+    }
+  }
+}
+
+export default Draft;
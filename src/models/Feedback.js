@@ -1,5 +1,6 @@
 import { ObjectId } from "mongodb";
 import mongocon from "../config/mongocon.js";
+import { buildCursorFilter, getNextCursor } from "../utils/cursorUtils.js";
 
 class Feedback {
   constructor(data) {
@@ -91,12 +92,28 @@ class Feedback {
     }
   }
 
+  // Helper: Cursor scope and keyset sort for a time-range listing (feedbackId breaks ties)
+  static getTimeRangeCursorSpec(startDate, endDate, sortBy = "createdAt", order = -1) {
+    return {
+      scope: `feedback:${startDate || ""}:${endDate || ""}:${sortBy}:${order}`,
+      sortSpec: [
+        [sortBy, order, sortBy === "createdAt" ? "date" : undefined],
+        ["feedbackId", order],
+      ],
+    };
+  }
+
   // Get feedback by time range with pagination
-  static async getFeedbackByTimeRange(startDate, endDate, page = 1, limit = 10, sortBy = "createdAt", order = -1) {
+  static async getFeedbackByTimeRange(startDate, endDate, page = 1, limit = 10, sortBy = "createdAt", order = -1, cursor = null) {
     try {
       const collection = await mongocon.feedbackCollection();
       if (!collection) throw new Error("Database connection failed");
 
+      const { scope, sortSpec } = Feedback.getTimeRangeCursorSpec(startDate, endDate, sortBy, order);
+      const sortStage = {
+        $sort: Object.fromEntries(sortSpec.map(([field, sortOrder]) => [field, sortOrder]))
+      };
+
       const skip = (page - 1) * limit;
 
       // Build date filter
@@ -112,13 +129,33 @@ class Feedback {
         ? { createdAt: dateFilter }
         : {};
 
+      if (cursor) {
+        const docs = await collection.aggregate([
+          { $match: { $and: [matchStage, buildCursorFilter(sortSpec, cursor)] } },
+          sortStage,
+          { $limit: limit + 1 }
+        ]).toArray();
+
+        const hasMore = docs.length > limit;
+        const feedback = docs.slice(0, limit);
+
+        return {
+          feedback,
+          pagination: {
+            limit,
+            hasMore,
+            nextCursor: getNextCursor(feedback, hasMore, scope, sortSpec),
+          },
+        };
+      }
+
       // Use aggregation pipeline with $facet
       const result = await collection.aggregate([
         { $match: matchStage },
         {
           $facet: {
             feedback: [
-              { $sort: { [sortBy]: order } },
+              sortStage,
               { $skip: skip },
               { $limit: limit }
             ],
@@ -131,6 +168,7 @@ class Feedback {
 
       const feedback = result[0].feedback;
       const total = result[0].totalCount[0]?.count || 0;
+      const totalPages = Math.ceil(total / limit);
 
       return {
         feedback,
@@ -138,7 +176,8 @@ class Feedback {
           page,
           limit,
           total,
-          totalPages: Math.ceil(total / limit),
+          totalPages,
+          nextCursor: getNextCursor(feedback, page < totalPages, scope, sortSpec),
         },
       };
     } catch (err) {
@@ -0,0 +1,205 @@
+import mongocon from "../config/mongocon.js";
+import rediscon from "../config/rediscon.js";
+import User from "./User.js";
+import { isVisible } from "../utils/contentVisibility.js";
+
+// A follow is a directed edge from follower to followee. Users keep
+// denormalized followerCount/followingCount fields for profile reads.
+class Follow {
+  static FEED_TTL = 120; // Seconds a cached following feed stays fresh
+
+  constructor(data) {
+    this.followId = Follow.getFollowId(data.followerId, data.followeeId); // Composite key
+    this.followerId = data.followerId;
+    this.followeeId = data.followeeId;
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  static getFollowId(followerId, followeeId) {
+    return `${followerId}_${followeeId}`;
+  }
+
+  // Helper: Get cache key for the IDs a user follows
+  static getFollowingCacheKey(userId) {
+    return `following:${userId}`;
+  }
+
+  // Helper: Get cache keys for a user's following feed
+  static getFeedCacheKey(userId) {
+    return `posts:feed:following:${userId}`;
+  }
+
+  static getFeedTotalKey(userId) {
+    return `posts:total:following:${userId}`;
+  }
+
+  // Helper: Drop a follower's cached following list and feed
+  static async invalidateFollowerCache(followerId) {
+    await rediscon.usersCacheDel(Follow.getFollowingCacheKey(followerId));
+    await rediscon.feedCacheClear(Follow.getFeedCacheKey(followerId));
+    await rediscon.feedCacheClear(Follow.getFeedTotalKey(followerId));
+  }
+
+  // Follow a user. Returns false when already following.
+  static async follow(followerId, followeeId) {
+    try {
+      const collection = await mongocon.followsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const follow = new Follow({ followerId, followeeId });
+
+      const result = await collection.updateOne(
+        { followId: follow.followId },
+        {
+          $setOnInsert: {
+            _id: follow.followId,
+            followId: follow.followId,
+            followerId: follow.followerId,
+            followeeId: follow.followeeId,
+            createdAt: follow.createdAt,
+          },
+        },
+        { upsert: true }
+      );
+
+      if (result.upsertedCount === 0) return false;
+
+      await User.updateFollowCounts(followerId, followeeId, 1);
+      await Follow.invalidateFollowerCache(followerId);
+
+      return true;
+    } catch (err) {
+      console.error("Error following user:", err.message);
+      throw err;
+    }
+  }
+
+  // Unfollow a user. Returns false when not following.
+  static async unfollow(followerId, followeeId) {
+    try {
+      const collection = await mongocon.followsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const result = await collection.deleteOne({
+        followId: Follow.getFollowId(followerId, followeeId),
+      });
+
+      if (result.deletedCount === 0) return false;
+
+      await User.updateFollowCounts(followerId, followeeId, -1);
+      await Follow.invalidateFollowerCache(followerId);
+
+      return true;
+    } catch (err) {
+      console.error("Error unfollowing user:", err.message);
+      throw err;
+    }
+  }
+
+  // Get the IDs of every user a user follows (cached in Redis)
+  static async getFollowingIds(userId) {
+    const cacheKey = Follow.getFollowingCacheKey(userId);
+
+    // Check Redis cache first
+    const cachedIds = await rediscon.usersCacheGet(cacheKey);
+    if (cachedIds) return cachedIds;
+
+    try {
+      const collection = await mongocon.followsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const follows = await collection
+        .find({ followerId: userId }, { projection: { followeeId: 1 } })
+        .toArray();
+
+      const followeeIds = follows.map(follow => follow.followeeId);
+      await rediscon.usersCacheSet(cacheKey, followeeIds);
+
+      return followeeIds;
+    } catch (err) {
+      console.error("Error getting following IDs:", err.message);
+      throw err;
+    }
+  }
+
+  // Check whether a user follows another
+  static async isFollowing(followerId, followeeId) {
+    if (!followerId || followerId === followeeId) return false;
+
+    const followingIds = await Follow.getFollowingIds(followerId);
+    return followingIds.includes(followeeId);
+  }
+
+  // Get a user's followers with pagination (newest first)
+  static async getFollowers(userId, page = 1, limit = 20) {
+    return Follow.getFollowList({ followeeId: userId }, "followerId", page, limit);
+  }
+
+  // Get the users a user follows with pagination (newest first)
+  static async getFollowing(userId, page = 1, limit = 20) {
+    return Follow.getFollowList({ followerId: userId }, "followeeId", page, limit);
+  }
+
+  // Helper: Paginate follow edges and resolve the users on the other end
+  static async getFollowList(match, userField, page, limit) {
+    try {
+      const collection = await mongocon.followsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const skip = (page - 1) * limit;
+
+      const result = await collection.aggregate([
+        {
+          $match: match
+        },
+        {
+          $facet: {
+            follows: [
+              { $sort: { createdAt: -1, followId: -1 } },
+              { $skip: skip },
+              { $limit: limit }
+            ],
+            totalCount: [
+              { $count: "count" }
+            ]
+          }
+        }
+      ]).toArray();
+
+      const follows = result[0].follows;
+      const total = result[0].totalCount[0]?.count || 0;
+
+      const users = await Promise.all(follows.map(follow => User.findByUserId(follow[userField])));
+
+      // Deleted and hidden accounts are skipped
+      const items = follows
+        .map((follow, index) => {
+          const user = users[index];
+          if (!isVisible(user)) return null;
+
+          return {
+            userId: user.userId,
+            name: user.name,
+            avatarLink: user.avatarLink,
+            followedAt: follow.createdAt,
+          };
+        })
+        .filter(Boolean);
+
+      return {
+        users: items,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (err) {
+      console.error("Error getting follow list:", err.message);
+      throw err;
+    }
+  }
+}
+
+export default Follow;
@@ -0,0 +1,259 @@
+import { ObjectId } from "mongodb";
+import mongocon from "../config/mongocon.js";
+import rediscon from "../config/rediscon.js";
+
+// Notifications are stored per recipient. Events that share a groupKey are
+// folded into the recipient's unread notification for that group ("3 people
+// replied to your post"); events with a dedupeKey are only ever delivered once.
+class Notification {
+  static TYPES = {
+    POST_REPLY: "post_reply",
+    COMMENT_REPLY: "comment_reply",
+    MENTION: "mention",
+    UPVOTE_MILESTONE: "upvote_milestone",
+    POST_PINNED: "post_pinned",
+    POST_LOCKED: "post_locked",
+    POST_DELETED: "post_deleted",
+    USER_BANNED: "user_banned",
+    ANSWER_ACCEPTED: "answer_accepted",
+  };
+
+  constructor(data) {
+    this.notificationId = data.notificationId || new ObjectId().toString();
+    this.userId = data.userId; // Recipient
+    this.type = data.type;
+    this.actorIds = data.actorIds || []; // Users who triggered it, oldest first
+    this.targetType = data.targetType || null;
+    this.targetId = data.targetId || null;
+    this.postId = data.postId || null;
+    this.data = data.data || null; // Type-specific details (milestone, reason, ...)
+    this.groupKey = data.groupKey || null;
+    this.dedupeKey = data.dedupeKey || null;
+    this.isRead = data.isRead || false;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  // Helper: Get cache key for a user's unread count
+  static getUnreadKey(userId) {
+    return `notifications:unread:${userId}`;
+  }
+
+  // Store a notification, folding it into an unread group or skipping duplicates.
+  // Returns the stored notification, or null when it was a duplicate.
+  static async record(notificationData) {
+    try {
+      const collection = await mongocon.notificationsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const { actorId = null, ...rest } = notificationData;
+      const notification = new Notification({
+        ...rest,
+        actorIds: actorId ? [actorId] : [],
+      });
+
+      const doc = {
+        _id: notification.notificationId,
+        notificationId: notification.notificationId,
+        userId: notification.userId,
+        type: notification.type,
+        actorIds: notification.actorIds,
+        targetType: notification.targetType,
+        targetId: notification.targetId,
+        postId: notification.postId,
+        data: notification.data,
+        groupKey: notification.groupKey,
+        dedupeKey: notification.dedupeKey,
+        isRead: notification.isRead,
+        createdAt: notification.createdAt,
+        updatedAt: notification.updatedAt,
+      };
+
+      let stored = doc;
+
+      if (notification.dedupeKey) {
+        const result = await collection.updateOne(
+          { userId: notification.userId, dedupeKey: notification.dedupeKey },
+          { $setOnInsert: doc },
+          { upsert: true }
+        );
+        if (result.upsertedCount === 0) stored = null;
+      } else if (notification.groupKey) {
+        const { actorIds, updatedAt, isRead, data, ...insertFields } = doc;
+        stored = await collection.findOneAndUpdate(
+          { userId: notification.userId, groupKey: notification.groupKey, isRead: false },
+          {
+            ...(actorId ? { $addToSet: { actorIds: actorId } } : {}),
+            $set: { updatedAt, data },
+            $setOnInsert: { ...insertFields, isRead: false, ...(actorId ? {} : { actorIds: [] }) },
+          },
+          { upsert: true, returnDocument: "after" }
+        );
+      } else {
+        await collection.insertOne(doc);
+      }
+
+      if (stored) {
+        await rediscon.usersCacheDel(Notification.getUnreadKey(notification.userId));
+      }
+
+      return stored;
+    } catch (err) {
+      console.error("Error recording notification:", err.message);
+      throw err;
+    }
+  }
+
+  // Get a user's notifications with pagination (most recently updated first)
+  static async getByUserId(userId, page = 1, limit = 20, { unreadOnly = false } = {}) {
+    try {
+      const collection = await mongocon.notificationsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const skip = (page - 1) * limit;
+
+      const match = { userId };
+      if (unreadOnly) match.isRead = false;
+
+      const result = await collection.aggregate([
+        {
+          $match: match
+        },
+        {
+          $facet: {
+            notifications: [
+              { $sort: { updatedAt: -1, notificationId: -1 } },
+              { $skip: skip },
+              { $limit: limit }
+            ],
+            totalCount: [
+              { $count: "count" }
+            ]
+          }
+        }
+      ]).toArray();
+
+      const notifications = result[0].notifications;
+      const total = result[0].totalCount[0]?.count || 0;
+
+      return {
+        notifications,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (err) {
+      console.error("Error getting notifications by user ID:", err.message);
+      throw err;
+    }
+  }
+
+  // Get a user's unread count (cached in Redis)
+  static async getUnreadCount(userId) {
+    const cacheKey = Notification.getUnreadKey(userId);
+
+    // Check Redis cache first
+    const cachedCount = await rediscon.usersCacheGet(cacheKey);
+    if (cachedCount !== null) return cachedCount;
+
+    try {
+      const collection = await mongocon.notificationsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const count = await collection.countDocuments({ userId, isRead: false });
+      await rediscon.usersCacheSet(cacheKey, count);
+
+      return count;
+    } catch (err) {
+      console.error("Error getting unread notification count:", err.message);
+      throw err;
+    }
+  }
+
+  // Mark one notification as read
+  static async markRead(userId, notificationId) {
+    try {
+      const collection = await mongocon.notificationsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const result = await collection.updateOne(
+        { userId, notificationId },
+        { $set: { isRead: true } }
+      );
+
+      if (result.modifiedCount > 0) {
+        await rediscon.usersCacheDel(Notification.getUnreadKey(userId));
+      }
+
+      // null = not found, false = already read
+      if (result.matchedCount === 0) return null;
+      return result.modifiedCount > 0;
+    } catch (err) {
+      console.error("Error marking notification read:", err.message);
+      throw err;
+    }
+  }
+
+  // Mark all of a user's notifications as read
+  static async markAllRead(userId) {
+    try {
+      const collection = await mongocon.notificationsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const result = await collection.updateMany(
+        { userId, isRead: false },
+        { $set: { isRead: true } }
+      );
+
+      await rediscon.usersCacheSet(Notification.getUnreadKey(userId), 0);
+
+      return result.modifiedCount;
+    } catch (err) {
+      console.error("Error marking all notifications read:", err.message);
+      throw err;
+    }
+  }
+
+  // Helper: Human-readable summary; actorName is the most recent actor's name
+  static describe(notification, actorName = "Someone") {
+    const others = Math.max((notification.actorIds?.length || 0) - 1, 0);
+    const actors = others > 0
+      ? `${actorName} and ${others} ${others === 1 ? "other" : "others"}`
+      : actorName;
+    const data = notification.data || {};
+
+    switch (notification.type) {
+      case Notification.TYPES.POST_REPLY:
+        return `${actors} commented on your post`;
+      case Notification.TYPES.COMMENT_REPLY:
+        return `${actors} replied to your comment`;
+      case Notification.TYPES.MENTION:
+        return `${actors} mentioned you in a ${notification.targetType === "comment" ? "comment" : "post"}`;
+      case Notification.TYPES.UPVOTE_MILESTONE:
+        return `${data.milestone} people upvoted your post`;
+      case Notification.TYPES.POST_PINNED:
+        return "Your post was pinned by a moderator";
+      case Notification.TYPES.POST_LOCKED:
+        return data.reason
+          ? `Your post was locked by a moderator: ${data.reason}`
+          : "Your post was locked by a moderator";
+      case Notification.TYPES.POST_DELETED:
+        return data.title
+          ? `Your post "${data.title}" was removed by a moderator`
+          : "Your post was removed by a moderator";
+      case Notification.TYPES.ANSWER_ACCEPTED:
+        return `${actors} accepted your answer`;
+      case Notification.TYPES.USER_BANNED:
+        return data.expiresAt
+          ? `Your account was banned until ${new Date(data.expiresAt).toISOString()}${data.reason ? `: ${data.reason}` : ""}`
+          : `Your account was banned${data.reason ? `: ${data.reason}` : ""}`;
+      default:
+        return "You have a new notification";
+    }
+  }
+}
+
+export default Notification;
@@ -0,0 +1,260 @@
+import mongocon from "../config/mongocon.js";
+import rediscon from "../config/rediscon.js";
+
+// A poll is stored on its post ({ question, options, multipleChoice, closesAt,
+// hideResultsUntilVoted }); each user's ballot lives in its own collection with
+// a composite key, like post votes, so a user can vote only once.
+class Poll {
+  static MIN_OPTIONS = 2;
+  static MAX_OPTIONS = 10;
+  static MAX_QUESTION_LENGTH = 300;
+  static MAX_OPTION_LENGTH = 100;
+  static MAX_DURATION_DAYS = 30;
+
+  constructor(data) {
+    this.voteId = Poll.getVoteKey(data.postId, data.userId); // Composite key
+    this.postId = data.postId;
+    this.userId = data.userId;
+    this.optionIds = data.optionIds || [];
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  // Helper: Get cache keys for a ballot and for a poll's results
+  static getVoteKey(postId, userId) {
+    return `${postId}_${userId}`;
+  }
+
+  static getResultsKey(postId) {
+    return `poll:results:${postId}`;
+  }
+
+  // Validate poll input from a new post. Returns { error } or { poll }.
+  static validate(input) {
+    if (!input || typeof input !== "object" || Array.isArray(input)) {
+      return { error: "Poll must be an object" };
+    }
+
+    const { question, options, multipleChoice = false, closesAt = null, hideResultsUntilVoted = false } = input;
+
+    if (typeof question !== "string" || !question.trim() || question.trim().length > Poll.MAX_QUESTION_LENGTH) {
+      return { error: `Poll question is required and must be at most ${Poll.MAX_QUESTION_LENGTH} characters` };
+    }
+
+    if (!Array.isArray(options) || options.length < Poll.MIN_OPTIONS || options.length > Poll.MAX_OPTIONS) {
+      return { error: `A poll needs ${Poll.MIN_OPTIONS}-${Poll.MAX_OPTIONS} options` };
+    }
+
+    if (!options.every(option => typeof option === "string" && option.trim() && option.trim().length <= Poll.MAX_OPTION_LENGTH)) {
+      return { error: `Poll options must be non-empty and at most ${Poll.MAX_OPTION_LENGTH} characters` };
+    }
+
+    const texts = options.map(option => option.trim());
+    if (new Set(texts.map(text => text.toLowerCase())).size !== texts.length) {
+      return { error: "Poll options must be unique" };
+    }
+
+    if (typeof multipleChoice !== "boolean" || typeof hideResultsUntilVoted !== "boolean") {
+      return { error: "multipleChoice and hideResultsUntilVoted must be booleans" };
+    }
+
+    let closeDate = null;
+    if (closesAt !== null) {
+      closeDate = new Date(closesAt);
+      const maxDate = Date.now() + Poll.MAX_DURATION_DAYS * 24 * 60 * 60 * 1000;
+      if (isNaN(closeDate.getTime()) || closeDate.getTime() <= Date.now() || closeDate.getTime() > maxDate) {
+        return { error: `Poll close time must be in the future and within ${Poll.MAX_DURATION_DAYS} days` };
+      }
+    }
+
+    return {
+      poll: {
+        question: question.trim(),
+        options: texts.map((text, index) => ({ optionId: index, text })),
+        multipleChoice,
+        closesAt: closeDate,
+        hideResultsUntilVoted,
+      },
+    };
+  }
+
+  static isClosed(poll) {
+    return !!poll?.closesAt && new Date(poll.closesAt).getTime() <= Date.now();
+  }
+
+  // Normalize a ballot against a poll. Returns sorted option IDs, or null when invalid.
+  static parseOptionIds(poll, optionIds) {
+    const list = Array.isArray(optionIds) ? optionIds : [optionIds];
+    const ids = [...new Set(list.map(id => (typeof id === "string" && id.trim() ? Number(id) : id)))];
+
+    if (ids.length === 0 || ids.length !== list.length || !ids.every(Number.isInteger)) return null;
+    if (!ids.every(id => poll.options.some(option => option.optionId === id))) return null;
+    if (!poll.multipleChoice && ids.length > 1) return null;
+
+    return ids.sort((a, b) => a - b);
+  }
+
+  // Find a user's ballot
+  static async findVote(postId, userId) {
+    const voteId = Poll.getVoteKey(postId, userId);
+
+    // Check Redis cache first
+    const cachedVote = await rediscon.postsCacheGet(`pollvote:${voteId}`);
+    if (cachedVote) return cachedVote;
+
+    try {
+      const collection = await mongocon.pollvoteCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const vote = await collection.findOne({ voteId });
+      if (vote) await rediscon.postsCacheSet(`pollvote:${voteId}`, vote);
+
+      return vote;
+    } catch (err) {
+      console.error("Error finding poll vote:", err.message);
+      throw err;
+    }
+  }
+
+  // Cast a ballot. Returns null when the user has already voted.
+  static async vote(postId, userId, optionIds) {
+    try {
+      const collection = await mongocon.pollvoteCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const vote = new Poll({ postId, userId, optionIds });
+
+      try {
+        await collection.insertOne({
+          _id: vote.voteId,
+          voteId: vote.voteId,
+          postId: vote.postId,
+          userId: vote.userId,
+          optionIds: vote.optionIds,
+          createdAt: vote.createdAt,
+        });
+      } catch (err) {
+        // The composite _id makes a second ballot a duplicate key
+        if (err.code === 11000) return null;
+        throw err;
+      }
+
+      await rediscon.postsCacheSet(`pollvote:${vote.voteId}`, vote);
+      await rediscon.postsCacheDel(Poll.getResultsKey(postId));
+
+      return vote;
+    } catch (err) {
+      console.error("Error casting poll vote:", err.message);
+      throw err;
+    }
+  }
+
+  // Get a poll's tallies ({ counts: { optionId: votes }, totalVoters }), cached in Redis
+  static async getResults(postId) {
+    const cacheKey = Poll.getResultsKey(postId);
+
+    // Check Redis cache first
+    const cachedResults = await rediscon.postsCacheGet(cacheKey);
+    if (cachedResults) return cachedResults;
+
+    try {
+      const collection = await mongocon.pollvoteCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const result = await collection.aggregate([
+        {
+          $match: { postId }
+        },
+        {
+          $facet: {
+            counts: [
+              { $unwind: "$optionIds" },
+              { $group: { _id: "$optionIds", count: { $sum: 1 } } }
+            ],
+            totalVoters: [
+              { $count: "count" }
+            ]
+          }
+        }
+      ]).toArray();
+
+      const results = {
+        counts: Object.fromEntries(result[0].counts.map(entry => [entry._id, entry.count])),
+        totalVoters: result[0].totalVoters[0]?.count || 0,
+      };
+
+      await rediscon.postsCacheSet(cacheKey, results);
+      return results;
+    } catch (err) {
+      console.error("Error getting poll results:", err.message);
+      throw err;
+    }
+  }
+
+  // Helper: Poll state as shown to a viewer; tallies stay hidden until they vote
+  // (or the poll closes) when the author asked for it
+  static getPollState(post, results, userVote, userId = null) {
+    const poll = post.poll;
+    const isClosed = Poll.isClosed(poll);
+    const resultsHidden = !!poll.hideResultsUntilVoted && !userVote && !isClosed && post.userId !== userId;
+
+    return {
+      question: poll.question,
+      multipleChoice: poll.multipleChoice,
+      closesAt: poll.closesAt,
+      isClosed,
+      hideResultsUntilVoted: poll.hideResultsUntilVoted,
+      resultsHidden,
+      options: poll.options.map(option => ({
+        optionId: option.optionId,
+        text: option.text,
+        votes: resultsHidden ? null : results.counts[option.optionId] || 0,
+      })),
+      totalVoters: resultsHidden ? null : results.totalVoters,
+      userVote: userVote ? userVote.optionIds : null,
+    };
+  }
+
+  // Populate poll results and the viewer's ballot for posts with polls
+  static async populatePollData(posts, userId = null) {
+    if (!posts || !posts.some(post => post.poll)) return posts;
+
+    try {
+      return await Promise.all(posts.map(async (post) => {
+        if (!post.poll) return post;
+
+        const [results, userVote] = await Promise.all([
+          Poll.getResults(post.postId),
+          userId ? Poll.findVote(post.postId, userId) : null,
+        ]);
+
+        return { ...post, poll: Poll.getPollState(post, results, userVote, userId) };
+      }));
+    } catch (err) {
+      console.error("Error populating poll data:", err.message);
+      return posts;
+    }
+  }
+
+  // Delete every ballot of a poll (when its post is deleted)
+  static async deleteVotesByPostId(postId) {
+    try {
+      const collection = await mongocon.pollvoteCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const votes = await collection.find({ postId }, { projection: { voteId: 1 } }).toArray();
+      const result = await collection.deleteMany({ postId });
+
+      for (const vote of votes) {
+        await rediscon.postsCacheDel(`pollvote:${vote.voteId}`);
+      }
+      await rediscon.postsCacheDel(Poll.getResultsKey(postId));
+
+      return result.deletedCount;
+    } catch (err) {
+      console.error("Error deleting poll votes by post ID:", err.message);
+      throw err;
+    }
+  }
+}
+
+export default Poll;
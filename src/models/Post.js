@@ -4,10 +4,37 @@ import rediscon from "../config/rediscon.js";
 import { deleteFileByUrl } from "../config/imagekitcon.js";
 import User from "./User.js"
 import PrefixSearchService from '../services/prefixSearchService.js';
+import FeedRankingService from '../services/feedRankingService.js';
+import RealtimeService from '../services/realtimeService.js';
 import Vote from "./Vote.js"
+import SavedItem from "./SavedItem.js";
+import Report from "./Report.js";
+import Follow from "./Follow.js";
+import Tag from "./Tag.js";
+import Community from "./Community.js";
+import Poll from "./Poll.js";
+import Revision from "./Revision.js";
 import sentimentAnalysisService from '../utils/sentimentAnalyzer.js';
+import { LOCK_MODES } from '../utils/postLockPolicy.js';
+import { buildCursorFilter, encodeCursor, getNextCursor } from '../utils/cursorUtils.js';
+import { VISIBLE_FILTER, NOT_HIDDEN_FILTER, isVisible, isNotHidden } from '../utils/contentVisibility.js';
+import { resolveMentions } from '../utils/mentions.js';
+import { getAnonymousName, maskAnonymousAuthor } from '../utils/anonymity.js';
+import NotificationService from '../services/notificationService.js';
 
 class Post {
+  static DATE_FIELDS = ["createdAt", "updatedAt"];
+  static TAG_FILTER_MODES = ["any", "all"];
+  static MAX_FILTER_TAGS = 10;
+  static MAX_TAG_LENGTH = 50;
+  static FILTERED_FEED_TTL = 120; // Filtered lists aren't updated on writes, so they expire quickly
+  static TYPES = {
+    DISCUSSION: "discussion",
+    QUESTION: "question",
+  };
+  static SCHEDULE_QUEUE_KEY = "posts:scheduled"; // Sorted set of scheduled postIds scored by publish time
+  static MAX_SCHEDULE_DAYS = 90;
+
   constructor(data) {
     this.postId = data.postId || new ObjectId().toString();
     this.userId = data.userId;
@@ -21,35 +48,186 @@ class Post {
     this.updatedAt = data.updatedAt || new Date();
     this.isPinned = data.isPinned || false;
     this.isLocked = data.isLocked || false;
+    this.lockMode = data.lockMode || null;
+    this.lockReason = data.lockReason || null;
+    this.lockedBy = data.lockedBy || null;
+    this.lockedAt = data.lockedAt || null;
     this.viewCount = data.viewCount || 0;
     this.media = data.media || []
+    this.isHidden = data.isHidden || false;
+    this.mentions = data.mentions || []; // [{ userId, name, start, end }] within content
+    this.communityId = data.communityId || null; // null = global feed only
+    this.isPrivate = data.isPrivate || false; // Posted in a private community (kept in sync with it)
+    this.poll = data.poll || null; // Validated by Poll.validate; ballots live in their own collection
+    this.type = data.type || Post.TYPES.DISCUSSION;
+    this.acceptedAnswerId = data.acceptedAnswerId || null; // Top-level comment accepted on a question
+    this.isAnswered = data.isAnswered || false;
+    this.isScheduled = data.isScheduled || false; // Kept out of every feed until the scheduler publishes it
+    this.publishAt = data.publishAt || null;
+    this.isAnonymous = data.isAnonymous || false; // Author shown as anonymousName; userId is kept for moderation
+    this.anonymousName = data.anonymousName || null;
+  }
+
+  // Helper: Normalize a tag filter ({ tags, mode }); null when empty, undefined when invalid
+  static normalizeTagFilter(tags, mode = "any") {
+    if (tags === undefined || tags === null) return null;
+
+    const list = Array.isArray(tags) ? tags : [tags];
+    if (!list.every(tag => typeof tag === "string" && tag.length <= Post.MAX_TAG_LENGTH)) return undefined;
+    if (!Post.TAG_FILTER_MODES.includes(mode)) return undefined;
+
+    const normalized = [...new Set(list.map(tag => tag.trim()).filter(Boolean))].sort();
+    if (normalized.length === 0) return null;
+    if (normalized.length > Post.MAX_FILTER_TAGS) return undefined;
+
+    return { tags: normalized, mode };
+  }
+
+  // Helper: Normalize feed filters ({ tags, mode, type, answered }); null when empty, undefined when invalid.
+  // Filtering on the answered state implies questions.
+  static normalizeFeedFilter({ tags, tagMode = "any", type, answered } = {}) {
+    const tagFilter = Post.normalizeTagFilter(tags, tagMode);
+    if (tagFilter === undefined) return undefined;
+
+    const feedFilter = { ...tagFilter };
+
+    if (type !== undefined) {
+      if (!Object.values(Post.TYPES).includes(type)) return undefined;
+      feedFilter.type = type;
+    }
+
+    if (answered !== undefined) {
+      if (answered !== "true" && answered !== "false") return undefined;
+      if (feedFilter.type && feedFilter.type !== Post.TYPES.QUESTION) return undefined;
+      feedFilter.type = Post.TYPES.QUESTION;
+      feedFilter.answered = answered === "true";
+    }
+
+    return Object.keys(feedFilter).length > 0 ? feedFilter : null;
+  }
+
+  // Helper: Mongo filter for a feed, optionally restricted to tags, post type and answered state
+  static getFeedFilter(feedFilter = null) {
+    if (!feedFilter) return VISIBLE_FILTER;
+
+    const filter = { ...VISIBLE_FILTER };
+    if (feedFilter.tags) {
+      const operator = feedFilter.mode === "all" ? "$all" : "$in";
+      filter.tags = { [operator]: feedFilter.tags };
+    }
+    if (feedFilter.type) {
+      // Posts from before post types existed are discussions
+      filter.type = feedFilter.type === Post.TYPES.QUESTION ? Post.TYPES.QUESTION : { $ne: Post.TYPES.QUESTION };
+    }
+    if (feedFilter.answered !== undefined) {
+      filter.isAnswered = feedFilter.answered ? true : { $ne: true };
+    }
+    return filter;
+  }
+
+  // Helper: Cache key suffix that keeps filtered feeds apart
+  static getFeedFilterSuffix(feedFilter = null) {
+    if (!feedFilter) return "";
+
+    return [
+      feedFilter.tags ? `:tags:${feedFilter.mode}:${feedFilter.tags.join(",")}` : "",
+      feedFilter.type ? `:type:${feedFilter.type}` : "",
+      feedFilter.answered !== undefined ? `:answered:${feedFilter.answered}` : "",
+    ].join("");
   }
 
   // Helper: Get feed cache key based on sort options
-  static getFeedCacheKey(sortBy, order) {
-    return `posts:feed:${sortBy}:${order === 1 ? 'asc' : 'desc'}`;
+  static getFeedCacheKey(sortBy, order, feedFilter = null) {
+    return `posts:feed:${sortBy}:${order === 1 ? 'asc' : 'desc'}${Post.getFeedFilterSuffix(feedFilter)}`;
+  }
+
+  static getFeedTotalKey(sortBy, feedFilter = null) {
+    return `posts:total:${sortBy}${Post.getFeedFilterSuffix(feedFilter)}`;
+  }
+
+  // Helper: Cursor scope and keyset sort for a feed ordering (postId breaks ties)
+  static getFeedCursorSpec(sortBy = "createdAt", order = -1, feedFilter = null) {
+    return {
+      scope: `posts:${sortBy}:${order}${Post.getFeedFilterSuffix(feedFilter)}`,
+      sortSpec: [
+        [sortBy, order, Post.DATE_FIELDS.includes(sortBy) ? "date" : undefined],
+        ["postId", order],
+      ],
+    };
+  }
+
+  static getRankedCursorScope(sort, period) {
+    return `posts:rank:${sort}:${sort === "top" ? period : "-"}`;
+  }
+
+  static getUserPostsCursorScope(userId) {
+    return `posts:user:${userId}`;
+  }
+
+  static getSearchCursorSpec(query, sortby = "relevance", feedFilter = null) {
+    const tail = [["createdAt", -1, "date"], ["postId", -1]];
+    const sortSpec =
+      sortby === "recent" ? tail
+      : sortby === "popular" ? [["upvotes", -1], ...tail]
+      : [["score", -1], ...tail];
+
+    return { scope: `search:${sortby}:${query}${Post.getFeedFilterSuffix(feedFilter)}`, sortSpec };
+  }
+
+  // Helper: Fetch one keyset page of posts after a decoded cursor
+  static async findPostsAfterCursor(baseFilter, cursorSpec, cursor, limit) {
+    const collection = await mongocon.postsCollection();
+    if (!collection) throw new Error("Database connection failed");
+
+    const { scope, sortSpec } = cursorSpec;
+    const filter = cursor
+      ? { $and: [baseFilter, buildCursorFilter(sortSpec, cursor)] }
+      : baseFilter;
+    const sort = Object.fromEntries(sortSpec.map(([field, order]) => [field, order]));
+
+    const docs = await collection.find(filter).sort(sort).limit(limit + 1).toArray();
+    const hasMore = docs.length > limit;
+    const posts = docs.slice(0, limit);
+
+    if (posts.length > 0) {
+      const cachePairs = {};
+      posts.forEach((post) => {
+        cachePairs[post.postId] = post;
+      });
+      await rediscon.postsCacheMSet(cachePairs);
+    }
+
+    return {
+      posts,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: getNextCursor(posts, hasMore, scope, sortSpec),
+      },
+    };
   }
 
   // Helper: Rebuild feed cache from database
-  static async rebuildFeedCache(sortBy = "createdAt", order = -1, limit = 50) {
+  static async rebuildFeedCache(sortBy = "createdAt", order = -1, limit = 50, feedFilter = null) {
     try {
       const collection = await mongocon.postsCollection();
       if (!collection) return false;
 
       const posts = await collection
-        .find({})
+        .find(Post.getFeedFilter(feedFilter))
         .sort({ [sortBy]: order })
         .limit(limit)
         .toArray();
 
       if (posts.length === 0) return true;
 
-      const feedKey = Post.getFeedCacheKey(sortBy, order);
+      const feedKey = Post.getFeedCacheKey(sortBy, order, feedFilter);
       
       // Use Redis pipeline for atomic operation
       await rediscon.feedCacheClear(feedKey);
       await rediscon.feedCachePush(feedKey, posts.map(p => p.postId));
       await rediscon.feedCacheTrim(feedKey, 0, limit - 1);
+      if (feedFilter) await rediscon.feedCacheExpire(feedKey, Post.FILTERED_FEED_TTL);
 
       // Also cache individual posts
       const cachePairs = {};
@@ -66,13 +244,33 @@ class Post {
     }
   }
 
+  // Helper: Keep ranked feeds (hot/rising/top) in sync after engagement changes
+  static async refreshRanking(postId, voteDelta = 0) {
+    try {
+      if (voteDelta) await FeedRankingService.recordVote(postId, voteDelta);
+
+      const post = await Post.findByPostId(postId);
+      await FeedRankingService.updatePostScores(post);
+
+      // Live vote counts for anyone watching the post
+      if (voteDelta) await RealtimeService.publishPostVotes(post);
+    } catch (err) {
+      console.error("Error refreshing post ranking:", err.message);
+    }
+  }
+
   // Create a new post
   static async create(postData) {
     try {
       const collection = await mongocon.postsCollection();
       if (!collection) throw new Error("Database connection failed");
 
-      const newPost = new Post(postData);
+      const newPost = new Post({
+        ...postData,
+        tags: await Tag.canonicalize(postData.tags),
+        mentions: await resolveMentions(postData.content),
+      });
+      if (newPost.isAnonymous) newPost.anonymousName = getAnonymousName(newPost.postId, newPost.userId);
       const result = await collection.insertOne({
         _id: newPost.postId,
         postId: newPost.postId,
@@ -87,23 +285,37 @@ class Post {
         updatedAt: newPost.updatedAt,
         isPinned: newPost.isPinned,
         isLocked: newPost.isLocked,
+        lockMode: newPost.lockMode,
+        lockReason: newPost.lockReason,
+        lockedBy: newPost.lockedBy,
+        lockedAt: newPost.lockedAt,
         viewCount: newPost.viewCount,
-        media: newPost.media
+        media: newPost.media,
+        isHidden: newPost.isHidden,
+        mentions: newPost.mentions,
+        type: newPost.type,
+        acceptedAnswerId: newPost.acceptedAnswerId,
+        isAnswered: newPost.isAnswered,
+        communityId: newPost.communityId,
+        isPrivate: newPost.isPrivate,
+        poll: newPost.poll,
+        isScheduled: newPost.isScheduled,
+        publishAt: newPost.publishAt,
+        isAnonymous: newPost.isAnonymous,
+        anonymousName: newPost.anonymousName
       });
 
       if (result.acknowledged) {
         // Cache the post
         await rediscon.postsCacheSet(newPost.postId, newPost);
-        
-        // Add to user's posts
-        await User.addPost(newPost.userId, newPost.postId);
-        
-        // Update feed caches (push to front, trim to size)
-        const feedKey = Post.getFeedCacheKey("createdAt", -1);
-        await rediscon.feedCachePushFront(feedKey, newPost.postId);
-        await rediscon.feedCacheTrim(feedKey, 0, 49); // Keep 50 posts
-        PrefixSearchService.indexPost(newPost);
 
+        // Scheduled posts wait in the queue; the scheduler announces them when due
+        if (newPost.isScheduled) {
+          await rediscon.rankedFeedAdd(Post.SCHEDULE_QUEUE_KEY, [{ score: new Date(newPost.publishAt).getTime(), postId: newPost.postId }]);
+          return newPost;
+        }
+
+        await Post.announce(newPost);
         return newPost;
       }
       throw new Error("Failed to create post");
@@ -113,6 +325,172 @@ class Post {
     }
   }
 
+  // Make a newly published post visible: author's list, feed caches, search
+  // index, tag counts, rankings, live stream and mention notifications
+  static async announce(newPost) {
+    // Add to user's posts
+    await User.addPost(newPost.userId, newPost.postId);
+
+    // Update feed caches (push to front, trim to size); private community posts stay out
+    if (!newPost.isPrivate) {
+      const feedKey = Post.getFeedCacheKey("createdAt", -1);
+      await rediscon.feedCachePushFront(feedKey, newPost.postId);
+      await rediscon.feedCacheTrim(feedKey, 0, 49); // Keep 50 posts
+    }
+    if (newPost.communityId) await Post.clearCommunityFeedCache(newPost.communityId);
+    PrefixSearchService.indexPost(newPost);
+    Tag.recordUsage(newPost.tags);
+    FeedRankingService.updatePostScores(newPost);
+    RealtimeService.publishNewPost(newPost);
+    NotificationService.notifyMentions(newPost.mentions, {
+      actorId: newPost.userId,
+      isAnonymous: newPost.isAnonymous,
+      targetType: "post",
+      targetId: newPost.postId,
+      postId: newPost.postId,
+    });
+  }
+
+  // Validate a requested publish time. Returns { error } or { publishAt }.
+  static validatePublishAt(value) {
+    const publishAt = new Date(value);
+    const maxDate = Date.now() + Post.MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000;
+
+    if (value === null || value === "" || isNaN(publishAt.getTime()) || publishAt.getTime() <= Date.now() || publishAt.getTime() > maxDate) {
+      return { error: `publishAt must be a time in the future and within ${Post.MAX_SCHEDULE_DAYS} days` };
+    }
+
+    return { publishAt };
+  }
+
+  // Get scheduled posts (earliest first); userId = null lists everyone's, optionally only those carrying one of tags
+  static async getScheduledPosts(userId = null, page = 1, limit = 10, tags = null) {
+    try {
+      const collection = await mongocon.postsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const skip = (page - 1) * limit;
+      const match = userId ? { isScheduled: true, userId } : { isScheduled: true };
+      if (tags) match.tags = { $in: tags };
+
+      const result = await collection.aggregate([
+        {
+          $match: match
+        },
+        {
+          $facet: {
+            metadata: [{ $count: "total" }],
+            data: [
+              { $sort: { publishAt: 1 } },
+              { $skip: skip },
+              { $limit: limit }
+            ]
+          }
+        }
+      ]).toArray();
+
+      const total = result[0].metadata[0]?.total || 0;
+
+      return {
+        posts: await Post.populateUserData(result[0].data),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (err) {
+      console.error("Error getting scheduled posts:", err.message);
+      throw err;
+    }
+  }
+
+  // Move a scheduled post to a new publish time. Returns null when it isn't scheduled (anymore).
+  static async reschedule(postId, publishAt) {
+    try {
+      const collection = await mongocon.postsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const post = await collection.findOneAndUpdate(
+        { postId, isScheduled: true },
+        { $set: { publishAt, updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+      if (!post) return null;
+
+      await rediscon.postsCacheDel(postId);
+      await rediscon.rankedFeedAdd(Post.SCHEDULE_QUEUE_KEY, [{ score: publishAt.getTime(), postId }]);
+
+      return post;
+    } catch (err) {
+      console.error("Error rescheduling post:", err.message);
+      throw err;
+    }
+  }
+
+  // Publish a scheduled post now. The conditional update makes this safe to race:
+  // only one caller flips isScheduled and announces the post.
+  static async publishScheduled(postId) {
+    try {
+      const collection = await mongocon.postsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const now = new Date();
+      const post = await collection.findOneAndUpdate(
+        { postId, isScheduled: true },
+        { $set: { isScheduled: false, createdAt: now, updatedAt: now } },
+        { returnDocument: "after" }
+      );
+
+      await rediscon.rankedFeedRemove(Post.SCHEDULE_QUEUE_KEY, postId);
+      if (!post) return null;
+
+      await rediscon.postsCacheDel(postId);
+      await Post.announce(post);
+
+      return post;
+    } catch (err) {
+      console.error("Error publishing scheduled post:", err.message);
+      throw err;
+    }
+  }
+
+  // Get IDs of scheduled posts due by `before`, straight from the database
+  static async getDueScheduledPostIds(before = new Date(), limit = 100) {
+    try {
+      const collection = await mongocon.postsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const posts = await collection
+        .find({ isScheduled: true, publishAt: { $lte: before } }, { projection: { postId: 1 } })
+        .limit(limit)
+        .toArray();
+
+      return posts.map(post => post.postId);
+    } catch (err) {
+      console.error("Error getting due scheduled posts:", err.message);
+      throw err;
+    }
+  }
+
+  // Get every scheduled post's due time (for rebuilding the Redis queue)
+  static async getScheduleEntries() {
+    try {
+      const collection = await mongocon.postsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const posts = await collection
+        .find({ isScheduled: true }, { projection: { postId: 1, publishAt: 1 } })
+        .toArray();
+
+      return posts.map(post => ({ score: new Date(post.publishAt).getTime(), postId: post.postId }));
+    } catch (err) {
+      console.error("Error getting schedule entries:", err.message);
+      throw err;
+    }
+  }
+
   // Find post by Post ID
   static async findByPostId(postId) {
     const redisPost = await rediscon.postsCacheGet(postId);
@@ -136,8 +514,8 @@ class Post {
   static async populateUserData(posts) {
     if (!posts || posts.length === 0) return posts;
     try {
-      // Get unique user IDs
-      const userIds = [...new Set(posts.map(post => post.userId))];
+      // Get unique user IDs (anonymous authors are never looked up)
+      const userIds = [...new Set(posts.filter(post => !post.isAnonymous).map(post => post.userId))];
       
       const userMap = new Map();
       const missingUserIds = [];
@@ -186,8 +564,8 @@ class Post {
         }
       }
       
-      // Populate posts with user data
-      return posts.map(post => ({
+      // Populate posts with user data; anonymous posts get their pseudonym instead
+      return posts.map(post => post.isAnonymous ? maskAnonymousAuthor(post) : ({
         ...post,
         user: userMap.get(post.userId) || { 
           userId: post.userId, 
@@ -197,7 +575,7 @@ class Post {
       }));
     } catch (err) {
       console.error("Error populating user data:", err.message);
-      return posts;
+      return posts.map(maskAnonymousAuthor);
     }
   }
 
@@ -255,7 +633,41 @@ class Post {
     }
   }
 
-  // Populate both user and vote data
+  // Populate saved (bookmarked) state for posts
+  static async populateSavedData(posts, userId) {
+    if (!posts || posts.length === 0 || !userId) {
+      return posts.map(post => ({ ...post, isSaved: false }));
+    }
+
+    const postIds = [...new Set(posts.map(post => post.postId))];
+    const savedIds = await SavedItem.getSavedItemIds(userId, SavedItem.ITEM_TYPES.POST, postIds);
+
+    return posts.map(post => ({
+      ...post,
+      isSaved: savedIds.has(post.postId)
+    }));
+  }
+
+  // Populate the community a post belongs to
+  static async populateCommunityData(posts) {
+    const communityIds = [...new Set(posts.map(post => post.communityId).filter(Boolean))];
+    if (communityIds.length === 0) return posts;
+
+    const communities = await Community.findByIds(communityIds);
+    const communityMap = new Map(communities.map(community => [community.communityId, community]));
+
+    return posts.map(post => {
+      const community = post.communityId ? communityMap.get(post.communityId) : null;
+      return {
+        ...post,
+        community: community
+          ? { slug: community.slug, name: community.name, iconUrl: community.iconUrl, isPrivate: community.isPrivate }
+          : null,
+      };
+    });
+  }
+
+  // Populate user, vote, saved, community and poll data
   static async populatePostData(posts, userId = null) {
     if (!posts || posts.length === 0) return posts;
 
@@ -265,21 +677,40 @@ class Post {
       
       // Populate vote data
       populatedPosts = await Post.populateVoteData(populatedPosts, userId);
+
+      // Populate saved state
+      populatedPosts = await Post.populateSavedData(populatedPosts, userId);
+
+      // Populate community
+      populatedPosts = await Post.populateCommunityData(populatedPosts);
+
+      // Populate poll results and the user's ballot
+      populatedPosts = await Poll.populatePollData(populatedPosts, userId);
       
       return populatedPosts;
     } catch (err) {
       console.error("Error populating post data:", err.message);
-      return posts;
+      return posts.map(maskAnonymousAuthor);
     }
   }
 
   // Get all posts with pagination - OPTIMIZED VERSION
-  static async getAllPosts(page = 1, limit = 10, sortBy = "createdAt", order = -1, userId = null) {
+  static async getAllPosts(page = 1, limit = 10, sortBy = "createdAt", order = -1, userId = null, cursor = null, feedFilter = null) {
     try {
       const collection = await mongocon.postsCollection();
       if (!collection) throw new Error("Database connection failed");
 
-      const feedKey = Post.getFeedCacheKey(sortBy, order);
+      const filter = Post.getFeedFilter(feedFilter);
+      const cursorSpec = Post.getFeedCursorSpec(sortBy, order, feedFilter);
+
+      // Cursor requests bypass the cached list and page by keyset
+      if (cursor) {
+        const result = await Post.findPostsAfterCursor(filter, cursorSpec, cursor, limit);
+        result.posts = await Post.populatePostData(result.posts, userId);
+        return result;
+      }
+
+      const feedKey = Post.getFeedCacheKey(sortBy, order, feedFilter);
       const start = (page - 1) * limit;
       const end = start + limit - 1;
 
@@ -287,13 +718,13 @@ class Post {
       
       if (!postIds || postIds.length === 0) {
         console.log(`[FEED CACHE] Miss for ${feedKey}, rebuilding...`);
-        await Post.rebuildFeedCache(sortBy, order, 50);
+        await Post.rebuildFeedCache(sortBy, order, 50, feedFilter);
         postIds = await rediscon.feedCacheRange(feedKey, start, end);
       }
 
       if (!postIds || postIds.length === 0) {
         console.log(`[FEED CACHE] Fallback to DB query`);
-        const result = await Post.getAllPostsFromDB(page, limit, sortBy, order, userId);
+        const result = await Post.getAllPostsFromDB(page, limit, sortBy, order, userId, feedFilter);
         return result;
       }
 
@@ -325,26 +756,29 @@ class Post {
       const postsMap = new Map(posts.map(p => [p.postId, p]));
       const orderedPosts = postIds
         .map(id => postsMap.get(id))
-        .filter(Boolean);
+        .filter(isVisible);
 
       // Populate user and vote data
       const populatedPosts = await Post.populatePostData(orderedPosts, userId);
 
-      const totalKey = `posts:total:${sortBy}`;
+      const totalKey = Post.getFeedTotalKey(sortBy, feedFilter);
       let total = await rediscon.feedCacheGetTotal(totalKey);
       
       if (!total) {
-        total = await collection.countDocuments({});
-        await rediscon.feedCacheSetTotal(totalKey, total, 300);
+        total = await collection.countDocuments(filter);
+        await rediscon.feedCacheSetTotal(totalKey, total, feedFilter ? Post.FILTERED_FEED_TTL : 300);
       }
 
+      const totalPages = Math.ceil(total / limit);
+
       return {
         posts: populatedPosts,
         pagination: {
           page,
           limit,
           total,
-          totalPages: Math.ceil(total / limit),
+          totalPages,
+          nextCursor: getNextCursor(orderedPosts, page < totalPages, cursorSpec.scope, cursorSpec.sortSpec),
         },
       };
     } catch (err) {
@@ -354,7 +788,7 @@ class Post {
   }
 
 // fallback func getAllPostsFromDB
-static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order = -1) {
+static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order = -1, userId = null, feedFilter = null) {
   try {
     const collection = await mongocon.postsCollection();
     if (!collection) throw new Error("Database connection failed");
@@ -362,10 +796,11 @@ static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order
     const skip = (page - 1) * limit;
 
     const result = await collection.aggregate([
+      { $match: Post.getFeedFilter(feedFilter) },
       {
         $facet: {
           posts: [
-            { $sort: { [sortBy]: order } },
+            { $sort: { [sortBy]: order, postId: order } },
             { $skip: skip },
             { $limit: limit }
           ],
@@ -390,13 +825,17 @@ static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order
       await rediscon.postsCacheMSet(cachePairs);
     }
 
+    const { scope, sortSpec } = Post.getFeedCursorSpec(sortBy, order, feedFilter);
+    const totalPages = Math.ceil(total / limit);
+
     return {
       posts: populatedPosts,
       pagination: {
         page,
         limit,
         total,
-        totalPages: Math.ceil(total / limit),
+        totalPages,
+        nextCursor: getNextCursor(posts, page < totalPages, scope, sortSpec),
       },
     };
   } catch (err) {
@@ -405,11 +844,128 @@ static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order
   }
 }
 
-  // Get posts by user ID
-  static async getPostsByUserId(userId, page = 1, limit = 10) {
+  // Get posts in the given order, from cache first then the database
+  static async getPostsByIds(postIds) {
+    try {
+      if (!postIds || postIds.length === 0) return [];
+
+      const posts = [];
+      const missingIds = [];
+
+      for (const postId of postIds) {
+        const cachedPost = await rediscon.postsCacheGet(postId);
+        if (cachedPost) {
+          posts.push(cachedPost);
+        } else {
+          missingIds.push(postId);
+        }
+      }
+
+      if (missingIds.length > 0) {
+        const collection = await mongocon.postsCollection();
+        if (!collection) throw new Error("Database connection failed");
+
+        const missingPosts = await collection
+          .find({ postId: { $in: missingIds } })
+          .toArray();
+
+        const cachePairs = {};
+        missingPosts.forEach((post) => {
+          cachePairs[post.postId] = post;
+          posts.push(post);
+        });
+        if (missingPosts.length > 0) await rediscon.postsCacheMSet(cachePairs);
+      }
+
+      const postsMap = new Map(posts.map(p => [p.postId, p]));
+      return postIds
+        .map(id => postsMap.get(id))
+        .filter(Boolean);
+    } catch (err) {
+      console.error("Error getting posts by IDs:", err.message);
+      throw err;
+    }
+  }
+
+  // Get ranked posts (hot, rising, top of period) from the sorted-set feeds
+  static async getRankedPosts(sort = "hot", period = "week", page = 1, limit = 10, userId = null, cursor = null) {
+    try {
+      const start = cursor ? 0 : (page - 1) * limit;
+      const end = start + limit;  // One extra entry tells us whether there is a next page
+
+      const { entries, total } = await FeedRankingService.getRankedEntries(sort, period, start, end, cursor);
+      const hasMore = entries.length > limit;
+      const pageEntries = entries.slice(0, limit);
+
+      const posts = (await Post.getPostsByIds(pageEntries.map(entry => entry.postId)))
+        .filter(isVisible);
+
+      // Populate user and vote data
+      const populatedPosts = await Post.populatePostData(posts, userId);
+
+      const last = pageEntries[pageEntries.length - 1];
+      const nextCursor = hasMore && last
+        ? encodeCursor(Post.getRankedCursorScope(sort, period), [last.score, last.postId])
+        : null;
+
+      if (cursor) {
+        return {
+          posts: populatedPosts,
+          pagination: { limit, hasMore, nextCursor },
+        };
+      }
+
+      return {
+        posts: populatedPosts,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+          nextCursor,
+        },
+      };
+    } catch (err) {
+      console.error("Error getting ranked posts:", err.message);
+      throw err;
+    }
+  }
+
+  // Get posts by user ID. Anonymous posts are only listed (and counted) for
+  // their author, so pass includeAnonymous only when the viewer is the user.
+  static async getPostsByUserId(userId, page = 1, limit = 10, cursor = null, { includeAnonymous = false } = {}) {
     try {
       // First, try to get postIds from User collection
       const userPosts = await User.getPosts(userId);
+      const scope = Post.getUserPostsCursorScope(userId);
+
+      if (!includeAnonymous && userPosts.total > 0) {
+        const anonymousIds = await Post.getAnonymousPostIds(userId);
+        userPosts.posts = userPosts.posts.filter(postId => !anonymousIds.has(postId));
+        userPosts.total = userPosts.posts.length;
+      }
+
+      // Cursor requests continue after the last seen position in the user's post list
+      if (cursor && userPosts.total > 0) {
+        const [lastIndex, lastPostId] = cursor;
+        const foundIndex = userPosts.posts.indexOf(lastPostId);
+        const startIndex = foundIndex > -1 ? foundIndex + 1 : lastIndex;
+
+        const pagePostIds = userPosts.posts.slice(startIndex, startIndex + limit);
+        const hasMore = startIndex + pagePostIds.length < userPosts.total;
+        const posts = await Post.getPostsByIds(pagePostIds);
+
+        return {
+          posts,
+          pagination: {
+            limit,
+            hasMore,
+            nextCursor: hasMore
+              ? encodeCursor(scope, [startIndex + pagePostIds.length - 1, pagePostIds[pagePostIds.length - 1]])
+              : null,
+          },
+        };
+      }
       
       if (userPosts.total > 0) {
         const skip = (page - 1) * limit;
@@ -457,69 +1013,296 @@ static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order
             .find({ postId: { $in: nonCachedPostIds } })
             .toArray();
 
-          if (nonCachedPosts.length > 0) {
-            const cachePairs = {};
-            nonCachedPosts.forEach((post) => {
-              cachePairs[post.postId] = post;
-            });
-            await rediscon.postsCacheMSet(cachePairs);
-          }
-        }
+          if (nonCachedPosts.length > 0) {
+            const cachePairs = {};
+            nonCachedPosts.forEach((post) => {
+              cachePairs[post.postId] = post;
+            });
+            await rediscon.postsCacheMSet(cachePairs);
+          }
+        }
+
+        const allPosts = [...cachedPosts, ...nonCachedPosts];
+        const postsMap = new Map(allPosts.map(post => [post.postId, post]));
+        const orderedPosts = paginatedPostIds
+          .map(id => postsMap.get(id))
+          .filter(Boolean);
+
+        const hasMore = skip + paginatedPostIds.length < userPosts.total;
+
+        return {
+          posts: orderedPosts,
+          pagination: {
+            page,
+            limit,
+            total: userPosts.total,
+            totalPages: Math.ceil(userPosts.total / limit),
+            nextCursor: hasMore
+              ? encodeCursor(scope, [skip + paginatedPostIds.length - 1, paginatedPostIds[paginatedPostIds.length - 1]])
+              : null,
+          },
+        };
+      }
+
+      // Fallback: Query posts collection directly (cursors hold the last seen position here too)
+      const collection = await mongocon.postsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const skip = cursor ? cursor[0] + 1 : (page - 1) * limit;
+
+      const result = await collection.aggregate([
+        {
+          $match: includeAnonymous ? { userId } : { userId, isAnonymous: { $ne: true } }
+        },
+        {
+          $facet: {
+            posts: [
+              { $sort: { createdAt: -1 } },
+              { $skip: skip },
+              { $limit: limit }
+            ],
+            totalCount: [
+              { $count: "count" }
+            ]
+          }
+        }
+      ]).toArray();
+
+      const posts = result[0].posts;
+      const total = result[0].totalCount[0]?.count || 0;
+
+      if (posts.length > 0) {
+        const cachePairs = {};
+        posts.forEach((post) => {
+          cachePairs[post.postId] = post;
+        });
+        await rediscon.postsCacheMSet(cachePairs);
+      }
+
+      const hasMore = skip + posts.length < total;
+      const nextCursor = hasMore
+        ? encodeCursor(scope, [skip + posts.length - 1, posts[posts.length - 1].postId])
+        : null;
+
+      return {
+        posts,
+        pagination: cursor
+          ? { limit, hasMore, nextCursor }
+          : {
+              page,
+              limit,
+              total,
+              totalPages: Math.ceil(total / limit),
+              nextCursor,
+            },
+      };
+    } catch (err) {
+      console.error("Error getting posts by user ID:", err.message);
+      throw err;
+    }
+  }
+ 
+  // Get posts by multiple user IDs (for autocomplete and the following feed)
+  static async getPostsByUserIds(userIds, limit = 10) {
+    try {
+      const collection = await mongocon.postsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const posts = await collection
+        .find({ userId: { $in: userIds }, isAnonymous: { $ne: true }, ...VISIBLE_FILTER })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .toArray();
+
+      return posts;
+    } catch (err) {
+      console.error("Error getting posts by user IDs:", err.message);
+      return [];
+    }
+  }
+
+  // IDs of a user's anonymous posts
+  static async getAnonymousPostIds(userId) {
+    try {
+      const collection = await mongocon.postsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const posts = await collection
+        .find({ userId, isAnonymous: true }, { projection: { postId: 1 } })
+        .toArray();
+
+      return new Set(posts.map(post => post.postId));
+    } catch (err) {
+      console.error("Error getting anonymous post IDs:", err.message);
+      throw err;
+    }
+  }
+
+  // Every post a user wrote, including hidden, scheduled and anonymous ones (personal data export)
+  static async getPostsForExport(userId) {
+    try {
+      const collection = await mongocon.postsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      return await collection
+        .find({ userId }, { projection: { _id: 0 } })
+        .sort({ createdAt: 1 })
+        .toArray();
+    } catch (err) {
+      console.error("Error exporting posts:", err.message);
+      throw err;
+    }
+  }
+  
+  // Get recent posts from the users someone follows. The feed is built on read
+  // from the newest posts of every followee and cached per user for a short TTL;
+  // following or unfollowing someone drops the cached feed.
+  static async getFollowingFeed(userId, page = 1, limit = 10, feedSize = 200) {
+    try {
+      const feedKey = Follow.getFeedCacheKey(userId);
+      const totalKey = Follow.getFeedTotalKey(userId);
+      const start = (page - 1) * limit;
+      const end = start + limit - 1;
+
+      // The total doubles as the marker that the feed is cached (an empty feed has no list)
+      let total = await rediscon.feedCacheGetTotal(totalKey);
+      let postIds = null;
+
+      if (total === null) {
+        console.log(`[FOLLOWING FEED CACHE] Miss for ${userId}, rebuilding...`);
+        const followingIds = await Follow.getFollowingIds(userId);
+        const posts = followingIds.length > 0
+          ? await Post.getPostsByUserIds(followingIds, feedSize)
+          : [];
+
+        await rediscon.feedCacheClear(feedKey);
+        if (posts.length > 0) {
+          await rediscon.feedCachePush(feedKey, posts.map(p => p.postId));
+          await rediscon.feedCacheExpire(feedKey, Follow.FEED_TTL);
+
+          // Also cache individual posts
+          const cachePairs = {};
+          posts.forEach((post) => {
+            cachePairs[post.postId] = post;
+          });
+          await rediscon.postsCacheMSet(cachePairs);
+        }
+
+        total = posts.length;
+        await rediscon.feedCacheSetTotal(totalKey, total, Follow.FEED_TTL);
+
+        // Serve this page from the rebuild directly (works without Redis too)
+        postIds = posts.slice(start, end + 1).map(p => p.postId);
+      } else if (total > 0) {
+        postIds = await rediscon.feedCacheRange(feedKey, start, end);
+      }
+
+      const posts = (await Post.getPostsByIds(postIds || [])).filter(isVisible);
+
+      // Populate user and vote data
+      const populatedPosts = await Post.populatePostData(posts, userId);
+
+      return {
+        posts: populatedPosts,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (err) {
+      console.error("Error getting following feed:", err.message);
+      throw err;
+    }
+  }
+
+  // Helper: Post IDs in a cached list feed, rebuilding it on a miss
+  static async getCachedFeedIds(sortBy = "createdAt", order = -1, feedFilter = null, limit = 50) {
+    const feedKey = Post.getFeedCacheKey(sortBy, order, feedFilter);
+
+    let postIds = await rediscon.feedCacheRange(feedKey, 0, limit - 1);
+    if (!postIds) {
+      await Post.rebuildFeedCache(sortBy, order, limit, feedFilter);
+      postIds = await rediscon.feedCacheRange(feedKey, 0, limit - 1);
+    }
+    if (postIds) return postIds;
 
-        const allPosts = [...cachedPosts, ...nonCachedPosts];
-        const postsMap = new Map(allPosts.map(post => [post.postId, post]));
-        const orderedPosts = paginatedPostIds
-          .map(id => postsMap.get(id))
-          .filter(Boolean);
+    // Fallback to DB query
+    const collection = await mongocon.postsCollection();
+    if (!collection) throw new Error("Database connection failed");
 
-        return {
-          posts: orderedPosts,
-          pagination: {
-            page,
-            limit,
-            total: userPosts.total,
-            totalPages: Math.ceil(userPosts.total / limit),
-          },
-        };
-      }
+    const posts = await collection
+      .find(Post.getFeedFilter(feedFilter))
+      .project({ postId: 1 })
+      .sort({ [sortBy]: order })
+      .limit(limit)
+      .toArray();
 
-      // Fallback: Query posts collection directly
-      const collection = await mongocon.postsCollection();
-      if (!collection) throw new Error("Database connection failed");
+    return posts.map(p => p.postId);
+  }
 
-      const skip = (page - 1) * limit;
+  // Get a personalized home feed: recent, hot and subscribed-tag posts ranked by
+  // hot score with a boost for subscribed tags; posts with a muted tag are dropped.
+  // The ranked list is cached per user for a short TTL.
+  static async getHomeFeed(userId, page = 1, limit = 10) {
+    try {
+      const feedKey = FeedRankingService.getHomeFeedKey(userId);
+      const totalKey = FeedRankingService.getHomeFeedTotalKey(userId);
+      const ttl = FeedRankingService.FEED_TTL.home;
+      const start = (page - 1) * limit;
+      const end = start + limit - 1;
 
-      const result = await collection.aggregate([
-        {
-          $match: { userId }
-        },
-        {
-          $facet: {
-            posts: [
-              { $sort: { createdAt: -1 } },
-              { $skip: skip },
-              { $limit: limit }
-            ],
-            totalCount: [
-              { $count: "count" }
-            ]
-          }
+      // The total doubles as the marker that the feed is cached (an empty feed has no list)
+      let total = await rediscon.feedCacheGetTotal(totalKey);
+      let postIds = null;
+
+      if (total === null) {
+        console.log(`[HOME FEED CACHE] Miss for ${userId}, rebuilding...`);
+        const user = await User.findByUserId(userId);
+        const subscribedTags = new Set(user?.subscribedTags || []);
+        const mutedTags = new Set(user?.mutedTags || []);
+
+        const [recentIds, { entries: hotEntries }, subscribedIds] = await Promise.all([
+          Post.getCachedFeedIds("createdAt", -1),
+          FeedRankingService.getRankedEntries("hot", "week", 0, FeedRankingService.FEED_SIZE - 1),
+          subscribedTags.size > 0
+            ? Post.getCachedFeedIds("createdAt", -1, { tags: [...subscribedTags].sort(), mode: "any" })
+            : [],
+        ]);
+
+        const candidateIds = [...new Set([...recentIds, ...hotEntries.map(entry => entry.postId), ...subscribedIds])];
+        const rankedIds = (await Post.getPostsByIds(candidateIds))
+          .filter(post => isVisible(post) && !(post.tags || []).some(tag => mutedTags.has(tag)))
+          .map(post => ({
+            postId: post.postId,
+            score: FeedRankingService.calculatePersonalizedScore(post, subscribedTags),
+          }))
+          .sort((a, b) => b.score - a.score)
+          .map(entry => entry.postId);
+
+        await rediscon.feedCacheClear(feedKey);
+        if (rankedIds.length > 0) {
+          await rediscon.feedCachePush(feedKey, rankedIds);
+          await rediscon.feedCacheExpire(feedKey, ttl);
         }
-      ]).toArray();
 
-      const posts = result[0].posts;
-      const total = result[0].totalCount[0]?.count || 0;
+        total = rankedIds.length;
+        await rediscon.feedCacheSetTotal(totalKey, total, ttl);
 
-      if (posts.length > 0) {
-        const cachePairs = {};
-        posts.forEach((post) => {
-          cachePairs[post.postId] = post;
-        });
-        await rediscon.postsCacheMSet(cachePairs);
+        // Serve this page from the rebuild directly (works without Redis too)
+        postIds = rankedIds.slice(start, end + 1);
+      } else if (total > 0) {
+        postIds = await rediscon.feedCacheRange(feedKey, start, end);
       }
 
+      const posts = (await Post.getPostsByIds(postIds || [])).filter(isVisible);
+
+      // Populate user and vote data
+      const populatedPosts = await Post.populatePostData(posts, userId);
+
       return {
-        posts,
+        posts: populatedPosts,
         pagination: {
           page,
           limit,
@@ -528,61 +1311,115 @@ static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order
         },
       };
     } catch (err) {
-      console.error("Error getting posts by user ID:", err.message);
+      console.error("Error getting home feed:", err.message);
       throw err;
     }
   }
- 
-  // Get posts by multiple user IDs (for autocomplete)
-  static async getPostsByUserIds(userIds, limit = 10) {
+
+  // Get the tags of every visible tagged post (for rebuilding the tag index)
+  static async getTaggedPosts() {
     try {
       const collection = await mongocon.postsCollection();
       if (!collection) throw new Error("Database connection failed");
 
-      const posts = await collection
-        .find({ userId: { $in: userIds } })
-        .sort({ createdAt: -1 })
-        .limit(limit)
+      return await collection
+        .find({ "tags.0": { $exists: true }, ...VISIBLE_FILTER }, { projection: { postId: 1, tags: 1 } })
         .toArray();
+    } catch (err) {
+      console.error("Error getting tagged posts:", err.message);
+      throw err;
+    }
+  }
 
-      return posts;
+  // Rewrite posts tagged with any of `fromNames` to use `toName` instead.
+  // Returns how many posts now carry `toName`.
+  static async replaceTags(fromNames, toName) {
+    try {
+      const collection = await mongocon.postsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const affected = await collection
+        .find({ tags: { $in: fromNames } }, { projection: { postId: 1 } })
+        .toArray();
+
+      if (affected.length > 0) {
+        await collection.updateMany(
+          { tags: { $in: fromNames } },
+          Tag.buildRewritePipeline("tags", fromNames, toName)
+        );
+
+        for (const post of affected) {
+          await rediscon.postsCacheDel(post.postId);
+        }
+      }
+
+      return await collection.countDocuments({ tags: toName });
     } catch (err) {
-      console.error("Error getting posts by user IDs:", err.message);
-      return [];
+      console.error("Error replacing post tags:", err.message);
+      throw err;
     }
   }
-  
+
   // Search posts by title or tags
-  static async searchPosts(query, page = 1, limit = 10, sortby = "relevance") {
+  static async searchPosts(query, page = 1, limit = 10, sortby = "relevance", cursor = null, feedFilter = null) {
     try {
       const collection = await mongocon.postsCollection();
       if (!collection) throw new Error("Database connection failed");
 
       const skip = (page - 1) * limit;
 
+      // Question-style queries rank answered questions higher
+      const { answeredBoost } = sentimentAnalysisService.analyzeQuery(query);
+
       const pipeline = [
         { 
           $match: { 
-            $text: { $search: query } 
+            $text: { $search: query },
+            ...Post.getFeedFilter(feedFilter)
           } 
         },
         {
           $addFields: {
-            score: { $meta: "textScore" }
+            score: answeredBoost > 1
+              ? { $multiply: [{ $meta: "textScore" }, { $cond: [{ $eq: ["$isAnswered", true] }, answeredBoost, 1] }] }
+              : { $meta: "textScore" }
           }
         }
       ];
 
-      let sortStage;
-      if (sortby === "relevance") {
-        sortStage = { $sort: { score: -1 , createdAt: -1} };
-      } else if (sortby === "recent") {
-        sortStage = { $sort: { createdAt: -1 } };
-      } else if (sortby === "popular") {
-        sortStage = { $sort: { upvotes: -1, createdAt: -1 } };
-      } else {
-        sortStage = { $sort: { score: -1, createdAt: -1 } };
+      // Sort keys double as the cursor keyset (postId breaks ties)
+      const { scope, sortSpec } = Post.getSearchCursorSpec(query, sortby, feedFilter);
+      const sortStage = {
+        $sort: Object.fromEntries(sortSpec.map(([field, order]) => [field, order]))
+      };
+
+      if (cursor) {
+        pipeline.push({ $match: buildCursorFilter(sortSpec, cursor) });
+        pipeline.push(sortStage);
+        pipeline.push({ $limit: limit + 1 });
+
+        const docs = await collection.aggregate(pipeline).toArray();
+        const hasMore = docs.length > limit;
+        const posts = docs.slice(0, limit);
+
+        if (posts.length > 0) {
+          const cachePairs = {};
+          posts.forEach((post) => {
+            cachePairs[post.postId] = post;
+          });
+          await rediscon.postsCacheMSet(cachePairs);
+        }
+
+        return {
+          posts,
+          pagination: {
+            limit,
+            hasMore,
+            nextCursor: getNextCursor(posts, hasMore, scope, sortSpec),
+          },
+        };
       }
+
       pipeline.push(sortStage);
 
       pipeline.push({
@@ -610,13 +1447,16 @@ static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order
         await rediscon.postsCacheMSet(cachePairs);
       }
 
+      const totalPages = Math.ceil(total / limit);
+
       return {
         posts,
         pagination: {
           page,
           limit,
           total,
-          totalPages: Math.ceil(total / limit),
+          totalPages,
+          nextCursor: getNextCursor(posts, page < totalPages, scope, sortSpec),
         },
       };
     } catch (err) {
@@ -639,6 +1479,7 @@ static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order
           { content: { $regex: query, $options: "i" } },
           { tags: { $regex: query, $options: "i" } }
         ],
+        ...VISIBLE_FILTER,
       };
 
       const result = await collection.aggregate([
@@ -675,7 +1516,7 @@ static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order
     }
   }
 
-  static async enhancedSearch(query, page = 1, limit = 10) {
+  static async enhancedSearch(query, page = 1, limit = 10, feedFilter = null) {
     try {
       const postsCollection = await mongocon.postsCollection();
       const commentsCollection = await mongocon.commentsCollection();
@@ -688,6 +1529,9 @@ static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order
 
       // Expand query with synonyms and spell corrections
       const expandedTerms = await sentimentAnalysisService.expandQueryForSearch(query);
+
+      // Question-style queries rank answered questions higher
+      const { answeredBoost } = sentimentAnalysisService.analyzeQuery(query);
       
       //console.log(`[ENHANCED SEARCH] Original: "${query}"`);
       //console.log(`[ENHANCED SEARCH] Expanded to ${expandedTerms.length} terms:`, expandedTerms.slice(0, 15).join(', '));
@@ -703,7 +1547,8 @@ static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order
           { title: { $regex: regexPattern, $options: 'i' } },
           { content: { $regex: regexPattern, $options: 'i' } },
           { tags: { $regex: regexPattern, $options: 'i' } }
-        ]
+        ],
+        ...Post.getFeedFilter(feedFilter)
       };
 
       const posts = await postsCollection
@@ -714,10 +1559,11 @@ static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order
 
       // Search in comments
       const commentQuery = {
-        content: { $regex: regexPattern, $options: 'i' }
+        content: { $regex: regexPattern, $options: 'i' },
+        ...VISIBLE_FILTER
       };
 
-      const matchingComments = await commentsCollection
+      let matchingComments = await commentsCollection
         .find(commentQuery)
         .sort({ createdAt: -1 })
         .limit(50)
@@ -731,10 +1577,14 @@ static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order
       let commentPosts = [];
       if (commentPostIds.length > 0) {
         commentPosts = await postsCollection
-          .find({ postId: { $in: commentPostIds } })
+          .find({ postId: { $in: commentPostIds }, ...Post.getFeedFilter(feedFilter) })
           .toArray();
       }
 
+      // Comments on posts that aren't public (e.g. in private communities) stay out
+      const visibleCommentPostIds = new Set(commentPosts.map(p => p.postId));
+      matchingComments = matchingComments.filter(c => visibleCommentPostIds.has(c.postId));
+
       // Merge results
       const allPostIds = new Set(posts.map(p => p.postId));
       const additionalPosts = commentPosts.filter(p => !allPostIds.has(p.postId));
@@ -759,6 +1609,7 @@ static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order
 
       // Combine and sort by relevance
       const allResults = [...scoredPosts, ...scoredCommentPosts]
+        .map(post => post.isAnswered ? { ...post, relevanceScore: post.relevanceScore * answeredBoost } : post)
         .sort((a, b) => b.relevanceScore - a.relevanceScore)
         .slice(skip, skip + limit);
 
@@ -772,7 +1623,7 @@ static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order
 
       return {
         posts: populatedPosts,
-        matchingComments: matchingComments.slice(0, 10),
+        matchingComments: matchingComments.slice(0, 10).map(maskAnonymousAuthor),
         pagination: {
           page,
           limit,
@@ -792,7 +1643,7 @@ static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order
     }
   }
   // Update post
-  static async updatePost(postId, updateData) {
+  static async updatePost(postId, updateData, editorId = null) {
     try {
       const collection = await mongocon.postsCollection();
       if (!collection) throw new Error("Database connection failed");
@@ -807,12 +1658,25 @@ static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order
       }
       if (updateData.content !== undefined) {
         allowedUpdates.content = updateData.content;
+        allowedUpdates.mentions = await resolveMentions(updateData.content);
+      }
+      if (updateData.tags !== undefined) {
+        allowedUpdates.tags = await Tag.canonicalize(updateData.tags);
       }
 
       if (Object.keys(allowedUpdates).length === 0) {
         return null;
       }
 
+      // Keep the version being replaced in the post's edit history
+      const isChanged =
+        (allowedUpdates.title !== undefined && allowedUpdates.title !== oldPost.title) ||
+        (allowedUpdates.content !== undefined && allowedUpdates.content !== oldPost.content) ||
+        (allowedUpdates.tags !== undefined && allowedUpdates.tags.join(",") !== (oldPost.tags || []).join(","));
+      if (isChanged) {
+        await Revision.record(Revision.TARGET_TYPES.POST, oldPost, editorId || oldPost.userId);
+      }
+
       allowedUpdates.updatedAt = new Date();
 
       const result = await collection.updateOne(
@@ -823,7 +1687,27 @@ static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order
       if (result.modifiedCount > 0) {
         await rediscon.postsCacheDel(postId);
         const updatedPost = await Post.findByPostId(postId);
+
+        // Scheduled posts are indexed, counted and announced when they go live
+        if (updatedPost.isScheduled) return updatedPost;
+
         PrefixSearchService.updatePostIndex(oldPost, updatedPost);
+        if (allowedUpdates.tags) {
+          const oldTags = oldPost.tags || [];
+          Tag.recordUsage(
+            allowedUpdates.tags.filter(tag => !oldTags.includes(tag)),
+            oldTags.filter(tag => !allowedUpdates.tags.includes(tag))
+          );
+        }
+        if (allowedUpdates.mentions) {
+          NotificationService.notifyMentions(updatedPost.mentions, {
+            actorId: updatedPost.userId,
+            isAnonymous: updatedPost.isAnonymous,
+            targetType: "post",
+            targetId: postId,
+            postId,
+          });
+        }
         return updatedPost;
       }
 
@@ -853,6 +1737,7 @@ static async getAllPostsFromDB(page = 1, limit = 10, sortBy = "createdAt", order
             await rediscon.postsCacheSet(postId, cachedPost);
           }
         }
+        Post.refreshRanking(postId);
       }
 
       return result.modifiedCount > 0;
@@ -888,6 +1773,7 @@ static async upvote(postId) {
           await rediscon.postsCacheSet(postId, updatedPost);
         }
       }
+      Post.refreshRanking(postId, 1);
     }
 
     return result.modifiedCount > 0;
@@ -923,6 +1809,7 @@ static async upvote(postId) {
           await rediscon.postsCacheSet(postId, updatedPost);
         }
       }
+      Post.refreshRanking(postId, -1);
     }
 
     return result.modifiedCount > 0;
@@ -957,6 +1844,7 @@ static async upvote(postId) {
             await rediscon.postsCacheSet(postId, updatedPost);
           }
         }
+        Post.refreshRanking(postId, -1);
       }
 
       return result.modifiedCount > 0;
@@ -992,6 +1880,7 @@ static async upvote(postId) {
             await rediscon.postsCacheSet(postId, updatedPost);
           }
         }
+        Post.refreshRanking(postId, 1);
       }
 
       return result.modifiedCount > 0;
@@ -1020,6 +1909,7 @@ static async upvote(postId) {
             await rediscon.postsCacheSet(postId, cachedPost);
           }
         }
+        Post.refreshRanking(postId);
       }
 
       return result.modifiedCount > 0;
@@ -1051,6 +1941,7 @@ static async upvote(postId) {
             await rediscon.postsCacheSet(postId, cachedPost);
           }
         }
+        Post.refreshRanking(postId);
       }
 
       return result.modifiedCount > 0;
@@ -1079,7 +1970,7 @@ static async upvote(postId) {
       if (result.modifiedCount > 0) {
         await rediscon.postsCacheDel(postId);
         
-        const pinnedFeedKey = Post.getPinnedFeedCacheKey();
+        const pinnedFeedKey = Post.getPinnedFeedCacheKey(post.communityId);
         
         if (newPinnedState) {
           // Post was pinned - add to pinned cache
@@ -1091,7 +1982,7 @@ static async upvote(postId) {
         }
         
         // Invalidate pinned total count
-        await rediscon.feedCacheClear("posts:total:pinned");
+        await rediscon.feedCacheClear(Post.getPinnedTotalKey(post.communityId));
       }
 
       return result.modifiedCount > 0;
@@ -1101,8 +1992,8 @@ static async upvote(postId) {
     }
   }
 
-  // Toggle lock
-  static async toggleLock(postId) {
+  // Toggle lock (records mode, reason and locker when locking, clears them when unlocking)
+  static async toggleLock(postId, options = {}) {
     try {
       const collection = await mongocon.postsCollection();
       if (!collection) throw new Error("Database connection failed");
@@ -1110,9 +2001,27 @@ static async upvote(postId) {
       const post = await collection.findOne({ postId });
       if (!post) throw new Error("Post not found");
 
+      const { mode = LOCK_MODES.COMMENTS, reason = null, lockedBy = null } = options;
+
+      const update = post.isLocked
+        ? {
+            isLocked: false,
+            lockMode: null,
+            lockReason: null,
+            lockedBy: null,
+            lockedAt: null,
+          }
+        : {
+            isLocked: true,
+            lockMode: mode,
+            lockReason: reason,
+            lockedBy,
+            lockedAt: new Date(),
+          };
+
       const result = await collection.updateOne(
         { postId },
-        { $set: { isLocked: !post.isLocked } }
+        { $set: update }
       );
 
       if (result.modifiedCount > 0) {
@@ -1126,6 +2035,111 @@ static async upvote(postId) {
     }
   }
 
+  // Accept a top-level comment as a question's answer (null clears it)
+  static async setAcceptedAnswer(postId, commentId) {
+    try {
+      const collection = await mongocon.postsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const updatedPost = await collection.findOneAndUpdate(
+        { postId },
+        {
+          $set: {
+            acceptedAnswerId: commentId,
+            isAnswered: !!commentId,
+            answeredAt: commentId ? new Date() : null,
+          },
+        },
+        { returnDocument: "after" }
+      );
+
+      if (updatedPost) await rediscon.postsCacheDel(postId);
+
+      return updatedPost;
+    } catch (err) {
+      console.error("Error setting accepted answer:", err.message);
+      throw err;
+    }
+  }
+
+  // Clear a question's accepted answer if it is this comment (when the comment goes away)
+  static async clearAcceptedAnswer(postId, commentId) {
+    try {
+      const collection = await mongocon.postsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const result = await collection.updateOne(
+        { postId, acceptedAnswerId: commentId },
+        { $set: { acceptedAnswerId: null, isAnswered: false, answeredAt: null } }
+      );
+
+      if (result.modifiedCount > 0) {
+        await rediscon.postsCacheDel(postId);
+      }
+
+      return result.modifiedCount > 0;
+    } catch (err) {
+      console.error("Error clearing accepted answer:", err.message);
+    }
+  }
+
+  // Hide or unhide a post (hidden posts stay out of feeds, search and autocomplete)
+  static async setHidden(postId, hidden, reason = null) {
+    try {
+      const collection = await mongocon.postsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const post = await collection.findOne({ postId });
+      if (!post) throw new Error("Post not found");
+
+      const update = hidden
+        ? { isHidden: true, hiddenReason: reason, hiddenAt: new Date() }
+        : { isHidden: false, hiddenReason: null, hiddenAt: null };
+
+      const result = await collection.updateOne(
+        { postId },
+        { $set: update }
+      );
+
+      if (result.modifiedCount > 0) {
+        await rediscon.postsCacheDel(postId);
+
+        const feedKeys = [
+          Post.getFeedCacheKey("createdAt", -1),
+          Post.getFeedCacheKey("createdAt", 1),
+          Post.getFeedCacheKey("upvotes", -1),
+        ];
+        if (post.isPinned) feedKeys.push(Post.getPinnedFeedCacheKey(post.communityId));
+
+        if (hidden) {
+          for (const feedKey of feedKeys) {
+            await rediscon.feedCacheRemove(feedKey, postId);
+          }
+          await FeedRankingService.removePost(postId);
+          PrefixSearchService.removePostIndex(post);
+        } else {
+          // The post can belong anywhere in the list feeds, so let them rebuild
+          for (const feedKey of feedKeys) {
+            await rediscon.feedCacheClear(feedKey);
+          }
+          FeedRankingService.updatePostScores({ ...post, ...update });
+          PrefixSearchService.indexPost(post);
+        }
+
+        // Invalidate total count caches
+        await rediscon.feedCacheClear("posts:total:createdAt");
+        await rediscon.feedCacheClear("posts:total:upvotes");
+        await rediscon.feedCacheClear(Post.getPinnedTotalKey(post.communityId));
+        if (post.communityId) await Post.clearCommunityFeedCache(post.communityId);
+      }
+
+      return result.modifiedCount > 0;
+    } catch (err) {
+      console.error("Error setting post hidden state:", err.message);
+      throw err;
+    }
+  }
+
   // Delete post
   static async deletePost(postId, userId) {
   try {
@@ -1157,19 +2171,30 @@ static async upvote(postId) {
       await rediscon.feedCacheRemove(Post.getFeedCacheKey("createdAt", -1), postId);
       await rediscon.feedCacheRemove(Post.getFeedCacheKey("createdAt", 1), postId);
       await rediscon.feedCacheRemove(Post.getFeedCacheKey("upvotes", -1), postId);
+      await FeedRankingService.removePost(postId);
       
       // If post was pinned, remove from pinned cache
       if (post.isPinned) {
-        await rediscon.feedCacheRemove(Post.getPinnedFeedCacheKey(), postId);
-        await rediscon.feedCacheClear("posts:total:pinned");
+        await rediscon.feedCacheRemove(Post.getPinnedFeedCacheKey(post.communityId), postId);
+        await rediscon.feedCacheClear(Post.getPinnedTotalKey(post.communityId));
       }
+      if (post.communityId) await Post.clearCommunityFeedCache(post.communityId);
       
       // Invalidate total count cache
       await rediscon.feedCacheClear("posts:total:createdAt");
       await rediscon.feedCacheClear("posts:total:upvotes");
 
       PrefixSearchService.removePostIndex(post);
+      if (post.isScheduled) {
+        await rediscon.rankedFeedRemove(Post.SCHEDULE_QUEUE_KEY, postId);
+      } else {
+        Tag.recordUsage([], post.tags || []);
+      }
       Vote.deleteVotesByPostId(postId);
+      if (post.poll) await Poll.deleteVotesByPostId(postId);
+      await SavedItem.deleteByPostId(postId);
+      await Revision.deleteByPostId(postId);
+      await Report.closeByTargetIds(Report.TARGET_TYPES.POST, [postId]);
     }
     
     return result.deletedCount > 0;
@@ -1180,26 +2205,158 @@ static async upvote(postId) {
 }
 
 
-  // Helper: Get pinned feed cache key
-  static getPinnedFeedCacheKey() {
-    return `posts:feed:pinned:desc`;
+  // Helper: Get community feed cache keys
+  static getCommunityFeedCacheKey(communityId) {
+    return `posts:feed:community:${communityId}`;
+  }
+
+  static getCommunityTotalKey(communityId) {
+    return `posts:total:community:${communityId}`;
+  }
+
+  // Helper: Drop a community's cached feed so the next read rebuilds it
+  static async clearCommunityFeedCache(communityId) {
+    await rediscon.feedCacheClear(Post.getCommunityFeedCacheKey(communityId));
+    await rediscon.feedCacheClear(Post.getCommunityTotalKey(communityId));
+  }
+
+  // Get a community's posts, newest first (membership is checked by the caller)
+  static async getCommunityPosts(communityId, page = 1, limit = 10, userId = null) {
+    try {
+      const collection = await mongocon.postsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const filter = { communityId, ...NOT_HIDDEN_FILTER };
+      const feedKey = Post.getCommunityFeedCacheKey(communityId);
+      const totalKey = Post.getCommunityTotalKey(communityId);
+      const start = (page - 1) * limit;
+      const end = start + limit - 1;
+
+      let postIds = await rediscon.feedCacheRange(feedKey, start, end);
+
+      if (!postIds && start < 50) {
+        console.log(`[COMMUNITY FEED CACHE] Miss for ${communityId}, rebuilding...`);
+        const recent = await collection
+          .find(filter, { projection: { postId: 1 } })
+          .sort({ createdAt: -1 })
+          .limit(50)
+          .toArray();
+
+        await rediscon.feedCacheClear(feedKey);
+        if (recent.length > 0) {
+          await rediscon.feedCachePush(feedKey, recent.map(p => p.postId));
+          await rediscon.feedCacheTrim(feedKey, 0, 49);
+        }
+        postIds = recent.slice(start, end + 1).map(p => p.postId);
+      }
+
+      // Pages past the cached window come straight from the database
+      if (!postIds) {
+        const older = await collection
+          .find(filter, { projection: { postId: 1 } })
+          .sort({ createdAt: -1 })
+          .skip(start)
+          .limit(limit)
+          .toArray();
+        postIds = older.map(p => p.postId);
+      }
+
+      const posts = (await Post.getPostsByIds(postIds)).filter(isNotHidden);
+
+      // Populate user and vote data
+      const populatedPosts = await Post.populatePostData(posts, userId);
+
+      let total = await rediscon.feedCacheGetTotal(totalKey);
+      if (total === null) {
+        total = await collection.countDocuments(filter);
+        await rediscon.feedCacheSetTotal(totalKey, total, 300);
+      }
+
+      return {
+        posts: populatedPosts,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (err) {
+      console.error("Error getting community posts:", err.message);
+      throw err;
+    }
+  }
+
+  // Keep posts in sync when a community switches between public and private
+  static async setCommunityPrivacy(communityId, isPrivate) {
+    try {
+      const collection = await mongocon.postsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const affected = await collection
+        .find({ communityId }, { projection: { postId: 1 } })
+        .toArray();
+      if (affected.length === 0) return 0;
+
+      await collection.updateMany({ communityId }, { $set: { isPrivate } });
+
+      for (const post of affected) {
+        await rediscon.postsCacheDel(post.postId);
+        if (isPrivate) await FeedRankingService.removePost(post.postId);
+      }
+
+      // Posts enter or leave every public list feed, so let them rebuild
+      for (const feedKey of [
+        Post.getFeedCacheKey("createdAt", -1),
+        Post.getFeedCacheKey("createdAt", 1),
+        Post.getFeedCacheKey("upvotes", -1),
+      ]) {
+        await rediscon.feedCacheClear(feedKey);
+      }
+      await rediscon.feedCacheClear("posts:total:createdAt");
+      await rediscon.feedCacheClear("posts:total:upvotes");
+      if (!isPrivate) await FeedRankingService.rebuildHotFeed();
+      PrefixSearchService.rebuildIndex();
+
+      return affected.length;
+    } catch (err) {
+      console.error("Error setting community post privacy:", err.message);
+      throw err;
+    }
+  }
+
+  // Helper: Get pinned feed cache keys (the global feed, or a community's)
+  static getPinnedFeedCacheKey(communityId = null) {
+    return communityId ? `posts:feed:pinned:community:${communityId}` : `posts:feed:pinned:desc`;
+  }
+
+  static getPinnedTotalKey(communityId = null) {
+    return communityId ? `posts:total:pinned:community:${communityId}` : `posts:total:pinned`;
+  }
+
+  // Helper: Filter for pinned posts. Community pins stay in their community;
+  // membership is checked before a community feed is read.
+  static getPinnedFilter(communityId = null) {
+    return communityId
+      ? { isPinned: true, communityId, ...NOT_HIDDEN_FILTER }
+      : { isPinned: true, communityId: null, ...VISIBLE_FILTER };
   }
 
   // Helper: Rebuild pinned feed cache from database
-  static async rebuildPinnedFeedCache(limit = 50) {
+  static async rebuildPinnedFeedCache(limit = 50, communityId = null) {
     try {
       const collection = await mongocon.postsCollection();
       if (!collection) return false;
 
       const posts = await collection
-        .find({ isPinned: true })
+        .find(Post.getPinnedFilter(communityId))
         .sort({ createdAt: -1 })
         .limit(limit)
         .toArray();
 
       if (posts.length === 0) return true;
 
-      const feedKey = Post.getPinnedFeedCacheKey();
+      const feedKey = Post.getPinnedFeedCacheKey(communityId);
       
       // Use Redis pipeline for atomic operation
       await rediscon.feedCacheClear(feedKey);
@@ -1222,12 +2379,12 @@ static async upvote(postId) {
   }
 
   // Get pinned posts with pagination - OPTIMIZED VERSION
-  static async getPinnedPosts(page = 1, limit = 10, userId = null) {
+  static async getPinnedPosts(page = 1, limit = 10, userId = null, communityId = null) {
     try {
       const collection = await mongocon.postsCollection();
       if (!collection) throw new Error("Database connection failed");
 
-      const feedKey = Post.getPinnedFeedCacheKey();
+      const feedKey = Post.getPinnedFeedCacheKey(communityId);
       const start = (page - 1) * limit;
       const end = start + limit - 1;
 
@@ -1235,13 +2392,13 @@ static async upvote(postId) {
       
       if (!postIds || postIds.length === 0) {
         console.log(`[PINNED FEED CACHE] Miss, rebuilding...`);
-        await Post.rebuildPinnedFeedCache(50);
+        await Post.rebuildPinnedFeedCache(50, communityId);
         postIds = await rediscon.feedCacheRange(feedKey, start, end);
       }
 
       if (!postIds || postIds.length === 0) {
         console.log(`[PINNED FEED CACHE] Fallback to DB query`);
-        return await Post.getPinnedPostsFromDB(page, limit, userId);
+        return await Post.getPinnedPostsFromDB(page, limit, userId, communityId);
       }
 
       const posts = [];
@@ -1272,16 +2429,16 @@ static async upvote(postId) {
       const postsMap = new Map(posts.map(p => [p.postId, p]));
       const orderedPosts = postIds
         .map(id => postsMap.get(id))
-        .filter(Boolean);
+        .filter(communityId ? isNotHidden : isVisible);
 
       // Populate user and vote data
       const populatedPosts = await Post.populatePostData(orderedPosts, userId);
 
-      const totalKey = `posts:total:pinned`;
+      const totalKey = Post.getPinnedTotalKey(communityId);
       let total = await rediscon.feedCacheGetTotal(totalKey);
       
       if (!total) {
-        total = await collection.countDocuments({ isPinned: true });
+        total = await collection.countDocuments(Post.getPinnedFilter(communityId));
         await rediscon.feedCacheSetTotal(totalKey, total, 300);
       }
 
@@ -1301,7 +2458,7 @@ static async upvote(postId) {
   }
 
   // Fallback function for pinned posts
-  static async getPinnedPostsFromDB(page = 1, limit = 10, userId = null) {
+  static async getPinnedPostsFromDB(page = 1, limit = 10, userId = null, communityId = null) {
     try {
       const collection = await mongocon.postsCollection();
       if (!collection) throw new Error("Database connection failed");
@@ -1310,7 +2467,7 @@ static async upvote(postId) {
 
       const result = await collection.aggregate([
         {
-          $match: { isPinned: true }
+          $match: Post.getPinnedFilter(communityId)
         },
         {
           $facet: {
@@ -0,0 +1,304 @@
+import { ObjectId } from "mongodb";
+import mongocon from "../config/mongocon.js";
+
+// A report is a moderation case for one piece of content. Every distinct
+// reporter is recorded on the open case for that target, so reports are
+// deduplicated per reporter and counted towards the auto-hide threshold.
+class Report {
+  static TARGET_TYPES = {
+    POST: "post",
+    COMMENT: "comment",
+    USER: "user",
+  };
+
+  static STATUSES = {
+    OPEN: "open",
+    CLAIMED: "claimed",
+    RESOLVED: "resolved",
+    DISMISSED: "dismissed",
+  };
+
+  static ACTIVE_STATUSES = [Report.STATUSES.OPEN, Report.STATUSES.CLAIMED];
+
+  static DEFAULT_AUTOHIDE_THRESHOLD = 5;
+
+  constructor(data) {
+    this.reportId = data.reportId || new ObjectId().toString();
+    this.targetType = data.targetType;
+    this.targetId = data.targetId;
+    this.targetUserId = data.targetUserId || null; // Author of the reported content
+    this.status = data.status || Report.STATUSES.OPEN;
+    this.reporters = data.reporters || []; // [{ userId, reason, details, createdAt }]
+    this.reportCount = data.reportCount || 0;
+    this.reasons = data.reasons || {}; // reason -> count
+    this.autoHidden = data.autoHidden || false;
+    this.claimedBy = data.claimedBy || null;
+    this.claimedAt = data.claimedAt || null;
+    this.resolution = data.resolution || null; // { action, note, resolvedBy, resolvedAt }
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  static isValidTargetType(targetType) {
+    return Object.values(Report.TARGET_TYPES).includes(targetType);
+  }
+
+  static isActive(report) {
+    return !!report && Report.ACTIVE_STATUSES.includes(report.status);
+  }
+
+  static getAutoHideThreshold() {
+    const threshold = parseInt(process.env.REPORT_AUTOHIDE_THRESHOLD);
+    return threshold > 0 ? threshold : Report.DEFAULT_AUTOHIDE_THRESHOLD;
+  }
+
+  // Find report by Report ID
+  static async findByReportId(reportId) {
+    try {
+      const collection = await mongocon.reportsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      return await collection.findOne({ reportId });
+    } catch (err) {
+      console.error("Error finding report by Report ID:", err.message);
+      throw err;
+    }
+  }
+
+  // Find the open (or claimed) case for a target
+  static async findActiveByTarget(targetType, targetId) {
+    try {
+      const collection = await mongocon.reportsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      return await collection.findOne({
+        targetType,
+        targetId,
+        status: { $in: Report.ACTIVE_STATUSES },
+      });
+    } catch (err) {
+      console.error("Error finding active report by target:", err.message);
+      throw err;
+    }
+  }
+
+  // Record a report; returns { report, duplicate }
+  static async submit({ targetType, targetId, targetUserId, reporterId, reason, details = null }) {
+    try {
+      const collection = await mongocon.reportsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const entry = {
+        userId: reporterId,
+        reason,
+        details,
+        createdAt: new Date(),
+      };
+
+      const activeReport = await Report.findActiveByTarget(targetType, targetId);
+
+      if (activeReport) {
+        if (activeReport.reporters.some(reporter => reporter.userId === reporterId)) {
+          return { report: activeReport, duplicate: true };
+        }
+
+        // Guard against the same reporter racing in twice
+        const result = await collection.updateOne(
+          { reportId: activeReport.reportId, "reporters.userId": { $ne: reporterId } },
+          {
+            $push: { reporters: entry },
+            $inc: { reportCount: 1, [`reasons.${reason}`]: 1 },
+            $set: { updatedAt: new Date() },
+          }
+        );
+
+        const report = await Report.findByReportId(activeReport.reportId);
+        return { report, duplicate: result.modifiedCount === 0 };
+      }
+
+      const newReport = new Report({
+        targetType,
+        targetId,
+        targetUserId,
+        reporters: [entry],
+        reportCount: 1,
+        reasons: { [reason]: 1 },
+      });
+
+      const result = await collection.insertOne({
+        _id: newReport.reportId,
+        ...newReport,
+      });
+
+      if (result.acknowledged) {
+        return { report: newReport, duplicate: false };
+      }
+      throw new Error("Failed to create report");
+    } catch (err) {
+      console.error("Error submitting report:", err.message);
+      throw err;
+    }
+  }
+
+  // Mark that the target was hidden automatically
+  static async markAutoHidden(reportId) {
+    try {
+      const collection = await mongocon.reportsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const result = await collection.updateOne(
+        { reportId },
+        { $set: { autoHidden: true, updatedAt: new Date() } }
+      );
+
+      return result.modifiedCount > 0;
+    } catch (err) {
+      console.error("Error marking report auto-hidden:", err.message);
+      throw err;
+    }
+  }
+
+  // Get reports with pagination (most reported first)
+  static async getReports(page = 1, limit = 20, filters = {}) {
+    try {
+      const collection = await mongocon.reportsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const skip = (page - 1) * limit;
+
+      const match = {};
+      if (filters.statuses) match.status = { $in: filters.statuses };
+      if (filters.targetType) match.targetType = filters.targetType;
+      if (filters.claimedBy) match.claimedBy = filters.claimedBy;
+
+      const result = await collection.aggregate([
+        {
+          $match: match
+        },
+        {
+          $facet: {
+            reports: [
+              { $sort: { reportCount: -1, createdAt: 1 } },
+              { $skip: skip },
+              { $limit: limit }
+            ],
+            totalCount: [
+              { $count: "count" }
+            ]
+          }
+        }
+      ]).toArray();
+
+      const reports = result[0].reports;
+      const total = result[0].totalCount[0]?.count || 0;
+
+      return {
+        reports,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (err) {
+      console.error("Error getting reports:", err.message);
+      throw err;
+    }
+  }
+
+  // Claim a report for review (open reports, or re-claiming your own)
+  static async claim(reportId, adminId) {
+    try {
+      const collection = await mongocon.reportsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const result = await collection.updateOne(
+        {
+          reportId,
+          $or: [
+            { status: Report.STATUSES.OPEN },
+            { status: Report.STATUSES.CLAIMED, claimedBy: adminId },
+          ],
+        },
+        {
+          $set: {
+            status: Report.STATUSES.CLAIMED,
+            claimedBy: adminId,
+            claimedAt: new Date(),
+            updatedAt: new Date(),
+          },
+        }
+      );
+
+      if (result.matchedCount === 0) return null;
+      return await Report.findByReportId(reportId);
+    } catch (err) {
+      console.error("Error claiming report:", err.message);
+      throw err;
+    }
+  }
+
+  // Close an active report as resolved or dismissed
+  static async close(reportId, status, { action, note = null, resolvedBy = null }) {
+    try {
+      const collection = await mongocon.reportsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const result = await collection.updateOne(
+        { reportId, status: { $in: Report.ACTIVE_STATUSES } },
+        {
+          $set: {
+            status,
+            resolution: {
+              action,
+              note,
+              resolvedBy,
+              resolvedAt: new Date(),
+            },
+            updatedAt: new Date(),
+          },
+        }
+      );
+
+      if (result.modifiedCount === 0) return null;
+      return await Report.findByReportId(reportId);
+    } catch (err) {
+      console.error("Error closing report:", err.message);
+      throw err;
+    }
+  }
+
+  // Resolve any active reports for targets that no longer exist
+  static async closeByTargetIds(targetType, targetIds) {
+    try {
+      if (!targetIds || targetIds.length === 0) return 0;
+
+      const collection = await mongocon.reportsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const result = await collection.updateMany(
+        { targetType, targetId: { $in: targetIds }, status: { $in: Report.ACTIVE_STATUSES } },
+        {
+          $set: {
+            status: Report.STATUSES.RESOLVED,
+            resolution: {
+              action: "target_deleted",
+              note: null,
+              resolvedBy: null,
+              resolvedAt: new Date(),
+            },
+            updatedAt: new Date(),
+          },
+        }
+      );
+
+      return result.modifiedCount;
+    } catch (err) {
+      console.error("Error closing reports by target:", err.message);
+      throw err;
+    }
+  }
+}
+
+export default Report;
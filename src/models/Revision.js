@@ -0,0 +1,151 @@
+import { ObjectId } from "mongodb";
+import mongocon from "../config/mongocon.js";
+
+// Edit history for posts and comments. Every edit stores the version it
+// replaced; the live document is always the latest version, so a history
+// of n versions has n - 1 stored revisions.
+class Revision {
+  static TARGET_TYPES = {
+    POST: "post",
+    COMMENT: "comment",
+  };
+
+  constructor(data) {
+    this.revisionId = data.revisionId || new ObjectId().toString();
+    this.targetType = data.targetType;
+    this.targetId = data.targetId;
+    this.postId = data.postId; // Owning post (same as targetId for posts)
+    this.title = data.title ?? null; // Posts only
+    this.content = data.content;
+    this.tags = data.tags ?? null; // Posts only
+    this.authorId = data.authorId; // Who wrote this version
+    this.versionCreatedAt = data.versionCreatedAt; // When this version was written
+    this.editedBy = data.editedBy; // Who replaced it
+    this.createdAt = data.createdAt || new Date(); // When it was replaced
+  }
+
+  // Store the version of a post or comment that an edit is about to replace
+  static async record(targetType, previous, editedBy) {
+    try {
+      const collection = await mongocon.revisionsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const isPost = targetType === Revision.TARGET_TYPES.POST;
+      const revision = new Revision({
+        targetType,
+        targetId: isPost ? previous.postId : previous.commentId,
+        postId: previous.postId,
+        title: isPost ? previous.title : null,
+        content: previous.content,
+        tags: isPost ? previous.tags || [] : null,
+        authorId: previous.userId,
+        versionCreatedAt: previous.updatedAt || previous.createdAt,
+        editedBy,
+      });
+
+      await collection.insertOne({
+        _id: revision.revisionId,
+        revisionId: revision.revisionId,
+        targetType: revision.targetType,
+        targetId: revision.targetId,
+        postId: revision.postId,
+        title: revision.title,
+        content: revision.content,
+        tags: revision.tags,
+        authorId: revision.authorId,
+        versionCreatedAt: revision.versionCreatedAt,
+        editedBy: revision.editedBy,
+        createdAt: revision.createdAt,
+      });
+
+      return revision;
+    } catch (err) {
+      console.error("Error recording revision:", err.message);
+      throw err;
+    }
+  }
+
+  // Get the stored revisions of a post or comment, oldest first
+  static async getByTarget(targetType, targetId) {
+    try {
+      const collection = await mongocon.revisionsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      return await collection
+        .find({ targetType, targetId })
+        .sort({ createdAt: 1 })
+        .toArray();
+    } catch (err) {
+      console.error("Error getting revisions:", err.message);
+      throw err;
+    }
+  }
+
+  // Full history as numbered versions (1 = original), ending with the live document
+  static async getHistory(targetType, current) {
+    const isPost = targetType === Revision.TARGET_TYPES.POST;
+    const revisions = await Revision.getByTarget(targetType, isPost ? current.postId : current.commentId);
+
+    const versions = revisions.map(revision => ({
+      title: revision.title,
+      content: revision.content,
+      tags: revision.tags,
+      authorId: revision.authorId,
+      createdAt: revision.versionCreatedAt,
+      replacedAt: revision.createdAt,
+      replacedBy: revision.editedBy,
+    }));
+
+    versions.push({
+      title: isPost ? current.title : null,
+      content: current.content,
+      tags: isPost ? current.tags || [] : null,
+      authorId: current.userId,
+      createdAt: revisions.length > 0 ? current.updatedAt : current.createdAt,
+      replacedAt: null,
+      replacedBy: null,
+    });
+
+    // Edit history must not give away who is behind an anonymous post or comment
+    if (current.isAnonymous) {
+      for (const version of versions) {
+        if (version.authorId === current.userId) version.authorId = null;
+        if (version.replacedBy === current.userId) version.replacedBy = null;
+      }
+    }
+
+    return versions.map((version, index) => ({ version: index + 1, ...version, isCurrent: index === versions.length - 1 }));
+  }
+
+  // Delete the history of some posts or comments
+  static async deleteByTargetIds(targetType, targetIds) {
+    try {
+      if (!targetIds || targetIds.length === 0) return 0;
+
+      const collection = await mongocon.revisionsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const result = await collection.deleteMany({ targetType, targetId: { $in: targetIds } });
+      return result.deletedCount;
+    } catch (err) {
+      console.error("Error deleting revisions:", err.message);
+      throw err;
+    }
+  }
+
+  // Delete the history of a post and of the comments under it (cascade delete)
+  static async deleteByPostId(postId) {
+    try {
+      const collection = await mongocon.revisionsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const result = await collection.deleteMany({ postId });
+      return result.deletedCount;
+    } catch (err) {
+      console.error("Error deleting revisions by post ID:", err.message);
+      throw err;
+    }
+  }
+}
+
+export default Revision;
@@ -0,0 +1,163 @@
+import mongocon from "../config/mongocon.js";
+import rediscon from "../config/rediscon.js";
+import { BUILT_IN_ROLES, TAG_SCOPED_PERMISSIONS, isBuiltInRole, isValidPermission } from "../config/permissions.js";
+
+// Custom roles. Built-in roles (admin, moderator, user) live in
+// config/permissions.js and are never stored here.
+class Role {
+  static NAME_PATTERN = /^[a-z][a-z0-9_]{2,29}$/;
+
+  constructor(data) {
+    this.name = data.name;
+    this.description = data.description || null;
+    this.permissions = data.permissions || [];
+    this.createdBy = data.createdBy || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  // Custom role names can't shadow built-ins or look like a banned role
+  static isValidName(name) {
+    return typeof name === "string" && Role.NAME_PATTERN.test(name) && !isBuiltInRole(name);
+  }
+
+  static arePermissionsValid(permissions) {
+    return Array.isArray(permissions) && permissions.every(isValidPermission);
+  }
+
+  // Find custom role by name
+  static async findByName(name) {
+    // Check Redis cache first
+    const cachedRole = await rediscon.usersCacheGet(`role:${name}`);
+    if (cachedRole) return cachedRole;
+
+    try {
+      const collection = await mongocon.rolesCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const role = await collection.findOne({ name });
+
+      // Cache if found
+      if (role) {
+        await rediscon.usersCacheSet(`role:${name}`, role);
+      }
+
+      return role;
+    } catch (err) {
+      console.error("Error finding role by name:", err.message);
+      throw err;
+    }
+  }
+
+  // Get all custom roles
+  static async getAllRoles() {
+    try {
+      const collection = await mongocon.rolesCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      return await collection.find({}).sort({ name: 1 }).toArray();
+    } catch (err) {
+      console.error("Error getting roles:", err.message);
+      throw err;
+    }
+  }
+
+  // Create a custom role
+  static async create(roleData) {
+    try {
+      const collection = await mongocon.rolesCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const newRole = new Role(roleData);
+      const result = await collection.insertOne({
+        _id: newRole.name,
+        name: newRole.name,
+        description: newRole.description,
+        permissions: newRole.permissions,
+        createdBy: newRole.createdBy,
+        createdAt: newRole.createdAt,
+        updatedAt: newRole.updatedAt,
+      });
+
+      if (result.acknowledged) {
+        return newRole;
+      }
+      throw new Error("Failed to create role");
+    } catch (err) {
+      console.error("Error creating role:", err.message);
+      throw err;
+    }
+  }
+
+  // Update a custom role's permissions or description
+  static async update(name, updateData) {
+    try {
+      const collection = await mongocon.rolesCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const update = { updatedAt: new Date() };
+      if (updateData.permissions !== undefined) update.permissions = updateData.permissions;
+      if (updateData.description !== undefined) update.description = updateData.description;
+
+      const result = await collection.updateOne({ name }, { $set: update });
+
+      await rediscon.usersCacheDel(`role:${name}`);
+
+      if (result.matchedCount === 0) return null;
+      return await Role.findByName(name);
+    } catch (err) {
+      console.error("Error updating role:", err.message);
+      throw err;
+    }
+  }
+
+  // Delete a custom role
+  static async delete(name) {
+    try {
+      const collection = await mongocon.rolesCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const result = await collection.deleteOne({ name });
+
+      await rediscon.usersCacheDel(`role:${name}`);
+
+      return result.deletedCount > 0;
+    } catch (err) {
+      console.error("Error deleting role:", err.message);
+      throw err;
+    }
+  }
+
+  // Get the permissions granted by a role (built-in or custom)
+  static async getPermissions(name) {
+    if (isBuiltInRole(name)) return BUILT_IN_ROLES[name];
+
+    const role = await Role.findByName(name);
+    return role ? role.permissions : [];
+  }
+
+  // Resolve what a user may do: { permissions, tags } where tags = null means unscoped
+  static async resolveForUser(user) {
+    // Banned users keep their role name but lose its permissions
+    if (!user || !user.role || user.role.endsWith("-ban")) {
+      return { permissions: [], tags: null };
+    }
+
+    const permissions = await Role.getPermissions(user.role);
+    const tags = Array.isArray(user.roleTags) && user.roleTags.length > 0 ? user.roleTags : null;
+
+    return { permissions, tags };
+  }
+
+  // Whether a user holds a post moderation permission for this post (tag-scoped grants must match its tags)
+  static async canModeratePost(user, permission, post) {
+    const { permissions, tags } = await Role.resolveForUser(user);
+
+    if (!permissions.includes(permission)) return false;
+    if (!tags || !TAG_SCOPED_PERMISSIONS.includes(permission)) return true;
+
+    return (post?.tags || []).some(tag => tags.includes(tag));
+  }
+}
+
+export default Role;
@@ -0,0 +1,133 @@
+import { ObjectId } from "mongodb";
+import mongocon from "../config/mongocon.js";
+
+// A sanction is one entry in a user's moderation history. The user document
+// carries the current ban; sanctions keep the full record after it is lifted.
+class Sanction {
+  static TYPES = {
+    BAN: "ban",
+  };
+
+  static STATUSES = {
+    ACTIVE: "active",
+    LIFTED: "lifted", // Lifted early by an admin
+    EXPIRED: "expired", // Lifted automatically once expiresAt passed
+  };
+
+  constructor(data) {
+    this.sanctionId = data.sanctionId || new ObjectId().toString();
+    this.userId = data.userId;
+    this.type = data.type || Sanction.TYPES.BAN;
+    this.reason = data.reason || null;
+    this.issuedBy = data.issuedBy || null;
+    this.expiresAt = data.expiresAt || null; // null = permanent
+    this.status = data.status || Sanction.STATUSES.ACTIVE;
+    this.liftedAt = data.liftedAt || null;
+    this.liftedBy = data.liftedBy || null;
+    this.liftNote = data.liftNote || null;
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  // Record a new sanction
+  static async create(sanctionData) {
+    try {
+      const collection = await mongocon.sanctionsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const newSanction = new Sanction(sanctionData);
+      const result = await collection.insertOne({
+        _id: newSanction.sanctionId,
+        sanctionId: newSanction.sanctionId,
+        userId: newSanction.userId,
+        type: newSanction.type,
+        reason: newSanction.reason,
+        issuedBy: newSanction.issuedBy,
+        expiresAt: newSanction.expiresAt,
+        status: newSanction.status,
+        liftedAt: newSanction.liftedAt,
+        liftedBy: newSanction.liftedBy,
+        liftNote: newSanction.liftNote,
+        createdAt: newSanction.createdAt,
+      });
+
+      if (result.acknowledged) {
+        return newSanction;
+      }
+      throw new Error("Failed to create sanction");
+    } catch (err) {
+      console.error("Error creating sanction:", err.message);
+      throw err;
+    }
+  }
+
+  // Close a user's active sanctions of a type
+  static async liftActive(userId, type, { status = Sanction.STATUSES.LIFTED, liftedBy = null, note = null } = {}) {
+    try {
+      const collection = await mongocon.sanctionsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const result = await collection.updateMany(
+        { userId, type, status: Sanction.STATUSES.ACTIVE },
+        {
+          $set: {
+            status,
+            liftedAt: new Date(),
+            liftedBy,
+            liftNote: note,
+          },
+        }
+      );
+
+      return result.modifiedCount;
+    } catch (err) {
+      console.error("Error lifting sanctions:", err.message);
+      throw err;
+    }
+  }
+
+  // Get a user's sanction history with pagination (newest first)
+  static async getByUserId(userId, page = 1, limit = 20) {
+    try {
+      const collection = await mongocon.sanctionsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const skip = (page - 1) * limit;
+
+      const result = await collection.aggregate([
+        {
+          $match: { userId }
+        },
+        {
+          $facet: {
+            sanctions: [
+              { $sort: { createdAt: -1 } },
+              { $skip: skip },
+              { $limit: limit }
+            ],
+            totalCount: [
+              { $count: "count" }
+            ]
+          }
+        }
+      ]).toArray();
+
+      const sanctions = result[0].sanctions;
+      const total = result[0].totalCount[0]?.count || 0;
+
+      return {
+        sanctions,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (err) {
+      console.error("Error getting sanctions by user ID:", err.message);
+      throw err;
+    }
+  }
+}
+
+export default Sanction;
@@ -0,0 +1,286 @@
+import mongocon from "../config/mongocon.js";
+import rediscon from "../config/rediscon.js";
+
+class SavedItem {
+  static ITEM_TYPES = {
+    POST: "post",
+    COMMENT: "comment",
+  };
+
+  static MAX_FOLDER_LENGTH = 50;
+
+  constructor(data) {
+    this.savedId = SavedItem.getSavedKey(data.itemType, data.itemId, data.userId); // Composite key
+    this.userId = data.userId;
+    this.itemType = data.itemType; // "post" or "comment"
+    this.itemId = data.itemId;
+    this.postId = data.postId || null; // Owning post (same as itemId for posts)
+    this.folder = data.folder || null; // null = default (unsorted)
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  // Helper: Get cache key for a saved item
+  static getSavedKey(itemType, itemId, userId) {
+    return `${itemType}_${itemId}_${userId}`;
+  }
+
+  static isValidItemType(itemType) {
+    return Object.values(SavedItem.ITEM_TYPES).includes(itemType);
+  }
+
+  // Helper: Normalize a folder name (returns undefined when invalid)
+  static normalizeFolder(folder) {
+    if (folder === undefined || folder === null || folder === "") return null;
+    if (typeof folder !== "string") return undefined;
+
+    const trimmed = folder.trim();
+    if (trimmed.length === 0) return null;
+    if (trimmed.length > SavedItem.MAX_FOLDER_LENGTH) return undefined;
+
+    return trimmed;
+  }
+
+  // Find a saved item
+  static async findSaved(itemType, itemId, userId) {
+    const savedId = SavedItem.getSavedKey(itemType, itemId, userId);
+
+    // Check Redis cache first
+    const cachedItem = await rediscon.postsCacheGet(`saved:${savedId}`);
+    if (cachedItem) return cachedItem;
+
+    try {
+      const collection = await mongocon.saveditemsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const savedItem = await collection.findOne({ savedId });
+
+      // Cache if found
+      if (savedItem) {
+        await rediscon.postsCacheSet(`saved:${savedId}`, savedItem);
+      }
+
+      return savedItem;
+    } catch (err) {
+      console.error("Error finding saved item:", err.message);
+      throw err;
+    }
+  }
+
+  // Save an item (saving again moves it to the given folder)
+  static async save(userId, itemType, itemId, options = {}) {
+    try {
+      const collection = await mongocon.saveditemsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const { postId = null, folder = null } = options;
+      const newItem = new SavedItem({ userId, itemType, itemId, postId, folder });
+
+      const savedItem = await collection.findOneAndUpdate(
+        { savedId: newItem.savedId },
+        {
+          $set: {
+            folder: newItem.folder,
+            updatedAt: newItem.updatedAt,
+          },
+          $setOnInsert: {
+            _id: newItem.savedId,
+            savedId: newItem.savedId,
+            userId: newItem.userId,
+            itemType: newItem.itemType,
+            itemId: newItem.itemId,
+            postId: newItem.postId,
+            createdAt: newItem.createdAt,
+          },
+        },
+        { upsert: true, returnDocument: "after" }
+      );
+
+      await rediscon.postsCacheSet(`saved:${newItem.savedId}`, savedItem);
+
+      return savedItem;
+    } catch (err) {
+      console.error("Error saving item:", err.message);
+      throw err;
+    }
+  }
+
+  // Unsave an item
+  static async unsave(userId, itemType, itemId) {
+    try {
+      const collection = await mongocon.saveditemsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const savedId = SavedItem.getSavedKey(itemType, itemId, userId);
+      const result = await collection.deleteOne({ savedId });
+
+      await rediscon.postsCacheDel(`saved:${savedId}`);
+
+      return result.deletedCount > 0;
+    } catch (err) {
+      console.error("Error unsaving item:", err.message);
+      throw err;
+    }
+  }
+
+  // Get which of the given items a user has saved
+  static async getSavedItemIds(userId, itemType, itemIds) {
+    const savedIds = new Set();
+    if (!userId || !itemIds || itemIds.length === 0) return savedIds;
+
+    try {
+      const missingItemIds = [];
+
+      // Check cache first
+      for (const itemId of itemIds) {
+        const savedId = SavedItem.getSavedKey(itemType, itemId, userId);
+        const cachedItem = await rediscon.postsCacheGet(`saved:${savedId}`);
+        if (cachedItem) {
+          savedIds.add(itemId);
+        } else {
+          missingItemIds.push(itemId);
+        }
+      }
+
+      // Fetch missing from database
+      if (missingItemIds.length > 0) {
+        const collection = await mongocon.saveditemsCollection();
+        if (collection) {
+          const keys = missingItemIds.map(itemId => SavedItem.getSavedKey(itemType, itemId, userId));
+          const savedItems = await collection
+            .find({ savedId: { $in: keys } })
+            .toArray();
+
+          for (const savedItem of savedItems) {
+            savedIds.add(savedItem.itemId);
+            await rediscon.postsCacheSet(`saved:${savedItem.savedId}`, savedItem);
+          }
+        }
+      }
+
+      return savedIds;
+    } catch (err) {
+      console.error("Error getting saved item IDs:", err.message);
+      return savedIds;
+    }
+  }
+
+  // Get a user's saved items with pagination, optionally filtered by folder and type
+  static async getSavedByUserId(userId, page = 1, limit = 20, filters = {}) {
+    try {
+      const collection = await mongocon.saveditemsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const skip = (page - 1) * limit;
+
+      const match = { userId };
+      if (filters.folder !== undefined) match.folder = filters.folder;
+      if (filters.itemType) match.itemType = filters.itemType;
+
+      const result = await collection.aggregate([
+        {
+          $match: match
+        },
+        {
+          $facet: {
+            items: [
+              { $sort: { updatedAt: -1 } },
+              { $skip: skip },
+              { $limit: limit }
+            ],
+            totalCount: [
+              { $count: "count" }
+            ]
+          }
+        }
+      ]).toArray();
+
+      const items = result[0].items;
+      const total = result[0].totalCount[0]?.count || 0;
+
+      return {
+        items,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (err) {
+      console.error("Error getting saved items by user ID:", err.message);
+      throw err;
+    }
+  }
+
+  // Get a user's folders with item counts
+  static async getFolders(userId) {
+    try {
+      const collection = await mongocon.saveditemsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const folders = await collection.aggregate([
+        { $match: { userId } },
+        {
+          $group: {
+            _id: "$folder",
+            count: { $sum: 1 },
+            lastSavedAt: { $max: "$updatedAt" }
+          }
+        },
+        { $sort: { lastSavedAt: -1 } }
+      ]).toArray();
+
+      return folders.map(folder => ({
+        folder: folder._id,
+        count: folder.count,
+        lastSavedAt: folder.lastSavedAt,
+      }));
+    } catch (err) {
+      console.error("Error getting saved folders:", err.message);
+      throw err;
+    }
+  }
+
+  // Helper: Delete saved items matching a filter and clear their cache
+  static async deleteWhere(filter) {
+    const collection = await mongocon.saveditemsCollection();
+    if (!collection) throw new Error("Database connection failed");
+
+    // Get all saved IDs first to clear cache
+    const savedItems = await collection
+      .find(filter, { projection: { savedId: 1 } })
+      .toArray();
+
+    const result = await collection.deleteMany(filter);
+
+    for (const savedItem of savedItems) {
+      await rediscon.postsCacheDel(`saved:${savedItem.savedId}`);
+    }
+
+    return result.deletedCount;
+  }
+
+  // Delete all saves of the given items (cascade delete)
+  static async deleteByItemIds(itemType, itemIds) {
+    try {
+      if (!itemIds || itemIds.length === 0) return 0;
+      return await SavedItem.deleteWhere({ itemType, itemId: { $in: itemIds } });
+    } catch (err) {
+      console.error("Error deleting saved items:", err.message);
+      throw err;
+    }
+  }
+
+  // Delete all saves of a post and of the comments under it (cascade delete)
+  static async deleteByPostId(postId) {
+    try {
+      return await SavedItem.deleteWhere({ postId });
+    } catch (err) {
+      console.error("Error deleting saved items by post ID:", err.message);
+      throw err;
+    }
+  }
+}
+
+export default SavedItem;
@@ -0,0 +1,305 @@
+import mongocon from "../config/mongocon.js";
+import rediscon from "../config/rediscon.js";
+
+// Registry of canonical tag names. Tags are registered the first time a post
+// uses them; synonyms map alternative spellings onto the canonical name.
+class Tag {
+  static ALIASES_CACHE_KEY = "tags:aliases";
+  static MAX_DESCRIPTION_LENGTH = 300;
+  static MAX_SYNONYMS = 20;
+  static MIN_NAME_LENGTH = 2; // Same bounds the moderation middleware enforces on posts
+  static MAX_NAME_LENGTH = 20;
+  static SORTS = {
+    popular: { usageCount: -1, name: 1 },
+    name: { name: 1 },
+    recent: { createdAt: -1, name: 1 },
+  };
+
+  constructor(data) {
+    this.name = data.name; // Canonical name, also the _id
+    this.description = data.description || null;
+    this.synonyms = data.synonyms || [];
+    this.usageCount = data.usageCount || 0;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  // Helper: Lowercase and hyphenate whitespace ("Mid Sems " -> "mid-sems")
+  static normalizeName(name) {
+    if (typeof name !== "string") return "";
+    return name.trim().toLowerCase().replace(/\s+/g, "-");
+  }
+
+  static isValidName(name) {
+    return typeof name === "string" && name.length >= Tag.MIN_NAME_LENGTH && name.length <= Tag.MAX_NAME_LENGTH;
+  }
+
+  // Helper: Map of synonym -> canonical name (cached in Redis)
+  static async getAliasMap() {
+    const cachedAliases = await rediscon.postsCacheGet(Tag.ALIASES_CACHE_KEY);
+    if (cachedAliases) return cachedAliases;
+
+    try {
+      const collection = await mongocon.tagsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const tags = await collection
+        .find({ "synonyms.0": { $exists: true } }, { projection: { name: 1, synonyms: 1 } })
+        .toArray();
+
+      const aliases = {};
+      for (const tag of tags) {
+        for (const synonym of tag.synonyms) aliases[synonym] = tag.name;
+      }
+
+      await rediscon.postsCacheSet(Tag.ALIASES_CACHE_KEY, aliases);
+      return aliases;
+    } catch (err) {
+      console.error("Error getting tag aliases:", err.message);
+      throw err;
+    }
+  }
+
+  // Normalize tags and replace synonyms with their canonical names (order kept, duplicates dropped)
+  static async canonicalize(tags) {
+    if (!Array.isArray(tags) || tags.length === 0) return [];
+
+    const aliases = await Tag.getAliasMap();
+    const canonical = tags
+      .map(tag => Tag.normalizeName(tag))
+      .filter(Boolean)
+      .map(name => aliases[name] || name);
+
+    return [...new Set(canonical)];
+  }
+
+  // Find a tag by canonical name or synonym
+  static async findByName(name) {
+    try {
+      const collection = await mongocon.tagsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const normalized = Tag.normalizeName(name);
+      return await collection.findOne({ $or: [{ name: normalized }, { synonyms: normalized }] });
+    } catch (err) {
+      console.error("Error finding tag:", err.message);
+      throw err;
+    }
+  }
+
+  // Adjust usage counts when posts gain or lose tags (new tags are registered)
+  static async recordUsage(addedTags = [], removedTags = []) {
+    try {
+      if (addedTags.length === 0 && removedTags.length === 0) return;
+
+      const collection = await mongocon.tagsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const now = new Date();
+      const operations = [
+        ...addedTags.map(name => ({
+          updateOne: {
+            filter: { name },
+            update: {
+              $inc: { usageCount: 1 },
+              $set: { updatedAt: now },
+              $setOnInsert: { _id: name, name, description: null, synonyms: [], createdAt: now },
+            },
+            upsert: true,
+          },
+        })),
+        ...removedTags.map(name => ({
+          updateOne: {
+            filter: { name, usageCount: { $gt: 0 } },
+            update: { $inc: { usageCount: -1 }, $set: { updatedAt: now } },
+          },
+        })),
+      ];
+
+      await collection.bulkWrite(operations, { ordered: false });
+    } catch (err) {
+      console.error("Error recording tag usage:", err.message);
+    }
+  }
+
+  // Browse tags with pagination, optionally filtered by a name prefix
+  static async getTags({ page = 1, limit = 20, sort = "popular", prefix = null } = {}) {
+    try {
+      const collection = await mongocon.tagsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const skip = (page - 1) * limit;
+
+      const match = { usageCount: { $gt: 0 } };
+      if (prefix) {
+        const escaped = Tag.normalizeName(prefix).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        match.$or = [
+          { name: { $regex: `^${escaped}` } },
+          { synonyms: { $regex: `^${escaped}` } },
+        ];
+      }
+
+      const result = await collection.aggregate([
+        {
+          $match: match
+        },
+        {
+          $facet: {
+            tags: [
+              { $sort: Tag.SORTS[sort] || Tag.SORTS.popular },
+              { $skip: skip },
+              { $limit: limit }
+            ],
+            totalCount: [
+              { $count: "count" }
+            ]
+          }
+        }
+      ]).toArray();
+
+      const tags = result[0].tags;
+      const total = result[0].totalCount[0]?.count || 0;
+
+      return {
+        tags,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit),
+        },
+      };
+    } catch (err) {
+      console.error("Error getting tags:", err.message);
+      throw err;
+    }
+  }
+
+  // Helper: Names among `names` that are already used by another tag (as name or synonym)
+  static async findConflicts(names, exceptName = null) {
+    const collection = await mongocon.tagsCollection();
+    if (!collection) throw new Error("Database connection failed");
+
+    const conflicts = await collection
+      .find({
+        name: { $ne: exceptName },
+        $or: [{ name: { $in: names } }, { synonyms: { $in: names } }],
+      })
+      .toArray();
+
+    return names.filter(name =>
+      conflicts.some(tag => tag.name === name || tag.synonyms.includes(name))
+    );
+  }
+
+  // Update a tag's description and/or synonyms
+  static async update(name, { description, synonyms } = {}) {
+    try {
+      const collection = await mongocon.tagsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const set = { updatedAt: new Date() };
+      if (description !== undefined) set.description = description;
+      if (synonyms !== undefined) set.synonyms = synonyms;
+
+      const tag = await collection.findOneAndUpdate(
+        { name },
+        { $set: set },
+        { returnDocument: "after" }
+      );
+
+      if (synonyms !== undefined) await rediscon.postsCacheDel(Tag.ALIASES_CACHE_KEY);
+
+      return tag;
+    } catch (err) {
+      console.error("Error updating tag:", err.message);
+      throw err;
+    }
+  }
+
+  // Fold `sourceNames` into `targetName`: the sources and their synonyms become
+  // synonyms of the target. Used by both rename (target is new) and merge.
+  static async absorb(targetName, sourceNames) {
+    try {
+      const collection = await mongocon.tagsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const sources = await collection.find({ name: { $in: sourceNames } }).toArray();
+      const target = await collection.findOne({ name: targetName });
+
+      const synonyms = [...new Set([
+        ...(target?.synonyms || []),
+        ...sourceNames,
+        ...sources.flatMap(source => source.synonyms || []),
+      ])].filter(synonym => synonym !== targetName);
+
+      // A rename carries the source's description over to the new name
+      const description = target?.description || sources.find(source => source.description)?.description || null;
+      const now = new Date();
+
+      await collection.updateOne(
+        { name: targetName },
+        {
+          $set: { synonyms, description, updatedAt: now },
+          $setOnInsert: { _id: targetName, name: targetName, usageCount: 0, createdAt: now },
+        },
+        { upsert: true }
+      );
+      await collection.deleteMany({ name: { $in: sourceNames } });
+
+      await rediscon.postsCacheDel(Tag.ALIASES_CACHE_KEY);
+    } catch (err) {
+      console.error("Error absorbing tags:", err.message);
+      throw err;
+    }
+  }
+
+  // Helper: Update pipeline that replaces `fromNames` with `toName` in an array field,
+  // keeping order and dropping the duplicates a merge can produce
+  static buildRewritePipeline(field, fromNames, toName) {
+    return [
+      {
+        $set: {
+          [field]: {
+            $reduce: {
+              input: {
+                $map: {
+                  input: `$${field}`,
+                  as: "tag",
+                  in: { $cond: [{ $in: ["$$tag", fromNames] }, toName, "$$tag"] },
+                },
+              },
+              initialValue: [],
+              in: {
+                $cond: [
+                  { $in: ["$$this", "$$value"] },
+                  "$$value",
+                  { $concatArrays: ["$$value", ["$$this"]] },
+                ],
+              },
+            },
+          },
+        },
+      },
+    ];
+  }
+
+  // Set a tag's usage count (after posts were rewritten)
+  static async setUsageCount(name, usageCount) {
+    try {
+      const collection = await mongocon.tagsCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      return await collection.findOneAndUpdate(
+        { name },
+        { $set: { usageCount, updatedAt: new Date() } },
+        { returnDocument: "after" }
+      );
+    } catch (err) {
+      console.error("Error setting tag usage count:", err.message);
+      throw err;
+    }
+  }
+}
+
+export default Tag;
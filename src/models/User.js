@@ -2,8 +2,19 @@ import { ObjectId } from "mongodb";
 import mongocon from "../config/mongocon.js";
 import rediscon from "../config/rediscon.js";
 import PrefixSearchService from '../services/prefixSearchService.js';
+import Sanction from "./Sanction.js";
+import FeedRankingService from '../services/feedRankingService.js';
+import Tag from "./Tag.js";
 
 class User {
+  static MAX_TAG_PREFERENCES = 50; // Per list (subscribed, muted)
+
+  // Tag preference kind -> user field; a tag is either subscribed or muted, never both
+  static TAG_PREFERENCE_FIELDS = {
+    subscribe: "subscribedTags",
+    mute: "mutedTags",
+  };
+
   constructor(data) {
     this.userId = data.userId || new ObjectId().toString();
     this.name = data.name;
@@ -88,6 +99,26 @@ class User {
     }
   }
 
+  // Find users by name (case-insensitive exact match)
+  static async findByNames(names) {
+    try {
+      if (!names || names.length === 0) return [];
+
+      const collection = await mongocon.usersCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      return await collection
+        .find(
+          { name: { $in: names } },
+          { projection: { userId: 1, name: 1, role: 1 }, collation: { locale: "en", strength: 2 } }
+        )
+        .toArray();
+    } catch (err) {
+      console.error("Error finding users by name:", err.message);
+      throw err;
+    }
+  }
+
   // Update user
   static async updateUser(userId, updateData) {
     try {
@@ -201,8 +232,26 @@ class User {
     }
   }
 
-  // Toggle ban status for user
-  static async toggleBanUser(userId) {
+  // Banned users keep their role with a "-ban" suffix
+  static isBanned(user) {
+    return !!user && typeof user.role === "string" && user.role.endsWith("-ban");
+  }
+
+  // Helper: Public details of a user's current ban (null when not banned)
+  static getBanNotice(user) {
+    if (!User.isBanned(user)) return null;
+
+    const ban = user.ban || {};
+    return {
+      reason: ban.reason || null,
+      bannedAt: ban.bannedAt || null,
+      expiresAt: ban.expiresAt || null,
+      permanent: !ban.expiresAt,
+    };
+  }
+
+  // Ban a user with a reason and optional expiry (re-banning replaces the terms)
+  static async banUser(userId, { reason = null, expiresAt = null, bannedBy = null } = {}) {
     try {
       const collection = await mongocon.usersCollection();
       if (!collection) throw new Error("Database connection failed");
@@ -214,31 +263,255 @@ class User {
       if (user.role === "admin") {
         throw new Error("Cannot ban admin users");
       }
-      
-      let newRole;
-      if (user.role.endsWith("-ban")) {
-        // If currently banned, restore to original role
-        newRole = user.role.replace("-ban", "");
-      } else {
-        // If not banned, append -ban to current role
-        newRole = `${user.role}-ban`;
+
+      // Close the previous ban in the history if the terms are being replaced
+      if (User.isBanned(user)) {
+        await Sanction.liftActive(userId, Sanction.TYPES.BAN, {
+          liftedBy: bannedBy,
+          note: "Replaced by a new ban",
+        });
+      }
+
+      const sanction = await Sanction.create({
+        userId,
+        type: Sanction.TYPES.BAN,
+        reason,
+        issuedBy: bannedBy,
+        expiresAt,
+      });
+
+      const newRole = User.isBanned(user) ? user.role : `${user.role}-ban`;
+
+      await collection.updateOne(
+        { userId },
+        {
+          $set: {
+            role: newRole,
+            ban: {
+              sanctionId: sanction.sanctionId,
+              reason,
+              bannedBy,
+              bannedAt: sanction.createdAt,
+              expiresAt,
+            },
+          },
+        }
+      );
+
+      // Invalidate cache and fetch updated user
+      await rediscon.usersCacheDel(userId);
+      return await User.findByUserId(userId);
+    } catch (err) {
+      console.error("Error banning user:", err.message);
+      throw err;
+    }
+  }
+
+  // Lift a user's ban, restoring their original role
+  static async unbanUser(userId, { liftedBy = null, note = null, expired = false } = {}) {
+    try {
+      const collection = await mongocon.usersCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const user = await User.findByUserId(userId);
+      if (!user) throw new Error("User Does not Exists");
+      if (!User.isBanned(user)) return user;
+
+      // Only clear the ban we read, so a concurrent re-ban is not undone
+      const filter = { userId, role: user.role };
+      if (user.ban?.sanctionId) filter["ban.sanctionId"] = user.ban.sanctionId;
+
+      const result = await collection.updateOne(
+        filter,
+        {
+          $set: { role: user.role.replace("-ban", "") },
+          $unset: { ban: "" },
+        }
+      );
+
+      if (result.modifiedCount > 0) {
+        await Sanction.liftActive(userId, Sanction.TYPES.BAN, {
+          status: expired ? Sanction.STATUSES.EXPIRED : Sanction.STATUSES.LIFTED,
+          liftedBy,
+          note,
+        });
+      }
+
+      // Invalidate cache and fetch updated user
+      await rediscon.usersCacheDel(userId);
+      return await User.findByUserId(userId);
+    } catch (err) {
+      console.error("Error unbanning user:", err.message);
+      throw err;
+    }
+  }
+
+  // Lift the user's ban if it has expired; returns the current user
+  static async liftExpiredBan(user) {
+    if (!User.isBanned(user) || !user.ban?.expiresAt) return user;
+    if (new Date(user.ban.expiresAt) > new Date()) return user;
+
+    return await User.unbanUser(user.userId, { expired: true, note: "Ban expired" });
+  }
+
+  // Toggle ban status for user (permanent ban without a reason)
+  static async toggleBanUser(userId, bannedBy = null) {
+    try {
+      const user = await User.findByUserId(userId);
+      if (!user) throw new Error("User Does not Exists");
+
+      if (User.isBanned(user)) {
+        return await User.unbanUser(userId, { liftedBy: bannedBy });
+      }
+      return await User.banUser(userId, { bannedBy });
+    } catch (err) {
+      console.error("Error toggling ban status:", err.message);
+      throw err;
+    }
+  }
+
+  // Helper: A user's role without the ban suffix
+  static getBaseRole(user) {
+    return user?.role ? user.role.replace("-ban", "") : "user";
+  }
+
+  // Assign a role, optionally scoped to tags (a ban stays in place)
+  static async setRole(userId, role, tags = null) {
+    try {
+      const collection = await mongocon.usersCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const user = await User.findByUserId(userId);
+      if (!user) throw new Error("User Does not Exists");
+
+      const newRole = User.isBanned(user) ? `${role}-ban` : role;
+
+      await collection.updateOne(
+        { userId },
+        { $set: { role: newRole, roleTags: tags && tags.length > 0 ? tags : null } }
+      );
+
+      // Invalidate cache and fetch updated user
+      await rediscon.usersCacheDel(userId);
+      return await User.findByUserId(userId);
+    } catch (err) {
+      console.error("Error setting user role:", err.message);
+      throw err;
+    }
+  }
+
+  // Count users holding a role (banned or not)
+  static async countByRole(role) {
+    try {
+      const collection = await mongocon.usersCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      return await collection.countDocuments({ role: { $in: [role, `${role}-ban`] } });
+    } catch (err) {
+      console.error("Error counting users by role:", err.message);
+      throw err;
+    }
+  }
+
+  // Adjust follower/following counts after a follow (delta 1) or unfollow (delta -1)
+  static async updateFollowCounts(followerId, followeeId, delta) {
+    try {
+      const collection = await mongocon.usersCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      await collection.bulkWrite([
+        { updateOne: { filter: { userId: followerId }, update: { $inc: { followingCount: delta } } } },
+        { updateOne: { filter: { userId: followeeId }, update: { $inc: { followerCount: delta } } } },
+      ]);
+
+      await rediscon.usersCacheDel(followerId);
+      await rediscon.usersCacheDel(followeeId);
+    } catch (err) {
+      console.error("Error updating follow counts:", err.message);
+      throw err;
+    }
+  }
+
+  // Subscribe to/mute a tag (enabled) or drop that preference again
+  static async setTagPreference(userId, tag, kind, enabled) {
+    try {
+      const collection = await mongocon.usersCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const field = User.TAG_PREFERENCE_FIELDS[kind];
+      const otherField = kind === "subscribe" ? User.TAG_PREFERENCE_FIELDS.mute : User.TAG_PREFERENCE_FIELDS.subscribe;
+
+      const update = enabled
+        ? { $addToSet: { [field]: tag }, $pull: { [otherField]: tag } }
+        : { $pull: { [field]: tag } };
+
+      await collection.updateOne({ userId }, update);
+
+      // Invalidate cache and fetch updated user
+      await rediscon.usersCacheDel(userId);
+      await FeedRankingService.clearHomeFeed(userId);
+      return await User.findByUserId(userId);
+    } catch (err) {
+      console.error("Error setting tag preference:", err.message);
+      throw err;
+    }
+  }
+
+  // Point tag preferences and tag-scoped roles at a renamed or merged tag
+  static async replaceTags(fromNames, toName) {
+    try {
+      const collection = await mongocon.usersCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const fields = [...Object.values(User.TAG_PREFERENCE_FIELDS), "roleTags"];
+      const affected = await collection
+        .find(
+          { $or: fields.map(field => ({ [field]: { $in: fromNames } })) },
+          { projection: { userId: 1 } }
+        )
+        .toArray();
+
+      for (const field of fields) {
+        await collection.updateMany(
+          { [field]: { $in: fromNames } },
+          Tag.buildRewritePipeline(field, fromNames, toName)
+        );
       }
 
+      for (const user of affected) {
+        await rediscon.usersCacheDel(user.userId);
+        await FeedRankingService.clearHomeFeed(user.userId);
+      }
+
+      return affected.length;
+    } catch (err) {
+      console.error("Error replacing user tags:", err.message);
+      throw err;
+    }
+  }
+
+  // Hide or unhide a user's public profile
+  static async setHidden(userId, hidden, reason = null) {
+    try {
+      const collection = await mongocon.usersCollection();
+      if (!collection) throw new Error("Database connection failed");
+
+      const update = hidden
+        ? { isHidden: true, hiddenReason: reason, hiddenAt: new Date() }
+        : { isHidden: false, hiddenReason: null, hiddenAt: null };
+
       const result = await collection.updateOne(
         { userId },
-        { $set: { role: newRole } }
+        { $set: update }
       );
 
       if (result.modifiedCount > 0) {
-        // Invalidate cache and fetch updated user
         await rediscon.usersCacheDel(userId);
-        const updatedUser = await User.findByUserId(userId);
-        return updatedUser;
       }
 
-      return null;
+      return result.modifiedCount > 0;
     } catch (err) {
-      console.error("Error toggling ban status:", err.message);
+      console.error("Error setting user hidden state:", err.message);
       throw err;
     }
   }
@@ -1,6 +1,7 @@
 import mongocon from "../config/mongocon.js";
 import rediscon from "../config/rediscon.js";
 import Post from "./Post.js";
+import NotificationService from "../services/notificationService.js";
 
 class Vote {
   constructor(data) {
@@ -75,6 +76,7 @@ class Vote {
 
         // Increment post upvotes
         await Post.upvote(postId);
+        NotificationService.notifyUpvoteMilestone(postId, userId);
 
         return { success: true, action: "upvoted", previousVote: 0, newVote: 1 };
       }
@@ -122,6 +124,7 @@ class Vote {
         // Update post: remove downvote, add upvote
         await Post.removeDownvote(postId);
         await Post.upvote(postId);
+        NotificationService.notifyUpvoteMilestone(postId, userId);
 
         return { success: true, action: "changed_to_upvote", previousVote: -1, newVote: 1 };
       }
@@ -145,6 +148,7 @@ class Vote {
 
         // Increment post upvotes
         await Post.upvote(postId);
+        NotificationService.notifyUpvoteMilestone(postId, userId);
 
         return { success: true, action: "upvoted", previousVote: 0, newVote: 1 };
       }
@@ -5,8 +5,14 @@ import {
   deleteAnyPost,
   getDashboardStats,
   toggleBanUser,
+  banUser,
+  unbanUser,
+  getUserSanctions,
+  revealPostAuthor,
+  revealCommentAuthor,
 } from "../controllers/adminController.js";
-import { isAdmin } from "../middleware/adminMiddleware.js";
+import { requirePermission, getPostTags } from "../middleware/adminMiddleware.js";
+import { PERMISSIONS } from "../config/permissions.js";
 import {
   incrementScore,
   rebuildIndex,
@@ -18,34 +24,99 @@ import {
   getFeedbackByUserId,
   getFeedbackById,
   deleteFeedback} from "../controllers/feedbackController.js";
+import {
+  getReports,
+  getReportById,
+  claimReport,
+  resolveReport,
+  dismissReport,
+} from "../controllers/reportController.js";
+import { getAuditLogs, exportAuditLogs } from "../controllers/auditController.js";
+import {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  grantRole,
+  revokeRole,
+} from "../controllers/roleController.js";
+import {
+  updateTag,
+  renameTag,
+  mergeTags,
+} from "../controllers/tagController.js";
+import {
+  getAnnouncements,
+  createAnnouncement,
+  updateAnnouncement,
+  deleteAnnouncement,
+} from "../controllers/announcementController.js";
 
 const router = express.Router();
 
-// All routes require admin authentication
-router.use(isAdmin);
+const P = PERMISSIONS;
+
+// Every route checks its own permission; admins hold all of them
+
+// Post management routes (tag-scoped grants are checked against the post's tags)
+router.patch("/posts/:postId/pin", requirePermission(P.POST_PIN, { getTags: getPostTags }), togglePinPost);
+router.patch("/posts/:postId/lock", requirePermission(P.POST_LOCK, { getTags: getPostTags }), toggleLockPost);
+router.delete("/posts/:postId", requirePermission(P.POST_DELETE, { getTags: getPostTags }), deleteAnyPost);
 
-// Post management routes
-router.patch("/posts/:postId/pin", togglePinPost);
-router.patch("/posts/:postId/lock", toggleLockPost);
-router.delete("/posts/:postId", deleteAnyPost);
+// Anonymous content (every reveal is recorded in the audit log)
+router.post("/posts/:postId/reveal-author", requirePermission(P.ANONYMITY_REVEAL), revealPostAuthor);
+router.post("/comments/:commentId/reveal-author", requirePermission(P.ANONYMITY_REVEAL), revealCommentAuthor);
 
 // Search Routes
-router.post("/search-index/rebuild", rebuildIndex);
-router.post("/search-index/increment", incrementScore);
-router.get("/search-index/status", getIndexStatus);
+router.post("/search-index/rebuild", requirePermission(P.SEARCH_INDEX_MANAGE), rebuildIndex);
+router.post("/search-index/increment", requirePermission(P.SEARCH_INDEX_MANAGE), incrementScore);
+router.get("/search-index/status", requirePermission(P.SEARCH_INDEX_MANAGE), getIndexStatus);
 
 // User management routes
 //router.get("/users", getAllUsers);
-router.put("/users/:userId/toggleban", toggleBanUser);
+router.put("/users/:userId/toggleban", requirePermission(P.USER_BAN), toggleBanUser);
+router.put("/users/:userId/ban", requirePermission(P.USER_BAN), banUser);
+router.put("/users/:userId/unban", requirePermission(P.USER_BAN), unbanUser);
+router.get("/users/:userId/sanctions", requirePermission(P.USER_BAN), getUserSanctions);
+
+// Role management routes
+router.get("/roles", requirePermission(P.ROLE_MANAGE), getRoles);
+router.post("/roles", requirePermission(P.ROLE_MANAGE), createRole);
+router.put("/roles/:name", requirePermission(P.ROLE_MANAGE), updateRole);
+router.delete("/roles/:name", requirePermission(P.ROLE_MANAGE), deleteRole);
+router.put("/users/:userId/role", requirePermission(P.ROLE_MANAGE), grantRole);
+router.delete("/users/:userId/role", requirePermission(P.ROLE_MANAGE), revokeRole);
+
+// Tag registry routes
+router.put("/tags/:name", requirePermission(P.TAG_MANAGE), updateTag);
+router.post("/tags/:name/rename", requirePermission(P.TAG_MANAGE), renameTag);
+router.post("/tags/merge", requirePermission(P.TAG_MANAGE), mergeTags);
+
+// Announcement routes
+router.get("/announcements", requirePermission(P.ANNOUNCEMENT_MANAGE), getAnnouncements);
+router.post("/announcements", requirePermission(P.ANNOUNCEMENT_MANAGE), createAnnouncement);
+router.put("/announcements/:announcementId", requirePermission(P.ANNOUNCEMENT_MANAGE), updateAnnouncement);
+router.delete("/announcements/:announcementId", requirePermission(P.ANNOUNCEMENT_MANAGE), deleteAnnouncement);
 
 // Feedback routes
-router.get("/feedback/get-all", getAllFeedback);
-router.get("/feedback/time-range", getFeedbackByTimeRange);
-router.get("/feedback/user/:userId", getFeedbackByUserId);
-router.get("/feedback/:feedbackId", getFeedbackById);
-router.delete("/feedback/:feedbackId", deleteFeedback);
+router.get("/feedback/get-all", requirePermission(P.FEEDBACK_READ), getAllFeedback);
+router.get("/feedback/time-range", requirePermission(P.FEEDBACK_READ), getFeedbackByTimeRange);
+router.get("/feedback/user/:userId", requirePermission(P.FEEDBACK_READ), getFeedbackByUserId);
+router.get("/feedback/:feedbackId", requirePermission(P.FEEDBACK_READ), getFeedbackById);
+router.delete("/feedback/:feedbackId", requirePermission(P.FEEDBACK_DELETE), deleteFeedback);
+
+// Report moderation queue routes
+router.get("/reports", requirePermission(P.REPORT_REVIEW), getReports);
+router.get("/reports/:reportId", requirePermission(P.REPORT_REVIEW), getReportById);
+router.patch("/reports/:reportId/claim", requirePermission(P.REPORT_REVIEW), claimReport);
+router.patch("/reports/:reportId/resolve", requirePermission(P.REPORT_REVIEW), resolveReport);
+router.patch("/reports/:reportId/dismiss", requirePermission(P.REPORT_REVIEW), dismissReport);
+
+// Audit log routes
+router.get("/audit", requirePermission(P.AUDIT_READ), getAuditLogs);
+router.get("/audit/export", requirePermission(P.AUDIT_READ), exportAuditLogs);
 
 // Dashboard routes
-router.get("/dashboard/stats", getDashboardStats);
+router.get("/dashboard/stats", requirePermission(P.DASHBOARD_READ), getDashboardStats);
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,16 @@
+import express from "express";
+import {
+  getActiveAnnouncements,
+  dismissAnnouncement
+} from "../controllers/announcementController.js";
+import { isAuthenticated, attachUser } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Public routes - the audience is resolved from the viewer, if any
+router.get("/active", attachUser, getActiveAnnouncements);
+
+// Protected routes (require authentication)
+router.post("/:announcementId/dismiss", isAuthenticated, dismissAnnouncement);
+
+export default router;
@@ -9,9 +9,13 @@ import {
   refreshToken,
   updateUser,
   deleteUser,
+  requestDataExport,
+  getDataExport,
+  downloadDataExport,
 } from "../controllers/authController.js";
 import {
-  userUpdateRateLimit
+  userUpdateRateLimit,
+  dataExportRateLimit
 } from "../middleware/rateLimitMiddleware.js";
 
 const router = express.Router();
@@ -41,6 +45,11 @@ router.delete("/user", isAuthenticated, deleteUser);
 
 router.put("/user", isAuthenticated, userUpdateRateLimit, updateUser);
 
+// Personal data export: queue a job, poll it, then download the archive
+router.get("/user/export", isAuthenticated, dataExportRateLimit, requestDataExport);
+router.get("/user/export/:exportId", isAuthenticated, getDataExport);
+router.get("/user/export/:exportId/download", isAuthenticated, downloadDataExport);
+
 router.get("/check", checkAuth);
 
 router.post("/refresh", refreshToken);
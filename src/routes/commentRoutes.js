@@ -2,6 +2,8 @@ import express from "express";
 import {
   createComment,
   getCommentsByPostId,
+  getCommentTree,
+  getCommentSubtree,
   getRepliesByCommentId,
   getCommentsByUserId,
   getCommentById,
@@ -13,11 +15,14 @@ import {
   getCommentCount,
   getReplyCount,
 } from "../controllers/commentController.js";
-import { isAuthenticated, attachUser } from "../middleware/authMiddleware.js";
+import { saveComment, unsaveComment } from "../controllers/savedController.js";
+import { getCommentRevisions } from "../controllers/revisionController.js";
+import { isAuthenticated, isNotBanned, attachUser } from "../middleware/authMiddleware.js";
 import moderation from "../middleware/moderation.js";
 import {
   commentCreationRateLimit,
-  commentUpdateRateLimit
+  commentUpdateRateLimit,
+  votingRateLimit
 } from "../middleware/rateLimitMiddleware.js";
 
 const router = express.Router();
@@ -25,18 +30,25 @@ const router = express.Router();
 // Public routes
 router.get("/post/:postId", attachUser, getCommentsByPostId);
 router.get("/post/:postId/count", attachUser, getCommentCount);
+router.get("/post/:postId/tree", attachUser, getCommentTree);
 router.get("/user/:userId", attachUser, getCommentsByUserId);
 router.get("/:commentId", attachUser, getCommentById);
 router.get("/:commentId/replies", attachUser, getRepliesByCommentId);
+router.get("/:commentId/tree", attachUser, getCommentSubtree);
 router.get("/:commentId/replycount", attachUser, getReplyCount);
 
 // Protected routes (require authentication)
-router.post("/", isAuthenticated, commentCreationRateLimit, moderation, createComment);
-router.put("/:commentId", isAuthenticated, commentUpdateRateLimit, moderation, updateComment);
+router.post("/", isAuthenticated, isNotBanned, commentCreationRateLimit, moderation, createComment);
+router.put("/:commentId", isAuthenticated, isNotBanned, commentUpdateRateLimit, moderation, updateComment);
 router.delete("/:commentId", isAuthenticated, hardDeleteComment);
+router.get("/:commentId/revisions", isAuthenticated, getCommentRevisions);
 
 // Voting routes (require authentication)
-//router.post("/:commentId/upvote", isAuthenticated, upvoteComment);
-//router.post("/:commentId/downvote", isAuthenticated, downvoteComment);
+router.patch("/upvote/:commentId", isAuthenticated, isNotBanned, votingRateLimit, upvoteComment);
+router.patch("/downvote/:commentId", isAuthenticated, isNotBanned, votingRateLimit, downvoteComment);
+
+// Saved items routes (require authentication)
+router.post("/save/:commentId", isAuthenticated, saveComment);
+router.delete("/save/:commentId", isAuthenticated, unsaveComment);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,49 @@
+import express from "express";
+import {
+  getCommunities,
+  createCommunity,
+  getCommunity,
+  updateCommunity,
+  joinCommunity,
+  leaveCommunity,
+  getCommunityMembers,
+  addCommunityMember,
+  removeCommunityMember,
+  addCommunityModerator,
+  removeCommunityModerator,
+  getCommunityPosts,
+  getCommunityPinnedPosts
+} from "../controllers/communityController.js";
+import { togglePinPost } from "../controllers/adminController.js";
+import { isAuthenticated, isNotBanned, attachUser } from "../middleware/authMiddleware.js";
+import {
+  loadCommunity,
+  requireCommunityAccess,
+  requireCommunityModerator,
+  requireCommunityPost
+} from "../middleware/communityMiddleware.js";
+import { communityCreationRateLimit } from "../middleware/rateLimitMiddleware.js";
+
+const router = express.Router();
+
+// Public routes - private communities show their details but not their posts or members
+router.get("/", getCommunities);
+router.get("/:slug", attachUser, loadCommunity, getCommunity);
+router.get("/:slug/posts", attachUser, loadCommunity, requireCommunityAccess, getCommunityPosts);
+router.get("/:slug/pinned", attachUser, loadCommunity, requireCommunityAccess, getCommunityPinnedPosts);
+router.get("/:slug/members", attachUser, loadCommunity, requireCommunityAccess, getCommunityMembers);
+
+// Protected routes (require authentication)
+router.post("/", isAuthenticated, isNotBanned, communityCreationRateLimit, createCommunity);
+router.post("/:slug/join", isAuthenticated, isNotBanned, loadCommunity, joinCommunity);
+router.delete("/:slug/join", isAuthenticated, loadCommunity, leaveCommunity);
+
+// Community moderator routes
+router.patch("/:slug", isAuthenticated, isNotBanned, loadCommunity, requireCommunityModerator, updateCommunity);
+router.put("/:slug/members/:userId", isAuthenticated, isNotBanned, loadCommunity, requireCommunityModerator, addCommunityMember);
+router.delete("/:slug/members/:userId", isAuthenticated, isNotBanned, loadCommunity, requireCommunityModerator, removeCommunityMember);
+router.put("/:slug/moderators/:userId", isAuthenticated, isNotBanned, loadCommunity, requireCommunityModerator, addCommunityModerator);
+router.delete("/:slug/moderators/:userId", isAuthenticated, isNotBanned, loadCommunity, requireCommunityModerator, removeCommunityModerator);
+router.patch("/:slug/posts/:postId/pin", isAuthenticated, isNotBanned, loadCommunity, requireCommunityModerator, requireCommunityPost, togglePinPost);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import {
+  getDrafts,
+  getDraft,
+  createDraft,
+  updateDraft,
+  deleteDraft,
+  publishDraft
+} from "../controllers/draftController.js";
+import { isAuthenticated, isNotBanned } from "../middleware/authMiddleware.js";
+import { loadDraft, draftAsPostBody } from "../middleware/draftMiddleware.js";
+import moderation from "../middleware/moderation.js";
+import {
+  draftSaveRateLimit,
+  postCreationRateLimit
+} from "../middleware/rateLimitMiddleware.js";
+
+const router = express.Router();
+
+// All draft routes are private to the draft's author
+router.get("/", isAuthenticated, getDrafts);
+router.get("/:draftId", isAuthenticated, loadDraft, getDraft);
+router.post("/", isAuthenticated, draftSaveRateLimit, createDraft);
+router.patch("/:draftId", isAuthenticated, draftSaveRateLimit, loadDraft, updateDraft);
+router.delete("/:draftId", isAuthenticated, loadDraft, deleteDraft);
+
+// Publishing goes through the same checks as creating a post
+router.post("/:draftId/publish", isAuthenticated, isNotBanned, postCreationRateLimit, loadDraft, draftAsPostBody, moderation, publishDraft);
+
+export default router;
@@ -1,10 +1,10 @@
 import express from "express";
 import { getUploadCredentials } from "../controllers/mediaController.js";
-import { isAuthenticated } from "../middleware/authMiddleware.js";
+import { isAuthenticated, isNotBanned } from "../middleware/authMiddleware.js";
 import {mediaUploadRateLimit } from "../middleware/rateLimitMiddleware.js";
 const router = express.Router();
 
 // Protected route (require authentication)
-router.get("/uploadlink", isAuthenticated, mediaUploadRateLimit, getUploadCredentials);
+router.get("/uploadlink", isAuthenticated, isNotBanned, mediaUploadRateLimit, getUploadCredentials);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,18 @@
+import express from "express";
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead
+} from "../controllers/notificationController.js";
+import { isAuthenticated } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Protected routes (require authentication)
+router.get("/", isAuthenticated, getNotifications);
+router.get("/unread-count", isAuthenticated, getUnreadCount);
+router.patch("/read-all", isAuthenticated, markAllNotificationsRead);
+router.patch("/:notificationId/read", isAuthenticated, markNotificationRead);
+
+export default router;
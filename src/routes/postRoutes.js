@@ -3,14 +3,24 @@ import {
   createPost,
   getAllPosts,
   getPinnedPosts,
+  getFollowingFeed,
+  getHomeFeed,
   getPostById,
   getPostsByUserId,
   updatePost,
   deletePost,
   upvotePost,
-  downvotePost
+  downvotePost,
+  votePoll,
+  acceptAnswer,
+  unacceptAnswer,
+  getScheduledPosts,
+  reschedulePost,
+  cancelScheduledPost
 } from "../controllers/postController.js";
-import { isAuthenticated, attachUser } from "../middleware/authMiddleware.js";
+import { savePost, unsavePost } from "../controllers/savedController.js";
+import { getPostRevisions } from "../controllers/revisionController.js";
+import { isAuthenticated, isNotBanned, attachUser } from "../middleware/authMiddleware.js";
 import moderation from "../middleware/moderation.js";
 import {
   postCreationRateLimit,
@@ -23,16 +33,33 @@ const router = express.Router();
 // Public routes 
 router.get("/", attachUser, getAllPosts);
 router.get("/pinned", attachUser, getPinnedPosts);
+router.get("/feed/following", isAuthenticated, getFollowingFeed);
+router.get("/feed/home", isAuthenticated, getHomeFeed);
+router.get("/scheduled", isAuthenticated, getScheduledPosts);
 router.get("/user/:userId", attachUser, getPostsByUserId);
 router.get("/:postId", attachUser, getPostById);
 
 // Protected routes (require authentication)
-router.post("/", isAuthenticated, postCreationRateLimit, moderation, createPost);
-router.put("/:postId", isAuthenticated, postUpdateRateLimit, moderation, updatePost);
+router.post("/", isAuthenticated, isNotBanned, postCreationRateLimit, moderation, createPost);
+router.put("/:postId", isAuthenticated, isNotBanned, postUpdateRateLimit, moderation, updatePost);
 router.delete("/:postId", isAuthenticated, deletePost);
+router.get("/:postId/revisions", isAuthenticated, getPostRevisions);
+
+// Scheduled post routes (author or admins)
+router.patch("/:postId/schedule", isAuthenticated, isNotBanned, postUpdateRateLimit, reschedulePost);
+router.delete("/:postId/schedule", isAuthenticated, cancelScheduledPost);
 
 // Voting routes (require authentication)
-router.patch("/upvote/:postId", isAuthenticated, votingRateLimit, upvotePost);
-router.patch("/downvote/:postId", isAuthenticated, votingRateLimit, downvotePost);
+router.patch("/upvote/:postId", isAuthenticated, isNotBanned, votingRateLimit, upvotePost);
+router.patch("/downvote/:postId", isAuthenticated, isNotBanned, votingRateLimit, downvotePost);
+router.post("/:postId/poll/vote", isAuthenticated, isNotBanned, votingRateLimit, votePoll);
+
+// Q&A routes (question author or moderators)
+router.put("/:postId/accepted-answer", isAuthenticated, isNotBanned, acceptAnswer);
+router.delete("/:postId/accepted-answer", isAuthenticated, isNotBanned, unacceptAnswer);
+
+// Saved items routes (require authentication)
+router.post("/save/:postId", isAuthenticated, savePost);
+router.delete("/save/:postId", isAuthenticated, unsavePost);
 
 export default router;
\ No newline at end of file
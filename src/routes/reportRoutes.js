@@ -0,0 +1,17 @@
+import express from "express";
+import {
+  getReportReasons,
+  createReport
+} from "../controllers/reportController.js";
+import { isAuthenticated, isNotBanned } from "../middleware/authMiddleware.js";
+import { reportRateLimit } from "../middleware/rateLimitMiddleware.js";
+
+const router = express.Router();
+
+// Public routes
+router.get("/reasons", getReportReasons);
+
+// Protected routes
+router.post("/", isAuthenticated, isNotBanned, reportRateLimit, createReport);
+
+export default router;
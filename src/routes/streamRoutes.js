@@ -0,0 +1,10 @@
+import express from "express";
+import { streamEvents } from "../controllers/streamController.js";
+import { isAuthenticated } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Protected route (authenticated with the JWT cookie, which EventSource sends)
+router.get("/", isAuthenticated, streamEvents);
+
+export default router;
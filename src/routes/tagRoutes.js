@@ -0,0 +1,13 @@
+import express from "express";
+import {
+  getTags,
+  getTagByName
+} from "../controllers/tagController.js";
+
+const router = express.Router();
+
+// Public routes
+router.get("/", getTags);
+router.get("/:name", getTagByName);
+
+export default router;
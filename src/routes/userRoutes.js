@@ -1,9 +1,38 @@
 import express from "express";
-import { getUserProfile } from "../controllers/userController.js";
+import {
+  getUserProfile,
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  getTagPreferences,
+  subscribeTag,
+  unsubscribeTag,
+  muteTag,
+  unmuteTag
+} from "../controllers/userController.js";
+import { getSavedItems, getSavedFolders } from "../controllers/savedController.js";
+import { isAuthenticated, attachUser } from "../middleware/authMiddleware.js";
+import { followRateLimit } from "../middleware/rateLimitMiddleware.js";
 
 const router = express.Router();
 
-// Public route - no authentication required
-router.get("/:userId", getUserProfile);
+// Protected routes (must be registered before /:userId)
+router.get("/me/saved", isAuthenticated, getSavedItems);
+router.get("/me/saved/folders", isAuthenticated, getSavedFolders);
+router.get("/me/tags", isAuthenticated, getTagPreferences);
+router.post("/me/tags/:tag/subscribe", isAuthenticated, subscribeTag);
+router.delete("/me/tags/:tag/subscribe", isAuthenticated, unsubscribeTag);
+router.post("/me/tags/:tag/mute", isAuthenticated, muteTag);
+router.delete("/me/tags/:tag/mute", isAuthenticated, unmuteTag);
+
+// Follow routes (require authentication)
+router.post("/:userId/follow", isAuthenticated, followRateLimit, followUser);
+router.delete("/:userId/follow", isAuthenticated, unfollowUser);
+
+// Public routes - no authentication required
+router.get("/:userId", attachUser, getUserProfile);
+router.get("/:userId/followers", attachUser, getFollowers);
+router.get("/:userId/following", attachUser, getFollowing);
 
 export default router;
\ No newline at end of file
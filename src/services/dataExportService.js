@@ -0,0 +1,214 @@
+import DataExport from '../models/DataExport.js';
+import User from '../models/User.js';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import Vote from '../models/Vote.js';
+import CommentVote from '../models/CommentVote.js';
+import Feedback from '../models/Feedback.js';
+import Draft from '../models/Draft.js';
+import { toCsv } from '../utils/csv.js';
+import { createZip } from '../utils/zip.js';
+
+// CSV files in the archive; each lists [header, getter] columns for a section of data.json
+const CSV_FILES = {
+  posts: [
+    ["postId", post => post.postId],
+    ["createdAt", post => post.createdAt],
+    ["updatedAt", post => post.updatedAt],
+    ["type", post => post.type],
+    ["title", post => post.title],
+    ["content", post => post.content],
+    ["tags", post => (post.tags || []).join(" ")],
+    ["media", post => (post.media || []).join(" ")],
+    ["communityId", post => post.communityId],
+    ["upvotes", post => post.upvotes],
+    ["downvotes", post => post.downvotes],
+    ["isAnonymous", post => !!post.isAnonymous],
+    ["isHidden", post => !!post.isHidden],
+    ["isScheduled", post => !!post.isScheduled],
+    ["publishAt", post => post.publishAt],
+  ],
+  comments: [
+    ["commentId", comment => comment.commentId],
+    ["postId", comment => comment.postId],
+    ["parentCommentId", comment => comment.parentCommentId],
+    ["createdAt", comment => comment.createdAt],
+    ["updatedAt", comment => comment.updatedAt],
+    ["content", comment => comment.content],
+    ["upvotes", comment => comment.upvotes],
+    ["downvotes", comment => comment.downvotes],
+    ["isAnonymous", comment => !!comment.isAnonymous],
+    ["isDeleted", comment => !!comment.isDeleted],
+    ["isHidden", comment => !!comment.isHidden],
+  ],
+  postVotes: [
+    ["postId", vote => vote.postId],
+    ["vote", vote => vote.vote],
+    ["createdAt", vote => vote.createdAt],
+    ["updatedAt", vote => vote.updatedAt],
+  ],
+  commentVotes: [
+    ["commentId", vote => vote.commentId],
+    ["postId", vote => vote.postId],
+    ["vote", vote => vote.vote],
+    ["createdAt", vote => vote.createdAt],
+    ["updatedAt", vote => vote.updatedAt],
+  ],
+  feedback: [
+    ["feedbackId", feedback => feedback.feedbackId],
+    ["createdAt", feedback => feedback.createdAt],
+    ["content", feedback => feedback.content],
+  ],
+  drafts: [
+    ["draftId", draft => draft.draftId],
+    ["createdAt", draft => draft.createdAt],
+    ["updatedAt", draft => draft.updatedAt],
+    ["title", draft => draft.title],
+    ["content", draft => draft.content],
+    ["tags", draft => (draft.tags || []).join(" ")],
+    ["media", draft => (draft.media || []).join(" ")],
+  ],
+  media: [
+    ["url", item => item.url],
+    ["source", item => item.source],
+    ["sourceId", item => item.sourceId],
+  ],
+};
+
+const PROFILE_COLUMNS = [
+  ["userId", profile => profile.userId],
+  ["name", profile => profile.name],
+  ["email", profile => profile.email],
+  ["joinDate", profile => profile.joinDate],
+  ["avatarLink", profile => profile.avatarLink],
+  ["role", profile => profile.role],
+  ["subscribedTags", profile => profile.subscribedTags.join(" ")],
+  ["mutedTags", profile => profile.mutedTags.join(" ")],
+  ["ban", profile => profile.ban],
+];
+
+// Builds personal data exports in the background. Jobs live in MongoDB, so
+// any API instance can pick them up: a request queues a job and nudges the
+// worker, and the interval catches jobs left behind by a restart.
+class DataExportService {
+
+  static INTERVAL_MS = 60 * 1000;
+  static PAGE_SIZE = 100;
+  static STALE_AFTER_MS = 10 * 60 * 1000; // Claimed but never finished (instance died mid-export)
+
+  static timer = null;
+  static running = false;
+
+  static start() {
+    if (this.timer) return;
+
+    this.processPending();
+    this.timer = setInterval(() => this.processPending(), this.INTERVAL_MS);
+  }
+
+  // Build every queued export, one at a time
+  static async processPending() {
+    // Skip if this instance is already working through the queue
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      let job;
+      while ((job = await DataExport.claimNext(new Date(Date.now() - this.STALE_AFTER_MS)))) {
+        await this.runJob(job);
+      }
+    } catch (err) {
+      console.error('[DATA EXPORT] Error processing exports:', err.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  static async runJob(job) {
+    try {
+      const archive = await this.buildArchive(job.userId);
+      if (archive.length > DataExport.MAX_ARCHIVE_BYTES) {
+        throw new Error("Export is too large to download");
+      }
+
+      const fileName = `k-hive-data-${new Date().toISOString().slice(0, 10)}.zip`;
+      await DataExport.complete(job.exportId, fileName, archive);
+      console.log(`[DATA EXPORT] Export ${job.exportId} ready (${archive.length} bytes)`);
+    } catch (err) {
+      console.error(`[DATA EXPORT] Export ${job.exportId} failed:`, err.message);
+      await DataExport.fail(job.exportId, err.message).catch(() => {});
+    }
+  }
+
+  // Helper: Read every page of a paginated model method; `key` names the list in its result
+  static async collectPages(fetchPage, key) {
+    const items = [];
+    for (let page = 1; ; page++) {
+      const result = await fetchPage(page, this.PAGE_SIZE);
+      items.push(...result[key]);
+      if (page >= result.pagination.totalPages) return items;
+    }
+  }
+
+  // Everything stored about a user, grouped by section
+  static async collectUserData(userId) {
+    const user = await User.findByUserId(userId);
+    if (!user) throw new Error("User not found");
+
+    const [posts, comments, postVotes, commentVotes, feedback, drafts] = await Promise.all([
+      Post.getPostsForExport(userId),
+      Comment.getCommentsForExport(userId),
+      this.collectPages((page, limit) => Vote.getVotesByUserId(userId, page, limit), "votes"),
+      this.collectPages((page, limit) => CommentVote.getVotesByUserId(userId, page, limit), "votes"),
+      this.collectPages((page, limit) => Feedback.getFeedbackByUserId(userId, page, limit), "feedback"),
+      this.collectPages((page, limit) => Draft.getDraftsByUserId(userId, page, limit), "drafts"),
+    ]);
+
+    // Uploaded media, wherever it is referenced
+    const media = [
+      ...(user.avatarLink ? [{ url: user.avatarLink, source: "avatar", sourceId: userId }] : []),
+      ...posts.flatMap(post => (post.media || []).map(url => ({ url, source: "post", sourceId: post.postId }))),
+      ...drafts.flatMap(draft => (draft.media || []).map(url => ({ url, source: "draft", sourceId: draft.draftId }))),
+    ];
+
+    const withoutId = ({ _id, ...rest }) => rest;
+
+    return {
+      exportedAt: new Date(),
+      profile: {
+        userId: user.userId,
+        name: user.name,
+        email: user.gmailId,
+        joinDate: user.joinDate,
+        avatarLink: user.avatarLink,
+        role: User.getBaseRole(user),
+        subscribedTags: user.subscribedTags || [],
+        mutedTags: user.mutedTags || [],
+        ban: User.getBanNotice(user),
+      },
+      posts,
+      comments,
+      postVotes: postVotes.map(withoutId),
+      commentVotes: commentVotes.map(withoutId),
+      feedback: feedback.map(withoutId),
+      drafts: drafts.map(withoutId),
+      media,
+    };
+  }
+
+  // ZIP with the full data as JSON plus one CSV per section
+  static async buildArchive(userId) {
+    const data = await this.collectUserData(userId);
+
+    return await createZip([
+      { name: "data.json", data: JSON.stringify(data, null, 2) },
+      { name: "profile.csv", data: toCsv([data.profile], PROFILE_COLUMNS) },
+      ...Object.entries(CSV_FILES).map(([section, columns]) => ({
+        name: `${section}.csv`,
+        data: toCsv(data[section], columns),
+      })),
+    ], data.exportedAt);
+  }
+}
+
+export default DataExportService;
@@ -0,0 +1,352 @@
+import mongocon from '../config/mongocon.js';
+import rediscon from '../config/rediscon.js';
+import { VISIBLE_FILTER, isVisible } from '../utils/contentVisibility.js';
+
+// Ranked feeds live in Redis sorted sets next to the `posts:feed:*` lists.
+// This service only talks to mongocon/rediscon so Post can call into it
+// without creating an import cycle.
+class FeedRankingService {
+
+  static SORTS = ['hot', 'rising', 'top'];
+  static TOP_PERIODS = {
+    day: 24 * 60 * 60,
+    week: 7 * 24 * 60 * 60,
+    month: 30 * 24 * 60 * 60,
+    all: null,
+  };
+
+  static FEED_SIZE = 200;            // Members kept per ranked feed
+  static HOT_EPOCH = 1735689600;     // 2025-01-01T00:00:00Z, keeps scores small
+  static HOT_DECAY_SECONDS = 45000;  // ~12.5h for a 10x engagement advantage
+  static HOT_CANDIDATE_DAYS = 14;    // Older posts can't realistically be hot
+  static COMMENT_WEIGHT = 0.5;
+  static VIEW_WEIGHT = 1;            // Applied to log10(views)
+
+  static VELOCITY_BUCKET_SECONDS = 60 * 60; // Vote velocity is bucketed per hour
+  static VELOCITY_WINDOW_BUCKETS = 6;       // Rising looks at the last 6 hours
+  static RISING_MAX_AGE_HOURS = 48;
+  static SUBSCRIBED_TAG_BOOST = 1;          // Same lift as ~12.5h of recency in the hot score
+
+  static FEED_TTL = {
+    hot: 600,
+    rising: 60,
+    top: 900,
+    topDay: 300,
+    home: 120,
+  };
+
+  static isValidSort(sort) {
+    return this.SORTS.includes(sort);
+  }
+
+  static isValidPeriod(period) {
+    return Object.prototype.hasOwnProperty.call(this.TOP_PERIODS, period);
+  }
+
+  // Helper: Redis keys
+  static getHotFeedKey() {
+    return 'posts:feed:hot';
+  }
+
+  static getRisingFeedKey() {
+    return 'posts:feed:rising';
+  }
+
+  static getTopFeedKey(period) {
+    return `posts:feed:top:${period}`;
+  }
+
+  static getVelocityKey(bucket) {
+    return `posts:velocity:${bucket}`;
+  }
+
+  static getFeedKey(sort, period = 'week') {
+    if (sort === 'hot') return this.getHotFeedKey();
+    if (sort === 'rising') return this.getRisingFeedKey();
+    return this.getTopFeedKey(period);
+  }
+
+  static getHomeFeedKey(userId) {
+    return `posts:feed:home:${userId}`;
+  }
+
+  static getHomeFeedTotalKey(userId) {
+    return `posts:total:home:${userId}`;
+  }
+
+  static getCurrentBucket() {
+    return Math.floor(Date.now() / 1000 / this.VELOCITY_BUCKET_SECONDS);
+  }
+
+  // Time-decayed score: log-scaled engagement plus a linear bonus for recency
+  static calculateHotScore(post) {
+    const netVotes = (post.upvotes || 0) - (post.downvotes || 0);
+    const commentCount = post.commentIds?.length || 0;
+    const views = post.viewCount || 0;
+
+    const engagement =
+      netVotes +
+      this.COMMENT_WEIGHT * commentCount +
+      this.VIEW_WEIGHT * Math.log10(1 + views);
+
+    const order = Math.log10(Math.max(Math.abs(engagement), 1));
+    const sign = engagement > 0 ? 1 : engagement < 0 ? -1 : 0;
+    const seconds = new Date(post.createdAt).getTime() / 1000 - this.HOT_EPOCH;
+
+    return Number((sign * order + seconds / this.HOT_DECAY_SECONDS).toFixed(7));
+  }
+
+  // Home feed: hot score, boosted when the post carries a subscribed tag
+  static calculatePersonalizedScore(post, subscribedTags) {
+    const boosted = (post.tags || []).some((tag) => subscribedTags.has(tag));
+    return this.calculateHotScore(post) + (boosted ? this.SUBSCRIBED_TAG_BOOST : 0);
+  }
+
+  static calculateTopScore(post) {
+    return (post.upvotes || 0) - (post.downvotes || 0);
+  }
+
+  // Rising: recent vote velocity, damped by the age of the post
+  static calculateRisingScore(velocity, createdAt) {
+    const ageHours = (Date.now() - new Date(createdAt).getTime()) / 3600000;
+    return Number((velocity / Math.pow(ageHours + 2, 1.5)).toFixed(7));
+  }
+
+  static isWithinPeriod(post, period) {
+    const windowSeconds = this.TOP_PERIODS[period];
+    if (!windowSeconds) return true;
+    return Date.now() - new Date(post.createdAt).getTime() <= windowSeconds * 1000;
+  }
+
+  // Helper: only touch feeds that have been built, so a partial set never
+  // masks a cache miss and skips the rebuild
+  static async addIfBuilt(key, score, postId) {
+    const count = await rediscon.rankedFeedCount(key);
+    if (count === 0) return false;
+
+    await rediscon.rankedFeedAdd(key, [{ score, postId }]);
+    await rediscon.rankedFeedTrim(key, this.FEED_SIZE);
+    return true;
+  }
+
+  // Recompute hot/top scores for a post after it changed
+  static async updatePostScores(post) {
+    try {
+      if (!isVisible(post)) return;
+
+      await this.addIfBuilt(this.getHotFeedKey(), this.calculateHotScore(post), post.postId);
+
+      const topScore = this.calculateTopScore(post);
+      for (const period of Object.keys(this.TOP_PERIODS)) {
+        if (this.isWithinPeriod(post, period)) {
+          await this.addIfBuilt(this.getTopFeedKey(period), topScore, post.postId);
+        }
+      }
+    } catch (err) {
+      console.error('[FEED RANKING] Error updating post scores:', err.message);
+    }
+  }
+
+  // Track vote velocity in the current hourly bucket
+  static async recordVote(postId, delta) {
+    try {
+      if (!delta) return;
+
+      const key = this.getVelocityKey(this.getCurrentBucket());
+      await rediscon.rankedFeedIncr(key, delta, postId);
+      await rediscon.feedCacheExpire(
+        key,
+        (this.VELOCITY_WINDOW_BUCKETS + 1) * this.VELOCITY_BUCKET_SECONDS
+      );
+    } catch (err) {
+      console.error('[FEED RANKING] Error recording vote velocity:', err.message);
+    }
+  }
+
+  // Remove a post from every ranked feed
+  static async removePost(postId) {
+    try {
+      await rediscon.rankedFeedRemove(this.getHotFeedKey(), postId);
+      await rediscon.rankedFeedRemove(this.getRisingFeedKey(), postId);
+      for (const period of Object.keys(this.TOP_PERIODS)) {
+        await rediscon.rankedFeedRemove(this.getTopFeedKey(period), postId);
+      }
+    } catch (err) {
+      console.error('[FEED RANKING] Error removing post from ranked feeds:', err.message);
+    }
+  }
+
+  // Drop a user's cached home feed (after their tag preferences change)
+  static async clearHomeFeed(userId) {
+    await rediscon.feedCacheClear(this.getHomeFeedKey(userId));
+    await rediscon.feedCacheClear(this.getHomeFeedTotalKey(userId));
+  }
+
+  // Rebuild the hot feed from recent posts
+  static async rebuildHotFeed() {
+    try {
+      const collection = await mongocon.postsCollection();
+      if (!collection) return false;
+
+      const since = new Date(Date.now() - this.HOT_CANDIDATE_DAYS * 24 * 60 * 60 * 1000);
+      const posts = await collection
+        .find({ createdAt: { $gte: since }, ...VISIBLE_FILTER })
+        .project({ postId: 1, upvotes: 1, downvotes: 1, commentIds: 1, viewCount: 1, createdAt: 1 })
+        .toArray();
+
+      const key = this.getHotFeedKey();
+      await rediscon.feedCacheClear(key);
+      if (posts.length === 0) return true;
+
+      const entries = posts
+        .map((post) => ({ postId: post.postId, score: this.calculateHotScore(post) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.FEED_SIZE);
+
+      await rediscon.rankedFeedAdd(key, entries);
+      await rediscon.feedCacheExpire(key, this.FEED_TTL.hot);
+
+      console.log(`[FEED RANKING] Rebuilt ${key} with ${entries.length} posts`);
+      return true;
+    } catch (err) {
+      console.error('[FEED RANKING] Error rebuilding hot feed:', err.message);
+      return false;
+    }
+  }
+
+  // Rebuild a top-of-period feed
+  static async rebuildTopFeed(period) {
+    try {
+      const collection = await mongocon.postsCollection();
+      if (!collection) return false;
+
+      const windowSeconds = this.TOP_PERIODS[period];
+      const match = windowSeconds
+        ? { createdAt: { $gte: new Date(Date.now() - windowSeconds * 1000) }, ...VISIBLE_FILTER }
+        : { ...VISIBLE_FILTER };
+
+      const posts = await collection.aggregate([
+        { $match: match },
+        { $project: { postId: 1, score: { $subtract: ['$upvotes', '$downvotes'] }, createdAt: 1 } },
+        { $sort: { score: -1, createdAt: -1 } },
+        { $limit: this.FEED_SIZE },
+      ]).toArray();
+
+      const key = this.getTopFeedKey(period);
+      await rediscon.feedCacheClear(key);
+      if (posts.length === 0) return true;
+
+      await rediscon.rankedFeedAdd(
+        key,
+        posts.map((post) => ({ postId: post.postId, score: post.score }))
+      );
+      await rediscon.feedCacheExpire(
+        key,
+        period === 'day' ? this.FEED_TTL.topDay : this.FEED_TTL.top
+      );
+
+      console.log(`[FEED RANKING] Rebuilt ${key} with ${posts.length} posts`);
+      return true;
+    } catch (err) {
+      console.error('[FEED RANKING] Error rebuilding top feed:', err.message);
+      return false;
+    }
+  }
+
+  // Rebuild the rising feed from the recent velocity buckets
+  static async rebuildRisingFeed() {
+    try {
+      const collection = await mongocon.postsCollection();
+      if (!collection) return false;
+
+      // Newer buckets weigh more than older ones
+      const currentBucket = this.getCurrentBucket();
+      const bucketKeys = [];
+      const weights = [];
+      for (let i = 0; i < this.VELOCITY_WINDOW_BUCKETS; i++) {
+        bucketKeys.push(this.getVelocityKey(currentBucket - i));
+        weights.push(Number((1 - i / this.VELOCITY_WINDOW_BUCKETS).toFixed(3)));
+      }
+
+      const velocityKey = 'posts:velocity:window';
+      await rediscon.rankedFeedUnion(velocityKey, bucketKeys, weights, this.FEED_TTL.rising);
+      const velocities = await rediscon.rankedFeedRange(velocityKey, 0, -1, true) || [];
+      await rediscon.feedCacheClear(velocityKey);
+
+      const key = this.getRisingFeedKey();
+      await rediscon.feedCacheClear(key);
+
+      const positive = velocities.filter((entry) => entry.score > 0);
+      if (positive.length === 0) return true;
+
+      const since = new Date(Date.now() - this.RISING_MAX_AGE_HOURS * 60 * 60 * 1000);
+      const posts = await collection
+        .find({
+          postId: { $in: positive.map((entry) => entry.postId) },
+          createdAt: { $gte: since },
+          ...VISIBLE_FILTER,
+        })
+        .project({ postId: 1, createdAt: 1 })
+        .toArray();
+
+      const createdAtMap = new Map(posts.map((post) => [post.postId, post.createdAt]));
+      const entries = positive
+        .filter((entry) => createdAtMap.has(entry.postId))
+        .map((entry) => ({
+          postId: entry.postId,
+          score: this.calculateRisingScore(entry.score, createdAtMap.get(entry.postId)),
+        }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.FEED_SIZE);
+
+      if (entries.length === 0) return true;
+
+      await rediscon.rankedFeedAdd(key, entries);
+      await rediscon.feedCacheExpire(key, this.FEED_TTL.rising);
+
+      console.log(`[FEED RANKING] Rebuilt ${key} with ${entries.length} posts`);
+      return true;
+    } catch (err) {
+      console.error('[FEED RANKING] Error rebuilding rising feed:', err.message);
+      return false;
+    }
+  }
+
+  static async rebuildFeed(sort, period = 'week') {
+    if (sort === 'hot') return this.rebuildHotFeed();
+    if (sort === 'rising') return this.rebuildRisingFeed();
+    return this.rebuildTopFeed(period);
+  }
+
+  // Get a page of ranked entries ({ postId, score }), rebuilding the feed on a miss.
+  // With `after` ([score, postId] of the last seen entry) the page starts strictly
+  // after that position instead of at `start`.
+  static async getRankedEntries(sort, period = 'week', start = 0, end = 9, after = null) {
+    const key = this.getFeedKey(sort, period);
+
+    let total = await rediscon.rankedFeedCount(key);
+    if (total === 0) {
+      console.log(`[FEED RANKING] Miss for ${key}, rebuilding...`);
+      await this.rebuildFeed(sort, period);
+      total = await rediscon.rankedFeedCount(key);
+    }
+
+    if (total === 0) return { entries: [], total: 0 };
+
+    if (!after) {
+      const entries = await rediscon.rankedFeedRange(key, start, end, true) || [];
+      return { entries, total };
+    }
+
+    // Members with equal scores are returned in reverse lexicographic order
+    const [lastScore, lastPostId] = after;
+    const candidates = await rediscon.rankedFeedRangeByScore(key, lastScore) || [];
+    const entries = candidates
+      .filter((entry) => entry.score < lastScore || entry.postId < lastPostId)
+      .slice(0, end - start + 1);
+
+    return { entries, total };
+  }
+}
+
+export default FeedRankingService;
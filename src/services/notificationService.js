@@ -0,0 +1,201 @@
+import Notification from '../models/Notification.js';
+import Comment from '../models/Comment.js';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import Community from '../models/Community.js';
+import RealtimeService from './realtimeService.js';
+import { getMentionedUserIds } from '../utils/mentions.js';
+import { getPublicAuthorId } from '../utils/anonymity.js';
+
+// Turns domain events into notifications. Every method swallows its own
+// errors so callers can fire and forget without affecting the request.
+class NotificationService {
+
+  static UPVOTE_MILESTONES = [1, 5, 10, 25, 50, 100, 250, 500, 1000];
+
+  // Helper: Store a notification and push it to the recipient's live connections
+  static async deliver(notificationData) {
+    const notification = await Notification.record(notificationData);
+    if (!notification) return null;
+
+    const [populated] = await this.populate([notification]);
+    const unreadCount = await Notification.getUnreadCount(notification.userId);
+    await RealtimeService.publishNotification(notification.userId, { ...populated, unreadCount });
+
+    return notification;
+  }
+
+  // A new comment notifies the post author (top-level) or the parent comment's author (reply)
+  static async notifyNewComment(comment) {
+    try {
+      if (comment.parentCommentId) {
+        const parent = await Comment.findByCommentId(comment.parentCommentId);
+        if (!parent || parent.isDeleted || parent.userId === comment.userId) return;
+
+        await this.deliver({
+          userId: parent.userId,
+          type: Notification.TYPES.COMMENT_REPLY,
+          actorId: getPublicAuthorId(comment),
+          targetType: "comment",
+          targetId: parent.commentId,
+          postId: comment.postId,
+          data: { commentId: comment.commentId },
+          groupKey: `${Notification.TYPES.COMMENT_REPLY}:${parent.commentId}`,
+        });
+        return;
+      }
+
+      const post = await Post.findByPostId(comment.postId);
+      if (!post || post.userId === comment.userId) return;
+
+      await this.deliver({
+        userId: post.userId,
+        type: Notification.TYPES.POST_REPLY,
+        actorId: getPublicAuthorId(comment),
+        targetType: "post",
+        targetId: post.postId,
+        postId: post.postId,
+        data: { commentId: comment.commentId },
+        groupKey: `${Notification.TYPES.POST_REPLY}:${post.postId}`,
+      });
+    } catch (err) {
+      console.error("Error notifying new comment:", err.message);
+    }
+  }
+
+  // Notify users mentioned in a post or comment (once per user per document, so edits don't re-notify).
+  // Mentions in anonymous content don't name the actor.
+  static async notifyMentions(mentions, { actorId, isAnonymous = false, targetType, targetId, postId }) {
+    try {
+      let userIds = getMentionedUserIds(mentions, actorId);
+
+      // Mentions in a private community only reach its members
+      const post = userIds.length > 0 ? await Post.findByPostId(postId) : null;
+      if (post?.isPrivate) {
+        const memberships = await Promise.all(userIds.map(userId => Community.getMembership(post.communityId, userId)));
+        userIds = userIds.filter((_, index) => memberships[index]);
+      }
+
+      await Promise.all(userIds.map(userId => this.deliver({
+        userId,
+        type: Notification.TYPES.MENTION,
+        actorId: isAnonymous ? null : actorId,
+        targetType,
+        targetId,
+        postId,
+        dedupeKey: `${Notification.TYPES.MENTION}:${targetType}:${targetId}`,
+      })));
+    } catch (err) {
+      console.error("Error notifying mentions:", err.message);
+    }
+  }
+
+  // Tell the author when their post crosses an upvote milestone (once per milestone)
+  static async notifyUpvoteMilestone(postId, voterId) {
+    try {
+      const post = await Post.findByPostId(postId);
+      if (!post || post.userId === voterId) return;
+
+      const milestone = post.upvotes || 0;
+      if (!this.UPVOTE_MILESTONES.includes(milestone)) return;
+
+      await this.deliver({
+        userId: post.userId,
+        type: Notification.TYPES.UPVOTE_MILESTONE,
+        actorId: voterId,
+        targetType: "post",
+        targetId: postId,
+        postId,
+        data: { milestone },
+        dedupeKey: `${Notification.TYPES.UPVOTE_MILESTONE}:${postId}:${milestone}`,
+      });
+    } catch (err) {
+      console.error("Error notifying upvote milestone:", err.message);
+    }
+  }
+
+  // Moderation actions on a post (pinned, locked, deleted)
+  static async notifyPostModerated(post, type, data = null) {
+    try {
+      if (!post) return;
+
+      await this.deliver({
+        userId: post.userId,
+        type,
+        targetType: "post",
+        targetId: post.postId,
+        postId: type === Notification.TYPES.POST_DELETED ? null : post.postId,
+        data,
+      });
+    } catch (err) {
+      console.error("Error notifying post moderation:", err.message);
+    }
+  }
+
+  // Tell a comment's author their answer was accepted (once per comment)
+  static async notifyAnswerAccepted(comment, actorId) {
+    try {
+      if (!comment || comment.userId === actorId) return;
+
+      await this.deliver({
+        userId: comment.userId,
+        type: Notification.TYPES.ANSWER_ACCEPTED,
+        actorId,
+        targetType: "comment",
+        targetId: comment.commentId,
+        postId: comment.postId,
+        dedupeKey: `${Notification.TYPES.ANSWER_ACCEPTED}:${comment.commentId}`,
+      });
+    } catch (err) {
+      console.error("Error notifying accepted answer:", err.message);
+    }
+  }
+
+  // A ban was placed on the user
+  static async notifyBanned(user) {
+    try {
+      const ban = User.getBanNotice(user);
+      if (!ban) return;
+
+      await this.deliver({
+        userId: user.userId,
+        type: Notification.TYPES.USER_BANNED,
+        targetType: "user",
+        targetId: user.userId,
+        data: { reason: ban.reason, expiresAt: ban.expiresAt },
+      });
+    } catch (err) {
+      console.error("Error notifying ban:", err.message);
+    }
+  }
+
+  // Attach a message and the latest actor to each notification
+  static async populate(notifications) {
+    if (!notifications || notifications.length === 0) return notifications;
+
+    const actorIds = [...new Set(
+      notifications
+        .map(notification => notification.actorIds?.[notification.actorIds.length - 1])
+        .filter(Boolean)
+    )];
+
+    const users = await Promise.all(actorIds.map(actorId => User.findByUserId(actorId)));
+    const userMap = new Map(users.filter(Boolean).map(user => [user.userId, user]));
+
+    return notifications.map(notification => {
+      const latestActorId = notification.actorIds?.[notification.actorIds.length - 1];
+      const actor = latestActorId ? userMap.get(latestActorId) : null;
+
+      return {
+        ...notification,
+        actorCount: notification.actorIds?.length || 0,
+        actor: actor
+          ? { userId: actor.userId, name: actor.name, avatarLink: actor.avatarLink }
+          : null,
+        message: Notification.describe(notification, actor?.name),
+      };
+    });
+  }
+}
+
+export default NotificationService;
@@ -0,0 +1,78 @@
+import rediscon from '../config/rediscon.js';
+import Post from '../models/Post.js';
+
+// Publishes scheduled posts when they fall due. Due times live in a Redis
+// sorted set (`posts:scheduled`) shared by every API instance: an instance
+// claims a post by removing it from the set, and Post.publishScheduled only
+// flips posts that are still scheduled, so each post is announced once.
+class PostSchedulerService {
+
+  static INTERVAL_MS = 30 * 1000;
+  static BATCH_SIZE = 100;
+  static STALE_AFTER_MS = 5 * 60 * 1000; // Claimed but never published (instance died mid-publish)
+
+  static timer = null;
+  static running = false;
+
+  // Rebuild the queue from the database, then poll it
+  static start() {
+    if (this.timer) return;
+
+    this.syncQueue();
+    this.timer = setInterval(() => this.publishDuePosts(), this.INTERVAL_MS);
+  }
+
+  // Re-add every scheduled post to the queue (e.g. after Redis lost its data)
+  static async syncQueue() {
+    try {
+      const entries = await Post.getScheduleEntries();
+      if (entries.length > 0) await rediscon.rankedFeedAdd(Post.SCHEDULE_QUEUE_KEY, entries);
+    } catch (err) {
+      console.error('[SCHEDULER] Error syncing scheduled posts:', err.message);
+    }
+  }
+
+  static async publishDuePosts() {
+    // Skip a tick if the previous one is still publishing
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const due = await rediscon.rankedFeedRangeByScore(Post.SCHEDULE_QUEUE_KEY, Date.now());
+
+      if (due === null) {
+        // Redis unavailable: the conditional update alone keeps instances from double-publishing
+        await this.publishAll(await Post.getDueScheduledPostIds(new Date(), this.BATCH_SIZE));
+        return;
+      }
+
+      // Earliest first; only the instance whose removal succeeds publishes the post
+      const claimedIds = [];
+      for (const { postId } of due.reverse().slice(0, this.BATCH_SIZE)) {
+        if (await rediscon.rankedFeedRemove(Post.SCHEDULE_QUEUE_KEY, postId)) claimedIds.push(postId);
+      }
+      await this.publishAll(claimedIds);
+
+      // Pick up posts whose claim was lost
+      const staleBefore = new Date(Date.now() - this.STALE_AFTER_MS);
+      await this.publishAll(await Post.getDueScheduledPostIds(staleBefore, this.BATCH_SIZE));
+    } catch (err) {
+      console.error('[SCHEDULER] Error publishing due posts:', err.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  static async publishAll(postIds) {
+    for (const postId of postIds) {
+      try {
+        const post = await Post.publishScheduled(postId);
+        if (post) console.log(`[SCHEDULER] Published scheduled post ${postId}`);
+      } catch (err) {
+        console.error(`[SCHEDULER] Error publishing post ${postId}:`, err.message);
+      }
+    }
+  }
+}
+
+export default PostSchedulerService;
@@ -1,6 +1,7 @@
 import { postsTree, usersTree, tagsTree } from '../config/prefixTree.js';
 import Post from '../models/Post.js';
 import User from '../models/User.js';
+import { getPublicAuthorId } from '../utils/anonymity.js';
 
 class PrefixSearchService {
   
@@ -44,6 +45,9 @@ class PrefixSearchService {
 
   static async indexPost(post) {
     try {
+      // Private community posts never show up in search
+      if (post.isPrivate) return false;
+
       // Limit content length to prevent memory overflow
       const title = post.title 
         ? post.title.substring(0, this.MAX_TITLE_LENGTH) 
@@ -66,7 +70,7 @@ class PrefixSearchService {
         postId: post.postId,
         title: post.title,
         content: post.content ? post.content.substring(0, 100) : '', // Store short preview
-        userId: post.userId,
+        userId: getPublicAuthorId(post),
         upvotes: post.upvotes,
         createdAt: post.createdAt
       });
@@ -459,6 +463,52 @@ class PrefixSearchService {
       this.isRebuilding = false;
     }
   }
+
+  // Rebuild only the tag tree (after tags were renamed or merged)
+  static async rebuildTagIndex() {
+    if (this.isRebuilding) {
+      console.log('[PREFIX SEARCH] Rebuild already in progress, skipping tag rebuild...');
+      return {
+        success: false,
+        message: 'Rebuild already in progress'
+      };
+    }
+
+    this.isRebuilding = true;
+
+    try {
+      const startTime = Date.now();
+      await tagsTree.clear();
+
+      const posts = await Post.getTaggedPosts();
+      const indexResults = await Promise.allSettled(
+        posts.flatMap(post => post.tags.map(tag => tagsTree.add(tag, {
+          type: 'tag',
+          tag,
+          postId: post.postId
+        })))
+      );
+
+      const failed = indexResults.filter(r => r.status === 'rejected' || r.value === false).length;
+      const duration = Date.now() - startTime;
+      console.log(`[PREFIX SEARCH] Tag index rebuilt in ${duration}ms: ${posts.length} posts (${failed} failed)`);
+
+      return {
+        success: true,
+        postsIndexed: posts.length,
+        failed,
+        durationMs: duration
+      };
+    } catch (err) {
+      console.error("Error rebuilding tag index:", err.message);
+      return {
+        success: false,
+        message: err.message
+      };
+    } finally {
+      this.isRebuilding = false;
+    }
+  }
 }
 
 export default PrefixSearchService;
\ No newline at end of file
@@ -0,0 +1,160 @@
+import rediscon from '../config/rediscon.js';
+import { getPublicAuthorId } from '../utils/anonymity.js';
+
+// Fans real-time events out to SSE connections on every API instance.
+// Events are published to Redis channels; each instance subscribes to a
+// channel only while at least one of its local connections is listening.
+class RealtimeService {
+
+  static EVENTS = {
+    COMMENT_CREATED: 'comment.created',
+    POST_VOTES: 'post.votes',
+    COMMENT_VOTES: 'comment.votes',
+    NOTIFICATION: 'notification',
+    POST_CREATED: 'post.created',
+  };
+
+  static FEED_CHANNEL = 'realtime:feed';
+
+  static listeners = new Map(); // channel -> Set of listener callbacks
+  static initialized = false;
+
+  static getPostChannel(postId) {
+    return `realtime:post:${postId}`;
+  }
+
+  static getUserChannel(userId) {
+    return `realtime:user:${userId}`;
+  }
+
+  // Helper: Route messages from the shared subscriber to local listeners
+  static async getSubscriber() {
+    const subscriber = await rediscon.redisSubscriber();
+    if (!subscriber || this.initialized) return subscriber;
+
+    subscriber.on('message', (channel, message) => {
+      const channelListeners = this.listeners.get(channel);
+      if (!channelListeners || channelListeners.size === 0) return;
+
+      let payload;
+      try {
+        payload = JSON.parse(message);
+      } catch (err) {
+        console.error('[REALTIME] Invalid message on', channel, err.message);
+        return;
+      }
+
+      for (const listener of channelListeners) {
+        try {
+          listener(payload);
+        } catch (err) {
+          console.error('[REALTIME] Listener error:', err.message);
+        }
+      }
+    });
+
+    this.initialized = true;
+    return subscriber;
+  }
+
+  // Listen on channels; returns a function that removes the listener again
+  static async subscribe(channels, listener) {
+    const subscriber = await this.getSubscriber();
+    if (!subscriber) throw new Error('Realtime updates are unavailable');
+
+    const newChannels = [];
+    for (const channel of channels) {
+      if (!this.listeners.has(channel)) {
+        this.listeners.set(channel, new Set());
+        newChannels.push(channel);
+      }
+      this.listeners.get(channel).add(listener);
+    }
+
+    if (newChannels.length > 0) {
+      await subscriber.subscribe(...newChannels);
+    }
+
+    return async () => {
+      const emptyChannels = [];
+      for (const channel of channels) {
+        const channelListeners = this.listeners.get(channel);
+        if (!channelListeners) continue;
+
+        channelListeners.delete(listener);
+        if (channelListeners.size === 0) {
+          this.listeners.delete(channel);
+          emptyChannels.push(channel);
+        }
+      }
+
+      if (emptyChannels.length > 0) {
+        try {
+          await subscriber.unsubscribe(...emptyChannels);
+        } catch (err) {
+          console.error('[REALTIME] Unsubscribe error:', err.message);
+        }
+      }
+    };
+  }
+
+  // Publish an event (never throws; real-time delivery is best effort)
+  static async publish(channel, event, data) {
+    try {
+      return await rediscon.redisPublish(channel, JSON.stringify({ event, data, at: Date.now() }));
+    } catch (err) {
+      console.error('[REALTIME] Publish error:', err.message);
+      return false;
+    }
+  }
+
+  static async publishNewComment(comment) {
+    return this.publish(this.getPostChannel(comment.postId), this.EVENTS.COMMENT_CREATED, {
+      commentId: comment.commentId,
+      postId: comment.postId,
+      userId: getPublicAuthorId(comment),
+      parentCommentId: comment.parentCommentId || null,
+      content: comment.content,
+      createdAt: comment.createdAt,
+    });
+  }
+
+  static async publishPostVotes(post) {
+    if (!post) return false;
+
+    return this.publish(this.getPostChannel(post.postId), this.EVENTS.POST_VOTES, {
+      postId: post.postId,
+      upvotes: post.upvotes || 0,
+      downvotes: post.downvotes || 0,
+    });
+  }
+
+  static async publishCommentVotes(comment) {
+    if (!comment) return false;
+
+    return this.publish(this.getPostChannel(comment.postId), this.EVENTS.COMMENT_VOTES, {
+      commentId: comment.commentId,
+      postId: comment.postId,
+      upvotes: comment.upvotes || 0,
+      downvotes: comment.downvotes || 0,
+    });
+  }
+
+  static async publishNotification(userId, notification) {
+    return this.publish(this.getUserChannel(userId), this.EVENTS.NOTIFICATION, notification);
+  }
+
+  static async publishNewPost(post) {
+    if (!post || post.isHidden || post.isPrivate) return false;
+
+    return this.publish(this.FEED_CHANNEL, this.EVENTS.POST_CREATED, {
+      postId: post.postId,
+      userId: getPublicAuthorId(post),
+      title: post.title,
+      tags: post.tags || [],
+      createdAt: post.createdAt,
+    });
+  }
+}
+
+export default RealtimeService;
@@ -0,0 +1,36 @@
+import crypto from "crypto";
+import { generatePseudonym } from "./username.js";
+
+// Anonymous posts and comments keep their real userId in the database for
+// moderation, but every read path shows a per-post pseudonym instead. The
+// same author gets the same name throughout one post's thread.
+
+const getPseudonymSecret = () => process.env.ANONYMOUS_NAME_SECRET || process.env.JWT_SECRET;
+
+// Keyed with a server secret so nobody can recompute names to unmask an author
+export function getAnonymousName(postId, userId) {
+  const digest = crypto.createHmac("sha256", getPseudonymSecret()).update(`${postId}:${userId}`).digest("hex");
+  return generatePseudonym(parseInt(digest.slice(0, 12), 16));
+}
+
+// Replace the author of anonymous content with its pseudonym
+export function maskAnonymousAuthor(doc) {
+  if (!doc?.isAnonymous) return doc;
+
+  return {
+    ...doc,
+    userId: null,
+    user: {
+      userId: null,
+      name: doc.anonymousName,
+      avatarLink: null,
+      role: "user",
+      isAnonymous: true,
+    },
+  };
+}
+
+// Actor to show in notifications and live events (null hides it)
+export function getPublicAuthorId(doc) {
+  return doc?.isAnonymous ? null : doc?.userId;
+}
@@ -0,0 +1,28 @@
+import AuditLog from "../models/AuditLog.js";
+
+// Helper: Copy the given fields of a document for a before/after snapshot
+export function snapshot(doc, fields) {
+  if (!doc) return null;
+  return Object.fromEntries(fields.map(field => [field, doc[field] ?? null]));
+}
+
+// Record a privileged action taken by the requesting admin. The action has
+// already happened by the time this runs, so a failed write is logged rather
+// than turned into an error response.
+export async function recordAudit(req, { action, targetType = null, targetId = null, before = null, after = null, metadata = null }) {
+  try {
+    await AuditLog.record({
+      actorId: req.user?.userId || null,
+      actorName: req.user?.name || null,
+      action,
+      targetType,
+      targetId,
+      before,
+      after,
+      metadata,
+      ip: req.ip || null,
+    });
+  } catch (err) {
+    console.error(`Failed to record audit entry for ${action}:`, err.message);
+  }
+}
@@ -0,0 +1,34 @@
+import Role from "../models/Role.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+// Hidden content (e.g. auto-hidden after user reports) stays in the database
+// but is kept out of feeds, search and profiles until a moderator reviews it.
+// Posts in private communities are likewise kept out of everything public;
+// members read them through the community's own feeds. Scheduled posts are
+// treated as hidden until the scheduler publishes them.
+
+// Mongo filter matching documents that are not hidden by moderation or waiting to be published
+export const NOT_HIDDEN_FILTER = { isHidden: { $ne: true }, isScheduled: { $ne: true } };
+
+// Mongo filter matching documents that are publicly visible
+export const VISIBLE_FILTER = { ...NOT_HIDDEN_FILTER, isPrivate: { $ne: true } };
+
+export function isNotHidden(doc) {
+  return !!doc && !doc.isHidden && !doc.isScheduled;
+}
+
+export function isVisible(doc) {
+  return isNotHidden(doc) && !doc.isPrivate;
+}
+
+// Authors keep seeing their own hidden content; whoever reviews reports sees everything
+export async function canViewHidden(doc, user) {
+  if (!doc || !user) return false;
+  if (doc.userId === user.userId) return true;
+  return Role.canModeratePost(user, PERMISSIONS.REPORT_REVIEW, doc);
+}
+
+// Visible to this viewer (user may be null for anonymous requests)
+export async function isVisibleTo(doc, user = null) {
+  return isVisible(doc) || (await canViewHidden(doc, user));
+}
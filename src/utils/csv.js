@@ -0,0 +1,27 @@
+// Helper: Quote a value for CSV, flattening objects to JSON
+function escapeCsvValue(value) {
+  if (value === undefined || value === null) return "";
+
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === "object") text = JSON.stringify(value);
+  else text = String(value);
+
+  // Guard against formula injection when opened in a spreadsheet (numbers like -1 stay as they are)
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// Build a CSV document from rows; columns are [header, getter] pairs
+export function toCsv(rows, columns) {
+  const header = columns.map(([name]) => escapeCsvValue(name)).join(",");
+  const lines = rows.map(row =>
+    columns.map(([, getValue]) => escapeCsvValue(getValue(row))).join(",")
+  );
+
+  return [header, ...lines].join("\r\n");
+}
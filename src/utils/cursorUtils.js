@@ -0,0 +1,78 @@
+import crypto from "crypto";
+
+// Opaque pagination cursors.
+// A cursor is `<base64url payload>.<base64url HMAC>` where the payload holds
+// the scope it was issued for (e.g. "posts:createdAt:-1") and the sort-key
+// values of the last item returned. The signature stops clients from
+// forging cursors that would turn into arbitrary range queries.
+
+const getCursorSecret = () => process.env.CURSOR_SECRET || process.env.JWT_SECRET;
+
+const sign = (data) =>
+  crypto.createHmac("sha256", getCursorSecret()).update(data).digest("base64url");
+
+// Dates don't survive JSON round-trips, so tag them
+const serializeValue = (value) =>
+  value instanceof Date ? { $d: value.toISOString() } : value;
+
+const deserializeValue = (value) =>
+  value && typeof value === "object" && value.$d ? new Date(value.$d) : value;
+
+// Encode a cursor for the given scope and sort-key values
+export const encodeCursor = (scope, values) => {
+  const payload = JSON.stringify({ k: scope, v: values.map(serializeValue) });
+  const data = Buffer.from(payload).toString("base64url");
+  return `${data}.${sign(data)}`;
+};
+
+// Decode and verify a cursor; returns the sort-key values or null if invalid
+export const decodeCursor = (token, scope) => {
+  try {
+    if (!token || typeof token !== "string") return null;
+
+    const [data, signature] = token.split(".");
+    if (!data || !signature) return null;
+
+    const expected = Buffer.from(sign(data));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    const payload = JSON.parse(Buffer.from(data, "base64url").toString("utf8"));
+    if (payload.k !== scope || !Array.isArray(payload.v)) return null;
+
+    return payload.v.map(deserializeValue);
+  } catch (err) {
+    return null;
+  }
+};
+
+// Build a keyset filter that starts strictly after the cursor position.
+// sortSpec is an ordered list of [field, order, type?] entries matching the
+// query sort; type "date" marks fields that need reviving from cache JSON.
+export const buildCursorFilter = (sortSpec, values) => {
+  const clauses = sortSpec.map(([field, order], i) => {
+    const clause = {};
+    for (let j = 0; j < i; j++) {
+      clause[sortSpec[j][0]] = values[j];
+    }
+    clause[field] = { [order === 1 ? "$gt" : "$lt"]: values[i] };
+    return clause;
+  });
+
+  return { $or: clauses };
+};
+
+// Cursor pointing after the last item of a page (null when there is no next page)
+export const getNextCursor = (items, hasMore, scope, sortSpec) => {
+  if (!hasMore || !items || items.length === 0) return null;
+
+  const last = items[items.length - 1];
+  const values = sortSpec.map(([field, , type]) => {
+    const value = last[field] ?? null;
+    return type === "date" && value !== null ? new Date(value) : value;
+  });
+
+  return encodeCursor(scope, values);
+};
@@ -0,0 +1,47 @@
+import User from "../models/User.js";
+
+// @name where name follows the username rules (letters, digits, _ and -).
+// The lookbehind skips e-mail addresses and handles glued to other words.
+const MENTION_PATTERN = /(?<![A-Za-z0-9_@-])@([A-Za-z0-9_-]{3,30})(?![A-Za-z0-9_-])/g;
+
+export const MAX_MENTIONS = 10; // Distinct users resolved per document
+
+// Find @mentions in text: [{ name, start, end }] in order of appearance
+export function extractMentions(text) {
+  if (!text || typeof text !== "string") return [];
+
+  return [...text.matchAll(MENTION_PATTERN)].map(match => ({
+    name: match[1],
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+// Resolve mentions to users, returning the mention entities stored on a post
+// or comment: [{ userId, name, start, end }]. Unknown names and names shared
+// by several users are left as plain text.
+export async function resolveMentions(text) {
+  const mentions = extractMentions(text);
+  if (mentions.length === 0) return [];
+
+  const names = [...new Set(mentions.map(mention => mention.name.toLowerCase()))].slice(0, MAX_MENTIONS);
+  const users = await User.findByNames(names);
+
+  const usersByName = new Map();
+  for (const user of users) {
+    const key = user.name.toLowerCase();
+    usersByName.set(key, usersByName.has(key) ? null : user); // null = ambiguous
+  }
+
+  return mentions
+    .map(mention => {
+      const user = usersByName.get(mention.name.toLowerCase());
+      return user ? { userId: user.userId, name: user.name, start: mention.start, end: mention.end } : null;
+    })
+    .filter(Boolean);
+}
+
+// Distinct user IDs mentioned, excluding the author
+export function getMentionedUserIds(mentions, authorId = null) {
+  return [...new Set((mentions || []).map(mention => mention.userId))].filter(userId => userId !== authorId);
+}
@@ -0,0 +1,63 @@
+import Role from "../models/Role.js";
+import { PERMISSIONS } from "../config/permissions.js";
+
+// Lock modes a post can be placed in
+export const LOCK_MODES = {
+  COMMENTS: "comments", // Freezes the discussion: no new comments, replies or comment edits
+  FULL: "full",         // Freezes the discussion and voting on the post and its comments
+};
+
+// Actions that are subject to the lock policy
+export const LOCK_ACTIONS = {
+  COMMENT: "comment",
+  REPLY: "reply",
+  EDIT_COMMENT: "edit_comment",
+  VOTE: "vote",
+};
+
+const BLOCKED_ACTIONS = {
+  [LOCK_MODES.COMMENTS]: [LOCK_ACTIONS.COMMENT, LOCK_ACTIONS.REPLY, LOCK_ACTIONS.EDIT_COMMENT],
+  [LOCK_MODES.FULL]: [LOCK_ACTIONS.COMMENT, LOCK_ACTIONS.REPLY, LOCK_ACTIONS.EDIT_COMMENT, LOCK_ACTIONS.VOTE],
+};
+
+const ACTION_MESSAGES = {
+  [LOCK_ACTIONS.COMMENT]: "Cannot comment on a locked post",
+  [LOCK_ACTIONS.REPLY]: "Cannot reply to comments on a locked post",
+  [LOCK_ACTIONS.EDIT_COMMENT]: "Cannot edit comments on a locked post",
+  [LOCK_ACTIONS.VOTE]: "Voting is disabled on this locked post",
+};
+
+export function isValidLockMode(mode) {
+  return Object.values(LOCK_MODES).includes(mode);
+}
+
+// Public description of a post's lock state (null when unlocked)
+export function getLockInfo(post) {
+  if (!post || !post.isLocked) return null;
+
+  return {
+    mode: post.lockMode || LOCK_MODES.COMMENTS,
+    reason: post.lockReason || null,
+    lockedBy: post.lockedBy || null,
+    lockedAt: post.lockedAt || null,
+  };
+}
+
+// Decide whether an action is allowed on a post given its lock state.
+// Whoever may lock the post is exempt so they can still leave moderator notes
+// on locked threads.
+export async function checkPostLock(post, action, user = null) {
+  const lock = getLockInfo(post);
+  if (!lock) return { allowed: true };
+
+  const blocked = BLOCKED_ACTIONS[lock.mode] || BLOCKED_ACTIONS[LOCK_MODES.COMMENTS];
+  if (!blocked.includes(action)) return { allowed: true };
+
+  if (user && (await Role.canModeratePost(user, PERMISSIONS.POST_LOCK, post))) return { allowed: true };
+
+  return {
+    allowed: false,
+    message: ACTION_MESSAGES[action] || "This post is locked",
+    lock,
+  };
+}
@@ -3,6 +3,9 @@ import FuzzySet from 'fuzzyset.js';
 
 const { SentimentAnalyzer, PorterStemmer, WordNet, LevenshteinDistance } = natural;
 
+// Relevance multiplier for answered questions when the query is itself a question
+const ANSWERED_BOOST = 1.5;
+
 class SentimentAnalysisService {
   constructor() {
     this.analyzer = new SentimentAnalyzer('English', PorterStemmer, 'afinn');
@@ -350,10 +353,13 @@ class SentimentAnalysisService {
       if (queryType !== 'general') break;
     }
     
+    const intent = this.determineIntent(sentiment, queryType);
+
     return {
       sentiment,
       queryType,
-      intent: this.determineIntent(sentiment, queryType),
+      intent,
+      answeredBoost: intent === 'find_answers' ? ANSWERED_BOOST : 1,
       tokens: tokens.slice(0, 10)
     };
   }
@@ -428,6 +434,10 @@ class SentimentAnalysisService {
     if (post.upvotes > 5) {
       score += Math.min(post.upvotes * 0.5, 10);
     }
+
+    if (post.isAnswered) {
+      score *= queryAnalysis.answeredBoost || 1;
+    }
     
     return score;
   }
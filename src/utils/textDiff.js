@@ -0,0 +1,107 @@
+// Line/word diffs between two versions of a text, used for edit history.
+// A plain LCS over tokens after trimming the common prefix and suffix; edits
+// are usually small, so the remaining middle part stays short.
+
+export const DIFF_MODES = ["line", "word"];
+
+// Largest LCS table we build; bigger rewrites are reported as a full replacement
+const MAX_TABLE_CELLS = 1000000;
+
+function tokenize(text, mode) {
+  if (!text) return [];
+  // Word mode keeps the whitespace as tokens so the parts join back into the text
+  return mode === "word" ? text.split(/(\s+)/).filter(Boolean) : text.split("\n");
+}
+
+// Helper: Append a token, merging it into the previous part of the same type
+function pushPart(parts, type, token, separator) {
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.value += separator + token;
+  } else {
+    parts.push({ type, value: token });
+  }
+}
+
+function diffMiddle(a, b) {
+  const n = a.length;
+  const m = b.length;
+
+  if (n === 0 || m === 0 || (n + 1) * (m + 1) > MAX_TABLE_CELLS) {
+    return [
+      ...a.map(token => ["removed", token]),
+      ...b.map(token => ["added", token]),
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const width = m + 1;
+  const lengths = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[i] === b[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push(["equal", a[i]]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      ops.push(["removed", a[i++]]);
+    } else {
+      ops.push(["added", b[j++]]);
+    }
+  }
+  while (i < n) ops.push(["removed", a[i++]]);
+  while (j < m) ops.push(["added", b[j++]]);
+
+  return ops;
+}
+
+// Diff two texts. Returns [{ type: "equal" | "added" | "removed", value }].
+export function diffText(oldText = "", newText = "", mode = "line") {
+  const a = tokenize(oldText || "", mode);
+  const b = tokenize(newText || "", mode);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [
+    ...a.slice(0, start).map(token => ["equal", token]),
+    ...diffMiddle(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(token => ["equal", token]),
+  ];
+
+  const separator = mode === "word" ? "" : "\n";
+  const parts = [];
+  for (const [type, token] of ops) {
+    pushPart(parts, type, token, separator);
+  }
+
+  return parts;
+}
+
+// Tags added and removed between two versions
+export function diffTags(oldTags = [], newTags = []) {
+  const before = oldTags || [];
+  const after = newTags || [];
+
+  return {
+    added: after.filter(tag => !before.includes(tag)),
+    removed: before.filter(tag => !after.includes(tag)),
+  };
+}
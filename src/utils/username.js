@@ -125,4 +125,13 @@ export function generateUsername(options = {}) {
   });
 
   return username;
-}
\ No newline at end of file
+}
+// Deterministic name for anonymous authors: the same seed always gives the same name
+export function generatePseudonym(seed) {
+  return uniqueNamesGenerator({
+    dictionaries: [adjectives, animals],
+    style: 'capital',
+    separator: ' ',
+    seed
+  });
+}
@@ -0,0 +1,100 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import passport from "passport";
+import Post from "../src/models/Post.js";
+import User from "../src/models/User.js";
+import AuditLog from "../src/models/AuditLog.js";
+import { PERMISSIONS } from "../src/config/permissions.js";
+import { requirePermission } from "../src/middleware/adminMiddleware.js";
+import { revealPostAuthor } from "../src/controllers/adminController.js";
+import { maskAnonymousAuthor, getPublicAuthorId } from "../src/utils/anonymity.js";
+import { createResponse } from "./helpers.js";
+
+const anonymousPost = {
+  postId: "p1",
+  userId: "author",
+  isAnonymous: true,
+  anonymousName: "Quiet Otter",
+};
+
+// Run requirePermission as if the JWT belonged to this user
+async function authorize(user, permission) {
+  // The verify callback is async, so keep its promise to wait for the outcome
+  let verified;
+  mock.method(passport, "authenticate", (strategy, options, callback) => () => {
+    verified = callback(null, user);
+  });
+
+  const req = {};
+  const res = createResponse();
+  let allowed = false;
+  requirePermission(permission)(req, res, () => {
+    allowed = true;
+  });
+  await verified;
+
+  return { allowed, req, res };
+}
+
+describe("anonymous author reveal", () => {
+  let record;
+
+  beforeEach(() => {
+    mock.method(Post, "findByPostId", async postId => (postId === "p1" ? anonymousPost : { postId, userId: "author" }));
+    mock.method(User, "findByUserId", async userId => ({ userId, name: "Real Name", avatarLink: null, role: "user" }));
+    record = mock.method(AuditLog, "record", async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("masks the author of anonymous content", () => {
+    const masked = maskAnonymousAuthor(anonymousPost);
+
+    assert.equal(masked.userId, null);
+    assert.equal(masked.user.name, "Quiet Otter");
+    assert.equal(getPublicAuthorId(anonymousPost), null);
+  });
+
+  it("requires the reveal permission", async () => {
+    const moderator = await authorize({ userId: "mod", role: "moderator" }, PERMISSIONS.ANONYMITY_REVEAL);
+    assert.equal(moderator.allowed, false);
+    assert.equal(moderator.res.statusCode, 403);
+
+    const bannedAdmin = await authorize({ userId: "admin", role: "admin-ban" }, PERMISSIONS.ANONYMITY_REVEAL);
+    assert.equal(bannedAdmin.allowed, false);
+
+    const admin = await authorize({ userId: "admin", role: "admin" }, PERMISSIONS.ANONYMITY_REVEAL);
+    assert.equal(admin.allowed, true);
+    assert.ok(admin.req.permissions.includes(PERMISSIONS.ANONYMITY_REVEAL));
+  });
+
+  it("requires a reason", async () => {
+    const res = createResponse();
+    await revealPostAuthor({ params: { postId: "p1" }, body: { reason: "  " }, user: { userId: "admin" } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(record.mock.callCount(), 0);
+  });
+
+  it("only reveals anonymous content", async () => {
+    const res = createResponse();
+    await revealPostAuthor({ params: { postId: "p2" }, body: { reason: "Threats" }, user: { userId: "admin" } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(record.mock.callCount(), 0);
+  });
+
+  it("reveals the author and records the reason in the audit log", async () => {
+    const res = createResponse();
+    await revealPostAuthor({ params: { postId: "p1" }, body: { reason: " Threats " }, user: { userId: "admin" } }, res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.author.userId, "author");
+    assert.equal(res.body.data.anonymousName, "Quiet Otter");
+
+    const entry = record.mock.calls[0].arguments[0];
+    assert.equal(entry.action, AuditLog.ACTIONS.POST_DEANONYMIZE);
+    assert.equal(entry.targetId, "p1");
+    assert.equal(entry.metadata.reason, "Threats");
+  });
+});
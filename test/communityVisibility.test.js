@@ -0,0 +1,92 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Community from "../src/models/Community.js";
+import Post from "../src/models/Post.js";
+import Comment from "../src/models/Comment.js";
+import { getCommentCount, getReplyCount } from "../src/controllers/commentController.js";
+import { createResponse } from "./helpers.js";
+
+const author = { userId: "author", role: "user" };
+const member = { userId: "member", role: "user" };
+const outsider = { userId: "outsider", role: "user" };
+const moderator = { userId: "mod", role: "moderator" };
+
+const publicPost = { postId: "public", userId: "author", tags: [] };
+const privatePost = { postId: "private", userId: "author", communityId: "club", isPrivate: true, tags: [] };
+const hiddenPost = { postId: "hidden", userId: "author", isHidden: true, hiddenReason: "reports", tags: [] };
+
+describe("community visibility", () => {
+  beforeEach(() => {
+    mock.method(Community, "getMembership", async (communityId, userId) =>
+      communityId === "club" && userId === "member" ? { communityId, userId } : null
+    );
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("shows public posts to everyone", async () => {
+    assert.equal(await Community.canViewPost(publicPost, null), true);
+    assert.equal(await Community.canViewPost(publicPost, outsider), true);
+  });
+
+  it("shows private community posts only to members", async () => {
+    assert.equal(await Community.canViewPost(privatePost, null), false);
+    assert.equal(await Community.canViewPost(privatePost, outsider), false);
+    assert.equal(await Community.canViewPost(privatePost, member), true);
+  });
+
+  it("shows hidden posts only to their author and report reviewers", async () => {
+    assert.equal(await Community.canViewPost(hiddenPost, outsider), false);
+    assert.equal(await Community.canViewPost(hiddenPost, author), true);
+    assert.equal(await Community.canViewPost(hiddenPost, moderator), true);
+    assert.equal(await Community.canViewPost(hiddenPost, { ...moderator, role: "moderator-ban" }), false);
+  });
+
+  it("treats a missing post as not viewable", async () => {
+    assert.equal(await Community.canViewPost(null, member), false);
+  });
+
+  it("gives comments their post's visibility", async () => {
+    mock.method(Post, "findByPostId", async postId => (postId === "private" ? privatePost : publicPost));
+    const comment = { commentId: "c1", postId: "private", userId: "author" };
+
+    assert.equal(await Community.canViewComment(comment, outsider), false);
+    assert.equal(await Community.canViewComment(comment, member), true);
+  });
+
+  it("keeps only viewable posts in a list", async () => {
+    const viewable = await Community.filterViewablePosts([publicPost, privatePost, hiddenPost], outsider);
+    assert.deepEqual(viewable.map(post => post.postId), ["public"]);
+  });
+
+  describe("comment counts", () => {
+    beforeEach(() => {
+      mock.method(Post, "findByPostId", async () => privatePost);
+      mock.method(Comment, "findByCommentId", async commentId => ({ commentId, postId: "private", userId: "author" }));
+      mock.method(Comment, "getCommentCountByPostId", async () => 3);
+      mock.method(Comment, "getReplyCountByCommentId", async () => 2);
+    });
+
+    it("hides the comment count of a private community post from non-members", async () => {
+      const res = createResponse();
+      await getCommentCount({ params: { postId: "private" }, user: outsider }, res);
+      assert.equal(res.statusCode, 404);
+
+      const memberRes = createResponse();
+      await getCommentCount({ params: { postId: "private" }, user: member }, memberRes);
+      assert.equal(memberRes.statusCode, 200);
+      assert.equal(memberRes.body.data.count, 3);
+    });
+
+    it("hides the reply count of a comment on a private community post from non-members", async () => {
+      const res = createResponse();
+      await getReplyCount({ params: { commentId: "c1" }, user: null }, res);
+      assert.equal(res.statusCode, 404);
+
+      const memberRes = createResponse();
+      await getReplyCount({ params: { commentId: "c1" }, user: member }, memberRes);
+      assert.equal(memberRes.statusCode, 200);
+      assert.equal(memberRes.body.data.count, 2);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Report from "../src/models/Report.js";
+import Post from "../src/models/Post.js";
+import AuditLog from "../src/models/AuditLog.js";
+import { createReport, dismissReport } from "../src/controllers/reportController.js";
+import { createResponse } from "./helpers.js";
+
+const threshold = Report.getAutoHideThreshold();
+
+function reportRequest() {
+  return {
+    user: { userId: "reporter", role: "user" },
+    body: { targetType: Report.TARGET_TYPES.POST, targetId: "p1", reason: "Harassment" },
+  };
+}
+
+describe("report auto-hide", () => {
+  let post;
+  let setHidden;
+  let markAutoHidden;
+
+  beforeEach(() => {
+    post = { postId: "p1", userId: "author", tags: [] };
+    mock.method(Post, "findByPostId", async () => post);
+    setHidden = mock.method(Post, "setHidden", async () => true);
+    markAutoHidden = mock.method(Report, "markAutoHidden", async () => true);
+    mock.method(AuditLog, "record", async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  function submitWithCount(reportCount, autoHidden = false) {
+    mock.method(Report, "submit", async () => ({
+      report: { reportId: "r1", reportCount, autoHidden },
+      duplicate: false,
+    }));
+  }
+
+  it("leaves content up below the threshold", async () => {
+    submitWithCount(threshold - 1);
+
+    const res = createResponse();
+    await createReport(reportRequest(), res);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(setHidden.mock.callCount(), 0);
+  });
+
+  it("hides content once the threshold is reached", async () => {
+    submitWithCount(threshold);
+
+    const res = createResponse();
+    await createReport(reportRequest(), res);
+
+    assert.equal(res.statusCode, 201);
+    assert.deepEqual(setHidden.mock.calls[0].arguments, ["p1", true, "reports"]);
+    assert.equal(markAutoHidden.mock.callCount(), 1);
+  });
+
+  it("does not hide content again", async () => {
+    submitWithCount(threshold + 1, true);
+
+    const res = createResponse();
+    await createReport(reportRequest(), res);
+
+    assert.equal(setHidden.mock.callCount(), 0);
+  });
+
+  it("does not take over content a moderator already hid", async () => {
+    post = { ...post, isHidden: true, hiddenReason: "moderator" };
+    submitWithCount(threshold);
+
+    const res = createResponse();
+    await createReport(reportRequest(), res);
+
+    assert.equal(setHidden.mock.callCount(), 0);
+    assert.equal(markAutoHidden.mock.callCount(), 0);
+  });
+
+  describe("dismissal", () => {
+    let close;
+
+    beforeEach(() => {
+      mock.method(Report, "findByReportId", async reportId => ({
+        reportId,
+        status: Report.STATUSES.OPEN,
+        targetType: Report.TARGET_TYPES.POST,
+        targetId: "p1",
+        autoHidden: true,
+      }));
+      close = mock.method(Report, "close", async (reportId, status, resolution) => ({ reportId, status, resolution }));
+    });
+
+    function dismiss() {
+      const res = createResponse();
+      return dismissReport({ params: { reportId: "r1" }, body: {}, user: { userId: "mod", role: "moderator" } }, res).then(() => res);
+    }
+
+    it("restores content hidden by reports", async () => {
+      post = { ...post, isHidden: true, hiddenReason: "reports" };
+
+      const res = await dismiss();
+
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual(setHidden.mock.calls[0].arguments.slice(0, 2), ["p1", false]);
+      assert.equal(close.mock.calls[0].arguments[2].action, "restore");
+    });
+
+    it("keeps content hidden for another reason", async () => {
+      post = { ...post, isHidden: true, hiddenReason: "moderator" };
+
+      const res = await dismiss();
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(setHidden.mock.callCount(), 0);
+      assert.equal(close.mock.calls[0].arguments[2].action, "none");
+    });
+  });
+});
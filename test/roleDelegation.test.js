@@ -0,0 +1,112 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Role from "../src/models/Role.js";
+import User from "../src/models/User.js";
+import Tag from "../src/models/Tag.js";
+import AuditLog from "../src/models/AuditLog.js";
+import { BUILT_IN_ROLES, PERMISSIONS } from "../src/config/permissions.js";
+import { createRole, grantRole } from "../src/controllers/roleController.js";
+import { createResponse } from "./helpers.js";
+
+// A tag-scoped moderator that may also manage roles
+const scopedGranter = {
+  userId: "granter",
+  role: "tag_lead",
+  permissions: [...BUILT_IN_ROLES.moderator, PERMISSIONS.ROLE_MANAGE],
+  permissionTags: ["javascript"],
+};
+
+function grantRequest(granter, body) {
+  return {
+    user: { userId: granter.userId, role: granter.role },
+    permissions: granter.permissions,
+    permissionTags: granter.permissionTags,
+    params: { userId: "target" },
+    body,
+  };
+}
+
+describe("role delegation", () => {
+  let setRole;
+
+  beforeEach(() => {
+    mock.method(User, "findByUserId", async userId => ({ userId, name: "Target", role: "user" }));
+    setRole = mock.method(User, "setRole", async (userId, role, tags) => ({ userId, name: "Target", role, roleTags: tags }));
+    mock.method(Role, "findByName", async () => null);
+    mock.method(Tag, "getAliasMap", async () => ({ js: "javascript" }));
+    mock.method(AuditLog, "record", async () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("lets an unscoped granter grant a role it fully holds", async () => {
+    const res = createResponse();
+    await grantRole(grantRequest({ ...scopedGranter, permissionTags: null }, { role: "moderator" }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(setRole.mock.calls[0].arguments, ["target", "moderator", null]);
+  });
+
+  it("stops a tag-scoped granter from granting the moderator role unscoped", async () => {
+    const res = createResponse();
+    await grantRole(grantRequest(scopedGranter, { role: "moderator" }), res);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(setRole.mock.callCount(), 0);
+  });
+
+  it("stops a tag-scoped granter from granting outside its own tags", async () => {
+    const res = createResponse();
+    await grantRole(grantRequest(scopedGranter, { role: "moderator", tags: ["python"] }), res);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(setRole.mock.callCount(), 0);
+  });
+
+  it("lets a tag-scoped granter grant within its own tags", async () => {
+    const res = createResponse();
+    await grantRole(grantRequest(scopedGranter, { role: "moderator", tags: ["javascript"] }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(setRole.mock.calls[0].arguments, ["target", "moderator", ["javascript"]]);
+  });
+
+  it("stores tag scopes by their canonical names", async () => {
+    const res = createResponse();
+    await grantRole(grantRequest(scopedGranter, { role: "moderator", tags: [" JS ", "JavaScript"] }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(setRole.mock.calls[0].arguments[2], ["javascript"]);
+  });
+
+  it("rejects an empty tag scope", async () => {
+    const res = createResponse();
+    await grantRole(grantRequest(scopedGranter, { role: "moderator", tags: [] }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(setRole.mock.callCount(), 0);
+  });
+
+  it("stops granting permissions the granter does not hold", async () => {
+    Role.findByName.mock.mockImplementation(async name => ({ name, permissions: [PERMISSIONS.USER_BAN] }));
+
+    const res = createResponse();
+    await grantRole(grantRequest({ ...scopedGranter, permissionTags: null }, { role: "banner" }), res);
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(setRole.mock.callCount(), 0);
+  });
+
+  it("stops a tag-scoped granter from defining roles with tag-scoped permissions", async () => {
+    const create = mock.method(Role, "create", async data => data);
+
+    const res = createResponse();
+    await createRole(
+      { ...grantRequest(scopedGranter, { name: "deleters", permissions: [PERMISSIONS.POST_DELETE] }), params: {} },
+      res
+    );
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(create.mock.callCount(), 0);
+  });
+});